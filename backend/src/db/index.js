@@ -1,16 +1,9 @@
 import Database from 'better-sqlite3';
-import { fileURLToPath } from 'url';
-import { dirname, join } from 'path';
-import { readFileSync } from 'fs';
-
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = dirname(__filename);
-
-// Database file path
-const DB_PATH = process.env.DB_PATH || join(__dirname, '../../data/reactflux.db');
+import { dirname } from 'path';
+import { mkdirSync } from 'fs';
+import { DB_PATH, runMigrations } from './migrate.js';
 
 // Ensure data directory exists
-import { mkdirSync } from 'fs';
 const dataDir = dirname(DB_PATH);
 mkdirSync(dataDir, { recursive: true });
 
@@ -20,16 +13,42 @@ const db = new Database(DB_PATH);
 // Enable WAL mode for better performance
 db.pragma('journal_mode = WAL');
 
-// Initialize schema
-function initializeSchema() {
-  const schemaPath = join(__dirname, 'schema.sql');
-  const schema = readFileSync(schemaPath, 'utf-8');
-  db.exec(schema);
-  console.log('Database schema initialized');
+// Tables whose rows belong to a user (user_id)
+const USER_SCOPED_TABLES = ['ai_config', 'ai_profiles', 'ai_feature_routes', 'prompt_templates', 'glossary_terms', 'feed_languages', 'digests', 'scheduled_tasks', 'digest_jobs', 'miniflux_config', 'ai_usage', 'article_insights'];
+
+/**
+ * Designate the first admin and hand it the rows created before per-user isolation.
+ * Runs once: the first user becomes admin (on startup for upgraded databases, otherwise
+ * on first login). Unowned rows created afterwards stay in the shared anonymous scope.
+ * @returns {number|null} admin user id
+ */
+export function ensureAdmin() {
+  const admin = db.prepare('SELECT id FROM users WHERE is_admin = 1 ORDER BY id LIMIT 1').get();
+  if (admin) return admin.id;
+
+  const firstUser = db.prepare('SELECT id FROM users ORDER BY id LIMIT 1').get();
+  if (!firstUser) return null;
+
+  const promote = db.transaction(() => {
+    db.prepare('UPDATE users SET is_admin = 1 WHERE id = ?').run(firstUser.id);
+
+    for (const table of USER_SCOPED_TABLES) {
+      const { changes } = db.prepare(`UPDATE ${table} SET user_id = ? WHERE user_id IS NULL`).run(firstUser.id);
+      if (changes > 0) {
+        console.log(`[DB] Assigned ${changes} existing row(s) in ${table} to admin user ${firstUser.id}`);
+      }
+    }
+  });
+  promote();
+
+  return firstUser.id;
 }
 
-// Run initialization
-initializeSchema();
+// Apply pending schema migrations (src/db/migrations), backing up the file first
+const { applied } = await runMigrations(db, { dbPath: DB_PATH });
+console.log(applied.length > 0 ? `Database migrated (${applied.join(', ')})` : 'Database schema up to date');
+
+ensureAdmin();
 
 // Graceful shutdown
 process.on('SIGINT', () => {
@@ -0,0 +1,206 @@
+/**
+ * Migration Runner - 版本化数据库迁移
+ *
+ * migrations/ 目录下的迁移文件按编号顺序执行（如 003_add_digest_sources.sql）：
+ * - .sql：直接执行 SQL
+ * - .js：导出同步函数 up(db)
+ * 已应用的版本记录在 schema_migrations 表中。每个迁移在独立事务中执行，失败时回滚并中止启动；
+ * 有待应用的迁移时，先把数据库文件复制为 <db>.backup-<时间>-v<当前版本>。
+ *
+ * CLI（不启动服务）：
+ *   node src/db/migrate.js status   查看已应用 / 待应用的迁移（只读）
+ *   node src/db/migrate.js up       备份并应用待执行的迁移
+ */
+
+import 'dotenv/config';
+import Database from 'better-sqlite3';
+import { copyFileSync, existsSync, mkdirSync, readFileSync, readdirSync } from 'fs';
+import { dirname, join } from 'path';
+import { fileURLToPath, pathToFileURL } from 'url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+const MIGRATIONS_DIR = join(__dirname, 'migrations');
+const MIGRATION_FILE_PATTERN = /^(\d+)_([\w-]+)\.(sql|js)$/;
+
+// Database file path
+export const DB_PATH = process.env.DB_PATH || join(__dirname, '../../data/reactflux.db');
+
+/**
+ * 读取 migrations/ 目录下的迁移文件（按版本号排序）
+ * @returns {{ version: number, name: string, file: string, type: 'sql'|'js' }[]}
+ */
+export function loadMigrations() {
+  const migrations = readdirSync(MIGRATIONS_DIR)
+    .map(file => {
+      const match = file.match(MIGRATION_FILE_PATTERN);
+      if (!match) return null;
+      return { version: parseInt(match[1], 10), name: match[2], file, type: match[3] };
+    })
+    .filter(Boolean)
+    .sort((a, b) => a.version - b.version);
+
+  for (let i = 1; i < migrations.length; i++) {
+    if (migrations[i].version === migrations[i - 1].version) {
+      throw new Error(`Duplicate migration version ${migrations[i].version}: ${migrations[i - 1].file}, ${migrations[i].file}`);
+    }
+  }
+
+  return migrations;
+}
+
+function tableExists(db, table) {
+  return !!db.prepare("SELECT 1 FROM sqlite_master WHERE type = 'table' AND name = ?").get(table);
+}
+
+/**
+ * 已应用的迁移（version -> applied_at），未初始化时为空
+ */
+function getAppliedVersions(db) {
+  if (!tableExists(db, 'schema_migrations')) return new Map();
+
+  const rows = db.prepare('SELECT version, applied_at FROM schema_migrations').all();
+  return new Map(rows.map(row => [row.version, row.applied_at]));
+}
+
+/**
+ * 迁移状态（只读）
+ * @returns {{ currentVersion: number, migrations: { version, name, file, applied, appliedAt }[], pending: number }}
+ */
+export function getMigrationStatus(db) {
+  const applied = getAppliedVersions(db);
+  const migrations = loadMigrations().map(migration => ({
+    version: migration.version,
+    name: migration.name,
+    file: migration.file,
+    applied: applied.has(migration.version),
+    appliedAt: applied.get(migration.version) ?? null
+  }));
+
+  return {
+    currentVersion: applied.size > 0 ? Math.max(...applied.keys()) : 0,
+    migrations,
+    pending: migrations.filter(migration => !migration.applied).length
+  };
+}
+
+/**
+ * 迁移前备份数据库文件（新建的空数据库和内存数据库不备份）
+ * @returns {string|null} 备份文件路径
+ */
+export function backupDatabase(db, dbPath, currentVersion) {
+  if (!dbPath || dbPath === ':memory:' || !existsSync(dbPath)) return null;
+
+  const hasTables = db.prepare("SELECT 1 FROM sqlite_master WHERE type = 'table' AND name NOT LIKE 'sqlite_%'").get();
+  if (!hasTables) return null;
+
+  // 把 WAL 中的内容写回主文件，保证备份完整
+  db.pragma('wal_checkpoint(TRUNCATE)');
+
+  const timestamp = new Date().toISOString().replace(/[-:]/g, '').replace(/\.\d+Z$/, 'Z');
+  const backupPath = `${dbPath}.backup-${timestamp}-v${String(currentVersion).padStart(3, '0')}`;
+  copyFileSync(dbPath, backupPath);
+
+  return backupPath;
+}
+
+/**
+ * 应用所有待执行的迁移
+ * @param {Database} db - better-sqlite3 连接
+ * @param {object} [options] - { dbPath, backup = true, log = console.log }
+ * @returns {Promise<{ applied: string[], backupPath: string|null }>}
+ */
+export async function runMigrations(db, options = {}) {
+  const { dbPath, backup = true, log = console.log } = options;
+
+  const appliedVersions = getAppliedVersions(db);
+  const pending = loadMigrations().filter(migration => !appliedVersions.has(migration.version));
+
+  if (pending.length === 0) {
+    return { applied: [], backupPath: null };
+  }
+
+  const currentVersion = appliedVersions.size > 0 ? Math.max(...appliedVersions.keys()) : 0;
+  const backupPath = backup ? backupDatabase(db, dbPath, currentVersion) : null;
+  if (backupPath) {
+    log(`[Migrate] Database backed up to ${backupPath}`);
+  }
+
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      version INTEGER PRIMARY KEY,
+      name TEXT NOT NULL,
+      applied_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+
+  const applied = [];
+
+  for (const migration of pending) {
+    const path = join(MIGRATIONS_DIR, migration.file);
+    const apply = migration.type === 'sql'
+      ? (conn) => conn.exec(readFileSync(path, 'utf-8'))
+      : (await import(pathToFileURL(path).href)).up;
+
+    if (typeof apply !== 'function') {
+      throw new Error(`Migration ${migration.file} does not export up(db)`);
+    }
+
+    db.transaction(() => {
+      apply(db);
+      db.prepare('INSERT INTO schema_migrations (version, name) VALUES (?, ?)').run(migration.version, migration.name);
+    })();
+
+    log(`[Migrate] Applied ${migration.file}`);
+    applied.push(migration.file);
+  }
+
+  return { applied, backupPath };
+}
+
+/**
+ * CLI 入口
+ */
+async function main(command) {
+  if (command !== 'status' && command !== 'up') {
+    console.log('Usage: node src/db/migrate.js <status|up>');
+    process.exit(1);
+  }
+
+  if (command === 'status' && !existsSync(DB_PATH)) {
+    console.log(`Database: ${DB_PATH} (not created yet)`);
+    console.log(`Pending: ${loadMigrations().map(m => m.file).join(', ')}`);
+    return;
+  }
+
+  mkdirSync(dirname(DB_PATH), { recursive: true });
+  const db = new Database(DB_PATH, { readonly: command === 'status' });
+
+  try {
+    if (command === 'up') {
+      db.pragma('journal_mode = WAL');
+      const { applied } = await runMigrations(db, { dbPath: DB_PATH });
+      console.log(applied.length > 0 ? `Applied ${applied.length} migration(s)` : 'Database is up to date');
+      return;
+    }
+
+    const status = getMigrationStatus(db);
+    console.log(`Database: ${DB_PATH}`);
+    console.log(`Current version: ${status.currentVersion}`);
+    for (const migration of status.migrations) {
+      const state = migration.applied ? `applied ${migration.appliedAt}` : 'pending';
+      console.log(`  ${migration.file.padEnd(40)} ${state}`);
+    }
+    console.log(status.pending > 0 ? `${status.pending} pending migration(s)` : 'Database is up to date');
+  } finally {
+    db.close();
+  }
+}
+
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+  main(process.argv[2]).catch((error) => {
+    console.error('[Migrate] Failed:', error.message);
+    process.exit(1);
+  });
+}
@@ -1,7 +1,8 @@
--- AI Configuration Table
+-- AI Configuration Table (one row per user and provider)
 CREATE TABLE IF NOT EXISTS ai_config (
   id INTEGER PRIMARY KEY AUTOINCREMENT,
-  provider TEXT NOT NULL UNIQUE,
+  user_id INTEGER REFERENCES users(id), -- owner; NULL = shared anonymous scope
+  provider TEXT NOT NULL,
   api_url TEXT NOT NULL,
   api_key_encrypted TEXT,
   model TEXT,
@@ -14,6 +15,7 @@ CREATE TABLE IF NOT EXISTS ai_config (
 -- Digests Table (updated schema with more fields)
 CREATE TABLE IF NOT EXISTS digests (
   id INTEGER PRIMARY KEY AUTOINCREMENT,
+  user_id INTEGER REFERENCES users(id), -- owner; NULL = shared anonymous scope
   title TEXT NOT NULL,
   content TEXT NOT NULL,
   scope TEXT DEFAULT 'all',           -- 'all', 'feed', 'group'
@@ -33,6 +35,7 @@ CREATE TABLE IF NOT EXISTS digests (
 -- Schedule (when to run): cron_expression + timezone.
 CREATE TABLE IF NOT EXISTS scheduled_tasks (
   id INTEGER PRIMARY KEY AUTOINCREMENT,
+  user_id INTEGER REFERENCES users(id), -- owner; NULL = shared anonymous scope
   name TEXT NOT NULL,                 -- task name for display
   scope TEXT NOT NULL,                -- 'all', 'feed', 'group' (which feeds)
   scope_id INTEGER,                   -- feed_id or category_id
@@ -52,9 +55,68 @@ CREATE TABLE IF NOT EXISTS scheduled_tasks (
   updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
 );
 
+-- Digest Jobs Table (async digest generation queue, survives restarts)
+-- Shared by POST /api/digests/generate (type 'generate') and scheduled task runs (type 'scheduled').
+CREATE TABLE IF NOT EXISTS digest_jobs (
+  id TEXT PRIMARY KEY,                -- job id (UUID)
+  type TEXT NOT NULL,                 -- 'generate' or 'scheduled'
+  task_id INTEGER,                    -- scheduled_tasks.id for scheduled jobs
+  user_id INTEGER,                    -- owner (users.id); NULL = shared anonymous scope
+  trigger_type TEXT DEFAULT 'manual', -- 'manual' or 'cron'
+  status TEXT DEFAULT 'pending',      -- 'pending', 'generating', 'completed', 'error'
+  progress INTEGER DEFAULT 0,         -- 0-100
+  stage TEXT,                         -- current stage label (e.g. 'fetching', 'generating', 'pushing')
+  params TEXT,                        -- JSON: job input (credentials encrypted)
+  error TEXT,                         -- error message when status = 'error'
+  digest_id INTEGER,                  -- resulting digest id
+  result TEXT,                        -- JSON: resulting digest snapshot
+  push_result TEXT,                   -- JSON: push notification result
+  attempts INTEGER DEFAULT 0,         -- number of times the job has been started
+  started_at DATETIME,
+  finished_at DATETIME,
+  created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+);
+
+-- AI Usage Ledger (one row per upstream AI call, written by proxyChatRequest)
+CREATE TABLE IF NOT EXISTS ai_usage (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  provider TEXT NOT NULL,
+  model TEXT,
+  feature TEXT DEFAULT 'chat',        -- 'chat', 'translate', 'summarize', 'translate_title', 'digest', 'scheduled_digest'
+  task_id INTEGER,                    -- scheduled_tasks.id for scheduled digests
+  prompt_tokens INTEGER DEFAULT 0,
+  completion_tokens INTEGER DEFAULT 0,
+  total_tokens INTEGER DEFAULT 0,
+  estimated INTEGER DEFAULT 0,        -- 1 when the provider did not report usage and tokens were estimated
+  cost REAL,                          -- USD, NULL when the model has no price entry
+  latency_ms INTEGER,
+  success INTEGER DEFAULT 1,
+  error TEXT,
+  created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+);
+
+-- AI Result Cache (summaries / translations shared across devices and users)
+CREATE TABLE IF NOT EXISTS ai_cache (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  cache_key TEXT UNIQUE NOT NULL,     -- sha256 of operation, subject, target language, model, prompt version
+  operation TEXT NOT NULL,            -- 'summarize', 'translate', 'translate_blocks'
+  entry_id INTEGER,                   -- Miniflux entry id when keyed by entry
+  content_hash TEXT,                  -- sha256 of the source text when keyed by content
+  target_lang TEXT,
+  model TEXT,
+  prompt_version INTEGER DEFAULT 1,
+  result TEXT NOT NULL,
+  size INTEGER DEFAULT 0,             -- result length in bytes
+  hits INTEGER DEFAULT 0,
+  created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  last_accessed_at DATETIME DEFAULT CURRENT_TIMESTAMP
+);
+
 -- Miniflux Configuration Table
 CREATE TABLE IF NOT EXISTS miniflux_config (
   id INTEGER PRIMARY KEY AUTOINCREMENT,
+  user_id INTEGER REFERENCES users(id), -- owner; NULL = shared anonymous scope
   name TEXT DEFAULT 'default',
   api_url TEXT NOT NULL,
   api_key_encrypted TEXT,
@@ -73,6 +135,7 @@ CREATE TABLE IF NOT EXISTS users (
   avatar_url TEXT,
   email TEXT,
   tenant_key TEXT,
+  is_admin INTEGER DEFAULT 0,         -- first user to log in; owns data created before per-user isolation
   is_active INTEGER DEFAULT 1,
   last_login_at DATETIME,
   created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
@@ -106,6 +169,13 @@ CREATE INDEX IF NOT EXISTS idx_digests_scope ON digests(scope, scope_id);
 CREATE INDEX IF NOT EXISTS idx_digests_is_read ON digests(is_read);
 CREATE INDEX IF NOT EXISTS idx_scheduled_tasks_is_active ON scheduled_tasks(is_active);
 CREATE INDEX IF NOT EXISTS idx_scheduled_tasks_next_run ON scheduled_tasks(next_run_at);
+CREATE INDEX IF NOT EXISTS idx_digest_jobs_status ON digest_jobs(status);
+CREATE INDEX IF NOT EXISTS idx_digest_jobs_created_at ON digest_jobs(created_at);
+CREATE INDEX IF NOT EXISTS idx_digest_jobs_task_id ON digest_jobs(task_id);
+CREATE INDEX IF NOT EXISTS idx_ai_usage_created_at ON ai_usage(created_at);
+CREATE INDEX IF NOT EXISTS idx_ai_usage_feature ON ai_usage(feature);
+CREATE INDEX IF NOT EXISTS idx_ai_cache_entry_id ON ai_cache(entry_id);
+CREATE INDEX IF NOT EXISTS idx_ai_cache_last_accessed ON ai_cache(last_accessed_at);
 CREATE INDEX IF NOT EXISTS idx_users_feishu_open_id ON users(feishu_open_id);
 CREATE INDEX IF NOT EXISTS idx_sessions_token ON sessions(token);
 CREATE INDEX IF NOT EXISTS idx_sessions_expires_at ON sessions(expires_at);
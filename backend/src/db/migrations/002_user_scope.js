@@ -0,0 +1,49 @@
+/**
+ * 002 - Per-user isolation
+ *
+ * Adds user_id to databases created before per-user isolation existed
+ * (001 already creates these columns on fresh databases).
+ * ai_config is rebuilt because its old UNIQUE(provider) constraint cannot be dropped in place.
+ */
+
+// Tables whose rows belong to a user (user_id)
+const USER_SCOPED_TABLES = ['ai_config', 'digests', 'scheduled_tasks', 'digest_jobs', 'miniflux_config'];
+
+function hasColumn(db, table, column) {
+  return db.prepare(`PRAGMA table_info(${table})`).all().some(col => col.name === column);
+}
+
+export function up(db) {
+  if (!hasColumn(db, 'users', 'is_admin')) {
+    db.exec('ALTER TABLE users ADD COLUMN is_admin INTEGER DEFAULT 0');
+  }
+
+  if (!hasColumn(db, 'ai_config', 'user_id')) {
+    db.exec(`
+      CREATE TABLE ai_config_new (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        user_id INTEGER REFERENCES users(id),
+        provider TEXT NOT NULL,
+        api_url TEXT NOT NULL,
+        api_key_encrypted TEXT,
+        model TEXT,
+        extra_config TEXT,
+        is_active INTEGER DEFAULT 0,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      );
+      INSERT INTO ai_config_new (id, provider, api_url, api_key_encrypted, model, extra_config, is_active, created_at, updated_at)
+        SELECT id, provider, api_url, api_key_encrypted, model, extra_config, is_active, created_at, updated_at FROM ai_config;
+      DROP TABLE ai_config;
+      ALTER TABLE ai_config_new RENAME TO ai_config;
+      CREATE INDEX IF NOT EXISTS idx_ai_config_provider ON ai_config(provider);
+    `);
+  }
+
+  for (const table of USER_SCOPED_TABLES) {
+    if (!hasColumn(db, table, 'user_id')) {
+      db.exec(`ALTER TABLE ${table} ADD COLUMN user_id INTEGER`);
+    }
+    db.exec(`CREATE INDEX IF NOT EXISTS idx_${table}_user_id ON ${table}(user_id)`);
+  }
+}
@@ -0,0 +1,26 @@
+-- Atom feeds of generated digests
+
+-- Scheduled task that produced the digest (NULL for manual digests); used by per-schedule feeds
+ALTER TABLE digests ADD COLUMN task_id INTEGER;
+
+-- Backfill from generation jobs that are still retained
+UPDATE digests
+SET task_id = (
+  SELECT j.task_id FROM digest_jobs j
+  WHERE j.digest_id = digests.id AND j.task_id IS NOT NULL
+  LIMIT 1
+)
+WHERE task_id IS NULL;
+
+CREATE INDEX IF NOT EXISTS idx_digests_task_id ON digests(task_id);
+
+-- Feed tokens (feed readers cannot send the session header, so feed URLs carry their own token)
+CREATE TABLE IF NOT EXISTS feed_tokens (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  user_id INTEGER REFERENCES users(id), -- owner; NULL = shared anonymous scope
+  token TEXT UNIQUE NOT NULL,
+  last_used_at DATETIME,
+  created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_feed_tokens_user_id ON feed_tokens(user_id);
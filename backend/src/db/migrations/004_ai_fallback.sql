@@ -0,0 +1,8 @@
+-- AI provider fallback chains
+
+-- Position in the user's fallback chain (1 = tried first after the active provider); NULL = not a fallback
+ALTER TABLE ai_config ADD COLUMN fallback_priority INTEGER;
+
+-- Provider/model that actually generated the digest (comma-separated when several served one digest)
+ALTER TABLE digests ADD COLUMN ai_provider TEXT;
+ALTER TABLE digests ADD COLUMN ai_model TEXT;
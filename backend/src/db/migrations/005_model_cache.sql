@@ -0,0 +1,12 @@
+-- Live model listings fetched from each provider's model-listing API
+
+CREATE TABLE IF NOT EXISTS ai_model_cache (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  user_id INTEGER REFERENCES users(id), -- listings depend on the account's key; NULL = shared anonymous scope
+  provider TEXT NOT NULL,
+  api_url TEXT NOT NULL DEFAULT '',
+  models TEXT NOT NULL, -- JSON array of { id, name, contextWindow, ... }
+  fetched_at DATETIME DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_ai_model_cache_lookup ON ai_model_cache(provider, user_id, api_url);
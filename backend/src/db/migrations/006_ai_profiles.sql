@@ -0,0 +1,25 @@
+-- Named AI profiles and per-feature routing
+
+CREATE TABLE IF NOT EXISTS ai_profiles (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  user_id INTEGER REFERENCES users(id), -- owner; NULL = shared anonymous scope
+  name TEXT NOT NULL,
+  provider TEXT NOT NULL, -- uses the owner's saved ai_config of this provider
+  model TEXT, -- NULL = model of the provider configuration
+  temperature REAL,
+  max_tokens INTEGER,
+  created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_ai_profiles_user_id ON ai_profiles(user_id);
+
+-- Feature -> profile; features without a route use the active configuration
+CREATE TABLE IF NOT EXISTS ai_feature_routes (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  user_id INTEGER REFERENCES users(id),
+  feature TEXT NOT NULL, -- title_translation | article_translation | summary | chat | digest | scheduled_digest
+  profile_id INTEGER NOT NULL REFERENCES ai_profiles(id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_ai_feature_routes_lookup ON ai_feature_routes(user_id, feature);
@@ -0,0 +1,15 @@
+-- Editable prompt templates for summary, translation and title translation
+
+CREATE TABLE IF NOT EXISTS prompt_templates (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  user_id INTEGER REFERENCES users(id), -- owner; NULL = shared anonymous scope
+  feature TEXT NOT NULL, -- summarize | translate | translate_title
+  language TEXT NOT NULL DEFAULT '', -- target language ID; '' = any target language
+  name TEXT NOT NULL,
+  template TEXT NOT NULL, -- {{placeholders}} are listed per feature in prompt-service.js
+  version INTEGER NOT NULL DEFAULT 1, -- incremented on every edit; part of the AI cache key
+  created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_prompt_templates_lookup ON prompt_templates(user_id, feature, language);
@@ -0,0 +1,14 @@
+-- Translation glossary: global and per-feed terms injected into translation prompts
+
+CREATE TABLE IF NOT EXISTS glossary_terms (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  user_id INTEGER REFERENCES users(id), -- owner; NULL = shared anonymous scope
+  feed_id INTEGER, -- Miniflux feed ID; NULL = applies to every feed
+  term TEXT NOT NULL,
+  translation TEXT, -- forced translation; NULL = do not translate (keep the term as written)
+  target_lang TEXT NOT NULL DEFAULT '', -- target language ID; '' = any target language
+  created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_glossary_terms_lookup ON glossary_terms(user_id, feed_id);
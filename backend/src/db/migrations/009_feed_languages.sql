@@ -0,0 +1,11 @@
+-- Per-feed content language, overriding local language detection when translations are skipped
+
+CREATE TABLE IF NOT EXISTS feed_languages (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  user_id INTEGER REFERENCES users(id), -- owner; NULL = shared anonymous scope
+  feed_id INTEGER NOT NULL, -- Miniflux feed ID
+  language TEXT NOT NULL, -- language ID the feed is written in
+  updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_feed_languages_lookup ON feed_languages(user_id, feed_id);
@@ -0,0 +1,15 @@
+-- Articles cited by each digest bullet (parsed from the [#n] reference ids in the model output)
+
+CREATE TABLE IF NOT EXISTS digest_sources (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  digest_id INTEGER NOT NULL, -- digests.id (owner comes from the digest)
+  bullet_index INTEGER NOT NULL, -- position of the cited line among the digest's cited lines
+  bullet_text TEXT NOT NULL, -- cited line without list marker and reference ids, as stored in digests.content
+  ref INTEGER NOT NULL, -- reference id the article had in the prompt
+  entry_id INTEGER NOT NULL, -- Miniflux entry ID
+  feed_id INTEGER, -- Miniflux feed ID
+  title TEXT,
+  url TEXT
+);
+
+CREATE INDEX IF NOT EXISTS idx_digest_sources_digest_id ON digest_sources(digest_id);
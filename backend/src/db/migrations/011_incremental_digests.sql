@@ -0,0 +1,20 @@
+-- Incremental scheduled digests: only articles that arrived since the task's last successful run
+
+-- 1 = only include articles published/added since last_success_at and not in an earlier digest of the task
+ALTER TABLE scheduled_tasks ADD COLUMN incremental INTEGER DEFAULT 0;
+-- 1 = pass the previous digest's headlines to the prompt so continuing stories are written as updates
+ALTER TABLE scheduled_tasks ADD COLUMN continue_stories INTEGER DEFAULT 0;
+-- Start time of the last run that finished successfully
+ALTER TABLE scheduled_tasks ADD COLUMN last_success_at DATETIME;
+
+-- Entries that went into each scheduled digest (owner comes from the task)
+CREATE TABLE IF NOT EXISTS digest_entries (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  task_id INTEGER NOT NULL, -- scheduled_tasks.id
+  digest_id INTEGER NOT NULL, -- digests.id
+  entry_id INTEGER NOT NULL, -- Miniflux entry ID
+  created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_digest_entries_task_entry ON digest_entries(task_id, entry_id);
+CREATE INDEX IF NOT EXISTS idx_digest_entries_digest_id ON digest_entries(digest_id);
@@ -0,0 +1,24 @@
+-- Run history of scheduled digest tasks (one row per executeTask call, owner comes from the task)
+
+CREATE TABLE IF NOT EXISTS task_runs (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  task_id INTEGER NOT NULL,           -- scheduled_tasks.id
+  job_id TEXT,                        -- digest_jobs.id that executed the run
+  trigger_type TEXT DEFAULT 'manual', -- 'manual' or 'cron'
+  status TEXT DEFAULT 'running',      -- 'running', 'success', 'error', 'interrupted'
+  started_at DATETIME NOT NULL,
+  finished_at DATETIME,
+  duration_ms INTEGER,
+  article_count INTEGER,
+  digest_id INTEGER,                  -- resulting digest id (NULL when no articles were found)
+  ai_requests INTEGER DEFAULT 0,      -- upstream AI calls, including failed ones
+  ai_ms INTEGER DEFAULT 0,            -- total AI latency
+  prompt_tokens INTEGER DEFAULT 0,
+  completion_tokens INTEGER DEFAULT 0,
+  total_tokens INTEGER DEFAULT 0,
+  push_result TEXT,                   -- JSON: push notification result
+  error TEXT,
+  error_stack TEXT
+);
+
+CREATE INDEX IF NOT EXISTS idx_task_runs_task_id ON task_runs(task_id, started_at);
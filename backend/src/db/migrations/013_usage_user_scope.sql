@@ -0,0 +1,10 @@
+-- Per-user usage ledger: each AI call is recorded for the user that made it
+
+ALTER TABLE ai_usage ADD COLUMN user_id INTEGER REFERENCES users(id); -- owner; NULL = shared anonymous scope
+
+-- Scheduled digest calls belong to the task owner; other existing rows stay in the anonymous scope
+UPDATE ai_usage
+SET user_id = (SELECT t.user_id FROM scheduled_tasks t WHERE t.id = ai_usage.task_id)
+WHERE task_id IS NOT NULL;
+
+CREATE INDEX IF NOT EXISTS idx_ai_usage_user_id ON ai_usage(user_id, created_at);
@@ -0,0 +1,16 @@
+-- Structured article insights, stored per entry and target language (not subject to ai_cache eviction or purge)
+
+CREATE TABLE IF NOT EXISTS article_insights (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  user_id INTEGER REFERENCES users(id), -- owner; NULL = shared anonymous scope
+  entry_id INTEGER, -- Miniflux entry ID
+  content_hash TEXT, -- sha256 of the article content, used when no entry ID is given
+  target_lang TEXT NOT NULL,
+  insights TEXT NOT NULL, -- JSON object validated by insights-service.js
+  provider TEXT,
+  model TEXT,
+  created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_article_insights_entry ON article_insights(user_id, entry_id, target_lang);
+CREATE INDEX IF NOT EXISTS idx_article_insights_hash ON article_insights(user_id, content_hash, target_lang);
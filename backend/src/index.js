@@ -9,8 +9,12 @@ import aiRoutes from './routes/ai.js';
 import authRoutes from './routes/auth.js';
 import digestRoutes from './routes/digest.js';
 
+// Import middleware
+import { requireSession } from './middleware/auth.js';
+
 // Import services
 import { SchedulerService } from './services/scheduler.js';
+import { JobService } from './services/job-service.js';
 
 // Create Hono app
 const app = new Hono();
@@ -24,7 +28,9 @@ app.use('*', logger());
 app.use('*', cors({
   origin: process.env.CORS_ORIGIN || '*',
   allowMethods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-  allowHeaders: ['Content-Type', 'Authorization']
+  allowHeaders: ['Content-Type', 'Authorization'],
+  // Provider/model that served a streamed /api/ai/chat request
+  exposeHeaders: ['X-AI-Provider', 'X-AI-Model', 'X-AI-Fallback']
 }));
 
 // Custom trailing slash handler - redirect to non-trailing slash
@@ -54,6 +60,11 @@ app.get('/health', (c) => {
   return c.json({ status: 'ok' });
 });
 
+// Resolve the session user on per-user routes
+// (Atom feeds authenticate with their own ?token=, since feed readers cannot send the session header)
+app.use('/api/ai/*', requireSession);
+app.use('/api/digests/*', (c, next) => (c.req.path.endsWith('/feed.xml') ? next() : requireSession(c, next)));
+
 // API routes
 app.route('/api/ai', aiRoutes);
 app.route('/api/auth', authRoutes);
@@ -78,6 +89,9 @@ console.log(`Host: ${HOST}`);
 // Initialize scheduler
 SchedulerService.initialize();
 
+// Resume digest jobs interrupted by a restart
+JobService.recover();
+
 // Graceful shutdown
 process.on('SIGINT', () => {
   console.log('Shutting down...');
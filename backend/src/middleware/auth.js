@@ -0,0 +1,88 @@
+/**
+ * Auth Middleware - 会话校验与用户隔离
+ *
+ * 受保护路由（/api/ai/*、/api/digests/*）通过 Authorization: Bearer <session token>
+ * 解析当前用户，路由中用 getUserId(c) 限定 AI 配置、简报、定时任务、Miniflux 配置的归属：
+ * - 携带有效 token：使用该用户的数据
+ * - 未携带 token：AUTH_REQUIRED=true 时返回 401，否则使用共享的匿名空间（user_id 为 NULL）
+ * - token 无效或过期：返回 401
+ */
+
+import db from '../db/index.js';
+
+const AUTH_REQUIRED = process.env.AUTH_REQUIRED === 'true';
+
+/**
+ * 从请求头读取 session token
+ * @returns {string|null}
+ */
+export function getBearerToken(c) {
+  const authHeader = c.req.header('Authorization');
+  return authHeader?.startsWith('Bearer ') ? authHeader.slice(7) : null;
+}
+
+/**
+ * 删除过期会话
+ */
+export function cleanupExpiredSessions() {
+  try {
+    db.prepare('DELETE FROM sessions WHERE expires_at <= ?').run(new Date().toISOString());
+  } catch {}
+}
+
+/**
+ * 根据 session token 获取用户
+ * @param {string} token
+ * @returns {{ id: number, name: string, avatarUrl: string, openId: string, isAdmin: boolean }|null}
+ */
+export function getSessionUser(token) {
+  if (!token) return null;
+
+  const row = db.prepare(`
+    SELECT u.id, u.name, u.avatar_url, u.feishu_open_id, u.is_admin
+    FROM sessions s JOIN users u ON s.user_id = u.id
+    WHERE s.token = ? AND s.expires_at > ? AND u.is_active = 1
+  `).get(token, new Date().toISOString());
+
+  if (!row) return null;
+
+  return {
+    id: row.id,
+    name: row.name,
+    avatarUrl: row.avatar_url,
+    openId: row.feishu_open_id,
+    isAdmin: row.is_admin === 1
+  };
+}
+
+/**
+ * 当前请求的用户 ID（匿名请求为 null）
+ */
+export function getUserId(c) {
+  return c.get('user')?.id ?? null;
+}
+
+/**
+ * Hono 中间件：解析会话并写入 c.set('user')
+ */
+export async function requireSession(c, next) {
+  const token = getBearerToken(c);
+
+  if (!token) {
+    if (AUTH_REQUIRED) {
+      return c.json({ success: false, error: 'Authentication required' }, 401);
+    }
+    c.set('user', null);
+    return next();
+  }
+
+  const user = getSessionUser(token);
+  if (!user) {
+    return c.json({ success: false, error: 'Invalid or expired session' }, 401);
+  }
+
+  c.set('user', user);
+  return next();
+}
+
+export default requireSession;
@@ -1,11 +1,31 @@
 import { Hono } from 'hono';
 import db from '../db/index.js';
 import { encrypt, maskApiKey } from '../utils/encryption.js';
-import { getProviderList, getProviderPreset, validateProviderConfig } from '../utils/config.js';
-import { testConnection, proxyChatRequest } from '../services/ai-service.js';
+import { getAzureBaseUrl, getProviderList, getProviderPreset, hasCredentials, providerRequiresApiKey, validateProviderConfig } from '../utils/config.js';
+import { testConnection, proxyChatRequest, getFallbackConfigs, getCircuitKey } from '../services/ai-service.js';
+import { ModelService } from '../services/model-service.js';
+import { ProfileService, ROUTING_FEATURES, ROUTING_FEATURE_BY_USAGE } from '../services/profile-service.js';
+import { PromptService, PROMPT_FEATURES, DEFAULT_PROMPTS, SAMPLE_VARIABLES, normalizeTemplate, renderPrompt } from '../services/prompt-service.js';
+import { getCircuitState } from '../utils/circuit-breaker.js';
+import { UsageService, USAGE_FEATURES } from '../services/usage-service.js';
+import { CacheService } from '../services/cache-service.js';
+import { getUserId } from '../middleware/auth.js';
+import { getMinifluxInstance } from '../utils/miniflux.js';
+import { InsightsService } from '../services/insights-service.js';
+import { ArticleInsightsService } from '../services/article-insights-service.js';
+import { TitleTranslationService, MAX_TITLES_PER_REQUEST } from '../services/title-translation-service.js';
+import { FeedLanguageService } from '../services/feed-language-service.js';
+import { GlossaryService, MAX_IMPORT_TERMS, buildGlossaryInstructions, parseGlossaryCsv, toGlossaryKey, validateTerm } from '../services/glossary-service.js';
+import { createCompletionReader } from '../utils/stream-parser.js';
 
 const ai = new Hono();
 
+const SSE_HEADERS = {
+  'Content-Type': 'text/event-stream',
+  'Cache-Control': 'no-cache',
+  'Connection': 'keep-alive'
+};
+
 /**
  * GET /api/ai/providers
  * Get list of all supported AI providers with their presets
@@ -15,6 +35,55 @@ ai.get('/providers', (c) => {
   return c.json({ success: true, data: providers });
 });
 
+/**
+ * GET /api/ai/models
+ * Models the provider currently serves (live listing with the saved key, cached), merged with presets
+ * Query params: provider, refresh=1 (bypass the cache),
+ *   apiUrl (local providers only, to discover models before saving; defaults to the saved configuration,
+ *   other URLs are probed without the saved key and not cached)
+ */
+ai.get('/models', async (c) => {
+  try {
+    const provider = c.req.query('provider');
+    const preset = getProviderPreset(provider);
+
+    if (!preset) {
+      return c.json({ success: false, error: `Unknown provider: ${provider}` }, 400);
+    }
+
+    const userId = getUserId(c);
+    const saved = db.prepare('SELECT api_url, api_key_encrypted FROM ai_config WHERE provider = ? AND user_id IS ?')
+      .get(provider, userId);
+    // Local servers may be probed at any URL, but the saved key is only ever sent to the saved URL,
+    // and listings of unsaved URLs are not cached
+    const probeUrl = preset.local ? c.req.query('apiUrl') : null;
+    const probing = Boolean(probeUrl) && probeUrl !== saved?.api_url;
+    const apiUrl = probeUrl || saved?.api_url || preset.apiUrl;
+    const apiKeyEncrypted = probing ? null : saved?.api_key_encrypted;
+
+    if (!hasCredentials({ provider, api_key_encrypted: apiKeyEncrypted })) {
+      return c.json({
+        success: true,
+        data: { models: preset.models.map(id => ({ id, source: 'preset' })), source: 'preset', fetchedAt: null }
+      });
+    }
+
+    const data = await ModelService.getModels({
+      provider,
+      apiUrl,
+      apiKeyEncrypted,
+      userId,
+      refresh: c.req.query('refresh') === '1',
+      cache: !probing
+    });
+
+    return c.json({ success: true, data });
+  } catch (error) {
+    console.error('Error listing models:', error);
+    return c.json({ success: false, error: 'Failed to list models' }, 500);
+  }
+});
+
 /**
  * GET /api/ai/config
  * Get AI configuration (API Key is masked)
@@ -25,8 +94,9 @@ ai.get('/config', (c) => {
     const configs = db.prepare(`
       SELECT id, provider, api_url, api_key_encrypted, model, extra_config, is_active, created_at, updated_at
       FROM ai_config
+      WHERE user_id IS ?
       ORDER BY provider
-    `).all();
+    `).all(getUserId(c));
 
     // Mask API keys and parse extra_config
     const maskedConfigs = configs.map(config => ({
@@ -38,7 +108,8 @@ ai.get('/config', (c) => {
       extra_config: undefined
     }));
 
-    return c.json({ success: true, data: maskedConfigs });
+    // glossaryVersion lets the client key its title translation cache on the glossary
+    return c.json({ success: true, data: maskedConfigs, glossaryVersion: GlossaryService.getVersion(getUserId(c)) });
   } catch (error) {
     console.error('Error fetching AI config:', error);
     return c.json({ success: false, error: 'Failed to fetch configuration' }, 500);
@@ -61,8 +132,8 @@ ai.get('/config/:provider', (c) => {
     const config = db.prepare(`
       SELECT id, provider, api_url, api_key_encrypted, model, extra_config, is_active, created_at, updated_at
       FROM ai_config
-      WHERE provider = ?
-    `).get(provider);
+      WHERE provider = ? AND user_id IS ?
+    `).get(provider, getUserId(c));
 
     if (!config) {
       // Return preset as default
@@ -113,7 +184,7 @@ ai.post('/config', async (c) => {
 
     // Validate configuration if API key is provided
     if (apiKey) {
-      const validation = validateProviderConfig(provider, { apiUrl, apiKey });
+      const validation = validateProviderConfig(provider, { apiUrl, apiKey, extraConfig });
       if (!validation.valid) {
         return c.json({ success: false, errors: validation.errors }, 400);
       }
@@ -121,31 +192,34 @@ ai.post('/config', async (c) => {
 
     // Encrypt API key if provided
     const apiKeyEncrypted = apiKey ? encrypt(apiKey) : null;
-    const finalApiUrl = apiUrl || preset.apiUrl;
+    const finalApiUrl = resolveApiUrl(provider, apiUrl, extraConfig);
     const finalModel = model || preset.defaultModel;
     const extraConfigJson = extraConfig ? JSON.stringify(extraConfig) : null;
 
-    // Upsert configuration
-    const stmt = db.prepare(`
-      INSERT INTO ai_config (provider, api_url, api_key_encrypted, model, extra_config, is_active, updated_at)
-      VALUES (?, ?, ?, ?, ?, ?, CURRENT_TIMESTAMP)
-      ON CONFLICT(provider) DO UPDATE SET
-        api_url = excluded.api_url,
-        api_key_encrypted = COALESCE(excluded.api_key_encrypted, api_key_encrypted),
-        model = excluded.model,
-        extra_config = excluded.extra_config,
-        is_active = excluded.is_active,
-        updated_at = CURRENT_TIMESTAMP
-    `);
-
-    stmt.run(
-      provider,
-      finalApiUrl,
-      apiKeyEncrypted,
-      finalModel,
-      extraConfigJson,
-      isActive ? 1 : 0
-    );
+    // Upsert configuration (user_id may be NULL, so match the owner explicitly instead of ON CONFLICT)
+    const userId = getUserId(c);
+    const existing = db.prepare('SELECT id FROM ai_config WHERE provider = ? AND user_id IS ?').get(provider, userId);
+
+    if (existing) {
+      db.prepare(`
+        UPDATE ai_config SET
+          api_url = ?,
+          api_key_encrypted = COALESCE(?, api_key_encrypted),
+          model = ?,
+          extra_config = ?,
+          is_active = ?,
+          updated_at = CURRENT_TIMESTAMP
+        WHERE id = ?
+      `).run(finalApiUrl, apiKeyEncrypted, finalModel, extraConfigJson, isActive ? 1 : 0, existing.id);
+    } else {
+      db.prepare(`
+        INSERT INTO ai_config (user_id, provider, api_url, api_key_encrypted, model, extra_config, is_active, updated_at)
+        VALUES (?, ?, ?, ?, ?, ?, ?, CURRENT_TIMESTAMP)
+      `).run(userId, provider, finalApiUrl, apiKeyEncrypted, finalModel, extraConfigJson, isActive ? 1 : 0);
+    }
+
+    // A new URL or key may serve a different set of models
+    ModelService.invalidate(provider, userId);
 
     return c.json({
       success: true,
@@ -171,12 +245,14 @@ ai.delete('/config/:provider', (c) => {
   try {
     const provider = c.req.param('provider');
 
-    const result = db.prepare('DELETE FROM ai_config WHERE provider = ?').run(provider);
+    const result = db.prepare('DELETE FROM ai_config WHERE provider = ? AND user_id IS ?').run(provider, getUserId(c));
 
     if (result.changes === 0) {
       return c.json({ success: false, error: 'Configuration not found' }, 404);
     }
 
+    ModelService.invalidate(provider, getUserId(c));
+
     return c.json({ success: true, message: 'Configuration deleted' });
   } catch (error) {
     console.error('Error deleting AI config:', error);
@@ -191,13 +267,13 @@ ai.delete('/config/:provider', (c) => {
 ai.post('/test', async (c) => {
   try {
     const body = await c.req.json();
-    const { provider, apiUrl, apiKey, model } = body;
+    const { provider, apiUrl, apiKey, model, extraConfig } = body;
 
-    // If API key provided in request, use it directly
+    // If API key provided in request (or the provider needs none), use the request directly
     // Otherwise, look up from database
     let configToTest;
 
-    if (apiKey) {
+    if (apiKey || !providerRequiresApiKey(provider)) {
       // Test with provided credentials
       const preset = getProviderPreset(provider);
       if (!preset) {
@@ -206,17 +282,18 @@ ai.post('/test', async (c) => {
 
       configToTest = {
         provider,
-        apiUrl: apiUrl || preset.apiUrl,
-        apiKeyEncrypted: encrypt(apiKey),
-        model: model || preset.defaultModel
+        apiUrl: resolveApiUrl(provider, apiUrl, extraConfig),
+        apiKeyEncrypted: apiKey ? encrypt(apiKey) : null,
+        model: model || preset.defaultModel,
+        extraConfig
       };
     } else {
       // Get from database
       const dbConfig = db.prepare(`
-        SELECT provider, api_url, api_key_encrypted, model
+        SELECT provider, api_url, api_key_encrypted, model, extra_config
         FROM ai_config
-        WHERE provider = ?
-      `).get(provider);
+        WHERE provider = ? AND user_id IS ?
+      `).get(provider, getUserId(c));
 
       if (!dbConfig || !dbConfig.api_key_encrypted) {
         return c.json({
@@ -230,7 +307,10 @@ ai.post('/test', async (c) => {
         provider: dbConfig.provider,
         apiUrl: dbConfig.api_url,
         apiKeyEncrypted: dbConfig.api_key_encrypted,
-        model: dbConfig.model
+        model: dbConfig.model,
+        // Unsaved deployment edits (Azure) are tested with the stored key
+        extraConfig,
+        extra_config: dbConfig.extra_config
       };
     }
 
@@ -246,37 +326,64 @@ ai.post('/test', async (c) => {
 /**
  * POST /api/ai/translate
  * Translate content using AI
+ * Body flag stream: true returns OpenAI-format SSE like /chat (cache hits arrive as a single chunk)
+ * Optional feedId applies that feed's glossary terms on top of the global ones
+ * Content already in the target language (feed language override, else local detection) is returned
+ *   unchanged with skipped: true (X-AI-Skipped: 1 when streaming) without calling the model
  */
 ai.post('/translate', async (c) => {
   try {
     const body = await c.req.json();
-    const { config: requestConfig, content, targetLang, provider } = body;
+    const { config: requestConfig, content, targetLang, provider, entryId, feedId, stream = false } = body;
 
     if (!content) {
       return c.json({ success: false, error: 'Content is required' }, 400);
     }
 
     // Get configuration
-    let config = await getAIConfig(requestConfig, provider);
+    const userId = getUserId(c);
+    let config = await getAIConfig(requestConfig, provider, userId, 'article_translation');
 
-    if (!config || !config.api_key_encrypted) {
+    if (!hasCredentials(config)) {
       return c.json({
         success: false,
         error: 'No active AI configuration found. Please configure and enable AI first.'
       }, 400);
     }
 
-    // Build translation prompt
-    const targetLanguage = getLanguageName(targetLang || 'zh-CN');
-    const prompt = `Please translate the following text into ${targetLanguage}. Only output the translated text without any explanations or additional content.
+    const language = targetLang || 'zh-CN';
+    const { skip, sourceLang } = FeedLanguageService.checkSameLanguage(content, language, parseFeedId(feedId), userId);
+    if (skip) {
+      return stream
+        ? streamCachedResult(content, { 'X-AI-Skipped': '1' })
+        : c.json({ success: true, translation: content, skipped: true, sourceLang });
+    }
+
+    const { prompt, promptKey } = buildTranslationPrompt('translate', { language, text: content, feedId }, userId);
 
-Text to translate:
-${content}`;
+    // Looked up under the routed model, stored under the model that served the result (which may be a fallback)
+    const cacheParams = { operation: 'translate', entryId, scope: getCacheScope(userId), content, targetLang: language, model: config.model, promptKey };
+    const cached = CacheService.get(cacheParams);
+    if (cached) {
+      return stream ? streamCachedResult(cached.result) : c.json({ success: true, translation: cached.result, cached: true });
+    }
 
     const messages = [{ role: 'user', content: prompt }];
-    const result = await executeChatRequest(config, messages, false);
 
-    return c.json({ success: true, translation: result.content || '' });
+    if (stream) {
+      return streamChatResponse(
+        c,
+        config,
+        { model: config.model, messages, stream: true, max_tokens: 4096, ...getProfileParams(config) },
+        { feature: 'translate', userId },
+        (text, servedBy) => CacheService.set({ ...cacheParams, model: servedBy?.model || config.model }, text.trim())
+      );
+    }
+
+    const result = await executeChatRequest(config, messages, false, 'translate', userId);
+    CacheService.set({ ...cacheParams, model: result.model || config.model }, result.content);
+
+    return c.json({ success: true, translation: result.content || '', provider: result.provider, model: result.model });
   } catch (error) {
     console.error('Error translating content:', error);
     return c.json({ success: false, error: error.message }, 500);
@@ -286,150 +393,463 @@ ${content}`;
 /**
  * POST /api/ai/summarize
  * Summarize content using AI
+ * Body flag stream: true returns OpenAI-format SSE like /chat (cache hits arrive as a single chunk)
+ * Body flag structured: true returns { insights } instead (TL;DR, key points, entities, topics, sentiment,
+ *   worth-reading score), stored per entry; title is optional context
  */
 ai.post('/summarize', async (c) => {
   try {
     const body = await c.req.json();
-    const { config: requestConfig, content, targetLang, provider } = body;
+    const { config: requestConfig, content, targetLang, provider, entryId, title, stream = false, structured = false } = body;
 
     if (!content) {
       return c.json({ success: false, error: 'Content is required' }, 400);
     }
 
     // Get configuration
-    let config = await getAIConfig(requestConfig, provider);
+    const userId = getUserId(c);
+    let config = await getAIConfig(requestConfig, provider, userId, 'summary');
 
-    if (!config || !config.api_key_encrypted) {
+    if (!hasCredentials(config)) {
       return c.json({
         success: false,
         error: 'No active AI configuration found. Please configure and enable AI first.'
       }, 400);
     }
 
-    // Build summary prompt
-    const targetLanguage = getLanguageName(targetLang || 'zh-CN');
-    const prompt = `Please summarize the following content in ${targetLanguage}. Keep the summary concise and capture the main points. Only output the summary without any explanations.
+    const language = targetLang || 'zh-CN';
+
+    if (structured) {
+      return c.json(await getInsights(config, { content, title, language, entryId }, userId));
+    }
+
+    const { prompt, promptKey } = PromptService.buildPrompt('summarize', {
+      language,
+      variables: { targetLang: getLanguageName(language), content }
+    }, userId);
 
-Content to summarize:
-${content}`;
+    // Looked up under the routed model, stored under the model that served the result (which may be a fallback)
+    const cacheParams = { operation: 'summarize', entryId, scope: getCacheScope(userId), content, targetLang: language, model: config.model, promptKey };
+    const cached = CacheService.get(cacheParams);
+    if (cached) {
+      return stream ? streamCachedResult(cached.result) : c.json({ success: true, summary: cached.result, cached: true });
+    }
 
     const messages = [{ role: 'user', content: prompt }];
-    const result = await executeChatRequest(config, messages, false);
 
-    return c.json({ success: true, summary: result.content || '' });
+    if (stream) {
+      return streamChatResponse(
+        c,
+        config,
+        { model: config.model, messages, stream: true, max_tokens: 4096, ...getProfileParams(config) },
+        { feature: 'summarize', userId },
+        (text, servedBy) => CacheService.set({ ...cacheParams, model: servedBy?.model || config.model }, text.trim())
+      );
+    }
+
+    const result = await executeChatRequest(config, messages, false, 'summarize', userId);
+    CacheService.set({ ...cacheParams, model: result.model || config.model }, result.content);
+
+    return c.json({ success: true, summary: result.content || '', provider: result.provider, model: result.model });
   } catch (error) {
     console.error('Error summarizing content:', error);
     return c.json({ success: false, error: error.message }, 500);
   }
 });
 
+/**
+ * Structured insights of an article, stored per entry and target language or generated
+ * (with one repair round for invalid JSON)
+ * @param {object} article - { content, title, language, entryId }
+ * @param {number|null} userId - Owner of the stored insights and user the AI calls are recorded for
+ * @returns {Promise<object>} - Response body
+ */
+async function getInsights(config, { content, title, language, entryId }, userId) {
+  const article = { entryId, content, targetLang: language };
+  const stored = ArticleInsightsService.get(article, userId);
+  if (stored) {
+    return { success: true, insights: stored.insights, cached: true };
+  }
+
+  const result = await InsightsService.generate(
+    { content, title, targetLanguage: getLanguageName(language) },
+    (prompt) => executeChatRequest(config, [{ role: 'user', content: prompt }], false, 'summarize', userId)
+  );
+  ArticleInsightsService.save(article, result, userId);
+
+  return { success: true, insights: result.insights, provider: result.provider, model: result.model };
+}
+
 /**
  * Helper function to get AI configuration
+ * A profile routed for the feature takes precedence over the request and the active configuration
+ * @param {number|null} userId - Owner of stored configurations (null = anonymous scope)
+ * @param {string} [feature] - Routing feature (see ROUTING_FEATURES)
  */
-async function getAIConfig(requestConfig, provider) {
+async function getAIConfig(requestConfig, provider, userId, feature) {
+  const routed = feature ? ProfileService.resolveConfig(feature, userId) : null;
+  if (routed) {
+    return withFallbacks(routed, userId);
+  }
+
+  let config;
   if (requestConfig && requestConfig.provider) {
     const preset = getProviderPreset(requestConfig.provider);
     if (!preset) {
       throw new Error(`Unknown provider: ${requestConfig.provider}`);
     }
-    return {
+    config = {
       provider: requestConfig.provider,
-      api_url: requestConfig.apiUrl || preset.apiUrl,
+      api_url: resolveApiUrl(requestConfig.provider, requestConfig.apiUrl, requestConfig.extraConfig),
       api_key_encrypted: requestConfig.apiKey ? encrypt(requestConfig.apiKey) : null,
-      model: requestConfig.model || preset.defaultModel
+      model: requestConfig.model || preset.defaultModel,
+      extraConfig: requestConfig.extraConfig
     };
   } else if (provider) {
-    const config = db.prepare(`
-      SELECT provider, api_url, api_key_encrypted, model
+    config = db.prepare(`
+      SELECT provider, api_url, api_key_encrypted, model, extra_config
       FROM ai_config
-      WHERE provider = ? AND is_active = 1
-    `).get(provider);
-    return config;
+      WHERE provider = ? AND is_active = 1 AND user_id IS ?
+    `).get(provider, userId);
   } else {
-    const config = db.prepare(`
-      SELECT provider, api_url, api_key_encrypted, model
+    config = db.prepare(`
+      SELECT provider, api_url, api_key_encrypted, model, extra_config
       FROM ai_config
-      WHERE is_active = 1
+      WHERE is_active = 1 AND user_id IS ?
       LIMIT 1
-    `).get();
-    return config;
+    `).get(userId);
   }
+
+  return withFallbacks(config, userId);
 }
 
 /**
- * Helper function to execute chat request and return content
+ * API URL of a request configuration (an Azure resource name takes precedence over the URL)
  */
-async function executeChatRequest(config, messages, stream = false) {
-  const chunks = [];
-  const mockController = {
-    enqueue: (data) => {
+function resolveApiUrl(provider, apiUrl, extraConfig) {
+  const azureUrl = provider === 'azure' ? getAzureBaseUrl(extraConfig?.resourceName) : '';
+  return azureUrl || apiUrl || getProviderPreset(provider)?.apiUrl || '';
+}
+
+/**
+ * Attach the user's fallback chain to a configuration
+ */
+function withFallbacks(config, userId) {
+  if (!config) return config;
+  return { ...config, fallbacks: getFallbackConfigs(userId, config.provider) };
+}
+
+/**
+ * Sampling parameters of a routed profile
+ */
+function getProfileParams(config) {
+  return {
+    ...(config.temperature != null && { temperature: config.temperature }),
+    ...(config.max_tokens != null && { max_tokens: config.max_tokens })
+  };
+}
+
+/**
+ * Stream a chat completion to the client as OpenAI-format SSE
+ * The response is returned once the serving provider is known, so it can be reported in headers.
+ * Client disconnects and stream cancellation abort the upstream provider request.
+ * @param {object} c - Hono context
+ * @param {object} params - Chat parameters for proxyChatRequest
+ * @param {object} options - proxyChatRequest options ({ feature, ... })
+ * @param {function} [onComplete] - Called with the full output text and the serving { provider, model } when the
+ *   stream finished without error
+ * @returns {Promise<Response>}
+ */
+async function streamChatResponse(c, config, params, options, onComplete) {
+  const abortController = new AbortController();
+  const clientSignal = c.req.raw.signal;
+  const abort = () => abortController.abort();
+  clientSignal?.addEventListener('abort', abort, { once: true });
+
+  let resolveServed;
+  let servedInfo = null;
+  const served = new Promise(resolve => { resolveServed = resolve; });
+  const onServed = (info) => {
+    servedInfo = info;
+    resolveServed(info);
+  };
+
+  const stream = new ReadableStream({
+    async start(controller) {
+      const encoder = new TextEncoder();
       const decoder = new TextDecoder();
-      const text = decoder.decode(data);
-      chunks.push(text);
+      const completion = createCompletionReader();
+      const relay = {
+        enqueue: (data) => {
+          if (abortController.signal.aborted) return;
+          completion.push(decoder.decode(data, { stream: true }));
+          controller.enqueue(data);
+        }
+      };
+
+      try {
+        await proxyChatRequest(config, params, relay, { ...options, signal: abortController.signal, onServed });
+      } catch (error) {
+        relay.enqueue(encoder.encode(`data: ${JSON.stringify({ error: error.message })}\n\n`));
+      } finally {
+        resolveServed(null);
+        clientSignal?.removeEventListener('abort', abort);
+      }
+
+      // A cancelled stream can no longer be closed, and partial output is not worth keeping
+      if (abortController.signal.aborted) return;
+      controller.close();
+
+      completion.flush();
+      if (onComplete && !completion.error && completion.content.trim()) {
+        onComplete(completion.content, servedInfo);
+      }
+    },
+    cancel() {
+      abortController.abort();
     }
+  });
+
+  const servedBy = await served;
+
+  return new Response(stream, {
+    headers: {
+      ...SSE_HEADERS,
+      ...(servedBy && {
+        'X-AI-Provider': servedBy.provider,
+        'X-AI-Model': servedBy.model,
+        'X-AI-Fallback': servedBy.fallback ? '1' : '0'
+      })
+    }
+  });
+}
+
+/**
+ * Replay a cached result as a single-chunk SSE stream
+ * @param {object} [headers] - Marks where the result came from (default X-AI-Cached: 1)
+ */
+function streamCachedResult(content, headers = { 'X-AI-Cached': '1' }) {
+  const encoder = new TextEncoder();
+  const chunk = {
+    object: 'chat.completion.chunk',
+    created: Math.floor(Date.now() / 1000),
+    choices: [{ index: 0, delta: { content }, finish_reason: 'stop' }]
+  };
+
+  return new Response(encoder.encode(`data: ${JSON.stringify(chunk)}\n\ndata: [DONE]\n\n`), {
+    headers: { ...SSE_HEADERS, ...headers }
+  });
+}
+
+/**
+ * Helper function to execute chat request and return content
+ * @param {string} [feature] - Feature name recorded in the usage ledger
+ * @param {number|null} [userId] - User the call is recorded for in the usage ledger
+ * @returns {Promise<{ content: string, provider?: string, model?: string }>} - provider/model that served the request
+ */
+async function executeChatRequest(config, messages, stream = false, feature = 'chat', userId = null) {
+  const completion = createCompletionReader();
+  let servedBy = null;
+  const decoder = new TextDecoder();
+  const mockController = {
+    enqueue: (data) => completion.push(decoder.decode(data, { stream: true }))
   };
 
   await proxyChatRequest(
     config,
-    { model: config.model, messages, stream: false, max_tokens: 4096 },
-    mockController
+    { model: config.model, messages, stream: false, max_tokens: 4096, ...getProfileParams(config) },
+    mockController,
+    { feature, userId, onServed: (info) => { servedBy = info; } }
   );
+  completion.flush();
 
-  // Parse the response
-  const allChunks = chunks.join('');
-  const dataMatch = allChunks.match(/data: ({.*?})\n\n/);
-
-  if (dataMatch) {
-    const response = JSON.parse(dataMatch[1]);
-    const content = response.choices?.[0]?.delta?.content ||
-                   response.choices?.[0]?.message?.content ||
-                   response.content || '';
-    return { content: content.trim() };
+  if (completion.error) {
+    throw new Error(completion.error);
   }
 
-  return { content: '' };
+  return { content: completion.content.trim(), provider: servedBy?.provider, model: servedBy?.model };
 }
 
 /**
  * POST /api/ai/translate/title
  * Translate a single title using AI
+ * Optional feedId applies that feed's glossary terms on top of the global ones
+ * Titles already in the target language are returned unchanged with skipped: true
  */
 ai.post('/translate/title', async (c) => {
   try {
     const body = await c.req.json();
-    const { config: requestConfig, title, targetLang, provider } = body;
+    const { config: requestConfig, title, targetLang, provider, feedId } = body;
 
     if (!title) {
       return c.json({ success: false, error: 'Title is required' }, 400);
     }
 
     // Get configuration
-    let config = await getAIConfig(requestConfig, provider);
+    const userId = getUserId(c);
+    let config = await getAIConfig(requestConfig, provider, userId, 'title_translation');
 
-    if (!config || !config.api_key_encrypted) {
+    if (!hasCredentials(config)) {
       return c.json({
         success: false,
         error: 'No active AI configuration found. Please configure and enable AI first.'
       }, 400);
     }
 
-    // Build translation prompt
-    const targetLanguage = getLanguageName(targetLang || 'zh-CN');
-    const prompt = `Please translate the following title into ${targetLanguage}. Only output the translated title without any explanations or additional content.
+    const language = targetLang || 'zh-CN';
+    const { skip, sourceLang } = FeedLanguageService.checkSameLanguage(title, language, parseFeedId(feedId), userId);
+    if (skip) {
+      return c.json({ success: true, translation: title, skipped: true, sourceLang });
+    }
 
-Title to translate:
-${title}`;
+    const { prompt } = buildTranslationPrompt('translate_title', { language, text: title, feedId }, userId);
 
     const messages = [{ role: 'user', content: prompt }];
-    const result = await executeChatRequest(config, messages, false);
+    const result = await executeChatRequest(config, messages, false, 'translate_title', userId);
 
-    return c.json({ success: true, translation: result.content || '' });
+    return c.json({ success: true, translation: result.content || '', provider: result.provider, model: result.model });
   } catch (error) {
     console.error('Error translating title:', error);
     return c.json({ success: false, error: error.message }, 500);
   }
 });
 
+/**
+ * POST /api/ai/translate/titles
+ * Translate many titles with as few model calls as possible (numbered titles packed into prompts by token budget,
+ * missing ones retried once); results are cached per title and shared across users
+ * Body: { items: [{ id, title, feedId? }], targetLang }
+ * Returns data: { results: [{ id, translation, cached?, skipped?, error? }], requests, provider, model }
+ */
+ai.post('/translate/titles', async (c) => {
+  try {
+    const body = await c.req.json();
+    const { config: requestConfig, items, targetLang, provider } = body;
+
+    if (!Array.isArray(items) || items.length === 0) {
+      return c.json({ success: false, error: 'Items are required' }, 400);
+    }
+
+    if (items.length > MAX_TITLES_PER_REQUEST) {
+      return c.json({ success: false, error: `At most ${MAX_TITLES_PER_REQUEST} titles per request` }, 400);
+    }
+
+    const invalid = items.findIndex(item =>
+      !item || !['string', 'number'].includes(typeof item.id) || typeof item.title !== 'string' || !item.title.trim());
+    if (invalid !== -1) {
+      return c.json({ success: false, error: `Item ${invalid} needs an id and a title` }, 400);
+    }
+
+    const userId = getUserId(c);
+    const config = await getAIConfig(requestConfig, provider, userId, 'title_translation');
+
+    if (!hasCredentials(config)) {
+      return c.json({
+        success: false,
+        error: 'No active AI configuration found. Please configure and enable AI first.'
+      }, 400);
+    }
+
+    const data = await translateTitles(config, items, targetLang || 'zh-CN', userId);
+    return c.json({ success: true, data });
+  } catch (error) {
+    console.error('Error translating titles:', error);
+    return c.json({ success: false, error: error.message }, 500);
+  }
+});
+
+/**
+ * Translate titles for /translate/titles: same-language titles are skipped, cached ones reused,
+ * the rest grouped by feed (each feed has its own glossary) and translated in batches.
+ * A custom translate_title template is honoured by translating those titles one by one.
+ * @param {Array<{ id, title, feedId? }>} items
+ * @returns {Promise<object>} - Response data
+ */
+async function translateTitles(config, items, language, userId) {
+  const targetLanguage = getLanguageName(language);
+  const customTemplate = PromptService.getPromptKey('translate_title', language, userId);
+  const results = items.map(item => ({ id: item.id }));
+  const groups = new Map();
+  let requests = 0;
+  let servedBy = {};
+
+  items.forEach((item, index) => {
+    const title = item.title.trim();
+    const feedId = parseFeedId(item.feedId);
+    const { skip, sourceLang } = FeedLanguageService.checkSameLanguage(title, language, feedId, userId);
+    if (skip) {
+      Object.assign(results[index], { translation: title, skipped: true, sourceLang });
+      return;
+    }
+
+    // Same title in the same feed is translated once
+    if (!groups.has(feedId)) {
+      const terms = GlossaryService.getApplicableTerms(userId, feedId, language);
+      groups.set(feedId, { terms, promptKey: joinCacheKeys(customTemplate, toGlossaryKey(terms)), titles: new Map() });
+    }
+    const group = groups.get(feedId);
+    if (!group.titles.has(title)) group.titles.set(title, []);
+    group.titles.get(title).push(index);
+  });
+
+  for (const [feedId, group] of groups) {
+    const pending = [];
+
+    for (const [title, indexes] of group.titles) {
+      const cacheParams = { operation: 'translate_title', content: title, targetLang: language, model: config.model, promptKey: group.promptKey };
+      const cached = CacheService.get(cacheParams);
+      if (cached) {
+        indexes.forEach(index => Object.assign(results[index], { translation: cached.result, cached: true }));
+      } else {
+        pending.push({ key: String(pending.length), title, indexes, cacheParams });
+      }
+    }
+
+    if (pending.length === 0) continue;
+
+    const complete = (prompt) => executeChatRequest(config, [{ role: 'user', content: prompt }], false, 'translate_title', userId);
+    let outcome;
+
+    if (customTemplate) {
+      outcome = { translations: new Map(), errors: new Map(), requests: 0 };
+      for (const item of pending) {
+        try {
+          const { prompt } = buildTranslationPrompt('translate_title', { language, text: item.title, feedId }, userId);
+          const result = await complete(prompt);
+          outcome.requests++;
+          Object.assign(outcome, { provider: result.provider, model: result.model });
+          if (result.content) outcome.translations.set(item.key, result.content);
+        } catch (error) {
+          outcome.requests++;
+          outcome.errors.set(item.key, error.message);
+        }
+      }
+    } else {
+      outcome = await TitleTranslationService.translate(pending, {
+        targetLanguage,
+        getGlossary: (titles) => buildGlossaryInstructions(group.terms, titles.join('\n')),
+        complete
+      });
+    }
+
+    requests += outcome.requests;
+    if (outcome.model) servedBy = { provider: outcome.provider, model: outcome.model };
+
+    for (const item of pending) {
+      const translation = outcome.translations.get(item.key);
+      if (translation) {
+        CacheService.set(item.cacheParams, translation);
+      }
+      const result = translation
+        ? { translation }
+        : { translation: item.title, error: outcome.errors.get(item.key) || 'Translation missing from model output' };
+      item.indexes.forEach(index => Object.assign(results[index], result));
+    }
+  }
+
+  return { results, requests, ...servedBy };
+}
+
 /**
  * Helper function to get language name from code
  */
@@ -450,6 +870,41 @@ function getLanguageName(langCode) {
   return languages[langCode] || langCode;
 }
 
+/**
+ * Prompt of a translation feature with the glossary terms that occur in the text
+ * @param {string} feature - 'translate' | 'translate_title'
+ * @param {object} options - { language, text, feedId }
+ * @returns {{ prompt: string, promptKey: string|null }} - promptKey also identifies the applicable glossary
+ */
+function buildTranslationPrompt(feature, { language, text, feedId }, userId) {
+  const terms = GlossaryService.getApplicableTerms(userId, parseFeedId(feedId), language);
+  const { prompt, promptKey } = PromptService.buildPrompt(feature, {
+    language,
+    variables: {
+      targetLang: getLanguageName(language),
+      [PROMPT_FEATURES[feature].required]: text,
+      glossary: buildGlossaryInstructions(terms, text)
+    }
+  }, userId);
+
+  return { prompt, promptKey: joinCacheKeys(promptKey, toGlossaryKey(terms)) };
+}
+
+/**
+ * Combine optional cache key parts (null when all are empty, which keeps the default key)
+ */
+function joinCacheKeys(...parts) {
+  return parts.filter(Boolean).join('|') || null;
+}
+
+/**
+ * Helper function to parse an optional Miniflux feed ID (null when missing or invalid)
+ */
+function parseFeedId(value) {
+  const feedId = parseInt(value);
+  return feedId > 0 ? feedId : null;
+}
+
 /**
  * POST /api/ai/chat
  * Proxy chat request to AI provider with streaming support
@@ -457,106 +912,61 @@ function getLanguageName(langCode) {
 ai.post('/chat', async (c) => {
   try {
     const body = await c.req.json();
-    const { provider, messages, model, stream = true, config: requestConfig, ...extraParams } = body;
+    const { provider, messages, model, stream = true, config: requestConfig, feature, ...extraParams } = body;
+    // Clients may tag requests with a feature for the usage ledger
+    const userId = getUserId(c);
+    const usageOptions = { feature: USAGE_FEATURES.includes(feature) ? feature : 'chat', userId };
 
     // Validate required fields
     if (!messages || !Array.isArray(messages) || messages.length === 0) {
       return c.json({ success: false, error: 'Messages are required' }, 400);
     }
 
-    // Get configuration - either from request config or database
-    let config;
-    if (requestConfig && requestConfig.provider) {
-      // Use config from request (frontend sends this format)
-      const preset = getProviderPreset(requestConfig.provider);
-      if (!preset) {
-        return c.json({ success: false, error: `Unknown provider: ${requestConfig.provider}` }, 400);
-      }
-      config = {
-        provider: requestConfig.provider,
-        api_url: requestConfig.apiUrl || preset.apiUrl,
-        api_key_encrypted: requestConfig.apiKey ? encrypt(requestConfig.apiKey) : null,
-        model: requestConfig.model || preset.defaultModel
-      };
-    } else if (provider) {
-      // Get configuration from database by provider
-      config = db.prepare(`
-        SELECT provider, api_url, api_key_encrypted, model
-        FROM ai_config
-        WHERE provider = ? AND is_active = 1
-      `).get(provider);
-    } else {
-      // Get active configuration from database
-      config = db.prepare(`
-        SELECT provider, api_url, api_key_encrypted, model
-        FROM ai_config
-        WHERE is_active = 1
-        LIMIT 1
-      `).get();
+    if (requestConfig?.provider && !getProviderPreset(requestConfig.provider)) {
+      return c.json({ success: false, error: `Unknown provider: ${requestConfig.provider}` }, 400);
     }
 
-    if (!config || !config.api_key_encrypted) {
+    // Get configuration - routed profile, request config (frontend sends this format) or database
+    const config = await getAIConfig(requestConfig, provider, userId, ROUTING_FEATURE_BY_USAGE[usageOptions.feature]);
+
+    if (!hasCredentials(config)) {
       return c.json({
         success: false,
         error: 'No active AI configuration found. Please configure and enable AI first.'
       }, 400);
     }
 
-    // Use model from request or default from config
-    const finalModel = model || config.model;
+    // A routed profile decides the model; otherwise use model from request or default from config
+    const finalModel = config.profile ? config.model : model || config.model;
+    const requestParams = { ...extraParams, ...getProfileParams(config) };
 
     if (stream) {
-      // Return SSE stream
-      const stream = new ReadableStream({
-        async start(controller) {
-          try {
-            await proxyChatRequest(
-              config,
-              { model: finalModel, messages, stream: true, ...extraParams },
-              controller
-            );
-            controller.close();
-          } catch (error) {
-            const encoder = new TextEncoder();
-            controller.enqueue(encoder.encode(`data: ${JSON.stringify({ error: error.message })}\n\n`));
-            controller.close();
-          }
-        }
-      });
-
-      return new Response(stream, {
-        headers: {
-          'Content-Type': 'text/event-stream',
-          'Cache-Control': 'no-cache',
-          'Connection': 'keep-alive'
-        }
-      });
+      return streamChatResponse(c, config, { model: finalModel, messages, stream: true, ...requestParams }, usageOptions);
     } else {
       // Non-streaming response
-      const chunks = [];
+      const completion = createCompletionReader();
+      let servedBy = null;
+      const decoder = new TextDecoder();
       const mockController = {
-        enqueue: (data) => {
-          const decoder = new TextDecoder();
-          const text = decoder.decode(data);
-          chunks.push(text);
-        }
+        enqueue: (data) => completion.push(decoder.decode(data, { stream: true }))
       };
 
       await proxyChatRequest(
         config,
-        { model: finalModel, messages, stream: false, ...extraParams },
-        mockController
+        { model: finalModel, messages, stream: false, ...requestParams },
+        mockController,
+        { ...usageOptions, onServed: (info) => { servedBy = info; } }
       );
 
-      // Parse the response
-      const lastChunk = chunks.find(c => c.includes('[DONE]'));
-      const dataMatch = chunks.join('').match(/data: ({.*?})\n\n/);
+      completion.flush();
 
-      if (dataMatch) {
-        return c.json(JSON.parse(dataMatch[1]));
+      // The relayed completion (or error payload) is a single event
+      const [data] = completion.payloads;
+      if (data) {
+        return c.json(servedBy ? { ...data, provider: servedBy.provider, model: servedBy.model } : data);
       }
 
-      return c.json({ success: true, data: chunks });
+      return c.json({ success: true, data: completion.content });
     }
   } catch (error) {
     console.error('Error in chat proxy:', error);
@@ -564,4 +974,680 @@ ai.post('/chat', async (c) => {
   }
 });
 
+/**
+ * GET /api/ai/fallback
+ * Fallback chain of the current user and circuit breaker state of each configured provider
+ */
+ai.get('/fallback', (c) => {
+  try {
+    const configs = db.prepare(`
+      SELECT provider, api_url, api_key_encrypted, model, is_active, fallback_priority
+      FROM ai_config
+      WHERE user_id IS ?
+      ORDER BY provider
+    `).all(getUserId(c));
+
+    const chain = configs
+      .filter(config => config.fallback_priority !== null)
+      .sort((a, b) => a.fallback_priority - b.fallback_priority)
+      .map(config => config.provider);
+
+    const providers = configs.map(config => ({
+      provider: config.provider,
+      model: config.model,
+      isActive: config.is_active === 1,
+      hasApiKey: hasCredentials(config),
+      circuit: hasCredentials(config) ? getCircuitState(getCircuitKey(config)) : null
+    }));
+
+    return c.json({ success: true, data: { chain, providers } });
+  } catch (error) {
+    console.error('Error fetching AI fallback chain:', error);
+    return c.json({ success: false, error: 'Failed to fetch fallback chain' }, 500);
+  }
+});
+
+/**
+ * PUT /api/ai/fallback
+ * Replace the fallback chain
+ * Body: { providers: ['siliconflow', 'openai'] } - tried in order after the active provider
+ */
+ai.put('/fallback', async (c) => {
+  try {
+    const body = await c.req.json();
+    const { providers } = body;
+
+    if (!Array.isArray(providers) || providers.some(provider => typeof provider !== 'string')) {
+      return c.json({ success: false, error: 'providers must be an array of provider IDs' }, 400);
+    }
+
+    const chain = [...new Set(providers)];
+    const userId = getUserId(c);
+    const configured = new Set(
+      db.prepare('SELECT provider, api_key_encrypted FROM ai_config WHERE user_id IS ?')
+        .all(userId)
+        .filter(hasCredentials)
+        .map(row => row.provider)
+    );
+
+    const missing = chain.filter(provider => !configured.has(provider));
+    if (missing.length > 0) {
+      return c.json({ success: false, error: `Providers not configured: ${missing.join(', ')}` }, 400);
+    }
+
+    const update = db.prepare('UPDATE ai_config SET fallback_priority = ? WHERE provider = ? AND user_id IS ?');
+    db.transaction(() => {
+      db.prepare('UPDATE ai_config SET fallback_priority = NULL WHERE user_id IS ?').run(userId);
+      chain.forEach((provider, index) => update.run(index + 1, provider, userId));
+    })();
+
+    return c.json({ success: true, data: { chain } });
+  } catch (error) {
+    console.error('Error saving AI fallback chain:', error);
+    return c.json({ success: false, error: 'Failed to save fallback chain' }, 500);
+  }
+});
+
+/**
+ * GET /api/ai/profiles
+ * AI profiles of the current user, the feature routing table and the providers a profile can use
+ */
+ai.get('/profiles', (c) => {
+  try {
+    const userId = getUserId(c);
+    const providers = db.prepare('SELECT provider, api_key_encrypted, model FROM ai_config WHERE user_id IS ? ORDER BY provider')
+      .all(userId)
+      .filter(hasCredentials)
+      .map(config => ({ provider: config.provider, model: config.model }));
+
+    return c.json({
+      success: true,
+      data: {
+        profiles: ProfileService.getProfiles(userId),
+        routes: ProfileService.getRoutes(userId),
+        features: ROUTING_FEATURES,
+        providers
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching AI profiles:', error);
+    return c.json({ success: false, error: 'Failed to fetch profiles' }, 500);
+  }
+});
+
+/**
+ * POST /api/ai/profiles
+ * Create a profile
+ * Body: { name, provider, model, temperature, maxTokens } - model/temperature/maxTokens are optional
+ */
+ai.post('/profiles', async (c) => {
+  try {
+    const body = await c.req.json();
+    const userId = getUserId(c);
+
+    const error = validateProfile(body, userId);
+    if (error) {
+      return c.json({ success: false, error }, 400);
+    }
+
+    const profile = ProfileService.createProfile(normalizeProfile(body), userId);
+    return c.json({ success: true, data: profile });
+  } catch (error) {
+    console.error('Error creating AI profile:', error);
+    return c.json({ success: false, error: 'Failed to create profile' }, 500);
+  }
+});
+
+/**
+ * PUT /api/ai/profiles/:id
+ * Update a profile
+ */
+ai.put('/profiles/:id', async (c) => {
+  try {
+    const body = await c.req.json();
+    const userId = getUserId(c);
+
+    const error = validateProfile(body, userId);
+    if (error) {
+      return c.json({ success: false, error }, 400);
+    }
+
+    const profile = ProfileService.updateProfile(parseInt(c.req.param('id')), normalizeProfile(body), userId);
+    if (!profile) {
+      return c.json({ success: false, error: 'Profile not found' }, 404);
+    }
+
+    return c.json({ success: true, data: profile });
+  } catch (error) {
+    console.error('Error updating AI profile:', error);
+    return c.json({ success: false, error: 'Failed to update profile' }, 500);
+  }
+});
+
+/**
+ * DELETE /api/ai/profiles/:id
+ * Delete a profile; features routed to it go back to the active configuration
+ */
+ai.delete('/profiles/:id', (c) => {
+  try {
+    const deleted = ProfileService.deleteProfile(parseInt(c.req.param('id')), getUserId(c));
+    if (!deleted) {
+      return c.json({ success: false, error: 'Profile not found' }, 404);
+    }
+
+    return c.json({ success: true, message: 'Profile deleted' });
+  } catch (error) {
+    console.error('Error deleting AI profile:', error);
+    return c.json({ success: false, error: 'Failed to delete profile' }, 500);
+  }
+});
+
+/**
+ * PUT /api/ai/routing
+ * Replace the feature routing table
+ * Body: { routes: { summary: 3, title_translation: 2, chat: null } } - null/missing = active configuration
+ */
+ai.put('/routing', async (c) => {
+  try {
+    const body = await c.req.json();
+    const routes = body.routes;
+
+    if (!routes || typeof routes !== 'object' || Array.isArray(routes)) {
+      return c.json({ success: false, error: 'routes must be an object of feature -> profile ID' }, 400);
+    }
+
+    const unknown = Object.keys(routes).filter(feature => !ROUTING_FEATURES.includes(feature));
+    if (unknown.length > 0) {
+      return c.json({ success: false, error: `Unknown features: ${unknown.join(', ')}` }, 400);
+    }
+
+    const userId = getUserId(c);
+    const profileIds = new Set(ProfileService.getProfiles(userId).map(profile => profile.id));
+    const missing = Object.values(routes).filter(id => id != null && !profileIds.has(id));
+    if (missing.length > 0) {
+      return c.json({ success: false, error: `Profiles not found: ${missing.join(', ')}` }, 400);
+    }
+
+    return c.json({ success: true, data: { routes: ProfileService.saveRoutes(routes, userId) } });
+  } catch (error) {
+    console.error('Error saving AI routing:', error);
+    return c.json({ success: false, error: 'Failed to save routing' }, 500);
+  }
+});
+
+/**
+ * Validate a profile payload
+ * @returns {string|null} - Error message
+ */
+function validateProfile(body, userId) {
+  const { name, provider, temperature, maxTokens } = body || {};
+
+  if (typeof name !== 'string' || !name.trim()) {
+    return 'Profile name is required';
+  }
+
+  if (!getProviderPreset(provider)) {
+    return `Unknown provider: ${provider}`;
+  }
+
+  const config = db.prepare('SELECT provider, api_key_encrypted FROM ai_config WHERE provider = ? AND user_id IS ?')
+    .get(provider, userId);
+  if (!hasCredentials(config)) {
+    return `Provider not configured: ${provider}`;
+  }
+
+  if (temperature != null && (typeof temperature !== 'number' || temperature < 0 || temperature > 2)) {
+    return 'temperature must be between 0 and 2';
+  }
+
+  if (maxTokens != null && (!Number.isInteger(maxTokens) || maxTokens < 1)) {
+    return 'maxTokens must be a positive integer';
+  }
+
+  return null;
+}
+
+function normalizeProfile(body) {
+  return {
+    name: body.name.trim(),
+    provider: body.provider,
+    model: typeof body.model === 'string' ? body.model.trim() : null,
+    temperature: body.temperature ?? null,
+    maxTokens: body.maxTokens ?? null
+  };
+}
+
+/**
+ * GET /api/ai/prompts
+ * Custom prompt templates of the current user, the built-in defaults and the placeholders of each feature
+ */
+ai.get('/prompts', (c) => {
+  try {
+    return c.json({
+      success: true,
+      data: {
+        templates: PromptService.getTemplates(getUserId(c)),
+        defaults: DEFAULT_PROMPTS,
+        features: PROMPT_FEATURES
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching prompt templates:', error);
+    return c.json({ success: false, error: 'Failed to fetch prompt templates' }, 500);
+  }
+});
+
+/**
+ * POST /api/ai/prompts
+ * Create a prompt template
+ * Body: { feature, language, name, template } - language '' applies to every target language
+ */
+ai.post('/prompts', async (c) => {
+  try {
+    const body = await c.req.json();
+    const userId = getUserId(c);
+
+    const result = validatePromptTemplate(body, userId);
+    if (result.error) {
+      return c.json({ success: false, error: result.error }, result.status || 400);
+    }
+
+    return c.json({ success: true, data: PromptService.createTemplate(result.data, userId) });
+  } catch (error) {
+    console.error('Error creating prompt template:', error);
+    return c.json({ success: false, error: 'Failed to create prompt template' }, 500);
+  }
+});
+
+/**
+ * PUT /api/ai/prompts/:id
+ * Update a prompt template (increments its version, which invalidates cached results)
+ */
+ai.put('/prompts/:id', async (c) => {
+  try {
+    const body = await c.req.json();
+    const userId = getUserId(c);
+    const id = parseInt(c.req.param('id'));
+
+    const result = validatePromptTemplate(body, userId, id);
+    if (result.error) {
+      return c.json({ success: false, error: result.error }, result.status || 400);
+    }
+
+    const template = PromptService.updateTemplate(id, result.data, userId);
+    if (!template) {
+      return c.json({ success: false, error: 'Prompt template not found' }, 404);
+    }
+
+    return c.json({ success: true, data: template });
+  } catch (error) {
+    console.error('Error updating prompt template:', error);
+    return c.json({ success: false, error: 'Failed to update prompt template' }, 500);
+  }
+});
+
+/**
+ * DELETE /api/ai/prompts/:id
+ * Delete a prompt template; the feature goes back to the built-in default
+ */
+ai.delete('/prompts/:id', (c) => {
+  try {
+    const deleted = PromptService.deleteTemplate(parseInt(c.req.param('id')), getUserId(c));
+    if (!deleted) {
+      return c.json({ success: false, error: 'Prompt template not found' }, 404);
+    }
+
+    return c.json({ success: true, message: 'Prompt template deleted' });
+  } catch (error) {
+    console.error('Error deleting prompt template:', error);
+    return c.json({ success: false, error: 'Failed to delete prompt template' }, 500);
+  }
+});
+
+/**
+ * POST /api/ai/prompts/preview
+ * Render a prompt with sample text, optionally running it against the feature's AI configuration
+ * Body: { feature, template, language, sample, run } - template defaults to the one currently in use,
+ *   sample replaces the built-in sample text, run: true also returns the model output
+ */
+ai.post('/prompts/preview', async (c) => {
+  try {
+    const body = await c.req.json();
+    const { feature, sample, run = false } = body;
+    const userId = getUserId(c);
+    const language = body.language || 'zh-CN';
+
+    if (!PROMPT_FEATURES[feature]) {
+      return c.json({ success: false, error: `Unknown prompt feature: ${feature}` }, 400);
+    }
+
+    let template = PromptService.resolveTemplate(feature, language, userId).template;
+    if (body.template !== undefined) {
+      const normalized = normalizeTemplate(feature, body.template);
+      if (normalized.error) {
+        return c.json({ success: false, error: normalized.error }, 400);
+      }
+      template = normalized.template;
+    }
+
+    const subject = PROMPT_FEATURES[feature].required;
+    const text = typeof sample === 'string' && sample.trim() ? sample : SAMPLE_VARIABLES[subject];
+    const prompt = renderPrompt(template, {
+      targetLang: getLanguageName(language),
+      [subject]: text,
+      glossary: buildGlossaryInstructions(GlossaryService.getApplicableTerms(userId, null, language), text)
+    });
+
+    if (!run) {
+      return c.json({ success: true, data: { prompt } });
+    }
+
+    const config = await getAIConfig(body.config, body.provider, userId, ROUTING_FEATURE_BY_USAGE[feature]);
+    if (!hasCredentials(config)) {
+      return c.json({
+        success: false,
+        error: 'No active AI configuration found. Please configure and enable AI first.'
+      }, 400);
+    }
+
+    const result = await executeChatRequest(config, [{ role: 'user', content: prompt }], false, feature, userId);
+    return c.json({ success: true, data: { prompt, output: result.content, provider: result.provider, model: result.model } });
+  } catch (error) {
+    console.error('Error previewing prompt template:', error);
+    return c.json({ success: false, error: error.message }, 500);
+  }
+});
+
+/**
+ * Validate a prompt template payload
+ * @param {number} [id] - Template being updated
+ * @returns {{ data: object }|{ error: string, status?: number }}
+ */
+function validatePromptTemplate(body, userId, id) {
+  const { feature, name, template } = body || {};
+  const language = typeof body?.language === 'string' ? body.language.trim() : '';
+
+  if (!PROMPT_FEATURES[feature]) {
+    return { error: `Unknown prompt feature: ${feature}` };
+  }
+
+  if (typeof name !== 'string' || !name.trim()) {
+    return { error: 'Template name is required' };
+  }
+
+  if (language && !/^[A-Za-z]{2,3}(-[A-Za-z0-9]{2,8})*$/.test(language)) {
+    return { error: `Invalid language: ${language}` };
+  }
+
+  const normalized = normalizeTemplate(feature, template);
+  if (normalized.error) {
+    return { error: normalized.error };
+  }
+
+  const existing = PromptService.findTemplate(feature, language, userId);
+  if (existing && existing.id !== id) {
+    return { error: `A ${feature} template for ${language || 'all languages'} already exists`, status: 409 };
+  }
+
+  return { data: { feature, language, name: name.trim(), template: normalized.template } };
+}
+
+/**
+ * GET /api/ai/glossary
+ * Glossary terms of the current user and the glossary version (part of client title cache keys)
+ * Query params: feedId ('global' for terms that apply to every feed; omitted = all terms)
+ */
+ai.get('/glossary', (c) => {
+  try {
+    const userId = getUserId(c);
+    const scope = c.req.query('feedId');
+    const filter = scope === undefined ? {} : { feedId: scope === 'global' ? null : parseFeedId(scope) };
+
+    return c.json({
+      success: true,
+      data: {
+        terms: GlossaryService.getTerms(userId, filter),
+        version: GlossaryService.getVersion(userId)
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching glossary:', error);
+    return c.json({ success: false, error: 'Failed to fetch glossary' }, 500);
+  }
+});
+
+/**
+ * POST /api/ai/glossary
+ * Add a glossary term
+ * Body: { term, translation, targetLang, feedId } - empty translation = do not translate,
+ *   targetLang '' applies to every target language, feedId null = global
+ */
+ai.post('/glossary', async (c) => {
+  try {
+    const body = await c.req.json();
+    const userId = getUserId(c);
+
+    const result = validateGlossaryTerm(body, userId);
+    if (result.error) {
+      return c.json({ success: false, error: result.error }, result.status || 400);
+    }
+
+    return c.json({ success: true, data: GlossaryService.createTerm(result.data, userId) });
+  } catch (error) {
+    console.error('Error creating glossary term:', error);
+    return c.json({ success: false, error: 'Failed to create glossary term' }, 500);
+  }
+});
+
+/**
+ * POST /api/ai/glossary/import
+ * Import glossary terms from CSV (term,translation,target_lang; an optional header row names the columns)
+ * Body: { csv, feedId, replace } - existing terms of the same scope are updated, replace: true removes
+ *   the other terms of that scope first
+ */
+ai.post('/glossary/import', async (c) => {
+  try {
+    const body = await c.req.json();
+    const { csv, replace = false } = body;
+
+    if (typeof csv !== 'string' || !csv.trim()) {
+      return c.json({ success: false, error: 'CSV content is required' }, 400);
+    }
+
+    const { terms, errors } = parseGlossaryCsv(csv);
+    if (terms.length === 0) {
+      return c.json({ success: false, error: 'No valid terms found', data: { errors } }, 400);
+    }
+    if (terms.length > MAX_IMPORT_TERMS) {
+      return c.json({ success: false, error: `At most ${MAX_IMPORT_TERMS} terms can be imported at once` }, 400);
+    }
+
+    const userId = getUserId(c);
+    const imported = GlossaryService.importTerms(terms, { feedId: parseFeedId(body.feedId), replace: Boolean(replace) }, userId);
+
+    return c.json({ success: true, data: { ...imported, errors } });
+  } catch (error) {
+    console.error('Error importing glossary:', error);
+    return c.json({ success: false, error: 'Failed to import glossary' }, 500);
+  }
+});
+
+/**
+ * PUT /api/ai/glossary/:id
+ * Update a glossary term
+ */
+ai.put('/glossary/:id', async (c) => {
+  try {
+    const body = await c.req.json();
+    const userId = getUserId(c);
+    const id = parseInt(c.req.param('id'));
+
+    const result = validateGlossaryTerm(body, userId, id);
+    if (result.error) {
+      return c.json({ success: false, error: result.error }, result.status || 400);
+    }
+
+    const term = GlossaryService.updateTerm(id, result.data, userId);
+    if (!term) {
+      return c.json({ success: false, error: 'Glossary term not found' }, 404);
+    }
+
+    return c.json({ success: true, data: term });
+  } catch (error) {
+    console.error('Error updating glossary term:', error);
+    return c.json({ success: false, error: 'Failed to update glossary term' }, 500);
+  }
+});
+
+/**
+ * DELETE /api/ai/glossary/:id
+ * Delete a glossary term
+ */
+ai.delete('/glossary/:id', (c) => {
+  try {
+    const deleted = GlossaryService.deleteTerm(parseInt(c.req.param('id')), getUserId(c));
+    if (!deleted) {
+      return c.json({ success: false, error: 'Glossary term not found' }, 404);
+    }
+
+    return c.json({ success: true, message: 'Glossary term deleted' });
+  } catch (error) {
+    console.error('Error deleting glossary term:', error);
+    return c.json({ success: false, error: 'Failed to delete glossary term' }, 500);
+  }
+});
+
+/**
+ * Validate a glossary term payload
+ * @param {number} [id] - Term being updated
+ * @returns {{ data: object }|{ error: string, status?: number }}
+ */
+function validateGlossaryTerm(body, userId, id) {
+  const data = {
+    term: typeof body?.term === 'string' ? body.term.trim() : body?.term,
+    translation: typeof body?.translation === 'string' ? body.translation.trim() : body?.translation ?? null,
+    targetLang: typeof body?.targetLang === 'string' ? body.targetLang.trim() : '',
+    feedId: parseFeedId(body?.feedId)
+  };
+
+  const error = validateTerm(data);
+  if (error) {
+    return { error };
+  }
+
+  const existing = GlossaryService.findTerm(data.term, data.feedId, data.targetLang, userId);
+  if (existing && existing.id !== id) {
+    return { error: `"${data.term}" is already in this glossary`, status: 409 };
+  }
+
+  return { data };
+}
+
+/**
+ * GET /api/ai/feed-languages
+ * Feeds whose content language is set manually (translation skipping uses it instead of detection)
+ * Returns data: { [feedId]: language }
+ */
+ai.get('/feed-languages', (c) => {
+  try {
+    return c.json({ success: true, data: FeedLanguageService.getLanguages(getUserId(c)) });
+  } catch (error) {
+    console.error('Error fetching feed languages:', error);
+    return c.json({ success: false, error: 'Failed to fetch feed languages' }, 500);
+  }
+});
+
+/**
+ * PUT /api/ai/feed-languages/:feedId
+ * Set the content language of a feed
+ * Body: { language } - language ID, null/'' = detect automatically
+ */
+ai.put('/feed-languages/:feedId', async (c) => {
+  try {
+    const body = await c.req.json();
+    const feedId = parseFeedId(c.req.param('feedId'));
+    const language = typeof body.language === 'string' ? body.language.trim() : null;
+
+    if (!feedId) {
+      return c.json({ success: false, error: 'Invalid feed ID' }, 400);
+    }
+
+    if (language && !/^[A-Za-z]{2,3}(-[A-Za-z0-9]{2,8})*$/.test(language)) {
+      return c.json({ success: false, error: `Invalid language: ${language}` }, 400);
+    }
+
+    FeedLanguageService.setLanguage(feedId, language || null, getUserId(c));
+    return c.json({ success: true, data: { feedId, language: language || null } });
+  } catch (error) {
+    console.error('Error saving feed language:', error);
+    return c.json({ success: false, error: 'Failed to save feed language' }, 500);
+  }
+});
+
+/**
+ * GET /api/ai/usage
+ * Token usage and cost of the current user from the usage ledger
+ * Query params: days (default 30, max 365), feature, provider
+ */
+ai.get('/usage', (c) => {
+  try {
+    const days = Math.min(Math.max(parseInt(c.req.query('days') || '30') || 30, 1), 365);
+    const usage = UsageService.getUsage({
+      days,
+      feature: c.req.query('feature'),
+      provider: c.req.query('provider'),
+      userId: getUserId(c)
+    });
+
+    return c.json({ success: true, data: usage });
+  } catch (error) {
+    console.error('Error fetching AI usage:', error);
+    return c.json({ success: false, error: 'Failed to fetch usage' }, 500);
+  }
+});
+
+/**
+ * GET /api/ai/cache/stats
+ * Cache size and limits
+ */
+ai.get('/cache/stats', (c) => {
+  try {
+    return c.json({ success: true, data: CacheService.getStats() });
+  } catch (error) {
+    console.error('Error reading AI cache stats:', error);
+    return c.json({ success: false, error: 'Failed to read cache stats' }, 500);
+  }
+});
+
+/**
+ * DELETE /api/ai/cache
+ * Purge cached results (all when no filter is given); admin only, since the cache is shared by all users
+ * Query params: operation, entryId, olderThanDays
+ */
+ai.delete('/cache', (c) => {
+  try {
+    if (!c.get('user')?.isAdmin) {
+      return c.json({ success: false, error: 'Admin access required' }, 403);
+    }
+
+    const deleted = CacheService.purge({
+      operation: c.req.query('operation'),
+      entryId: c.req.query('entryId'),
+      olderThanDays: c.req.query('olderThanDays')
+    });
+
+    return c.json({ success: true, data: { deleted } });
+  } catch (error) {
+    console.error('Error purging AI cache:', error);
+    return c.json({ success: false, error: 'Failed to purge cache' }, 500);
+  }
+});
+
+/**
+ * Namespace of entry ids in cache keys: the user's Miniflux instance, else the user
+ */
+function getCacheScope(userId) {
+  return getMinifluxInstance(userId) || `user:${userId}`;
+}
+
 export default ai;
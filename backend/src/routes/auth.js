@@ -1,7 +1,8 @@
 import { Hono } from 'hono';
 import { randomUUID } from 'node:crypto';
-import db from '../db/index.js';
+import db, { ensureAdmin } from '../db/index.js';
 import { getMinifluxCredentials } from '../utils/miniflux.js';
+import { cleanupExpiredSessions, getBearerToken, getSessionUser } from '../middleware/auth.js';
 
 const auth = new Hono();
 
@@ -76,12 +77,6 @@ auth.get('/feishu/config', (c) => {
   });
 });
 
-function cleanupExpiredSessions() {
-  try {
-    db.prepare('DELETE FROM sessions WHERE expires_at <= ?').run(new Date().toISOString());
-  } catch {}
-}
-
 /**
  * POST /api/auth/feishu/callback
  * Exchange Feishu code for session and return user + Miniflux credentials.
@@ -125,6 +120,9 @@ auth.post('/feishu/callback', async (c) => {
 
     const userRow = db.prepare('SELECT id FROM users WHERE feishu_open_id = ?').get(openId);
 
+    // 首个登录的用户成为管理员，并接管隔离前创建的数据
+    ensureAdmin();
+
     const sessionToken = randomUUID();
     db.prepare('INSERT INTO sessions (token, user_id, expires_at) VALUES (?, ?, ?)').run(
       sessionToken,
@@ -132,7 +130,7 @@ auth.post('/feishu/callback', async (c) => {
       expiresAt
     );
 
-    const miniflux = getMinifluxCredentials();
+    const miniflux = getMinifluxCredentials(userRow.id);
     if (!miniflux) {
       return c.json({
         success: false,
@@ -162,26 +160,22 @@ auth.post('/feishu/callback', async (c) => {
  * Validate session token (Authorization: Bearer <token>) and return user info.
  */
 auth.get('/session', (c) => {
-  const authHeader = c.req.header('Authorization');
-  const token = authHeader?.startsWith('Bearer ') ? authHeader.slice(7) : null;
+  const token = getBearerToken(c);
   if (!token) {
     return c.json({ success: false, error: 'Missing token' }, 401);
   }
 
   cleanupExpiredSessions();
-  const now = new Date().toISOString();
-  const row = db.prepare(
-    'SELECT s.token, s.expires_at, u.id as user_id, u.name, u.avatar_url, u.feishu_open_id FROM sessions s JOIN users u ON s.user_id = u.id WHERE s.token = ? AND s.expires_at > ? AND u.is_active = 1'
-  ).get(token, now);
+  const user = getSessionUser(token);
 
-  if (!row) {
+  if (!user) {
     return c.json({ success: false, error: 'Invalid or expired session' }, 401);
   }
 
   return c.json({
     success: true,
     data: {
-      user: { name: row.name, avatar: row.avatar_url, openId: row.feishu_open_id },
+      user: { name: user.name, avatar: user.avatarUrl, openId: user.openId, isAdmin: user.isAdmin },
     },
   });
 });
@@ -191,8 +185,7 @@ auth.get('/session', (c) => {
  * Invalidate session (Authorization: Bearer <token>).
  */
 auth.post('/logout', (c) => {
-  const authHeader = c.req.header('Authorization');
-  const token = authHeader?.startsWith('Bearer ') ? authHeader.slice(7) : null;
+  const token = getBearerToken(c);
   if (token) {
     db.prepare('DELETE FROM sessions WHERE token = ?').run(token);
   }
@@ -1,41 +1,41 @@
 import { Hono } from 'hono';
-import { randomUUID } from 'node:crypto';
 import db from '../db/index.js';
 import { decrypt, encrypt, maskApiKey } from '../utils/encryption.js';
 import { getMinifluxCredentials } from '../utils/miniflux.js';
+import { hasCredentials } from '../utils/config.js';
+import { getFallbackConfigs } from '../services/ai-service.js';
 import { DigestService } from '../services/digest-service.js';
+import { EXPORT_FORMATS, ExportService } from '../services/export-service.js';
+import { FeedService } from '../services/feed-service.js';
+import { ProfileService } from '../services/profile-service.js';
+import { JobService } from '../services/job-service.js';
 import { PushService } from '../services/push-service.js';
 import { SchedulerService } from '../services/scheduler.js';
+import { TaskRunService } from '../services/task-run-service.js';
+import { getUserId } from '../middleware/auth.js';
 
 const digest = new Hono();
 
-// In-memory job queue for async digest generation
-const generationJobs = new Map();
-const JOB_TTL_MS = 30 * 60 * 1000; // 30 minutes
-
-function cleanupOldJobs() {
-  const now = Date.now();
-  for (const [id, job] of generationJobs) {
-    if (now - job.createdAt > JOB_TTL_MS) {
-      generationJobs.delete(id);
-    }
-  }
-}
-
 /**
- * 获取 AI 配置
+ * 获取用户的 AI 配置（简报路由了方案时使用方案的服务商、模型与参数）
+ * @param {number|null} userId - 归属用户（null 为匿名空间）
  */
-function getAIConfig() {
-  const stmt = db.prepare('SELECT * FROM ai_config WHERE is_active = 1 LIMIT 1');
-  const config = stmt.get();
+function getAIConfig(userId) {
+  const config = ProfileService.resolveConfig('digest', userId)
+    || db.prepare('SELECT * FROM ai_config WHERE is_active = 1 AND user_id IS ? LIMIT 1').get(userId);
 
   if (!config) return null;
 
+  let extraConfig = {};
   let maxTokens;
+  let contextTokens;
+  let timeoutMs;
   if (config.extra_config) {
     try {
-      const extra = JSON.parse(config.extra_config);
-      maxTokens = extra.max_tokens ?? extra.maxTokens;
+      extraConfig = JSON.parse(config.extra_config);
+      maxTokens = extraConfig.max_tokens ?? extraConfig.maxTokens;
+      contextTokens = extraConfig.context_tokens ?? extraConfig.contextTokens;
+      timeoutMs = extraConfig.timeout_ms ?? extraConfig.timeoutMs;
     } catch {
       maxTokens = undefined;
     }
@@ -46,16 +46,22 @@ function getAIConfig() {
     apiUrl: config.api_url,
     apiKey: config.api_key_encrypted ? decrypt(config.api_key_encrypted) : null,
     model: config.model,
-    maxTokens
+    temperature: config.temperature ?? undefined,
+    maxTokens: config.max_tokens ?? maxTokens,
+    contextTokens,
+    timeoutMs,
+    extraConfig,
+    fallbacks: getFallbackConfigs(userId, config.provider)
   };
 }
 
 /**
- * 获取 Miniflux 配置
+ * 获取用户的 Miniflux 配置
+ * @param {number|null} userId - 归属用户（null 为匿名空间）
  */
-function getMinifluxConfig() {
-  const stmt = db.prepare('SELECT * FROM miniflux_config WHERE is_active = 1 LIMIT 1');
-  const config = stmt.get();
+function getMinifluxConfig(userId) {
+  const stmt = db.prepare('SELECT * FROM miniflux_config WHERE is_active = 1 AND user_id IS ? LIMIT 1');
+  const config = stmt.get(userId);
 
   if (!config) return null;
 
@@ -65,6 +71,171 @@ function getMinifluxConfig() {
   };
 }
 
+/**
+ * 后台执行 POST /generate 创建的任务：生成简报并按需推送
+ */
+JobService.registerHandler('generate', async (params, job) => {
+  const {
+    minifluxApiUrl,
+    minifluxApiKeyEncrypted,
+    pushConfig,
+    ...options
+  } = params;
+
+  const aiConfig = getAIConfig(job.userId);
+  if (!hasCredentials(aiConfig)) {
+    throw new Error('AI not configured. Please configure AI settings first.');
+  }
+
+  let minifluxConfig = getMinifluxCredentials(job.userId);
+  if (!minifluxConfig && minifluxApiUrl && minifluxApiKeyEncrypted) {
+    minifluxConfig = { apiUrl: minifluxApiUrl, apiKeyEncrypted: minifluxApiKeyEncrypted };
+  }
+
+  if (!minifluxConfig) {
+    throw new Error('Miniflux not configured. Please configure Miniflux settings first.');
+  }
+
+  const result = await DigestService.generate(minifluxConfig, aiConfig, {
+    ...options,
+    onProgress: (progress, stage) => job.setProgress(progress, stage),
+    userId: job.userId
+  });
+
+  if (!result.success) {
+    throw new Error(result.error || 'Failed to generate digest');
+  }
+
+  job.setProgress(90, 'pushing');
+
+  let pushResult = null;
+  if (pushConfig && pushConfig.url) {
+    try {
+      pushResult = await PushService.send(pushConfig, result.digest.title, result.digest.content);
+    } catch (pushErr) {
+      console.error('Push notification failed:', pushErr);
+      pushResult = { success: false, error: pushErr.message };
+    }
+  }
+
+  return { digest: result.digest, push: pushResult };
+});
+
+// ============================================
+// 导出与订阅源辅助函数
+// ============================================
+
+/**
+ * 导出时间参数（YYYY-MM-DD 或 ISO 时间）-> { date, dbTime }
+ * 纯日期按 UTC 整天处理：from 取当天 00:00:00，to 取当天 23:59:59
+ */
+function parseExportTime(value, endOfDay = false) {
+  if (!value) return null;
+
+  const input = /^\d{4}-\d{2}-\d{2}$/.test(value)
+    ? `${value}T${endOfDay ? '23:59:59' : '00:00:00'}Z`
+    : value;
+  const date = new Date(input);
+  if (Number.isNaN(date.getTime())) return undefined;
+
+  return { date, dbTime: date.toISOString().slice(0, 19).replace('T', ' ') };
+}
+
+/**
+ * 返回导出文件
+ */
+function sendExport(c, exported) {
+  return c.body(exported.body, 200, {
+    'Content-Type': exported.contentType,
+    'Content-Disposition': ExportService.contentDisposition(exported.filename, exported.asciiFilename),
+    'Cache-Control': 'no-store'
+  });
+}
+
+/**
+ * 请求的外部访问地址（经 Caddy 等反向代理时使用 X-Forwarded-* 头）
+ */
+function getRequestOrigin(c) {
+  const url = new URL(c.req.url);
+  const proto = c.req.header('X-Forwarded-Proto')?.split(',')[0].trim() || url.protocol.replace(':', '');
+  const host = c.req.header('X-Forwarded-Host')?.split(',')[0].trim() || c.req.header('Host') || url.host;
+  return `${proto}://${host}`;
+}
+
+/**
+ * 返回 Atom 订阅源
+ * 通过 ?token= 鉴权（阅读器无法携带会话 token），支持 If-None-Match / If-Modified-Since 条件请求
+ * @param {object} [options] - { taskId }：只包含该定时任务生成的简报
+ */
+function serveFeed(c, options = {}) {
+  const access = FeedService.resolveToken(c.req.query('token'));
+  if (!access) {
+    return c.json({ success: false, error: 'Invalid feed token' }, 401);
+  }
+
+  const { userId } = access;
+  const { taskId } = options;
+
+  let task = null;
+  if (taskId !== undefined) {
+    task = SchedulerService.getTask(taskId, userId);
+    if (!task) {
+      return c.json({ success: false, error: 'Task not found' }, 404);
+    }
+  }
+
+  const scope = task ? undefined : c.req.query('scope');
+  const scopeId = task ? undefined : c.req.query('scopeId');
+  const digests = FeedService.getFeedDigests({
+    userId,
+    taskId: task?.id,
+    scope,
+    scopeId: scopeId ? parseInt(scopeId) : undefined,
+    limit: c.req.query('limit')
+  });
+
+  const origin = getRequestOrigin(c);
+  const requestUrl = new URL(c.req.url);
+  const entryIdPrefix = `urn:reactflux:${new URL(origin).host}`;
+  const feedId = [
+    entryIdPrefix,
+    'digests',
+    `user:${userId ?? 'anonymous'}`,
+    task ? `schedule:${task.id}` : null,
+    scope ? `scope:${scope}` : null,
+    scopeId ? `scope-id:${scopeId}` : null
+  ].filter(Boolean).join(':');
+
+  const { etag, lastModified } = FeedService.getValidators(digests, feedId);
+  const headers = {
+    'ETag': etag,
+    'Last-Modified': lastModified.toUTCString(),
+    'Cache-Control': 'private, max-age=0, must-revalidate'
+  };
+
+  const ifNoneMatch = c.req.header('If-None-Match');
+  const ifModifiedSince = c.req.header('If-Modified-Since');
+  const notModified = ifNoneMatch
+    ? ifNoneMatch.split(',').map(tag => tag.trim()).some(tag => tag === etag || tag === '*')
+    : !!ifModifiedSince && !Number.isNaN(Date.parse(ifModifiedSince)) && lastModified.getTime() <= Date.parse(ifModifiedSince);
+
+  if (notModified) {
+    return c.body(null, 304, headers);
+  }
+
+  const titleSuffix = task?.name || digests.find(d => scopeId && d.scope_name)?.scope_name;
+  const xml = FeedService.renderAtom(digests, {
+    id: feedId,
+    entryIdPrefix,
+    title: titleSuffix ? `ReactFlux Digests · ${titleSuffix}` : 'ReactFlux Digests',
+    selfUrl: `${origin}${requestUrl.pathname}${requestUrl.search}`,
+    appUrl: process.env.APP_URL || origin,
+    updated: lastModified
+  });
+
+  return c.body(xml, 200, { ...headers, 'Content-Type': 'application/atom+xml; charset=utf-8' });
+}
+
 // ============================================
 // Miniflux 配置路由
 // ============================================
@@ -75,7 +246,12 @@ function getMinifluxConfig() {
  */
 digest.get('/miniflux/config', (c) => {
   try {
-    const config = db.prepare('SELECT id, name, api_url, api_key_encrypted, is_active, created_at, updated_at FROM miniflux_config WHERE is_active = 1 LIMIT 1').get();
+    const config = db.prepare(`
+      SELECT id, name, api_url, api_key_encrypted, is_active, created_at, updated_at
+      FROM miniflux_config
+      WHERE is_active = 1 AND user_id IS ?
+      LIMIT 1
+    `).get(getUserId(c));
 
     if (!config) {
       return c.json({
@@ -120,18 +296,25 @@ digest.post('/miniflux/config', async (c) => {
     // Encrypt API key if provided
     const apiKeyEncrypted = apiKey ? encrypt(apiKey) : null;
 
-    // Upsert configuration
-    const stmt = db.prepare(`
-      INSERT INTO miniflux_config (name, api_url, api_key_encrypted, is_active, updated_at)
-      VALUES (?, ?, ?, 1, CURRENT_TIMESTAMP)
-      ON CONFLICT(name) DO UPDATE SET
-        api_url = excluded.api_url,
-        api_key_encrypted = COALESCE(excluded.api_key_encrypted, api_key_encrypted),
-        is_active = 1,
-        updated_at = CURRENT_TIMESTAMP
-    `);
-
-    stmt.run(name, apiUrl, apiKeyEncrypted);
+    // Upsert configuration for the current user
+    const userId = getUserId(c);
+    const existing = db.prepare('SELECT id FROM miniflux_config WHERE name = ? AND user_id IS ?').get(name, userId);
+
+    if (existing) {
+      db.prepare(`
+        UPDATE miniflux_config SET
+          api_url = ?,
+          api_key_encrypted = COALESCE(?, api_key_encrypted),
+          is_active = 1,
+          updated_at = CURRENT_TIMESTAMP
+        WHERE id = ?
+      `).run(apiUrl, apiKeyEncrypted, existing.id);
+    } else {
+      db.prepare(`
+        INSERT INTO miniflux_config (user_id, name, api_url, api_key_encrypted, is_active, updated_at)
+        VALUES (?, ?, ?, ?, 1, CURRENT_TIMESTAMP)
+      `).run(userId, name, apiUrl, apiKeyEncrypted);
+    }
 
     return c.json({
       success: true,
@@ -211,7 +394,8 @@ digest.get('/', (c) => {
       limit,
       scope,
       scopeId: scopeId ? parseInt(scopeId) : undefined,
-      isRead: isRead === 'true' ? true : isRead === 'false' ? false : undefined
+      isRead: isRead === 'true' ? true : isRead === 'false' ? false : undefined,
+      userId: getUserId(c)
     });
 
     return c.json({
@@ -239,11 +423,57 @@ digest.get('/prompt-default', (c) => {
   }
 });
 
+/**
+ * GET /api/digests/export
+ * 批量导出时间范围内的简报（按生成时间升序，最多 200 篇）
+ * Query params: format (md|html|epub), from, to (YYYY-MM-DD 或 ISO 时间), scope, scopeId, timezone
+ */
+digest.get('/export', (c) => {
+  try {
+    const format = c.req.query('format') || 'md';
+    if (!EXPORT_FORMATS[format]) {
+      return c.json({ success: false, error: 'Unsupported export format' }, 400);
+    }
+
+    const from = parseExportTime(c.req.query('from'));
+    const to = parseExportTime(c.req.query('to'), true);
+    if (from === undefined || to === undefined) {
+      return c.json({ success: false, error: 'Invalid date range' }, 400);
+    }
+
+    const scopeId = c.req.query('scopeId');
+    const digests = DigestService.getDigestsInRange({
+      from: from?.dbTime,
+      to: to?.dbTime,
+      scope: c.req.query('scope'),
+      scopeId: scopeId ? parseInt(scopeId) : undefined,
+      userId: getUserId(c)
+    });
+
+    if (digests.length === 0) {
+      return c.json({ success: false, error: 'No digests in the selected range' }, 404);
+    }
+
+    const dateTag = (value) => value?.dbTime.slice(0, 10).replace(/-/g, '');
+    const exported = ExportService.exportDigests(digests, {
+      format,
+      timezone: c.req.query('timezone'),
+      range: { from: from?.date, to: to?.date },
+      filename: ['digests', dateTag(from), dateTag(to)].filter(Boolean).join('-')
+    });
+
+    return sendExport(c, exported);
+  } catch (error) {
+    console.error('Error exporting digests:', error);
+    return c.json({ success: false, error: 'Failed to export digests' }, 500);
+  }
+});
+
 /**
  * POST /api/digests/preview
  * Get digest preview: article count and estimated input tokens (no LLM call).
  * Body: { scope, feedId, groupId, hours, unreadOnly }
- * Returns: { success, data: { articleCount, estimatedTokens, maxTokens? } }
+ * Returns: { success, data: { articleCount, estimatedTokens, mode, chunkCount, maxTokens? } }
  */
 digest.post('/preview', async (c) => {
   try {
@@ -259,7 +489,7 @@ digest.post('/preview', async (c) => {
       minifluxApiKey
     } = body;
 
-    let minifluxConfig = getMinifluxCredentials();
+    let minifluxConfig = getMinifluxCredentials(getUserId(c));
     if (!minifluxConfig && minifluxApiUrl && minifluxApiKey) {
       minifluxConfig = { apiUrl: minifluxApiUrl, apiKey: minifluxApiKey };
     }
@@ -270,9 +500,8 @@ digest.post('/preview', async (c) => {
 
     const resolvedGroupIds = Array.isArray(groupIds) ? groupIds : (groupId ? [groupId] : undefined);
     const options = { scope, feedId, groupIds: resolvedGroupIds, hours, unreadOnly };
-    const preview = await DigestService.getDigestPreview(minifluxConfig, options);
-
-    const aiConfig = getAIConfig();
+    const aiConfig = getAIConfig(getUserId(c));
+    const preview = await DigestService.getDigestPreview(minifluxConfig, options, aiConfig);
     const maxTokens = aiConfig?.maxTokens;
 
     return c.json({
@@ -280,6 +509,8 @@ digest.post('/preview', async (c) => {
       data: {
         articleCount: preview.articleCount,
         estimatedTokens: preview.estimatedTokens,
+        mode: preview.mode,
+        chunkCount: preview.chunkCount,
         ...(maxTokens != null && maxTokens !== '' && { maxTokens })
       }
     });
@@ -303,11 +534,12 @@ digest.post('/', async (c) => {
     }
 
     const stmt = db.prepare(`
-      INSERT INTO digests (title, content, scope, scope_id, scope_name, article_count, hours, target_lang, is_read)
-      VALUES (?, ?, ?, ?, ?, ?, ?, ?, 0)
+      INSERT INTO digests (user_id, title, content, scope, scope_id, scope_name, article_count, hours, target_lang, is_read)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, 0)
     `);
 
     const result = stmt.run(
+      getUserId(c),
       title,
       content,
       scope || 'all',
@@ -347,7 +579,7 @@ digest.put('/:id', async (c) => {
     const id = c.req.param('id');
     const body = await c.req.json();
 
-    const result = DigestService.updateDigest(id, body);
+    const result = DigestService.updateDigest(id, body, getUserId(c));
 
     if (result.changes === 0) {
       return c.json({ success: false, error: 'Digest not found' }, 404);
@@ -367,7 +599,7 @@ digest.put('/:id', async (c) => {
 digest.delete('/:id', (c) => {
   try {
     const id = c.req.param('id');
-    const result = DigestService.deleteDigest(id);
+    const result = DigestService.deleteDigest(id, getUserId(c));
 
     if (result.changes === 0) {
       return c.json({ success: false, error: 'Digest not found' }, 404);
@@ -387,7 +619,7 @@ digest.delete('/:id', (c) => {
 digest.post('/:id/read', (c) => {
   try {
     const id = c.req.param('id');
-    const result = DigestService.markAsRead(id);
+    const result = DigestService.markAsRead(id, getUserId(c));
 
     if (result.changes === 0) {
       return c.json({ success: false, error: 'Digest not found' }, 404);
@@ -409,7 +641,7 @@ digest.post('/read-all', async (c) => {
     const body = await c.req.json().catch(() => ({}));
     const { scope, scopeId } = body;
 
-    const result = DigestService.markAllAsRead(scope, scopeId);
+    const result = DigestService.markAllAsRead(scope, scopeId, getUserId(c));
 
     return c.json({
       success: true,
@@ -440,19 +672,20 @@ digest.post('/generate', async (c) => {
       pushConfig,
       timezone,
       scopeName: clientScopeName,
+      mode,
       minifluxApiUrl,
       minifluxApiKey
     } = body;
 
-    const aiConfig = getAIConfig();
-    if (!aiConfig || !aiConfig.apiKey) {
+    const aiConfig = getAIConfig(getUserId(c));
+    if (!hasCredentials(aiConfig)) {
       return c.json({
         success: false,
         error: 'AI not configured. Please configure AI settings first.'
       }, 400);
     }
 
-    let minifluxConfig = getMinifluxCredentials();
+    let minifluxConfig = getMinifluxCredentials(getUserId(c));
     if (!minifluxConfig && minifluxApiUrl && minifluxApiKey) {
       minifluxConfig = { apiUrl: minifluxApiUrl, apiKey: minifluxApiKey };
     }
@@ -464,59 +697,16 @@ digest.post('/generate', async (c) => {
       }, 400);
     }
 
-    cleanupOldJobs();
-
-    const jobId = randomUUID();
-    generationJobs.set(jobId, {
-      status: 'pending',
-      progress: 0,
-      digest: null,
-      error: null,
-      createdAt: Date.now()
-    });
-
-    // Fire-and-forget: process in background
-    (async () => {
-      const job = generationJobs.get(jobId);
-      if (!job) return;
-      try {
-        job.status = 'generating';
-        job.progress = 20;
-
-        const resolvedGroupIds = Array.isArray(groupIds) ? groupIds : (groupId ? [groupId] : undefined);
-        const result = await DigestService.generate(minifluxConfig, aiConfig, {
-          scope, feedId, groupIds: resolvedGroupIds, hours, targetLang,
-          prompt: customPrompt, unreadOnly, timezone, scopeName: clientScopeName
-        });
-
-        if (!result.success) {
-          job.status = 'error';
-          job.error = result.error || 'Failed to generate digest';
-          return;
-        }
-
-        job.progress = 90;
-
-        let pushResult = null;
-        if (pushConfig && pushConfig.url) {
-          try {
-            pushResult = await PushService.send(pushConfig, result.digest.title, result.digest.content);
-          } catch (pushErr) {
-            console.error('Push notification failed:', pushErr);
-            pushResult = { success: false, error: pushErr.message };
-          }
-        }
-
-        job.status = 'completed';
-        job.progress = 100;
-        job.digest = result.digest;
-        job.push = pushResult;
-      } catch (err) {
-        console.error('Background generation error:', err);
-        job.status = 'error';
-        job.error = err.message || 'Unexpected error during generation';
-      }
-    })();
+    // Client-supplied Miniflux key is stored encrypted with the job so it can be resumed after a restart
+    const resolvedGroupIds = Array.isArray(groupIds) ? groupIds : (groupId ? [groupId] : undefined);
+    const jobId = JobService.enqueue('generate', {
+      scope, feedId, groupIds: resolvedGroupIds, hours, targetLang,
+      prompt: customPrompt, unreadOnly, pushConfig, timezone, scopeName: clientScopeName, mode,
+      ...(minifluxApiUrl && minifluxApiKey && {
+        minifluxApiUrl,
+        minifluxApiKeyEncrypted: encrypt(minifluxApiKey)
+      })
+    }, { userId: getUserId(c) });
 
     return c.json({
       success: true,
@@ -529,34 +719,42 @@ digest.post('/generate', async (c) => {
   }
 });
 
+/**
+ * GET /api/digests/jobs
+ * 获取生成任务列表（最近的在前）
+ * Query params: status (comma-separated, e.g. 'pending,generating'), type, taskId, limit
+ */
+digest.get('/jobs', (c) => {
+  try {
+    const taskId = c.req.query('taskId');
+    const jobs = JobService.listJobs({
+      status: c.req.query('status'),
+      type: c.req.query('type'),
+      taskId: taskId ? parseInt(taskId) : undefined,
+      limit: Math.min(parseInt(c.req.query('limit') || '20'), 100),
+      userId: getUserId(c)
+    });
+
+    return c.json({ success: true, data: jobs });
+  } catch (error) {
+    console.error('Error fetching jobs:', error);
+    return c.json({ success: false, error: 'Failed to fetch jobs' }, 500);
+  }
+});
+
 /**
  * GET /api/digests/jobs/:jobId
  * Check async generation job status
  */
 digest.get('/jobs/:jobId', (c) => {
   const jobId = c.req.param('jobId');
-  const job = generationJobs.get(jobId);
+  const job = JobService.getJob(jobId, getUserId(c));
 
   if (!job) {
     return c.json({ success: false, error: 'Job not found' }, 404);
   }
 
-  const response = {
-    success: true,
-    data: {
-      jobId,
-      status: job.status,
-      progress: job.progress,
-      error: job.error
-    }
-  };
-
-  if (job.status === 'completed' && job.digest) {
-    response.data.digest = job.digest;
-    response.data.push = job.push;
-  }
-
-  return c.json(response);
+  return c.json({ success: true, data: job });
 });
 
 /**
@@ -573,7 +771,7 @@ digest.post('/:id/push', async (c) => {
       return c.json({ success: false, error: 'Push configuration is required' }, 400);
     }
 
-    const digestItem = DigestService.getDigest(id);
+    const digestItem = DigestService.getDigest(id, getUserId(c));
     if (!digestItem) {
       return c.json({ success: false, error: 'Digest not found' }, 404);
     }
@@ -595,6 +793,81 @@ digest.post('/:id/push', async (c) => {
   }
 });
 
+/**
+ * GET /api/digests/:id/export
+ * 导出单篇简报
+ * Query params: format (md|html|epub), timezone
+ */
+digest.get('/:id/export', (c) => {
+  try {
+    const format = c.req.query('format') || 'md';
+    if (!EXPORT_FORMATS[format]) {
+      return c.json({ success: false, error: 'Unsupported export format' }, 400);
+    }
+
+    const digestItem = DigestService.getDigest(c.req.param('id'), getUserId(c));
+    if (!digestItem) {
+      return c.json({ success: false, error: 'Digest not found' }, 404);
+    }
+
+    const exported = ExportService.exportDigests([digestItem], {
+      format,
+      timezone: c.req.query('timezone')
+    });
+
+    return sendExport(c, exported);
+  } catch (error) {
+    console.error('Error exporting digest:', error);
+    return c.json({ success: false, error: 'Failed to export digest' }, 500);
+  }
+});
+
+// ============================================
+// Atom 订阅源
+// ============================================
+
+/**
+ * GET /api/digests/feed/token
+ * 获取当前用户的订阅 token（不存在时创建）
+ */
+digest.get('/feed/token', (c) => {
+  try {
+    const token = FeedService.getToken(getUserId(c));
+    return c.json({ success: true, data: { token, path: `/api/digests/feed.xml?token=${token}` } });
+  } catch (error) {
+    console.error('Error fetching feed token:', error);
+    return c.json({ success: false, error: 'Failed to fetch feed token' }, 500);
+  }
+});
+
+/**
+ * POST /api/digests/feed/token
+ * 重置订阅 token（旧的订阅地址失效）
+ */
+digest.post('/feed/token', (c) => {
+  try {
+    const token = FeedService.regenerateToken(getUserId(c));
+    return c.json({ success: true, data: { token, path: `/api/digests/feed.xml?token=${token}` } });
+  } catch (error) {
+    console.error('Error regenerating feed token:', error);
+    return c.json({ success: false, error: 'Failed to regenerate feed token' }, 500);
+  }
+});
+
+/**
+ * GET /api/digests/feed.xml
+ * 简报 Atom 订阅源
+ * Query params: token（必填）, scope, scopeId, limit（默认 20，最多 100）
+ */
+digest.get('/feed.xml', (c) => {
+  try {
+    return serveFeed(c);
+  } catch (error) {
+    console.error('Error rendering digest feed:', error);
+    return c.json({ success: false, error: 'Failed to render feed' }, 500);
+  }
+});
+
 // ============================================
 // 定时任务相关路由
 // ============================================
@@ -605,7 +878,7 @@ digest.post('/:id/push', async (c) => {
  */
 digest.get('/schedule', (c) => {
   try {
-    const tasks = SchedulerService.getAllTasks();
+    const tasks = SchedulerService.getAllTasks(getUserId(c));
 
     // 隐藏敏感的 push_config 中的敏感信息
     const safeTasks = tasks.map(task => ({
@@ -630,7 +903,7 @@ digest.get('/schedule', (c) => {
 digest.get('/schedule/:id', (c) => {
   try {
     const id = c.req.param('id');
-    const task = SchedulerService.getTask(id);
+    const task = SchedulerService.getTask(id, getUserId(c));
 
     if (!task) {
       return c.json({ success: false, error: 'Task not found' }, 404);
@@ -660,6 +933,8 @@ digest.get('/schedule/:id', (c) => {
  * 1) 订阅源范围：scope('all'|'group'|'feed') + scopeId + scopeName → 用哪些订阅源/分组
  * 2) 时间范围：hours → 取这些订阅源里「过去 N 小时」内的文章（如 24 = 最近 24 小时）
  * 3) 定时（执行频率）：cronExpression + timezone → 何时执行，例如 "0 9 * * *" 表示每天 9 点执行
+ * incremental：只取上次成功运行之后的文章（首次运行仍按 hours），并排除此前简报用过的文章
+ * continueStories：把上一期简报的要点交给模型，同一事件只写进展
  */
 digest.post('/schedule', async (c) => {
   try {
@@ -672,6 +947,8 @@ digest.post('/schedule', async (c) => {
       hours = 24,
       targetLang = 'Simplified Chinese',
       unreadOnly = true,
+      incremental = false,
+      continueStories = false,
       pushEnabled = false,
       pushConfig,
       cronExpression,
@@ -695,11 +972,14 @@ digest.post('/schedule', async (c) => {
       hours,
       targetLang,
       unreadOnly,
+      incremental,
+      continueStories,
       pushEnabled,
       pushConfig,
       cronExpression,
       timezone,
-      isActive
+      isActive,
+      userId: getUserId(c)
     });
 
     if (!result.success) {
@@ -729,6 +1009,10 @@ digest.put('/schedule/:id', async (c) => {
     const id = c.req.param('id');
     const body = await c.req.json();
 
+    if (!SchedulerService.getTask(id, getUserId(c))) {
+      return c.json({ success: false, error: 'Task not found' }, 404);
+    }
+
     const result = SchedulerService.updateTask(id, body);
 
     if (!result.success) {
@@ -750,6 +1034,11 @@ digest.put('/schedule/:id', async (c) => {
 digest.delete('/schedule/:id', (c) => {
   try {
     const id = c.req.param('id');
+
+    if (!SchedulerService.getTask(id, getUserId(c))) {
+      return c.json({ success: false, error: 'Task not found' }, 404);
+    }
+
     const result = SchedulerService.deleteTask(id);
 
     if (!result.success) {
@@ -764,6 +1053,45 @@ digest.delete('/schedule/:id', (c) => {
   }
 });
 
+/**
+ * GET /api/digests/schedule/:id/feed.xml
+ * 单个定时任务生成的简报 Atom 订阅源
+ * Query params: token（必填）, limit
+ */
+digest.get('/schedule/:id/feed.xml', (c) => {
+  try {
+    return serveFeed(c, { taskId: c.req.param('id') });
+  } catch (error) {
+    console.error('Error rendering schedule feed:', error);
+    return c.json({ success: false, error: 'Failed to render feed' }, 500);
+  }
+});
+
+/**
+ * GET /api/digests/schedule/:id/runs
+ * 定时任务的运行记录（最近的在前）
+ * Query params: limit（默认 20，最大 100）
+ */
+digest.get('/schedule/:id/runs', (c) => {
+  try {
+    const id = c.req.param('id');
+
+    if (!SchedulerService.getTask(id, getUserId(c))) {
+      return c.json({ success: false, error: 'Task not found' }, 404);
+    }
+
+    const limit = Math.min(Math.max(parseInt(c.req.query('limit')) || 20, 1), 100);
+
+    return c.json({
+      success: true,
+      data: TaskRunService.listRuns(id, { limit })
+    });
+  } catch (error) {
+    console.error('Error fetching task runs:', error);
+    return c.json({ success: false, error: 'Failed to fetch task runs' }, 500);
+  }
+});
+
 /**
  * POST /api/digests/schedule/:id/enable
  * 启用定时任务
@@ -771,6 +1099,11 @@ digest.delete('/schedule/:id', (c) => {
 digest.post('/schedule/:id/enable', (c) => {
   try {
     const id = c.req.param('id');
+
+    if (!SchedulerService.getTask(id, getUserId(c))) {
+      return c.json({ success: false, error: 'Task not found' }, 404);
+    }
+
     SchedulerService.enableTask(id);
 
     return c.json({ success: true, message: 'Task enabled' });
@@ -788,6 +1121,11 @@ digest.post('/schedule/:id/enable', (c) => {
 digest.post('/schedule/:id/disable', (c) => {
   try {
     const id = c.req.param('id');
+
+    if (!SchedulerService.getTask(id, getUserId(c))) {
+      return c.json({ success: false, error: 'Task not found' }, 404);
+    }
+
     SchedulerService.disableTask(id);
 
     return c.json({ success: true, message: 'Task disabled' });
@@ -800,24 +1138,26 @@ digest.post('/schedule/:id/disable', (c) => {
 
 /**
  * POST /api/digests/schedule/:id/run
- * 手动触发定时任务
+ * 手动触发定时任务（进入任务队列，返回 jobId）
  */
-digest.post('/schedule/:id/run', async (c) => {
+digest.post('/schedule/:id/run', (c) => {
   try {
     const id = c.req.param('id');
-    const result = await SchedulerService.runTaskNow(id);
+
+    if (!SchedulerService.getTask(id, getUserId(c))) {
+      return c.json({ success: false, error: 'Task not found' }, 404);
+    }
+
+    const result = SchedulerService.runTaskNow(id);
 
     if (!result.success) {
-      return c.json({ success: false, error: result.error }, 500);
+      return c.json({ success: false, error: result.error }, 404);
     }
 
     return c.json({
       success: true,
-      data: {
-        digest: result.digest,
-        push: result.push
-      }
-    });
+      data: { jobId: result.jobId, status: 'pending' }
+    }, 202);
 
   } catch (error) {
     console.error('Error running scheduled task:', error);
@@ -831,12 +1171,12 @@ digest.post('/schedule/:id/run', async (c) => {
 
 /**
  * GET /api/digests/:id
- * 获取单个简报
+ * 获取单个简报（sources: 要点引用的文章，见 DigestService.getSources）
  */
 digest.get('/:id', (c) => {
   try {
     const id = c.req.param('id');
-    const digestItem = DigestService.getDigest(id);
+    const digestItem = DigestService.getDigest(id, getUserId(c));
 
     if (!digestItem) {
       return c.json({ success: false, error: 'Digest not found' }, 404);
@@ -844,7 +1184,7 @@ digest.get('/:id', (c) => {
 
     return c.json({
       success: true,
-      data: digestItem
+      data: { ...digestItem, sources: DigestService.getSources(id, getUserId(c)) }
     });
   } catch (error) {
     console.error('Error fetching digest:', error);
@@ -1,5 +1,66 @@
+import { createHash } from 'node:crypto';
+import db from '../db/index.js';
 import { decrypt } from '../utils/encryption.js';
-import { getProviderPreset } from '../utils/config.js';
+import { AZURE_DEFAULT_API_VERSION, getAzureBaseUrl, getProviderPreset, getRequestTimeout, hasCredentials } from '../utils/config.js';
+import { estimateTokenCount } from '../utils/tokens.js';
+import { getBackoffDelay, getRetryOptions, isRetryableStatus, parseRetryAfter, sleep } from '../utils/retry.js';
+import { isCircuitOpen, recordFailure, recordSuccess } from '../utils/circuit-breaker.js';
+import { createNdjsonParser, createSseParser, getErrorMessage } from '../utils/stream-parser.js';
+import { UsageService } from './usage-service.js';
+
+/**
+ * OpenAI-compatible providers that report usage in the final stream chunk when asked to
+ */
+const STREAM_USAGE_PROVIDERS = new Set(['openai', 'deepseek']);
+
+/**
+ * Ollama finish reasons -> OpenAI finish_reason
+ */
+const OLLAMA_DONE_REASONS = {
+  stop: 'stop',
+  length: 'length'
+};
+
+/**
+ * Wire protocol spoken by a provider endpoint
+ * Ollama uses its native /api/chat (NDJSON streaming) unless the URL points at its
+ * OpenAI-compatible /v1 endpoint (also how llama.cpp server and LM Studio are configured)
+ * @param {string} provider - Provider ID
+ * @param {string} apiUrl - API base URL
+ * @returns {string} - Provider ID whose request/response format applies
+ */
+export function getWireProtocol(provider, apiUrl) {
+  if (provider !== 'ollama') return provider;
+  return /\/v1\/?$/.test(apiUrl || '') ? 'openai_compatible' : 'ollama';
+}
+
+/**
+ * Parsed extra_config of a stored (JSON string) or request (object) configuration
+ * @param {object} config - AI configuration
+ * @returns {object}
+ */
+function getExtraConfig(config) {
+  if (config.extraConfig && typeof config.extraConfig === 'object') return config.extraConfig;
+  if (!config.extra_config) return {};
+
+  try {
+    return JSON.parse(config.extra_config);
+  } catch {
+    return {};
+  }
+}
+
+/**
+ * API base URL of a configuration (an Azure resource name takes precedence over the URL)
+ * @param {object} config - AI configuration
+ * @param {object} preset - Provider preset
+ * @returns {string}
+ */
+function resolveBaseUrl(config, preset) {
+  const { provider, apiUrl, api_url } = config;
+  const azureUrl = provider === 'azure' ? getAzureBaseUrl(getExtraConfig(config).resourceName) : '';
+  return azureUrl || apiUrl || api_url || preset.apiUrl;
+}
 
 /**
  * Build request headers based on provider
@@ -24,6 +85,12 @@ function buildHeaders(provider, apiKey) {
       // Google uses API key in query param, but we'll handle it in URL
       return baseHeaders;
 
+    case 'azure':
+      return {
+        ...baseHeaders,
+        'api-key': apiKey
+      };
+
     case 'openrouter':
       return {
         ...baseHeaders,
@@ -33,14 +100,198 @@ function buildHeaders(provider, apiKey) {
       };
 
     default:
-      // OpenAI-compatible providers
+      // OpenAI-compatible providers (local servers usually run without a key)
       return {
         ...baseHeaders,
-        'Authorization': `Bearer ${apiKey}`
+        ...(apiKey && { 'Authorization': `Bearer ${apiKey}` })
       };
   }
 }
 
+/**
+ * Map Anthropic stop reasons to OpenAI finish reasons
+ */
+const ANTHROPIC_STOP_REASONS = {
+  end_turn: 'stop',
+  stop_sequence: 'stop',
+  max_tokens: 'length',
+  tool_use: 'tool_calls',
+  refusal: 'content_filter'
+};
+
+/**
+ * Convert OpenAI-style messages to the Anthropic Messages API shape
+ * System messages are lifted into the top-level `system` field and consecutive
+ * turns with the same role are merged (Anthropic requires alternating roles).
+ * @param {Array} messages - OpenAI-style messages
+ * @returns {{ system: string, messages: Array }}
+ */
+function toAnthropicMessages(messages = []) {
+  const systemParts = [];
+  const result = [];
+
+  for (const msg of messages) {
+    if (msg.role === 'system') {
+      const text = typeof msg.content === 'string'
+        ? msg.content
+        : (msg.content || []).map(part => part.text || '').join('');
+      if (text) systemParts.push(text);
+      continue;
+    }
+
+    const role = msg.role === 'assistant' ? 'assistant' : 'user';
+    const last = result[result.length - 1];
+
+    if (last && last.role === role) {
+      if (typeof last.content === 'string' && typeof msg.content === 'string') {
+        last.content = `${last.content}\n\n${msg.content}`;
+      } else {
+        last.content = [...toContentBlocks(last.content), ...toContentBlocks(msg.content)];
+      }
+    } else {
+      result.push({ role, content: msg.content });
+    }
+  }
+
+  // Only system messages: send them as the user turn
+  if (result.length === 0) {
+    return { system: '', messages: [{ role: 'user', content: systemParts.join('\n\n') }] };
+  }
+
+  // Anthropic requires the conversation to start with a user turn
+  if (result[0].role !== 'user') {
+    result.unshift({ role: 'user', content: 'Continue.' });
+  }
+
+  return { system: systemParts.join('\n\n'), messages: result };
+}
+
+/**
+ * Normalize message content to Anthropic content blocks
+ * @param {string|Array} content
+ * @returns {Array}
+ */
+function toContentBlocks(content) {
+  if (Array.isArray(content)) return content;
+  return content ? [{ type: 'text', text: content }] : [];
+}
+
+/**
+ * Map Gemini finish reasons to OpenAI finish reasons
+ */
+const GEMINI_FINISH_REASONS = {
+  STOP: 'stop',
+  MAX_TOKENS: 'length',
+  SAFETY: 'content_filter',
+  RECITATION: 'content_filter',
+  BLOCKLIST: 'content_filter',
+  PROHIBITED_CONTENT: 'content_filter',
+  SPII: 'content_filter'
+};
+
+/**
+ * Convert OpenAI-style messages to Gemini `contents` + `systemInstruction`
+ * Consecutive turns with the same role are merged into one turn with several parts.
+ * @param {Array} messages - OpenAI-style messages
+ * @returns {{ systemInstruction: object|null, contents: Array }}
+ */
+function toGeminiContents(messages = []) {
+  const systemParts = [];
+  const contents = [];
+
+  for (const msg of messages) {
+    const parts = toContentBlocks(msg.content)
+      .filter(block => block.type === 'text')
+      .map(block => ({ text: block.text }));
+
+    if (msg.role === 'system') {
+      systemParts.push(...parts);
+      continue;
+    }
+
+    const role = msg.role === 'assistant' ? 'model' : 'user';
+    const last = contents[contents.length - 1];
+
+    if (last && last.role === role) {
+      last.parts.push(...parts);
+    } else {
+      contents.push({ role, parts });
+    }
+  }
+
+  // Only system messages: send them as the user turn
+  if (contents.length === 0) {
+    return { systemInstruction: null, contents: [{ role: 'user', parts: systemParts }] };
+  }
+
+  return {
+    systemInstruction: systemParts.length > 0 ? { parts: systemParts } : null,
+    contents
+  };
+}
+
+/**
+ * Extract text, finish reason, usage and block errors from a Gemini response
+ * Used for both streamed chunks and full `generateContent` responses.
+ * @param {object} data - Parsed Gemini response
+ * @returns {{ text: string, finishReason: string|null, usage: object|null, error: string|null }}
+ */
+function parseGeminiResponse(data) {
+  if (data.error) {
+    return { text: '', finishReason: null, usage: null, error: data.error.message || 'Gemini API error' };
+  }
+
+  const candidate = data.candidates?.[0];
+  const blockReason = data.promptFeedback?.blockReason;
+
+  if (!candidate && blockReason) {
+    return {
+      text: '',
+      finishReason: null,
+      usage: null,
+      error: `Prompt blocked by Gemini (${blockReason})${formatSafetyCategories(data.promptFeedback.safetyRatings)}`
+    };
+  }
+
+  // Thought parts (thinking models) are not part of the answer
+  const text = (candidate?.content?.parts || [])
+    .filter(part => part.text && !part.thought)
+    .map(part => part.text)
+    .join('');
+  const finishReason = candidate?.finishReason && candidate.finishReason !== 'FINISH_REASON_UNSPECIFIED'
+    ? GEMINI_FINISH_REASONS[candidate.finishReason] || 'stop'
+    : null;
+
+  let error = null;
+  if (!text && finishReason === 'content_filter') {
+    error = `Response blocked by Gemini (${candidate.finishReason})${formatSafetyCategories(candidate.safetyRatings)}`;
+  }
+
+  const meta = data.usageMetadata;
+  const usage = meta
+    ? {
+        prompt_tokens: meta.promptTokenCount || 0,
+        completion_tokens: meta.candidatesTokenCount || 0,
+        total_tokens: meta.totalTokenCount || (meta.promptTokenCount || 0) + (meta.candidatesTokenCount || 0)
+      }
+    : null;
+
+  return { text, finishReason, usage, error };
+}
+
+/**
+ * Format blocked safety categories for error messages
+ * @param {Array} ratings - Gemini safetyRatings
+ * @returns {string}
+ */
+function formatSafetyCategories(ratings = []) {
+  const blocked = ratings
+    .filter(rating => rating.blocked || ['MEDIUM', 'HIGH'].includes(rating.probability))
+    .map(rating => rating.category?.replace(/^HARM_CATEGORY_/, '').toLowerCase());
+
+  return blocked.length > 0 ? `: ${blocked.join(', ')}` : '';
+}
+
 /**
  * Build request body based on provider
  * @param {string} provider - Provider ID
@@ -60,35 +311,69 @@ function buildRequestBody(provider, params) {
 
   // Provider-specific modifications
   switch (provider) {
-    case 'anthropic':
-      // Anthropic uses different format
-      return {
+    case 'anthropic': {
+      // Anthropic Messages API: top-level system prompt, alternating user/assistant turns
+      const { system, messages: anthropicMessages } = toAnthropicMessages(messages);
+      const body = {
         model,
-        messages: messages.map(msg => {
-          // Handle role mapping for Anthropic
-          if (msg.role === 'system') {
-            return { role: 'user', content: msg.content };
-          }
-          return msg;
-        }),
+        messages: anthropicMessages,
         max_tokens: extraParams.max_tokens || 4096,
         stream
       };
 
-    case 'google':
-      // Google uses different endpoint structure
-      // Will be handled in the request URL
+      if (system) body.system = system;
+      if (extraParams.temperature !== undefined) body.temperature = extraParams.temperature;
+      if (extraParams.top_p !== undefined) body.top_p = extraParams.top_p;
+      if (extraParams.stop) {
+        body.stop_sequences = Array.isArray(extraParams.stop) ? extraParams.stop : [extraParams.stop];
+      }
+
+      return body;
+    }
+
+    case 'ollama': {
+      // Ollama native API: sampling parameters go to options, max_tokens is num_predict
+      const options = {};
+      if (extraParams.temperature !== undefined) options.temperature = extraParams.temperature;
+      if (extraParams.top_p !== undefined) options.top_p = extraParams.top_p;
+      if (extraParams.max_tokens !== undefined) options.num_predict = extraParams.max_tokens;
+      if (extraParams.stop) options.stop = Array.isArray(extraParams.stop) ? extraParams.stop : [extraParams.stop];
+
       return {
-        contents: messages.map(msg => ({
-          role: msg.role === 'assistant' ? 'model' : 'user',
-          parts: [{ text: msg.content }]
+        model,
+        messages: messages.map(msg => ({
+          role: msg.role,
+          content: typeof msg.content === 'string' ? msg.content : toContentBlocks(msg.content).map(block => block.text || '').join('')
         })),
-        generationConfig: {
-          maxOutputTokens: extraParams.max_tokens || 8192
-        }
+        stream,
+        ...(Object.keys(options).length > 0 && { options })
+      };
+    }
+
+    case 'google': {
+      // Gemini: system prompt goes to systemInstruction, streaming is selected by the endpoint
+      const { systemInstruction, contents } = toGeminiContents(messages);
+      const generationConfig = {
+        maxOutputTokens: extraParams.max_tokens || 8192
+      };
+
+      if (extraParams.temperature !== undefined) generationConfig.temperature = extraParams.temperature;
+      if (extraParams.top_p !== undefined) generationConfig.topP = extraParams.top_p;
+      if (extraParams.stop) {
+        generationConfig.stopSequences = Array.isArray(extraParams.stop) ? extraParams.stop : [extraParams.stop];
+      }
+
+      return {
+        contents,
+        ...(systemInstruction && { systemInstruction }),
+        generationConfig
       };
+    }
 
     default:
+      if (stream && STREAM_USAGE_PROVIDERS.has(provider)) {
+        baseBody.stream_options = { include_usage: true };
+      }
       return baseBody;
   }
 }
@@ -99,9 +384,11 @@ function buildRequestBody(provider, params) {
  * @param {string} apiUrl - Base API URL
  * @param {string} model - Model name
  * @param {string} apiKey - API key (for Google)
+ * @param {boolean} [stream=true] - Whether the response is streamed (Google uses separate endpoints)
+ * @param {object} [extraConfig] - Parsed extra_config (Azure deployments and API version)
  * @returns {string} - Full endpoint URL
  */
-function buildEndpointUrl(provider, apiUrl, model, apiKey) {
+function buildEndpointUrl(provider, apiUrl, model, apiKey, stream = true, extraConfig = {}) {
   // Remove trailing slash
   const baseUrl = apiUrl.replace(/\/$/, '');
 
@@ -109,8 +396,20 @@ function buildEndpointUrl(provider, apiUrl, model, apiKey) {
     case 'anthropic':
       return `${baseUrl}/messages`;
 
+    case 'ollama':
+      return `${baseUrl}/api/chat`;
+
     case 'google':
-      return `${baseUrl}/models/${model}:streamGenerateContent?key=${apiKey}&alt=sse`;
+      return stream
+        ? `${baseUrl}/models/${model}:streamGenerateContent?key=${apiKey}&alt=sse`
+        : `${baseUrl}/models/${model}:generateContent?key=${apiKey}`;
+
+    case 'azure': {
+      // Requests are routed by deployment; a model without a mapping is assumed to be deployed under its own name
+      const deployment = extraConfig.deployments?.[model] || model;
+      const apiVersion = extraConfig.apiVersion || AZURE_DEFAULT_API_VERSION;
+      return `${baseUrl}/openai/deployments/${encodeURIComponent(deployment)}/chat/completions?api-version=${encodeURIComponent(apiVersion)}`;
+    }
 
     default:
       // OpenAI-compatible endpoints
@@ -124,7 +423,7 @@ function buildEndpointUrl(provider, apiUrl, model, apiKey) {
  * @returns {Promise<object>} - Test result
  */
 export async function testConnection(config) {
-  const { provider, apiUrl, apiKeyEncrypted, api_key_encrypted, model } = config;
+  const { provider, apiKeyEncrypted, api_key_encrypted, model } = config;
   const encryptedKey = apiKeyEncrypted || api_key_encrypted;
 
   try {
@@ -135,11 +434,13 @@ export async function testConnection(config) {
       return { success: false, error: `Unknown provider: ${provider}` };
     }
 
-    const headers = buildHeaders(provider, apiKey);
-    const endpoint = buildEndpointUrl(provider, apiUrl || preset.apiUrl, model || preset.defaultModel, apiKey);
+    const baseUrl = resolveBaseUrl(config, preset);
+    const protocol = getWireProtocol(provider, baseUrl);
+    const headers = buildHeaders(protocol, apiKey);
+    const endpoint = buildEndpointUrl(protocol, baseUrl, model || preset.defaultModel, apiKey, false, getExtraConfig(config));
 
     // Simple test message
-    const testBody = buildRequestBody(provider, {
+    const testBody = buildRequestBody(protocol, {
       messages: [{ role: 'user', content: 'Hi' }],
       model: model || preset.defaultModel,
       stream: false,
@@ -175,190 +476,540 @@ export async function testConnection(config) {
 }
 
 /**
- * Proxy chat request to AI provider with streaming support
+ * Model ids of OpenAI-compatible listings that cannot serve chat completions
+ */
+const NON_CHAT_MODEL_PATTERN = /embed|whisper|tts|dall-e|moderation|transcribe|rerank|speech|image|audio|realtime|bge-|stable-diffusion|flux/i;
+
+/**
+ * List the models a provider currently serves, using its model-listing API
+ * - OpenAI-compatible: GET /models (OpenRouter and some others report context_length)
+ * - Anthropic: GET /models
+ * - Google: GET /models (inputTokenLimit is the context window; only generateContent models)
+ * - Ollama native: GET /api/tags
+ * @param {object} config - { provider, apiUrl | api_url, apiKeyEncrypted | api_key_encrypted }
+ * @returns {Promise<Array<{ id: string, name?: string, contextWindow?: number, parameterSize?: string, quantization?: string }>>}
+ */
+export async function listProviderModels(config) {
+  const { provider, apiUrl, api_url, apiKeyEncrypted, api_key_encrypted } = config;
+  const preset = getProviderPreset(provider);
+
+  if (!preset) {
+    throw new Error(`Unknown provider: ${provider}`);
+  }
+
+  if (preset.listModels === false) {
+    throw new Error(`Model listing is not supported for provider: ${provider}`);
+  }
+
+  const baseUrl = (apiUrl || api_url || preset.apiUrl).replace(/\/$/, '');
+  const protocol = getWireProtocol(provider, baseUrl);
+  const apiKey = decrypt(apiKeyEncrypted || api_key_encrypted);
+
+  let endpoint;
+  switch (protocol) {
+    case 'ollama':
+      endpoint = `${baseUrl}/api/tags`;
+      break;
+    case 'anthropic':
+      endpoint = `${baseUrl}/models?limit=1000`;
+      break;
+    case 'google':
+      endpoint = `${baseUrl}/models?pageSize=1000&key=${apiKey}`;
+      break;
+    default:
+      endpoint = `${baseUrl}/models`;
+  }
+
+  const response = await fetch(endpoint, {
+    headers: buildHeaders(protocol, apiKey),
+    signal: AbortSignal.timeout(15000)
+  });
+
+  if (!response.ok) {
+    throw new Error(await readErrorMessage(response));
+  }
+
+  const data = await response.json();
+
+  switch (protocol) {
+    case 'ollama':
+      return (data.models || []).map(model => ({
+        id: model.model || model.name,
+        parameterSize: model.details?.parameter_size,
+        quantization: model.details?.quantization_level
+      }));
+
+    case 'anthropic':
+      return (data.data || []).map(model => ({ id: model.id, name: model.display_name }));
+
+    case 'google':
+      return (data.models || [])
+        .filter(model => (model.supportedGenerationMethods || []).includes('generateContent'))
+        .map(model => ({
+          id: model.name.replace(/^models\//, ''),
+          name: model.displayName,
+          contextWindow: model.inputTokenLimit
+        }));
+
+    default:
+      return (data.data || [])
+        .filter(model => model.id && !NON_CHAT_MODEL_PATTERN.test(model.id))
+        .map(model => ({
+          id: model.id,
+          ...(model.name && model.name !== model.id && { name: model.name }),
+          ...((model.context_length ?? model.context_window) && {
+            contextWindow: model.context_length ?? model.context_window
+          })
+        }));
+  }
+}
+
+/**
+ * Circuit breaker key: one circuit per provider endpoint and API key
  * @param {object} config - AI configuration
- * @param {object} params - Chat parameters
+ * @returns {string}
+ */
+export function getCircuitKey(config) {
+  const { provider, apiUrl, api_url, apiKeyEncrypted, api_key_encrypted } = config;
+  let apiKey = '';
+
+  try {
+    apiKey = decrypt(apiKeyEncrypted || api_key_encrypted) || '';
+  } catch {
+    // Undecryptable keys still get their own circuit
+  }
+
+  const fingerprint = createHash('sha256').update(`${apiUrl || api_url || ''}\u0000${apiKey}`).digest('hex').slice(0, 16);
+  return `${provider}:${fingerprint}`;
+}
+
+/**
+ * Fallback configurations of a user, in chain order (excluding the primary provider)
+ * @param {number|null} userId - Owner of stored configurations (null = anonymous scope)
+ * @param {string} [primaryProvider] - Provider serving the request first
+ * @returns {object[]}
+ */
+export function getFallbackConfigs(userId, primaryProvider) {
+  return db.prepare(`
+    SELECT provider, api_url, api_key_encrypted, model, extra_config
+    FROM ai_config
+    WHERE user_id IS ? AND fallback_priority IS NOT NULL AND provider != ?
+    ORDER BY fallback_priority, provider
+  `).all(userId, primaryProvider || '').filter(hasCredentials);
+}
+
+/**
+ * Proxy chat request to AI provider with streaming support
+ *
+ * Transient failures (429, 5xx, network errors) are retried with exponential backoff honoring
+ * Retry-After; when a provider keeps failing, the request fails over to the next entry of
+ * config.fallbacks. Providers with an open circuit are skipped unless they are the last option.
+ * Failover only happens before any output has been relayed.
+ * @param {object} config - AI configuration, optionally with fallbacks: [config, ...]
+ * @param {object} params - Chat parameters (model only applies to the primary provider)
  * @param {ReadableStreamDefaultController} controller - Stream controller for SSE
+ * @param {object} [options] - { feature, taskId, userId } for the usage ledger, plus:
+ *   onServed: ({ provider, model, fallback, attempts }) => void, called once the serving provider
+ *     responded (with null when every provider failed)
+ *   onUsage: ({ provider, model, promptTokens, completionTokens, estimated, latencyMs, error }) => void,
+ *     called with each usage ledger row as it is written
+ *   signal: AbortSignal cancelling pending requests, retry waits and an in-progress relay
  * @returns {Promise<void>}
  */
-export async function proxyChatRequest(config, params, controller) {
-  const { provider, apiUrl, apiKeyEncrypted, api_key_encrypted } = config;
-  const { model, messages, stream = true, ...extraParams } = params;
-  const encryptedKey = apiKeyEncrypted || api_key_encrypted;
+export async function proxyChatRequest(config, params, controller, options = {}) {
+  const { model, ...requestParams } = params;
+  const candidates = [config, ...(config.fallbacks || [])];
+  const errors = [];
 
-  try {
-    const apiKey = decrypt(encryptedKey);
-    const preset = getProviderPreset(provider);
+  for (let index = 0; index < candidates.length; index++) {
+    const candidate = candidates[index];
+    const circuitKey = getCircuitKey(candidate);
+    const isLast = index === candidates.length - 1;
 
-    if (!preset) {
-      throw new Error(`Unknown provider: ${provider}`);
+    if (!isLast && isCircuitOpen(circuitKey)) {
+      errors.push({ provider: candidate.provider, error: 'circuit open' });
+      continue;
     }
 
-    const headers = buildHeaders(provider, apiKey);
-    const endpoint = buildEndpointUrl(provider, apiUrl || preset.apiUrl, model, apiKey);
-    const body = buildRequestBody(provider, { model, messages, stream, ...extraParams });
+    // Fallback providers use their own configured model
+    const candidateParams = { ...requestParams, model: index === 0 ? model || candidate.model : candidate.model };
+    const startedAt = Date.now();
+    const usageState = { usage: null, error: null, completionText: '' };
 
-    const response = await fetch(endpoint, {
-      method: 'POST',
-      headers,
-      body: JSON.stringify(body)
+    let opened;
+    try {
+      opened = await openProviderResponse(candidate, candidateParams, options.signal);
+    } catch (error) {
+      opened = { error: error.message, retryable: false, attempts: 0 };
+    }
+
+    if (!opened.response) {
+      if (opened.retryable) {
+        recordFailure(circuitKey);
+      }
+      usageState.error = opened.error;
+      recordUsage(candidate, candidateParams, options, usageState, Date.now() - startedAt);
+      errors.push({ provider: candidate.provider, error: opened.error });
+
+      if (options.signal?.aborted) break;
+      if (!isLast) {
+        console.warn(`[AI] ${candidate.provider} failed (${opened.error}), falling back to ${candidates[index + 1].provider}`);
+      }
+      continue;
+    }
+
+    recordSuccess(circuitKey);
+    options.onServed?.({
+      provider: candidate.provider,
+      model: candidateParams.model,
+      fallback: index > 0,
+      attempts: opened.attempts
     });
 
-    if (!response.ok) {
-      const errorText = await response.text();
-      let errorMessage = `HTTP ${response.status}`;
+    try {
+      await relayResponse(opened.protocol, opened.response, candidateParams, controller, usageState);
+    } catch (error) {
+      if (options.signal?.aborted) {
+        // Client went away mid-stream; the partial output is still recorded in the ledger
+        usageState.error = 'Request aborted';
+        return;
+      }
+      console.error('Chat proxy error:', error);
+      usageState.error = error.message;
+      const encoder = new TextEncoder();
+      controller.enqueue(encoder.encode(`data: ${JSON.stringify({ error: error.message })}\n\n`));
+    } finally {
+      recordUsage(candidate, candidateParams, options, usageState, Date.now() - startedAt);
+    }
+    return;
+  }
 
-      try {
-        const errorJson = JSON.parse(errorText);
-        errorMessage = errorJson.error?.message || errorJson.message || errorMessage;
-      } catch {
-        // Use text error if JSON parsing fails
+  // A single provider keeps its original error message
+  const message = errors.length > 1
+    ? `All AI providers failed: ${errors.map(e => `${e.provider}: ${e.error}`).join('; ')}`
+    : errors[0]?.error || 'AI request failed';
+  console.error('Chat proxy error:', message);
+  options.onServed?.(null);
+  const encoder = new TextEncoder();
+  controller.enqueue(encoder.encode(`data: ${JSON.stringify({ error: message })}\n\n`));
+}
+
+/**
+ * Send the request to one provider, retrying transient failures
+ * Each attempt, including reading its response body, is limited to the provider's request timeout
+ * (longer for local servers), so a hung server fails over like any other error
+ * @returns {Promise<object>} - { response, protocol, attempts } or { error, retryable, attempts }
+ */
+async function openProviderResponse(config, params, signal) {
+  const { provider, apiKeyEncrypted, api_key_encrypted } = config;
+  const { model, messages, stream = true, ...extraParams } = params;
+  const apiKey = decrypt(apiKeyEncrypted || api_key_encrypted);
+  const preset = getProviderPreset(provider);
+
+  if (!preset) {
+    return { error: `Unknown provider: ${provider}`, retryable: false, attempts: 0 };
+  }
+
+  const baseUrl = resolveBaseUrl(config, preset);
+  const protocol = getWireProtocol(provider, baseUrl);
+  const headers = buildHeaders(protocol, apiKey);
+  const endpoint = buildEndpointUrl(protocol, baseUrl, model, apiKey, stream, getExtraConfig(config));
+  const body = JSON.stringify(buildRequestBody(protocol, { model, messages, stream, ...extraParams }));
+  const retryOptions = getRetryOptions();
+  const timeoutMs = getRequestTimeout(provider, getExtraConfig(config));
+
+  for (let attempt = 1; ; attempt++) {
+    let error;
+    let retryAfterMs = null;
+    const timeoutSignal = AbortSignal.timeout(timeoutMs);
+    const requestSignal = signal ? AbortSignal.any([signal, timeoutSignal]) : timeoutSignal;
+
+    try {
+      const response = await fetch(endpoint, { method: 'POST', headers, body, signal: requestSignal });
+
+      if (response.ok) {
+        return { response, protocol, attempts: attempt };
+      }
+
+      error = await readErrorMessage(response);
+      if (!isRetryableStatus(response.status)) {
+        return { error, retryable: false, attempts: attempt };
       }
+      retryAfterMs = parseRetryAfter(response.headers.get('retry-after'));
+    } catch (fetchError) {
+      if (signal?.aborted) {
+        return { error: 'Request aborted', retryable: false, attempts: attempt };
+      }
+      error = timeoutSignal.aborted ? `Request timed out after ${timeoutMs}ms` : fetchError.message;
+    }
 
-      throw new Error(errorMessage);
+    const delay = attempt < retryOptions.maxAttempts ? getBackoffDelay(attempt, retryAfterMs, retryOptions) : null;
+    if (delay == null) {
+      return { error, retryable: true, attempts: attempt };
     }
 
-    if (stream) {
-      // Stream response
-      const reader = response.body.getReader();
-      const decoder = new TextDecoder();
-      const encoder = new TextEncoder();
+    console.warn(`[AI] ${provider} request failed (${error}), retrying in ${delay}ms (${attempt}/${retryOptions.maxAttempts})`);
 
-      try {
-        while (true) {
-          const { done, value } = await reader.read();
+    try {
+      await sleep(delay, signal);
+    } catch {
+      return { error: 'Request aborted', retryable: false, attempts: attempt };
+    }
+  }
+}
+
+/**
+ * Error message of a failed provider response
+ */
+async function readErrorMessage(response) {
+  const errorText = await response.text();
+  let errorMessage = `HTTP ${response.status}`;
 
-          if (done) {
-            controller.enqueue(encoder.encode('data: [DONE]\n\n'));
-            break;
-          }
+  try {
+    const errorJson = JSON.parse(errorText);
+    errorMessage = errorJson.error?.message || errorJson.message || errorMessage;
+  } catch {
+    // Use text error if JSON parsing fails
+  }
+
+  return errorMessage;
+}
+
+/**
+ * Relay a successful provider response to the client as OpenAI-format SSE
+ * @param {string} provider - Wire protocol (see getWireProtocol)
+ */
+async function relayResponse(provider, response, params, controller, usageState) {
+  const encoder = new TextEncoder();
 
-          const chunk = decoder.decode(value, { stream: true });
+  if (params.stream !== false) {
+    // Stream response
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    // Per-request state for providers that spread metadata across events (e.g. Anthropic);
+    // the parser keeps events split across reads until they are complete
+    const streamState = {
+      id: null,
+      model: params.model,
+      promptTokens: 0,
+      usageState,
+      parser: provider === 'ollama' ? createNdjsonParser() : createSseParser()
+    };
 
-          // Process the chunk based on provider format
-          const processedChunk = processStreamChunk(provider, chunk);
+    try {
+      while (true) {
+        const { done, value } = await reader.read();
 
-          if (processedChunk) {
-            controller.enqueue(encoder.encode(processedChunk));
-          }
+        if (done) {
+          const rest = processStreamChunk(provider, decoder.decode(), streamState, true);
+          controller.enqueue(encoder.encode(`${rest || ''}data: [DONE]\n\n`));
+          break;
         }
-      } finally {
-        reader.releaseLock();
-      }
-    } else {
-      // Non-streaming response
-      const data = await response.json();
-      const encoder = new TextEncoder();
 
-      // Format as SSE for consistency
-      controller.enqueue(encoder.encode(`data: ${JSON.stringify(data)}\n\n`));
-      controller.enqueue(encoder.encode('data: [DONE]\n\n'));
+        const chunk = decoder.decode(value, { stream: true });
+
+        // Process the chunk based on provider format
+        const processedChunk = processStreamChunk(provider, chunk, streamState);
+
+        if (processedChunk) {
+          controller.enqueue(encoder.encode(processedChunk));
+        }
+      }
+    } finally {
+      reader.releaseLock();
     }
-  } catch (error) {
-    console.error('Chat proxy error:', error);
-    const encoder = new TextEncoder();
-    controller.enqueue(encoder.encode(`data: ${JSON.stringify({ error: error.message })}\n\n`));
+  } else {
+    // Non-streaming response
+    const data = convertResponseToOpenAIFormat(provider, await response.json());
+    trackUsage(usageState, data);
+
+    // Format as SSE for consistency
+    controller.enqueue(encoder.encode(`data: ${JSON.stringify(data)}\n\n`));
+    controller.enqueue(encoder.encode('data: [DONE]\n\n'));
+  }
+}
+
+/**
+ * Collect usage, errors and output text from an OpenAI-format payload
+ * @param {object} usageState - Usage state of the current request
+ * @param {object} data - OpenAI-format chunk or completion
+ */
+function trackUsage(usageState, data) {
+  if (!usageState || !data) return;
+
+  if (data.error) {
+    usageState.error = getErrorMessage(data.error);
+  }
+
+  if (data.usage) {
+    usageState.usage = data.usage;
+  }
+
+  const choice = data.choices?.[0];
+  const text = choice?.delta?.content || choice?.message?.content;
+  if (typeof text === 'string') {
+    usageState.completionText += text;
+  }
+}
+
+/**
+ * Write one usage ledger row; tokens are estimated when the provider reported none
+ */
+function recordUsage(config, params, options, usageState, latencyMs) {
+  const { usage } = usageState;
+  let promptTokens = usage?.prompt_tokens ?? usage?.input_tokens;
+  let completionTokens = usage?.completion_tokens ?? usage?.output_tokens;
+  const estimated = promptTokens == null || completionTokens == null;
+
+  if (estimated) {
+    const promptText = (params.messages || [])
+      .map(msg => (typeof msg.content === 'string' ? msg.content : JSON.stringify(msg.content)))
+      .join('\n');
+    promptTokens = promptTokens ?? estimateTokenCount(promptText);
+    completionTokens = completionTokens ?? estimateTokenCount(usageState.completionText);
   }
+
+  const entry = {
+    provider: config.provider,
+    model: params.model || config.model,
+    promptTokens,
+    completionTokens,
+    estimated,
+    latencyMs,
+    error: usageState.error
+  };
+
+  UsageService.record({ ...entry, feature: options.feature, taskId: options.taskId, userId: options.userId ?? null });
+  options.onUsage?.(entry);
 }
 
 /**
  * Process stream chunk based on provider format
+ * Upstream [DONE] markers are dropped; relayResponse sends a single one when the body ends.
  * @param {string} provider - Provider ID
  * @param {string} chunk - Raw chunk from response
+ * @param {object} state - Per-request stream state (parser from stream-parser.js)
+ * @param {boolean} [final] - Response body ended; flush the parser
  * @returns {string|null} - Processed chunk in OpenAI format or null
  */
-function processStreamChunk(provider, chunk) {
-  const lines = chunk.split('\n').filter(line => line.trim() !== '');
+function processStreamChunk(provider, chunk, state, final = false) {
+  const { parser } = state;
+  const parsed = parser.push(chunk);
+  if (final) {
+    parsed.push(...parser.flush());
+  }
 
   let result = '';
 
-  for (const line of lines) {
-    if (line.startsWith('data: ')) {
-      const data = line.slice(6);
+  for (const item of parsed) {
+    let converted;
+
+    if (provider === 'ollama') {
+      converted = convertOllamaMessage(item, state, true);
+    } else {
+      // Event names carry no payload of their own (Anthropic repeats the type in data)
+      if (!item.data || item.data === '[DONE]') continue;
 
-      if (data === '[DONE]') {
-        result += 'data: [DONE]\n\n';
+      let data;
+      try {
+        data = JSON.parse(item.data);
+      } catch {
+        console.warn(`[AI] Skipping malformed ${provider} stream event:`, item.data.slice(0, 200));
         continue;
       }
 
-      try {
-        const parsed = JSON.parse(data);
+      // Convert provider-specific format to OpenAI format
+      converted = convertToOpenAIFormat(provider, data, state);
+    }
 
-        // Convert provider-specific format to OpenAI format
-        const converted = convertToOpenAIFormat(provider, parsed);
+    if (!converted) continue;
 
-        if (converted) {
-          result += `data: ${JSON.stringify(converted)}\n\n`;
-        }
-      } catch {
-        // If parsing fails, pass through as-is
-        result += `${line}\n\n`;
-      }
-    } else {
-      // Non-SSE format (some providers might use this)
-      result += `data: ${line}\n\n`;
+    // Error events reach the client in the same shape as proxyChatRequest's own errors
+    if (converted.error) {
+      converted = { error: getErrorMessage(converted.error) };
     }
+
+    trackUsage(state.usageState, converted);
+    result += `data: ${JSON.stringify(converted)}\n\n`;
   }
 
   return result || null;
 }
 
+/**
+ * Ollama /api/chat response or stream line -> OpenAI format
+ * @param {object} data - Ollama payload
+ * @param {object} state - Per-request state ({ model })
+ * @param {boolean} stream - Chunk (delta) or full completion (message)
+ */
+function convertOllamaMessage(data, state, stream) {
+  if (data.error) {
+    return { error: data.error };
+  }
+
+  const content = data.message?.content || '';
+  const promptTokens = data.prompt_eval_count || 0;
+  const completionTokens = data.eval_count || 0;
+
+  return {
+    id: 'chatcmpl-ollama',
+    object: stream ? 'chat.completion.chunk' : 'chat.completion',
+    created: Math.floor(Date.now() / 1000),
+    model: data.model || state.model || 'ollama',
+    choices: [{
+      index: 0,
+      ...(stream ? { delta: { content } } : { message: { role: 'assistant', content } }),
+      finish_reason: data.done ? OLLAMA_DONE_REASONS[data.done_reason] || 'stop' : null
+    }],
+    // Token counts are only reported with the final message
+    ...(data.done && {
+      usage: {
+        prompt_tokens: promptTokens,
+        completion_tokens: completionTokens,
+        total_tokens: promptTokens + completionTokens
+      }
+    })
+  };
+}
+
 /**
  * Convert provider-specific response to OpenAI format
  * @param {string} provider - Provider ID
  * @param {object} data - Parsed response data
+ * @param {object} [state] - Per-request stream state
  * @returns {object|null} - OpenAI-formatted response or null
  */
-function convertToOpenAIFormat(provider, data) {
+function convertToOpenAIFormat(provider, data, state = {}) {
   switch (provider) {
     case 'anthropic':
-      // Convert Anthropic format to OpenAI
-      if (data.type === 'content_block_delta') {
-        return {
-          id: data.id || 'chatcmpl-anthropic',
-          object: 'chat.completion.chunk',
-          created: Math.floor(Date.now() / 1000),
-          model: data.model || 'claude',
-          choices: [{
-            index: 0,
-            delta: { content: data.delta?.text || '' },
-            finish_reason: null
-          }]
-        };
-      } else if (data.type === 'message_stop') {
-        return {
-          id: 'chatcmpl-anthropic',
-          object: 'chat.completion.chunk',
-          created: Math.floor(Date.now() / 1000),
-          model: 'claude',
-          choices: [{
-            index: 0,
-            delta: {},
-            finish_reason: 'stop'
-          }]
-        };
-      }
-      return null;
+      return convertAnthropicEvent(data, state);
 
-    case 'google':
+    case 'google': {
       // Convert Google format to OpenAI
-      if (data.candidates) {
-        const candidate = data.candidates[0];
-        const text = candidate.content?.parts?.[0]?.text || '';
-
-        return {
-          id: 'chatcmpl-google',
-          object: 'chat.completion.chunk',
-          created: Math.floor(Date.now() / 1000),
-          model: 'gemini',
-          choices: [{
-            index: 0,
-            delta: { content: text },
-            finish_reason: candidate.finishReason === 'STOP' ? 'stop' : null
-          }]
-        };
+      const { text, finishReason, usage, error } = parseGeminiResponse(data);
+
+      if (error) {
+        return { error };
       }
-      return null;
+
+      if (!text && !finishReason) {
+        return null;
+      }
+
+      return {
+        id: 'chatcmpl-google',
+        object: 'chat.completion.chunk',
+        created: Math.floor(Date.now() / 1000),
+        model: data.modelVersion || state.model || 'gemini',
+        choices: [{
+          index: 0,
+          delta: { content: text },
+          finish_reason: finishReason
+        }],
+        // usageMetadata is cumulative; report it once with the final chunk
+        ...(finishReason && usage && { usage })
+      };
+    }
 
     default:
       // Already in OpenAI format
@@ -366,7 +1017,137 @@ function convertToOpenAIFormat(provider, data) {
   }
 }
 
+/**
+ * Convert an Anthropic stream event to an OpenAI chunk
+ * message_start carries the id, model and input tokens, message_delta the stop
+ * reason and output tokens; both are folded into OpenAI-style chunks.
+ * @param {object} data - Parsed Anthropic event
+ * @param {object} state - Per-request stream state
+ * @returns {object|null} - OpenAI-formatted chunk, error payload or null
+ */
+function convertAnthropicEvent(data, state) {
+  const buildChunk = (delta, finishReason = null) => ({
+    id: state.id || 'chatcmpl-anthropic',
+    object: 'chat.completion.chunk',
+    created: Math.floor(Date.now() / 1000),
+    model: state.model || 'claude',
+    choices: [{
+      index: 0,
+      delta,
+      finish_reason: finishReason
+    }]
+  });
+
+  switch (data.type) {
+    case 'message_start': {
+      const message = data.message || {};
+      state.id = message.id || state.id;
+      state.model = message.model || state.model;
+      state.promptTokens = message.usage?.input_tokens || 0;
+      return buildChunk({ role: 'assistant', content: '' });
+    }
+
+    case 'content_block_delta':
+      if (data.delta?.type && data.delta.type !== 'text_delta') {
+        return null;
+      }
+      return buildChunk({ content: data.delta?.text || '' });
+
+    case 'message_delta': {
+      const completionTokens = data.usage?.output_tokens || 0;
+      const promptTokens = data.usage?.input_tokens ?? state.promptTokens;
+      return {
+        ...buildChunk({}, ANTHROPIC_STOP_REASONS[data.delta?.stop_reason] || 'stop'),
+        usage: {
+          prompt_tokens: promptTokens,
+          completion_tokens: completionTokens,
+          total_tokens: promptTokens + completionTokens
+        }
+      };
+    }
+
+    case 'error':
+      // Same shape as proxyChatRequest's own error payload
+      return { error: data.error?.message || data.error?.type || 'Anthropic stream error' };
+
+    default:
+      // ping, content_block_start/stop, message_stop
+      return null;
+  }
+}
+
+/**
+ * Convert a non-streaming provider response to OpenAI format
+ * @param {string} provider - Provider ID
+ * @param {object} data - Parsed response body
+ * @returns {object} - OpenAI-formatted chat completion
+ */
+function convertResponseToOpenAIFormat(provider, data) {
+  switch (provider) {
+    case 'anthropic': {
+      if (data.type === 'error') {
+        return { error: data.error?.message || 'Anthropic API error' };
+      }
+
+      const text = (data.content || [])
+        .filter(block => block.type === 'text')
+        .map(block => block.text)
+        .join('');
+      const promptTokens = data.usage?.input_tokens || 0;
+      const completionTokens = data.usage?.output_tokens || 0;
+
+      return {
+        id: data.id || 'chatcmpl-anthropic',
+        object: 'chat.completion',
+        created: Math.floor(Date.now() / 1000),
+        model: data.model || 'claude',
+        choices: [{
+          index: 0,
+          message: { role: 'assistant', content: text },
+          finish_reason: ANTHROPIC_STOP_REASONS[data.stop_reason] || 'stop'
+        }],
+        usage: {
+          prompt_tokens: promptTokens,
+          completion_tokens: completionTokens,
+          total_tokens: promptTokens + completionTokens
+        }
+      };
+    }
+
+    case 'ollama':
+      return convertOllamaMessage(data, {}, false);
+
+    case 'google': {
+      const { text, finishReason, usage, error } = parseGeminiResponse(data);
+
+      if (error) {
+        return { error };
+      }
+
+      return {
+        id: 'chatcmpl-google',
+        object: 'chat.completion',
+        created: Math.floor(Date.now() / 1000),
+        model: data.modelVersion || 'gemini',
+        choices: [{
+          index: 0,
+          message: { role: 'assistant', content: text },
+          finish_reason: finishReason || 'stop'
+        }],
+        ...(usage && { usage })
+      };
+    }
+
+    default:
+      return data;
+  }
+}
+
 export default {
   testConnection,
-  proxyChatRequest
+  proxyChatRequest,
+  listProviderModels,
+  getWireProtocol,
+  getFallbackConfigs,
+  getCircuitKey
 };
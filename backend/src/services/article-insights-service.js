@@ -0,0 +1,81 @@
+/**
+ * Article Insights Service - 结构化洞察的存储
+ *
+ * 洞察按「用户 + 文章 + 目标语言」持久化在 article_insights 表中，不进入 ai_cache：
+ * 缓存会按时间与条数淘汰、也可被管理员清除，而洞察生成一次后应一直可用，不必重复付费。
+ * 没有文章 ID 时按正文 sha256 存取。
+ */
+
+import { createHash } from 'node:crypto';
+import db from '../db/index.js';
+
+/**
+ * 文章主体：有 entryId 时按文章，否则按正文哈希
+ * @returns {{ entryId: number|null, contentHash: string|null }|null}
+ */
+function resolveSubject({ entryId, content }) {
+  const parsedEntryId = entryId !== undefined && entryId !== null && entryId !== '' ? parseInt(entryId) : null;
+  if (parsedEntryId) return { entryId: parsedEntryId, contentHash: null };
+  if (content) return { entryId: null, contentHash: createHash('sha256').update(content).digest('hex') };
+  return null;
+}
+
+function findRow(subject, targetLang, userId) {
+  const column = subject.entryId ? 'entry_id' : 'content_hash';
+  return db.prepare(`
+    SELECT * FROM article_insights
+    WHERE user_id IS ? AND ${column} = ? AND target_lang = ?
+    ORDER BY id DESC LIMIT 1
+  `).get(userId, subject.entryId ?? subject.contentHash, targetLang);
+}
+
+/**
+ * ArticleInsightsService 主对象
+ */
+export const ArticleInsightsService = {
+  /**
+   * 已保存的洞察
+   * @param {object} article - { entryId, content, targetLang }
+   * @param {number|null} [userId]
+   * @returns {{ insights: object, provider: string|null, model: string|null, createdAt: string }|null}
+   */
+  get(article, userId = null) {
+    const subject = resolveSubject(article);
+    if (!subject) return null;
+
+    const row = findRow(subject, article.targetLang, userId);
+    if (!row) return null;
+
+    try {
+      return { insights: JSON.parse(row.insights), provider: row.provider, model: row.model, createdAt: row.created_at };
+    } catch {
+      return null;
+    }
+  },
+
+  /**
+   * 保存洞察（同一文章与目标语言只保留最新一份）
+   * @param {object} article - { entryId, content, targetLang }
+   * @param {object} result - { insights, provider, model }
+   * @param {number|null} [userId]
+   * @returns {boolean} 是否保存
+   */
+  save(article, { insights, provider = null, model = null }, userId = null) {
+    const subject = resolveSubject(article);
+    if (!subject || !insights) return false;
+
+    const column = subject.entryId ? 'entry_id' : 'content_hash';
+    db.transaction(() => {
+      db.prepare(`DELETE FROM article_insights WHERE user_id IS ? AND ${column} = ? AND target_lang = ?`)
+        .run(userId, subject.entryId ?? subject.contentHash, article.targetLang);
+      db.prepare(`
+        INSERT INTO article_insights (user_id, entry_id, content_hash, target_lang, insights, provider, model)
+        VALUES (?, ?, ?, ?, ?, ?, ?)
+      `).run(userId, subject.entryId, subject.contentHash, article.targetLang, JSON.stringify(insights), provider, model);
+    })();
+
+    return true;
+  }
+};
+
+export default ArticleInsightsService;
@@ -0,0 +1,174 @@
+/**
+ * Cache Service - AI 摘要/翻译结果缓存
+ *
+ * 同一篇文章在不同设备、不同成员之间只需计算一次：
+ * 1. 缓存键 = operation + 原文 sha256（+ Miniflux 实例内的 entry id）+ 目标语言 + 模型（实际生成结果的模型）+ Prompt 版本
+ * 2. 写入时按最后访问时间淘汰过期条目，并限制总条数
+ */
+
+import { createHash } from 'node:crypto';
+import db from '../db/index.js';
+
+// Prompt 版本：修改对应 Prompt 或结果格式时递增，使旧缓存失效
+export const PROMPT_VERSIONS = {
+  summarize: 1,
+  translate: 1,
+  translate_title: 1  // 标题翻译（/translate/titles 按标题缓存，跨用户共享）
+};
+
+const MAX_AGE_DAYS = parseInt(process.env.AI_CACHE_MAX_AGE_DAYS || '30');
+const MAX_ENTRIES = parseInt(process.env.AI_CACHE_MAX_ENTRIES || '5000');
+
+function sha256(text) {
+  return createHash('sha256').update(text).digest('hex');
+}
+
+/**
+ * 解析缓存主体与缓存键
+ * @param {object} params - { operation, entryId, scope, content, contentHash, targetLang, model, promptKey }
+ *   键总是包含原文哈希，原文修改后不再命中旧结果；
+ *   scope: entry id 所属的 Miniflux 实例（不同实例的 entry id 会重复），缺省时 entry id 不计入键
+ *   promptKey: 自定义 Prompt 模板的 id + 版本、适用术语表的哈希（使用内置默认且没有术语时省略）
+ * @returns {{ key: string, entryId: number|null, contentHash: string, promptVersion: number }|null}
+ */
+function resolveKey(params) {
+  const { operation, entryId, scope, content, targetLang = '', model = '' } = params;
+  const promptVersion = PROMPT_VERSIONS[operation];
+  if (!promptVersion) return null;
+
+  const contentHash = params.contentHash || (content ? sha256(content) : null);
+  if (!contentHash) return null;
+
+  const parsedEntryId = entryId !== undefined && entryId !== null && entryId !== '' ? parseInt(entryId) : null;
+  const entry = parsedEntryId && scope ? `${scope}#${parsedEntryId}` : '';
+  const parts = [operation, contentHash, entry, targetLang, model || '', promptVersion];
+  if (params.promptKey) {
+    parts.push(params.promptKey);
+  }
+  const key = sha256(parts.join('|'));
+
+  return {
+    key,
+    entryId: parsedEntryId,
+    contentHash,
+    promptVersion
+  };
+}
+
+/**
+ * 淘汰过期条目，超出总条数时删除最久未访问的条目
+ */
+function evict() {
+  db.prepare(`
+    DELETE FROM ai_cache WHERE last_accessed_at < datetime('now', ?)
+  `).run(`-${MAX_AGE_DAYS} days`);
+
+  const { count } = db.prepare('SELECT COUNT(*) AS count FROM ai_cache').get();
+  if (count > MAX_ENTRIES) {
+    db.prepare(`
+      DELETE FROM ai_cache WHERE id IN (
+        SELECT id FROM ai_cache ORDER BY last_accessed_at ASC, id ASC LIMIT ?
+      )
+    `).run(count - MAX_ENTRIES);
+  }
+}
+
+/**
+ * CacheService 主对象
+ */
+export const CacheService = {
+  /**
+   * 查询缓存（命中时更新访问时间与命中次数）
+   * @param {object} params - { operation, content | contentHash, entryId, scope, targetLang, model }
+   * @returns {{ result: string, createdAt: string }|null}
+   */
+  get(params) {
+    const resolved = resolveKey(params);
+    if (!resolved) return null;
+
+    const row = db.prepare('SELECT result, created_at FROM ai_cache WHERE cache_key = ?').get(resolved.key);
+    if (!row) return null;
+
+    db.prepare(`
+      UPDATE ai_cache SET hits = hits + 1, last_accessed_at = CURRENT_TIMESTAMP WHERE cache_key = ?
+    `).run(resolved.key);
+
+    return { result: row.result, createdAt: row.created_at };
+  },
+
+  /**
+   * 写入缓存（相同键覆盖）
+   * @param {object} params - { operation, content | contentHash, entryId, scope, targetLang, model }
+   * @param {string} result - 结果文本
+   * @returns {boolean} 是否写入
+   */
+  set(params, result) {
+    const resolved = resolveKey(params);
+    if (!resolved || typeof result !== 'string' || !result.trim()) return false;
+
+    db.prepare(`
+      INSERT INTO ai_cache (cache_key, operation, entry_id, content_hash, target_lang, model, prompt_version, result, size)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+      ON CONFLICT(cache_key) DO UPDATE SET
+        result = excluded.result,
+        size = excluded.size,
+        created_at = CURRENT_TIMESTAMP,
+        last_accessed_at = CURRENT_TIMESTAMP
+    `).run(
+      resolved.key,
+      params.operation,
+      resolved.entryId,
+      resolved.contentHash,
+      params.targetLang || '',
+      params.model || '',
+      resolved.promptVersion,
+      result,
+      Buffer.byteLength(result)
+    );
+
+    evict();
+    return true;
+  },
+
+  /**
+   * 清除缓存
+   * @param {object} options - { operation, entryId, olderThanDays }，均为空时清空全部
+   * @returns {number} 删除条数
+   */
+  purge(options = {}) {
+    const { operation, entryId, olderThanDays } = options;
+
+    let whereClause = '1=1';
+    const params = [];
+
+    if (operation) {
+      whereClause += ' AND operation = ?';
+      params.push(operation);
+    }
+
+    if (entryId) {
+      whereClause += ' AND entry_id = ?';
+      params.push(parseInt(entryId));
+    }
+
+    if (olderThanDays) {
+      whereClause += " AND created_at < datetime('now', ?)";
+      params.push(`-${parseInt(olderThanDays)} days`);
+    }
+
+    return db.prepare(`DELETE FROM ai_cache WHERE ${whereClause}`).run(...params).changes;
+  },
+
+  /**
+   * 缓存统计
+   */
+  getStats() {
+    const row = db.prepare(`
+      SELECT COUNT(*) AS entries, COALESCE(SUM(size), 0) AS size, COALESCE(SUM(hits), 0) AS hits FROM ai_cache
+    `).get();
+
+    return { ...row, maxEntries: MAX_ENTRIES, maxAgeDays: MAX_AGE_DAYS };
+  }
+};
+
+export default CacheService;
@@ -4,18 +4,30 @@
  * 数据流：
  * 1. 从 Miniflux 获取文章列表（按时间范围、分组、订阅源筛选）
  * 2. 准备文章数据（去除 HTML 标签、截断内容）
- * 3. 构建 Prompt 并调用 AI 生成简报
- * 4. 保存简报到数据库
+ * 3. 构建 Prompt 并调用 AI 生成简报（超出输入预算时分块摘要后合并）
+ * 4. 解析要点末尾的引用编号（[#n]），正文去掉编号，要点与文章的对应关系存入 digest_sources
+ * 5. 保存简报到数据库（定时任务生成的简报同时记录用到的文章，供增量模式排除）
  */
 
 import db from '../db/index.js';
 import { decrypt, encrypt } from '../utils/encryption.js';
-import { getProviderPreset } from '../utils/config.js';
+import { getProviderPreset, getRequestTimeout, hasCredentials } from '../utils/config.js';
+import { estimateTokenCount } from '../utils/tokens.js';
+import { extractCitations } from '../utils/citations.js';
+import { filterNewEntries } from '../utils/digest-history.js';
+import { createCompletionReader } from '../utils/stream-parser.js';
 import { proxyChatRequest } from './ai-service.js';
 
 // 时间范围与小时的映射
 const RANGE_HOURS = { 12: 12, 24: 24, 72: 72, 168: 168, 0: 0 };
 
+// 单次 AI 调用的输入 Token 预算；可通过 AI 配置 extra_config.context_tokens 覆盖
+const DEFAULT_INPUT_TOKEN_BUDGET = 24000;
+// Prompt 说明文字等固定开销预留
+const PROMPT_OVERHEAD_TOKENS = 1500;
+// 分层合并的最大层数（防止部分摘要过长时无限递归）
+const MAX_MERGE_LEVELS = 3;
+
 /**
  * 截取文本辅助函数 - 按 Token 估算截取
  * 1 CJK char ≈ 1.6 token, 4 non-CJK chars ≈ 1 token
@@ -45,28 +57,6 @@ function truncateByToken(text, maxTokens) {
   return text;
 }
 
-/**
- * Estimate token count for a string (same formula as truncateByToken).
- * 1 CJK char ≈ 1.6 token, ~4 non-CJK chars ≈ 1 token.
- */
-function estimateTokenCount(text) {
-  if (!text) return 0;
-
-  let accTokens = 0;
-  const len = text.length;
-
-  for (let i = 0; i < len; i++) {
-    const code = text.charCodeAt(i);
-    if (code >= 0x4e00 && code <= 0x9fff) {
-      accTokens += 1.6;
-    } else {
-      accTokens += 0.3;
-    }
-  }
-
-  return Math.ceil(accTokens);
-}
-
 /**
  * Miniflux API Client
  * Supports both API Key (X-Auth-Token) and Basic Auth
@@ -177,9 +167,10 @@ class MinifluxClient {
 
 /**
  * 获取最近文章（可选仅未读）
+ * since / excludeEntryIds 用于增量简报：只保留 since 之后发布或抓取的文章，并排除已进入过简报的文章
  */
 async function getRecentArticles(minifluxClient, options) {
-  const { hours = 24, limit = 500, feedId, groupId, groupIds, unreadOnly = true } = options;
+  const { hours = 24, limit = 500, feedId, groupId, groupIds, unreadOnly = true, since, excludeEntryIds } = options;
 
   const effectiveHours = typeof hours === 'number' ? hours : RANGE_HOURS[hours] ?? 24;
 
@@ -192,7 +183,10 @@ async function getRecentArticles(minifluxClient, options) {
   if (effectiveHours > 0) {
     const afterDate = new Date();
     afterDate.setHours(afterDate.getHours() - effectiveHours);
-    entriesOptions.after = Math.floor(afterDate.getTime() / 1000);
+    // 上次运行早于时间范围时从上次运行开始取，避免漏掉间隔较长时的文章
+    const sinceDate = since ? new Date(since) : null;
+    const from = sinceDate && sinceDate < afterDate ? sinceDate : afterDate;
+    entriesOptions.after = Math.floor(from.getTime() / 1000);
   }
 
   if (unreadOnly) {
@@ -218,10 +212,10 @@ async function getRecentArticles(minifluxClient, options) {
         }
       }
       allEntries.sort((a, b) => new Date(b.published_at) - new Date(a.published_at));
-      return allEntries.slice(0, limit);
+      return filterNewEntries(allEntries.slice(0, limit), { since, excludeIds: excludeEntryIds });
     }
     const response = await minifluxClient.getEntries(entriesOptions);
-    return response.entries || [];
+    return filterNewEntries(response.entries || [], { since, excludeIds: excludeEntryIds });
   } catch (error) {
     console.error('[DigestService] Fetch entries error:', error);
     throw error;
@@ -253,6 +247,7 @@ async function prepareArticlesForDigest(articles) {
 
       return {
         index: i + batchIndex + 1,
+        entryId: article.id,
         title: article.title,
         feedTitle: article.feed?.title || '',
         feedId: article.feed_id ?? article.feed?.id ?? null,
@@ -275,40 +270,68 @@ async function prepareArticlesForDigest(articles) {
 }
 
 /**
- * 构建简报生成的 Prompt
+ * 格式化单篇文章（用于 Prompt 中的文章列表）
+ * [#index] 为引用编号，模型在要点末尾标注，生成后解析为 digest_sources
  */
-function buildDigestPrompt(articles, options = {}) {
-  let { targetLang = 'Simplified Chinese', scope = 'subscription', customPrompt } = options;
-
-  // 迁移旧占位符
-  if (customPrompt && customPrompt.trim()) {
-    if (customPrompt.includes('{content}') && !customPrompt.includes('{{content}}')) {
-      customPrompt = customPrompt.replace(/\{content\}/g, '{{content}}');
-    }
-    if (customPrompt.includes('{targetLang}') && !customPrompt.includes('{{targetLang}}')) {
-      customPrompt = customPrompt.replace(/\{targetLang\}/g, '{{targetLang}}');
-    }
-    if (!customPrompt.includes('{{content}}')) {
-      customPrompt = customPrompt.trim() + '\n\n{{content}}';
-    }
-  }
-
-  const articlesList = articles.map(a =>
-    `### ${a.index}. ${a.title}\n` +
+function formatArticleEntry(a) {
+  return `### [#${a.index}] ${a.title}\n` +
     `- Source: ${a.feedTitle}\n` +
     (a.categoryName ? `- Category: ${a.categoryName}\n` : '') +
     `- Date: ${a.publishedAt}\n` +
     (a.url ? `- Link: ${a.url}\n` : '') +
-    `- Summary: ${a.summary}\n`
-  ).join('\n');
+    `- Summary: ${a.summary}\n`;
+}
+
+/**
+ * 迁移旧占位符并确保自定义 Prompt 含 {{content}}
+ */
+function normalizeCustomPrompt(customPrompt) {
+  if (!customPrompt || !customPrompt.trim()) return '';
+
+  if (customPrompt.includes('{content}') && !customPrompt.includes('{{content}}')) {
+    customPrompt = customPrompt.replace(/\{content\}/g, '{{content}}');
+  }
+  if (customPrompt.includes('{targetLang}') && !customPrompt.includes('{{targetLang}}')) {
+    customPrompt = customPrompt.replace(/\{targetLang\}/g, '{{targetLang}}');
+  }
+  if (!customPrompt.includes('{{content}}')) {
+    customPrompt = customPrompt.trim() + '\n\n{{content}}';
+  }
+
+  return customPrompt;
+}
+
+/**
+ * 上一期简报已报道的要点（延续报道），为空时返回空字符串
+ * @param {string[]} [headlines]
+ */
+function formatPreviousCoverage(headlines) {
+  if (!headlines || headlines.length === 0) return '';
+
+  return `## Previously Covered: the previous digest already reported the stories below. When an article continues one of these stories, report only what is new and mark the point as an update (e.g. "Update:" in the output language). Do not repeat earlier facts, and do not include stories from this list that have no new article.
+${headlines.map(text => `- ${text}`).join('\n')}
+
+`;
+}
+
+/**
+ * 构建简报生成的 Prompt
+ */
+function buildDigestPrompt(articles, options = {}) {
+  const { targetLang = 'Simplified Chinese', scope = 'subscription', previousHeadlines } = options;
+  const customPrompt = normalizeCustomPrompt(options.customPrompt);
+
+  const articlesList = articles.map(formatArticleEntry).join('\n');
 
   const contentBlock = `## CRITICAL: Use ONLY the information from the article list below. Do not add any facts or details from outside these articles.
 
-## Article List (Total ${articles.length} articles):
+## Citations: end each bullet point with the reference ids of the articles it is based on, e.g. [#3] or [#3][#12].
+
+${formatPreviousCoverage(previousHeadlines)}## Article List (Total ${articles.length} articles):
 
 ${articlesList}`;
 
-  if (customPrompt && customPrompt.trim()) {
+  if (customPrompt) {
     return customPrompt
       .replace(/\{\{targetLang\}\}/g, targetLang)
       .replace(/\{\{content\}\}/g, contentBlock);
@@ -328,8 +351,9 @@ ${articlesList}`;
 4. If multiple articles relate to the same topic, combine them
 5. Keep the format concise and compact, using Markdown
 6. Output the content directly, no opening remarks like "Here is the digest"
+7. End each bullet point with the reference ids of the articles it is based on, e.g. [#3] or [#3][#12]
 
-## Article List (Total ${articles.length} articles):
+${formatPreviousCoverage(previousHeadlines)}## Article List (Total ${articles.length} articles):
 
 ${articlesList}`;
 }
@@ -348,30 +372,37 @@ const DEFAULT_PROMPT_TEMPLATE = `You are a professional news editor. Generate a
 4. If multiple articles relate to the same topic, combine them
 5. Keep the format concise and compact, using Markdown
 6. Output the content directly, no opening remarks like "Here is the digest"
+7. End each bullet point with the reference ids of the articles it is based on, e.g. [#3] or [#3][#12]
 
 {{content}}`;
 
 /**
  * 调用 AI API 生成简报
+ * @param {object} [usage] - 用量台账选项 { feature, taskId }，可带 onServed 回调（实际服务的服务商/模型）
  */
-async function callAIForDigest(prompt, aiConfig) {
-  if (!aiConfig || !aiConfig.provider || !aiConfig.apiUrl || !aiConfig.apiKey) {
+async function callAIForDigest(prompt, aiConfig, usage = { feature: 'digest' }) {
+  if (!hasCredentials(aiConfig) || !aiConfig.apiUrl) {
     throw new Error('AI 未配置，请先在设置中配置 AI API');
   }
 
   const providerPreset = getProviderPreset(aiConfig.provider);
   const model = aiConfig.model || providerPreset?.defaultModel || 'gpt-4o-mini';
   const decoder = new TextDecoder();
-  const chunks = [];
+  const completion = createCompletionReader();
   const mockController = {
     enqueue(data) {
-      chunks.push(typeof data === 'string' ? data : decoder.decode(data, { stream: true }));
+      completion.push(typeof data === 'string' ? data : decoder.decode(data, { stream: true }));
     }
   };
 
+  // 超时后同时取消等待中的重试
+  const abortController = new AbortController();
   let timeoutId;
   const timeoutPromise = new Promise((_, reject) => {
-    timeoutId = setTimeout(() => reject(new Error('AI 请求超时，请稍后重试')), 120000);
+    timeoutId = setTimeout(() => {
+      abortController.abort();
+      reject(new Error('AI 请求超时，请稍后重试'));
+    }, getRequestTimeout(aiConfig.provider, aiConfig));
   });
 
   try {
@@ -379,57 +410,34 @@ async function callAIForDigest(prompt, aiConfig) {
       {
         provider: aiConfig.provider,
         api_url: aiConfig.apiUrl,
-        api_key_encrypted: encrypt(aiConfig.apiKey),
-        model
+        api_key_encrypted: aiConfig.apiKey ? encrypt(aiConfig.apiKey) : null,
+        model,
+        extraConfig: aiConfig.extraConfig,
+        fallbacks: aiConfig.fallbacks
       },
       {
         model,
         temperature: aiConfig.temperature ?? 0.7,
+        ...(aiConfig.maxTokens && { max_tokens: aiConfig.maxTokens }),
         messages: [
           { role: 'user', content: prompt }
         ],
         // Stream mode lets the shared proxy layer normalize provider-specific chunk formats.
         stream: true
       },
-      mockController
+      mockController,
+      { ...usage, signal: abortController.signal }
     );
 
     await Promise.race([requestPromise, timeoutPromise]);
 
-    let content = '';
-    const streamText = chunks.join('');
-    const lines = streamText.split('\n');
-
-    for (const rawLine of lines) {
-      const line = rawLine.trim();
-      if (!line.startsWith('data:')) continue;
-
-      const payload = line.slice(5).trim();
-      if (!payload || payload === '[DONE]') continue;
-
-      let parsed;
-      try {
-        parsed = JSON.parse(payload);
-      } catch {
-        continue;
-      }
-
-      if (parsed.error) {
-        throw new Error(parsed.error);
-      }
-
-      const piece =
-        parsed.choices?.[0]?.delta?.content ||
-        parsed.choices?.[0]?.message?.content ||
-        parsed.content ||
-        '';
+    completion.flush();
 
-      if (piece) {
-        content += piece;
-      }
+    if (completion.error) {
+      throw new Error(completion.error);
     }
 
-    const result = content.trim();
+    const result = completion.content.trim();
     if (!result) {
       throw new Error('AI 返回为空，请检查模型配置后重试');
     }
@@ -443,28 +451,253 @@ async function callAIForDigest(prompt, aiConfig) {
 }
 
 /**
- * 保存简报到数据库
+ * 按 Token 预算将文章切分为多个分块
+ * 同一分类（无分类时按订阅源）的文章尽量放在同一分块中，便于分块内按主题归纳
+ * @param {Array} articles - prepareArticlesForDigest 的结果
+ * @param {number} budget - 单个分块的 Token 上限
+ * @returns {Array<Array>} 分块列表
+ */
+function chunkArticlesByBudget(articles, budget) {
+  const groups = new Map();
+  for (const a of articles) {
+    const key = a.categoryName || a.feedTitle || '';
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(a);
+  }
+
+  const chunks = [];
+  let current = [];
+  let currentTokens = 0;
+
+  for (const groupArticles of groups.values()) {
+    for (const a of groupArticles) {
+      const tokens = estimateTokenCount(formatArticleEntry(a));
+      if (current.length > 0 && currentTokens + tokens > budget) {
+        chunks.push(current);
+        current = [];
+        currentTokens = 0;
+      }
+      current.push(a);
+      currentTokens += tokens;
+    }
+  }
+
+  if (current.length > 0) chunks.push(current);
+
+  return chunks;
+}
+
+/**
+ * 构建分块摘要（map 阶段）的 Prompt
+ */
+function buildChunkSummaryPrompt(articles, options = {}) {
+  const { targetLang = 'Simplified Chinese', chunkIndex = 1, chunkCount = 1 } = options;
+  const articlesList = articles.map(formatArticleEntry).join('\n');
+
+  return `You are a professional news editor. This is part ${chunkIndex} of ${chunkCount} of a larger set of articles. Write intermediate notes that will later be merged with the notes of the other parts into one digest.
+
+## CRITICAL CONSTRAINT:
+- Use ONLY information from the article list below. Do not add any facts, events, or details from your training data or external knowledge.
+
+## Output Requirements:
+1. Output in ${targetLang}
+2. Group the notes by category (or by source when no category is given), one "### " heading per group
+3. Under each heading, list the key information in concise bullet points; combine articles about the same topic
+4. Keep the reference ids of the articles after each point, e.g. [#3] or [#3][#12]
+5. No overview, no opening or closing remarks
+
+## Article List (${articles.length} articles):
+
+${articlesList}`;
+}
+
+/**
+ * 构建合并（reduce 阶段）的 Prompt
+ * 最终合并时沿用自定义 Prompt，以部分摘要替换 {{content}}
+ */
+function buildMergePrompt(partials, options = {}) {
+  const { targetLang = 'Simplified Chinese', scope = 'subscription', isFinal = true, previousHeadlines } = options;
+  const customPrompt = normalizeCustomPrompt(options.customPrompt);
+
+  const notesList = partials
+    .map((text, i) => `## Part ${i + 1}\n\n${text}`)
+    .join('\n\n');
+
+  const contentBlock = `## CRITICAL: The notes below were summarized from the original articles. Use ONLY the information in these notes. Do not add any facts or details from outside them.
+
+## Citations: end each bullet point with the reference ids of the articles it is based on, e.g. [#3] or [#3][#12].
+
+${isFinal ? formatPreviousCoverage(previousHeadlines) : ''}## Partial Notes (${partials.length} parts):
+
+${notesList}`;
+
+  if (!isFinal) {
+    return `You are a professional news editor. Merge the following partial notes into one set of notes, keeping the "### " category headings.
+
+## Output Requirements:
+1. Output in ${targetLang}
+2. Merge groups with the same category and combine points about the same topic
+3. Keep the reference ids of the articles (e.g. [#3]) after each point
+4. No overview, no opening or closing remarks
+
+${contentBlock}`;
+  }
+
+  if (customPrompt) {
+    return customPrompt
+      .replace(/\{\{targetLang\}\}/g, targetLang)
+      .replace(/\{\{content\}\}/g, contentBlock);
+  }
+
+  return `You are a professional news editor. Generate a concise digest of recent ${scope} articles based ONLY on the following partial notes.
+
+## CRITICAL CONSTRAINT:
+- Use ONLY information from the notes below. Do not add any facts, events, or details from your training data or external knowledge.
+
+## Output Requirements:
+1. Output in ${targetLang}
+2. Start with a 2-3 sentence overview of the key content
+3. Categorize by topic or importance, listing key information in concise bullet points
+4. Merge duplicate topics across parts
+5. Keep the format concise and compact, using Markdown
+6. End each bullet point with the reference ids from the notes, e.g. [#3] or [#3][#12]
+7. Output the content directly, no opening remarks like "Here is the digest"
+
+${contentBlock}`;
+}
+
+/**
+ * 分层生成简报：分块摘要（map）后合并（reduce）
+ * 部分摘要合并后仍超出预算时逐层合并，最多 MAX_MERGE_LEVELS 层
+ * @param {Array} articles - prepareArticlesForDigest 的结果
+ * @param {object} aiConfig - AI 配置
+ * @param {object} options - { targetLang, scope, customPrompt, previousHeadlines, budget, onProgress, usage }
+ */
+async function generateHierarchicalDigest(articles, aiConfig, options) {
+  const { targetLang, scope, customPrompt, previousHeadlines, budget, onProgress, usage } = options;
+  const chunks = chunkArticlesByBudget(articles, budget);
+
+  // map：逐个分块摘要（顺序执行，避免触发服务商限流）
+  let partials = [];
+  for (let i = 0; i < chunks.length; i++) {
+    onProgress?.(20 + Math.round((60 * i) / chunks.length), `summarizing:${i + 1}/${chunks.length}`);
+    const prompt = buildChunkSummaryPrompt(chunks[i], {
+      targetLang,
+      chunkIndex: i + 1,
+      chunkCount: chunks.length
+    });
+    partials.push(await callAIForDigest(prompt, aiConfig, usage));
+  }
+
+  onProgress?.(85, 'merging');
+
+  // reduce：部分摘要超出预算时，先分组合并为中间结果
+  for (let level = 1; level < MAX_MERGE_LEVELS && partials.length > 1; level++) {
+    if (estimateTokenCount(partials.join('\n\n')) <= budget) break;
+
+    const groups = [];
+    let current = [];
+    let currentTokens = 0;
+    for (const text of partials) {
+      const tokens = estimateTokenCount(text);
+      if (current.length > 0 && currentTokens + tokens > budget) {
+        groups.push(current);
+        current = [];
+        currentTokens = 0;
+      }
+      current.push(text);
+      currentTokens += tokens;
+    }
+    if (current.length > 0) groups.push(current);
+
+    // 无法进一步压缩
+    if (groups.length === partials.length) break;
+
+    const merged = [];
+    for (const group of groups) {
+      merged.push(group.length === 1
+        ? group[0]
+        : await callAIForDigest(buildMergePrompt(group, { targetLang, isFinal: false }), aiConfig, usage));
+    }
+    partials = merged;
+  }
+
+  // 仍超出预算时按比例截断每个部分摘要
+  if (estimateTokenCount(partials.join('\n\n')) > budget) {
+    const perPartBudget = Math.floor(budget / partials.length);
+    partials = partials.map(text => truncateByToken(text, perPartBudget));
+  }
+
+  return callAIForDigest(buildMergePrompt(partials, { targetLang, scope, customPrompt, previousHeadlines }), aiConfig, usage);
+}
+
+/**
+ * 解析单次调用的输入 Token 预算
+ */
+function resolveInputBudget(aiConfig) {
+  const contextTokens = parseInt(aiConfig?.contextTokens ?? aiConfig?.context_tokens, 10);
+  const budget = contextTokens > 0 ? contextTokens : DEFAULT_INPUT_TOKEN_BUDGET;
+  return Math.max(budget - PROMPT_OVERHEAD_TOKENS, 1000);
+}
+
+/**
+ * 保存简报到数据库（连同引用来源；定时任务的简报另记录用到的文章）
  */
 function saveDigest(digestData) {
   const stmt = db.prepare(`
-    INSERT INTO digests (title, content, scope, scope_id, scope_name, article_count, hours, target_lang, is_read, generated_at)
-    VALUES (?, ?, ?, ?, ?, ?, ?, ?, 0, CURRENT_TIMESTAMP)
+    INSERT INTO digests (user_id, task_id, title, content, scope, scope_id, scope_name, article_count, hours, target_lang, ai_provider, ai_model, is_read, generated_at)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, 0, CURRENT_TIMESTAMP)
+  `);
+  const sourceStmt = db.prepare(`
+    INSERT INTO digest_sources (digest_id, bullet_index, bullet_text, ref, entry_id, feed_id, title, url)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?)
   `);
+  const entryStmt = db.prepare('INSERT INTO digest_entries (task_id, digest_id, entry_id) VALUES (?, ?, ?)');
+
+  const sources = digestData.sources || [];
+  const result = db.transaction(() => {
+    const inserted = stmt.run(
+      digestData.userId ?? null,
+      digestData.taskId ?? null,
+      digestData.title,
+      digestData.content,
+      digestData.scope || 'all',
+      digestData.scopeId || null,
+      digestData.scopeName || '',
+      digestData.articleCount || 0,
+      digestData.hours || 24,
+      digestData.targetLang || 'zh-CN',
+      digestData.aiProvider || null,
+      digestData.aiModel || null
+    );
+
+    for (const source of sources) {
+      sourceStmt.run(
+        inserted.lastInsertRowid,
+        source.bulletIndex,
+        source.bulletText,
+        source.ref,
+        source.entryId,
+        source.feedId ?? null,
+        source.title || null,
+        source.url || null
+      );
+    }
+
+    if (digestData.taskId != null) {
+      for (const entryId of digestData.entryIds || []) {
+        entryStmt.run(digestData.taskId, inserted.lastInsertRowid, entryId);
+      }
+    }
+
+    return inserted;
+  })();
 
-  const result = stmt.run(
-    digestData.title,
-    digestData.content,
-    digestData.scope || 'all',
-    digestData.scopeId || null,
-    digestData.scopeName || '',
-    digestData.articleCount || 0,
-    digestData.hours || 24,
-    digestData.targetLang || 'zh-CN'
-  );
+  const { userId, taskId, entryIds, ...digest } = digestData;
 
   return {
     id: result.lastInsertRowid,
-    ...digestData,
+    ...digest,
     generatedAt: new Date().toISOString()
   };
 }
@@ -504,32 +737,51 @@ export const DigestService = {
 
   /**
    * Get digest preview: article count and estimated input token count (no LLM call).
+   * When the prompt exceeds the input budget, generation switches to hierarchical mode.
    * @param {object} minifluxConfig - Miniflux config { apiUrl, apiKeyEncrypted or apiKey }
    * @param {object} options - { scope, feedId, groupId, hours, unreadOnly }
-   * @returns {Promise<{ articleCount: number, estimatedTokens: number }>}
+   * @param {object} [aiConfig] - AI config, used for contextTokens
+   * @returns {Promise<{ articleCount: number, estimatedTokens: number, mode: string, chunkCount: number }>}
    */
-  async getDigestPreview(minifluxConfig, options) {
+  async getDigestPreview(minifluxConfig, options, aiConfig) {
     const { hours = 24, feedId, groupId, groupIds, unreadOnly = true } = options ?? {};
 
     const client = this.createMinifluxClient(minifluxConfig);
     const articles = await getRecentArticles(client, { hours, feedId, groupId, groupIds, unreadOnly });
 
     if (articles.length === 0) {
-      return { articleCount: 0, estimatedTokens: 0 };
+      return { articleCount: 0, estimatedTokens: 0, mode: 'single', chunkCount: 0 };
     }
 
     const prepared = await prepareArticlesForDigest(articles);
     const prompt = buildDigestPrompt(prepared, { targetLang: 'Simplified Chinese', scope: 'subscription' });
     const estimatedTokens = estimateTokenCount(prompt);
 
-    return { articleCount: articles.length, estimatedTokens };
+    const budget = resolveInputBudget(aiConfig);
+    const hierarchical = estimatedTokens > budget;
+
+    return {
+      articleCount: articles.length,
+      estimatedTokens,
+      mode: hierarchical ? 'hierarchical' : 'single',
+      chunkCount: hierarchical ? chunkArticlesByBudget(prepared, budget).length : 1
+    };
   },
 
   /**
    * 生成简报
    * @param {object} minifluxConfig - Miniflux 配置 { apiUrl, apiKeyEncrypted }
-   * @param {object} aiConfig - AI 配置 { apiUrl, apiKey, model, temperature }
-   * @param {object} options - 选项 { scope, feedId, groupId, hours, targetLang, prompt, unreadOnly, timezone }
+   * @param {object} aiConfig - AI 配置 { apiUrl, apiKey, model, temperature, maxTokens, contextTokens, timeoutMs, fallbacks }
+   *   fallbacks: 故障转移链（ai_config 行），主服务商持续失败时依次尝试
+   * @param {object} options - 选项 { scope, feedId, groupId, hours, targetLang, prompt, unreadOnly, timezone, mode, onProgress }
+   *   mode: 'auto'（默认，超出输入预算时分层生成）| 'single' | 'hierarchical'
+   *   onProgress: (progress, stage) => void，stage 为 'fetching' | 'summarizing:i/n' | 'merging' | 'generating'
+   *   usage: 用量台账选项 { feature, taskId }，默认 { feature: 'digest' }
+   *   userId: 简报归属用户（null 为匿名空间）
+   *   taskId: 生成该简报的定时任务（手动生成为 null），用于按定时任务订阅
+   *   since: 增量模式下上次成功运行的时间，只取此后发布或抓取的文章
+   *   excludeEntryIds: 增量模式下排除的文章 ID（此前简报已用过）
+   *   previousHeadlines: 上一期简报的要点，写入 Prompt 以便延续报道只写进展
    */
   async generate(minifluxConfig, aiConfig, options) {
     const {
@@ -542,7 +794,15 @@ export const DigestService = {
       prompt: customPrompt,
       unreadOnly = true,
       timezone = '',
-      scopeName: clientScopeName
+      scopeName: clientScopeName,
+      mode = 'auto',
+      onProgress,
+      usage = { feature: 'digest' },
+      userId = null,
+      taskId = null,
+      since = null,
+      excludeEntryIds,
+      previousHeadlines
     } = options;
 
     const isEn = targetLang && (targetLang.toLowerCase().includes('english') || targetLang.toLowerCase().includes('en'));
@@ -583,13 +843,23 @@ export const DigestService = {
     }
 
     // 获取文章
-    const fetchOptions = { hours, feedId, groupIds: resolvedIds.length > 0 ? resolvedIds : undefined, unreadOnly };
+    onProgress?.(10, 'fetching');
+    const fetchOptions = {
+      hours,
+      feedId,
+      groupIds: resolvedIds.length > 0 ? resolvedIds : undefined,
+      unreadOnly,
+      since,
+      excludeEntryIds
+    };
     const articles = await getRecentArticles(minifluxClient, fetchOptions);
 
     if (articles.length === 0) {
-      const timeDesc = hours > 0
-        ? (isEn ? `in the past ${hours} hours` : `在过去 ${hours} 小时内`)
-        : (isEn ? 'in scope' : '范围内');
+      const timeDesc = since
+        ? (isEn ? 'since the last digest' : '自上次简报以来')
+        : hours > 0
+          ? (isEn ? `in the past ${hours} hours` : `在过去 ${hours} 小时内`)
+          : (isEn ? 'in scope' : '范围内');
       const noArticlesMsg = isEn
         ? `No ${unreadOnly ? 'unread ' : ''}articles ${timeDesc}.`
         : `${timeDesc}没有${unreadOnly ? '未读' : ''}文章。`;
@@ -617,11 +887,37 @@ export const DigestService = {
     const prompt = buildDigestPrompt(preparedArticles, {
       targetLang,
       scope: scopeName,
-      customPrompt
+      customPrompt,
+      previousHeadlines
     });
 
-    // 调用 AI
-    let digestContent = await callAIForDigest(prompt, aiConfig);
+    // 记录实际服务的服务商/模型（故障转移时可能不是主服务商）
+    const servedBy = [];
+    const aiUsage = { ...usage, userId, onServed: info => info && servedBy.push(info) };
+
+    // 调用 AI：超出输入预算时分块摘要后合并
+    const budget = resolveInputBudget(aiConfig);
+    const hierarchical = mode === 'hierarchical' || (mode === 'auto' && estimateTokenCount(prompt) > budget);
+
+    let digestContent;
+    if (hierarchical) {
+      digestContent = await generateHierarchicalDigest(preparedArticles, aiConfig, {
+        targetLang,
+        scope: scopeName,
+        customPrompt,
+        previousHeadlines,
+        budget,
+        onProgress,
+        usage: aiUsage
+      });
+    } else {
+      onProgress?.(20, 'generating');
+      digestContent = await callAIForDigest(prompt, aiConfig, aiUsage);
+    }
+
+    // 解析引用编号
+    const citations = extractCitations(digestContent, preparedArticles);
+    digestContent = citations.content;
 
     // 添加订阅源清单
     const feedMap = new Map();
@@ -687,13 +983,17 @@ export const DigestService = {
     const rangeLabelsEn = { 12: 'Last 12h', 24: 'Last 24h', 72: 'Past 3d', 168: 'Past 7d', 0: 'All' };
     const rangeLabelsZh = { 12: '最近12小时', 24: '最近24小时', 72: '过去三天', 168: '过去7天', 0: '全部' };
     const h = hours === 0 || [12, 24, 72, 168].includes(hours) ? hours : 24;
-    const rangeLabel = isEn ? (rangeLabelsEn[h] || `${h}h`) : (rangeLabelsZh[h] || `${h}小时`);
+    const rangeLabel = since
+      ? (isEn ? 'Since Last Digest' : '自上次简报')
+      : isEn ? (rangeLabelsEn[h] || `${h}h`) : (rangeLabelsZh[h] || `${h}小时`);
 
     const digestWord = isEn ? 'Digest' : '简报';
     const title = `${scopeName} · ${rangeLabel} · ${digestWord} ${timeStr}`;
 
     // 保存简报
     const saved = saveDigest({
+      userId,
+      taskId,
       scope,
       scopeId,
       scopeName,
@@ -701,7 +1001,19 @@ export const DigestService = {
       content: digestContent,
       articleCount: preparedArticles.length,
       hours,
-      targetLang
+      targetLang,
+      aiProvider: [...new Set(servedBy.map(info => info.provider))].join(', '),
+      aiModel: [...new Set(servedBy.map(info => info.model))].join(', '),
+      entryIds: preparedArticles.map(article => article.entryId),
+      sources: citations.sources.map(({ bulletIndex, bulletText, article }) => ({
+        bulletIndex,
+        bulletText,
+        ref: article.index,
+        entryId: article.entryId,
+        feedId: article.feedId,
+        title: article.title,
+        url: article.url || null
+      }))
     });
 
     return {
@@ -712,13 +1024,14 @@ export const DigestService = {
 
   /**
    * 获取简报列表
+   * @param {object} options - { page, limit, scope, scopeId, isRead, userId }
    */
   getDigests(options = {}) {
-    const { page = 1, limit = 20, scope, scopeId, isRead } = options;
+    const { page = 1, limit = 20, scope, scopeId, isRead, userId = null } = options;
     const offset = (page - 1) * limit;
 
-    let whereClause = '1=1';
-    const params = [];
+    let whereClause = 'user_id IS ?';
+    const params = [userId];
 
     if (scope) {
       whereClause += ' AND scope = ?';
@@ -739,7 +1052,7 @@ export const DigestService = {
     const total = countStmt.get(...params).count;
 
     const stmt = db.prepare(`
-      SELECT id, title, content, scope, scope_id, scope_name, article_count, hours, target_lang, is_read, generated_at, created_at
+      SELECT id, title, content, scope, scope_id, scope_name, article_count, hours, target_lang, ai_provider, ai_model, is_read, generated_at, created_at
       FROM digests
       WHERE ${whereClause}
       ORDER BY generated_at DESC
@@ -759,22 +1072,90 @@ export const DigestService = {
     };
   },
 
+  /**
+   * 获取时间范围内的简报（按生成时间升序，用于批量导出）
+   * @param {object} options - { from, to, scope, scopeId, limit, userId }
+   *   from/to: SQLite UTC 时间 "YYYY-MM-DD HH:MM:SS"（含边界）
+   */
+  getDigestsInRange(options = {}) {
+    const { from, to, scope, scopeId, limit = 200, userId = null } = options;
+
+    let whereClause = 'user_id IS ?';
+    const params = [userId];
+
+    if (from) {
+      whereClause += ' AND generated_at >= ?';
+      params.push(from);
+    }
+
+    if (to) {
+      whereClause += ' AND generated_at <= ?';
+      params.push(to);
+    }
+
+    if (scope) {
+      whereClause += ' AND scope = ?';
+      params.push(scope);
+    }
+
+    if (scopeId !== undefined && scopeId !== null) {
+      whereClause += ' AND scope_id = ?';
+      params.push(scopeId);
+    }
+
+    const stmt = db.prepare(`
+      SELECT id, title, content, scope, scope_id, scope_name, article_count, hours, target_lang, is_read, generated_at, created_at
+      FROM digests
+      WHERE ${whereClause}
+      ORDER BY generated_at ASC, id ASC
+      LIMIT ?
+    `);
+
+    return stmt.all(...params, limit);
+  },
+
   /**
    * 获取单个简报
+   * @param {number|string} id
+   * @param {number|null} [userId] - 归属用户（null 为匿名空间）
    */
-  getDigest(id) {
+  getDigest(id, userId = null) {
     const stmt = db.prepare(`
-      SELECT id, title, content, scope, scope_id, scope_name, article_count, hours, target_lang, is_read, generated_at, created_at, updated_at
+      SELECT id, title, content, scope, scope_id, scope_name, article_count, hours, target_lang, ai_provider, ai_model, is_read, generated_at, created_at, updated_at
       FROM digests
-      WHERE id = ?
+      WHERE id = ? AND user_id IS ?
     `);
-    return stmt.get(id);
+    return stmt.get(id, userId);
+  },
+
+  /**
+   * 简报引用的文章（按要点顺序）
+   * @param {number|string} id - 简报 id
+   * @param {number|null} [userId] - 归属用户（null 为匿名空间）
+   * @returns {Array<{ bulletIndex, bulletText, ref, entryId, feedId, title, url }>}
+   */
+  getSources(id, userId = null) {
+    return db.prepare(`
+      SELECT s.bullet_index, s.bullet_text, s.ref, s.entry_id, s.feed_id, s.title, s.url
+      FROM digest_sources s
+      JOIN digests d ON d.id = s.digest_id
+      WHERE s.digest_id = ? AND d.user_id IS ?
+      ORDER BY s.bullet_index, s.id
+    `).all(id, userId).map(row => ({
+      bulletIndex: row.bullet_index,
+      bulletText: row.bullet_text,
+      ref: row.ref,
+      entryId: row.entry_id,
+      feedId: row.feed_id,
+      title: row.title,
+      url: row.url
+    }));
   },
 
   /**
    * 更新简报
    */
-  updateDigest(id, updates) {
+  updateDigest(id, updates, userId = null) {
     const fields = [];
     const params = [];
 
@@ -798,34 +1179,40 @@ export const DigestService = {
     }
 
     fields.push('updated_at = CURRENT_TIMESTAMP');
-    params.push(id);
+    params.push(id, userId);
 
-    const stmt = db.prepare(`UPDATE digests SET ${fields.join(', ')} WHERE id = ?`);
+    const stmt = db.prepare(`UPDATE digests SET ${fields.join(', ')} WHERE id = ? AND user_id IS ?`);
     return stmt.run(...params);
   },
 
   /**
    * 删除简报
    */
-  deleteDigest(id) {
-    const stmt = db.prepare('DELETE FROM digests WHERE id = ?');
-    return stmt.run(id);
+  deleteDigest(id, userId = null) {
+    return db.transaction(() => {
+      const result = db.prepare('DELETE FROM digests WHERE id = ? AND user_id IS ?').run(id, userId);
+      if (result.changes > 0) {
+        db.prepare('DELETE FROM digest_sources WHERE digest_id = ?').run(id);
+        db.prepare('DELETE FROM digest_entries WHERE digest_id = ?').run(id);
+      }
+      return result;
+    })();
   },
 
   /**
    * 标记简报为已读
    */
-  markAsRead(id) {
-    const stmt = db.prepare('UPDATE digests SET is_read = 1, updated_at = CURRENT_TIMESTAMP WHERE id = ?');
-    return stmt.run(id);
+  markAsRead(id, userId = null) {
+    const stmt = db.prepare('UPDATE digests SET is_read = 1, updated_at = CURRENT_TIMESTAMP WHERE id = ? AND user_id IS ?');
+    return stmt.run(id, userId);
   },
 
   /**
    * 批量标记简报为已读
    */
-  markAllAsRead(scope, scopeId) {
-    let whereClause = 'is_read = 0';
-    const params = [];
+  markAllAsRead(scope, scopeId, userId = null) {
+    let whereClause = 'is_read = 0 AND user_id IS ?';
+    const params = [userId];
 
     if (scope) {
       whereClause += ' AND scope = ?';
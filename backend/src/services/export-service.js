@@ -0,0 +1,370 @@
+/**
+ * Export Service - 简报导出
+ *
+ * 把一篇或多篇简报导出为可独立使用的文件：
+ * - md：Markdown，开头附标题、范围、时间窗口、文章数等元信息
+ * - html：内联样式的单文件 HTML，带打印样式（浏览器“打印 / 另存为 PDF”）
+ * - epub：EPUB 3，每篇简报一章
+ * 标签语言跟随简报的目标语言（英文简报用英文标签，其余用中文）。
+ */
+
+import { randomUUID } from 'node:crypto';
+import { escapeHtml, renderMarkdown } from '../utils/markdown.js';
+import { createZip } from '../utils/zip.js';
+
+export const EXPORT_FORMATS = {
+  md: { contentType: 'text/markdown; charset=utf-8', extension: 'md' },
+  html: { contentType: 'text/html; charset=utf-8', extension: 'html' },
+  epub: { contentType: 'application/epub+zip', extension: 'epub' }
+};
+
+const LABELS = {
+  en: {
+    scope: 'Scope',
+    timeWindow: 'Time window',
+    articles: 'Articles',
+    generated: 'Generated',
+    allSubscriptions: 'All Subscriptions',
+    feed: 'Feed',
+    group: 'Group',
+    allTime: 'All time',
+    pastHours: (hours) => `past ${hours} hours`,
+    contents: 'Contents',
+    collection: 'Digests'
+  },
+  zh: {
+    scope: '范围',
+    timeWindow: '时间窗口',
+    articles: '文章数',
+    generated: '生成时间',
+    allSubscriptions: '全部订阅',
+    feed: '订阅源',
+    group: '分组',
+    allTime: '全部时间',
+    pastHours: (hours) => `过去 ${hours} 小时`,
+    contents: '目录',
+    collection: '简报合集'
+  }
+};
+
+const HTML_STYLE = `
+  body { max-width: 760px; margin: 0 auto; padding: 32px 20px; font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", "PingFang SC", "Microsoft YaHei", sans-serif; line-height: 1.7; color: #1d2129; }
+  h1 { font-size: 1.6em; margin: 0 0 12px; }
+  h2 { font-size: 1.3em; margin-top: 1.6em; }
+  h3 { font-size: 1.1em; }
+  a { color: #165dff; word-break: break-all; }
+  .digest-meta { margin: 0 0 24px; padding: 12px 16px; border-radius: 6px; background: #f7f8fa; color: #4e5969; font-size: 0.9em; }
+  .digest-meta dt { float: left; clear: left; min-width: 96px; font-weight: 600; }
+  .digest-meta dd { margin: 0 0 4px 96px; }
+  .digest + .digest { margin-top: 48px; padding-top: 32px; border-top: 1px solid #e5e6eb; }
+  .toc { margin-bottom: 32px; }
+  blockquote { margin: 0; padding-left: 12px; border-left: 3px solid #e5e6eb; color: #4e5969; }
+  pre { padding: 12px; overflow-x: auto; background: #f7f8fa; }
+  hr { border: none; border-top: 1px solid #e5e6eb; }
+  @media print {
+    body { max-width: none; padding: 0; font-size: 11pt; }
+    a { color: inherit; text-decoration: none; }
+    a[href^="http"]::after { content: " (" attr(href) ")"; font-size: 0.85em; color: #86909c; }
+    .digest + .digest { page-break-before: always; border-top: none; margin-top: 0; padding-top: 0; }
+    .toc { page-break-after: always; }
+    h1, h2, h3 { page-break-after: avoid; }
+    li, blockquote, pre { page-break-inside: avoid; }
+  }
+`;
+
+function isEnglish(targetLang) {
+  const lang = (targetLang || '').toLowerCase();
+  return lang.includes('english') || lang.includes('en');
+}
+
+function getLabels(targetLang) {
+  return isEnglish(targetLang) ? LABELS.en : LABELS.zh;
+}
+
+/**
+ * SQLite 时间（UTC，"YYYY-MM-DD HH:MM:SS"）-> Date
+ */
+function parseDbTime(value) {
+  if (!value) return null;
+  const date = new Date(/[zZ]|[+-]\d{2}:?\d{2}$/.test(value) ? value : `${value.replace(' ', 'T')}Z`);
+  return Number.isNaN(date.getTime()) ? null : date;
+}
+
+/**
+ * 按时区格式化为 "YYYY-MM-DD HH:MM"，无效时区回退到 UTC
+ */
+function formatTime(date, timezone) {
+  if (!date) return '';
+
+  const format = (timeZone) => {
+    const fmt = new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      year: 'numeric', month: '2-digit', day: '2-digit',
+      hour: '2-digit', minute: '2-digit', hour12: false
+    });
+    const parts = Object.fromEntries(fmt.formatToParts(date).map(p => [p.type, p.value]));
+    const hour = parts.hour === '24' ? '00' : parts.hour;
+    return `${parts.year}-${parts.month}-${parts.day} ${hour}:${parts.minute}`;
+  };
+
+  if (timezone) {
+    try {
+      return `${format(timezone)} (${timezone})`;
+    } catch {
+      // fallback
+    }
+  }
+
+  return `${format('UTC')} UTC`;
+}
+
+/**
+ * 日期范围 "YYYY-MM-DD – YYYY-MM-DD"（按时区）
+ */
+function formatDateRange(range, timezone) {
+  if (!range?.from && !range?.to) return '';
+
+  const day = (date) => (date ? formatTime(date, timezone).slice(0, 10) : '…');
+  return `${day(range.from)} – ${day(range.to)}`;
+}
+
+/**
+ * 简报元信息（已按目标语言本地化）
+ */
+function describeDigest(digest, timezone) {
+  const labels = getLabels(digest.target_lang);
+  const generatedAt = parseDbTime(digest.generated_at);
+
+  let scope = labels.allSubscriptions;
+  if (digest.scope === 'feed') {
+    scope = `${labels.feed} · ${digest.scope_name || digest.scope_id || ''}`;
+  } else if (digest.scope === 'group') {
+    scope = `${labels.group} · ${digest.scope_name || digest.scope_id || ''}`;
+  }
+
+  let timeWindow = labels.allTime;
+  if (digest.hours > 0 && generatedAt) {
+    const start = new Date(generatedAt.getTime() - digest.hours * 3600 * 1000);
+    timeWindow = `${formatTime(start, timezone)} – ${formatTime(generatedAt, timezone)} (${labels.pastHours(digest.hours)})`;
+  }
+
+  return {
+    labels,
+    fields: [
+      [labels.scope, scope],
+      [labels.timeWindow, timeWindow],
+      [labels.articles, String(digest.article_count ?? 0)],
+      [labels.generated, formatTime(generatedAt, timezone)]
+    ]
+  };
+}
+
+function toMarkdownSection(digest, timezone, headingLevel = 1) {
+  const { fields } = describeDigest(digest, timezone);
+  const heading = '#'.repeat(headingLevel);
+  const meta = fields.map(([label, value]) => `- **${label}:** ${value}`).join('\n');
+
+  return `${heading} ${digest.title}\n\n${meta}\n\n---\n\n${(digest.content || '').trim()}\n`;
+}
+
+function toHtmlSection(digest, timezone, anchor) {
+  const { fields } = describeDigest(digest, timezone);
+  const meta = fields
+    .map(([label, value]) => `<dt>${escapeHtml(label)}</dt><dd>${escapeHtml(value)}</dd>`)
+    .join('\n');
+
+  return `<article class="digest"${anchor ? ` id="${anchor}"` : ''}>
+<h1>${escapeHtml(digest.title)}</h1>
+<dl class="digest-meta">
+${meta}
+</dl>
+${renderMarkdown(digest.content)}
+</article>`;
+}
+
+function htmlDocument(title, lang, body) {
+  return `<!DOCTYPE html>
+<html lang="${lang}">
+<head>
+<meta charset="utf-8" />
+<meta name="viewport" content="width=device-width, initial-scale=1" />
+<title>${escapeHtml(title)}</title>
+<style>${HTML_STYLE}</style>
+</head>
+<body>
+${body}
+</body>
+</html>
+`;
+}
+
+function xhtmlDocument(title, lang, body) {
+  return `<?xml version="1.0" encoding="utf-8"?>
+<!DOCTYPE html>
+<html xmlns="http://www.w3.org/1999/xhtml" xmlns:epub="http://www.idpf.org/2007/ops" xml:lang="${lang}" lang="${lang}">
+<head>
+<meta charset="utf-8" />
+<title>${escapeHtml(title)}</title>
+<link rel="stylesheet" type="text/css" href="style.css" />
+</head>
+<body>
+${body}
+</body>
+</html>
+`;
+}
+
+function buildMarkdown(digests, { title, timezone }) {
+  if (digests.length === 1) {
+    return toMarkdownSection(digests[0], timezone);
+  }
+
+  const sections = digests.map(d => toMarkdownSection(d, timezone, 2)).join('\n\n');
+  return `# ${title}\n\n${sections}`;
+}
+
+function buildHtml(digests, { title, lang, timezone }) {
+  if (digests.length === 1) {
+    return htmlDocument(digests[0].title, lang, toHtmlSection(digests[0], timezone));
+  }
+
+  const labels = getLabels(digests[0].target_lang);
+  const toc = digests
+    .map(d => `<li><a href="#digest-${d.id}">${escapeHtml(d.title)}</a></li>`)
+    .join('\n');
+  const sections = digests.map(d => toHtmlSection(d, timezone, `digest-${d.id}`)).join('\n');
+
+  return htmlDocument(title, lang, `<nav class="toc">
+<h1>${escapeHtml(title)}</h1>
+<h2>${labels.contents}</h2>
+<ol>
+${toc}
+</ol>
+</nav>
+${sections}`);
+}
+
+function buildEpub(digests, { title, lang, timezone }) {
+  const labels = getLabels(digests[0]?.target_lang);
+  const modified = new Date().toISOString().replace(/\.\d+Z$/, 'Z');
+  const chapters = digests.map((digest, index) => ({
+    id: `digest-${index + 1}`,
+    file: `digest-${index + 1}.xhtml`,
+    title: digest.title,
+    body: toHtmlSection(digest, timezone)
+  }));
+
+  const manifest = chapters
+    .map(ch => `    <item id="${ch.id}" href="${ch.file}" media-type="application/xhtml+xml" />`)
+    .join('\n');
+  const spine = chapters.map(ch => `    <itemref idref="${ch.id}" />`).join('\n');
+  const navItems = chapters
+    .map(ch => `      <li><a href="${ch.file}">${escapeHtml(ch.title)}</a></li>`)
+    .join('\n');
+
+  const contentOpf = `<?xml version="1.0" encoding="utf-8"?>
+<package xmlns="http://www.idpf.org/2007/opf" version="3.0" unique-identifier="book-id" xml:lang="${lang}">
+  <metadata xmlns:dc="http://purl.org/dc/elements/1.1/">
+    <dc:identifier id="book-id">urn:uuid:${randomUUID()}</dc:identifier>
+    <dc:title>${escapeHtml(title)}</dc:title>
+    <dc:language>${lang}</dc:language>
+    <dc:creator>ReactFlux</dc:creator>
+    <meta property="dcterms:modified">${modified}</meta>
+  </metadata>
+  <manifest>
+    <item id="nav" href="nav.xhtml" media-type="application/xhtml+xml" properties="nav" />
+    <item id="style" href="style.css" media-type="text/css" />
+${manifest}
+  </manifest>
+  <spine>
+${spine}
+  </spine>
+</package>
+`;
+
+  const nav = xhtmlDocument(title, lang, `<nav epub:type="toc" id="toc">
+  <h1>${labels.contents}</h1>
+  <ol>
+${navItems}
+  </ol>
+</nav>`);
+
+  const containerXml = `<?xml version="1.0" encoding="utf-8"?>
+<container version="1.0" xmlns="urn:oasis:names:tc:opendocument:xmlns:container">
+  <rootfiles>
+    <rootfile full-path="OEBPS/content.opf" media-type="application/oebps-package+xml" />
+  </rootfiles>
+</container>
+`;
+
+  return createZip([
+    { name: 'mimetype', data: 'application/epub+zip', store: true },
+    { name: 'META-INF/container.xml', data: containerXml },
+    { name: 'OEBPS/content.opf', data: contentOpf },
+    { name: 'OEBPS/nav.xhtml', data: nav },
+    { name: 'OEBPS/style.css', data: HTML_STYLE },
+    ...chapters.map(ch => ({ name: `OEBPS/${ch.file}`, data: xhtmlDocument(ch.title, lang, ch.body) }))
+  ]);
+}
+
+/**
+ * 文件名中去掉路径分隔符等不安全字符
+ */
+function sanitizeFilename(name) {
+  return name.replace(/[\\/:*?"<>|\u0000-\u001f]+/g, '-').replace(/\s+/g, ' ').trim().slice(0, 120);
+}
+
+/**
+ * ExportService 主对象
+ */
+export const ExportService = {
+  /**
+   * 导出简报
+   * @param {object[]} digests - digests 表中的行（按输出顺序）
+   * @param {object} options - { format: 'md'|'html'|'epub', timezone, range, filename }
+   *   range: { from: Date, to: Date }，多篇导出时附在合集标题后；filename: 不含扩展名的 ASCII 文件名
+   * @returns {{ body: string|Buffer, contentType: string, filename: string, asciiFilename: string }}
+   */
+  exportDigests(digests, options = {}) {
+    const { format = 'md', timezone = '' } = options;
+    const spec = EXPORT_FORMATS[format];
+    if (!spec) {
+      throw new Error(`Unsupported export format: ${format}`);
+    }
+    if (!digests || digests.length === 0) {
+      throw new Error('No digests to export');
+    }
+
+    const labels = getLabels(digests[0].target_lang);
+    const lang = isEnglish(digests[0].target_lang) ? 'en' : 'zh-CN';
+    const title = digests.length === 1 ? digests[0].title : [labels.collection, formatDateRange(options.range, timezone)].filter(Boolean).join(' ');
+    const context = { title, lang, timezone };
+
+    let body;
+    if (format === 'md') {
+      body = buildMarkdown(digests, context);
+    } else if (format === 'html') {
+      body = buildHtml(digests, context);
+    } else {
+      body = buildEpub(digests, context);
+    }
+
+    const baseName = options.filename || (digests.length === 1 ? `digest-${digests[0].id}` : 'digests');
+
+    return {
+      body,
+      contentType: spec.contentType,
+      filename: `${sanitizeFilename(title) || baseName}.${spec.extension}`,
+      asciiFilename: `${baseName}.${spec.extension}`
+    };
+  },
+
+  /**
+   * Content-Disposition 头（非 ASCII 文件名使用 RFC 5987 编码）
+   */
+  contentDisposition(filename, asciiFilename) {
+    return `attachment; filename="${asciiFilename}"; filename*=UTF-8''${encodeURIComponent(filename)}`;
+  }
+};
+
+export default ExportService;
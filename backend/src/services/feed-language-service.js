@@ -0,0 +1,71 @@
+/**
+ * Feed Language Service - 订阅源语言与同语言跳过
+ *
+ * 原文已是目标语言时不再请求模型（既浪费调用，模型还可能把原文改写成别的说法）：
+ * 1. 默认用本地检测（utils/language-detect.js）判断标题 / 正文的语言
+ * 2. 检测不准的订阅源可以指定语言，指定后不再检测
+ */
+
+import db from '../db/index.js';
+import { detectLanguage, isSameLanguage } from '../utils/language-detect.js';
+
+/**
+ * FeedLanguageService 主对象
+ */
+export const FeedLanguageService = {
+  /**
+   * 用户指定了语言的订阅源
+   * @param {number|null} userId
+   * @returns {object} - { [feedId]: language }
+   */
+  getLanguages(userId = null) {
+    const rows = db.prepare('SELECT feed_id, language FROM feed_languages WHERE user_id IS ? ORDER BY feed_id').all(userId);
+    return Object.fromEntries(rows.map(row => [row.feed_id, row.language]));
+  },
+
+  /**
+   * 订阅源指定的语言
+   * @returns {string|null} - 未指定时为 null
+   */
+  getLanguage(feedId, userId = null) {
+    if (!feedId) return null;
+    return db.prepare('SELECT language FROM feed_languages WHERE feed_id = ? AND user_id IS ?').get(feedId, userId)?.language || null;
+  },
+
+  /**
+   * 指定订阅源语言
+   * @param {number} feedId
+   * @param {string|null} language - null 恢复自动检测
+   */
+  setLanguage(feedId, language, userId = null) {
+    db.transaction(() => {
+      db.prepare('DELETE FROM feed_languages WHERE feed_id = ? AND user_id IS ?').run(feedId, userId);
+      if (language) {
+        db.prepare('INSERT INTO feed_languages (user_id, feed_id, language) VALUES (?, ?, ?)').run(userId, feedId, language);
+      }
+    })();
+  },
+
+  /**
+   * 原文的语言：订阅源指定的语言优先，否则本地检测
+   * @returns {string|null} - 无法判断时为 null
+   */
+  resolveLanguage(text, feedId, userId = null) {
+    return this.getLanguage(feedId, userId) || detectLanguage(text);
+  },
+
+  /**
+   * 原文是否已是目标语言（是则跳过翻译）
+   * @param {string} text
+   * @param {string} targetLang - 目标语言 ID
+   * @param {number|null} feedId
+   * @param {number|null} userId
+   * @returns {{ skip: boolean, sourceLang: string|null }}
+   */
+  checkSameLanguage(text, targetLang, feedId, userId = null) {
+    const sourceLang = this.resolveLanguage(text, feedId, userId);
+    return { skip: isSameLanguage(sourceLang, targetLang), sourceLang };
+  }
+};
+
+export default FeedLanguageService;
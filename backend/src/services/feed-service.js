@@ -0,0 +1,176 @@
+/**
+ * Feed Service - 简报 Atom 订阅源
+ *
+ * 让任意阅读器（包括 Miniflux 本身）订阅生成的简报：
+ * 1. 阅读器无法携带会话 token，订阅地址通过 ?token= 携带每个用户独立的订阅 token
+ * 2. 简报 Markdown 转为 HTML 作为 Atom entry 的 content
+ * 3. ETag 由条目的标题与正文计算（标记已读不影响），Last-Modified 取最新的生成时间，支持条件请求（304）
+ */
+
+import { createHash, randomBytes } from 'node:crypto';
+import db from '../db/index.js';
+import { escapeHtml, renderMarkdown } from '../utils/markdown.js';
+
+const DEFAULT_FEED_LIMIT = 20;
+const MAX_FEED_LIMIT = 100;
+
+function generateToken() {
+  return randomBytes(24).toString('hex');
+}
+
+/**
+ * SQLite 时间（UTC，"YYYY-MM-DD HH:MM:SS"）-> Date
+ */
+function parseDbTime(value) {
+  if (!value) return new Date(0);
+  const date = new Date(`${String(value).replace(' ', 'T')}Z`);
+  return Number.isNaN(date.getTime()) ? new Date(0) : date;
+}
+
+/**
+ * FeedService 主对象
+ */
+export const FeedService = {
+  /**
+   * 获取用户的订阅 token（不存在时创建）
+   * @param {number|null} userId - 归属用户（null 为匿名空间）
+   * @returns {string}
+   */
+  getToken(userId = null) {
+    const row = db.prepare('SELECT token FROM feed_tokens WHERE user_id IS ? ORDER BY id LIMIT 1').get(userId);
+    if (row) return row.token;
+
+    const token = generateToken();
+    db.prepare('INSERT INTO feed_tokens (user_id, token) VALUES (?, ?)').run(userId, token);
+    return token;
+  },
+
+  /**
+   * 重置订阅 token，旧的订阅地址立即失效
+   * @param {number|null} userId
+   * @returns {string}
+   */
+  regenerateToken(userId = null) {
+    const token = generateToken();
+
+    db.transaction(() => {
+      db.prepare('DELETE FROM feed_tokens WHERE user_id IS ?').run(userId);
+      db.prepare('INSERT INTO feed_tokens (user_id, token) VALUES (?, ?)').run(userId, token);
+    })();
+
+    return token;
+  },
+
+  /**
+   * 校验订阅 token
+   * @param {string} token
+   * @returns {{ userId: number|null }|null}
+   */
+  resolveToken(token) {
+    if (!token) return null;
+
+    const row = db.prepare(`
+      SELECT t.id, t.user_id, u.is_active
+      FROM feed_tokens t LEFT JOIN users u ON u.id = t.user_id
+      WHERE t.token = ?
+    `).get(token);
+
+    if (!row || (row.user_id !== null && row.is_active !== 1)) return null;
+
+    db.prepare('UPDATE feed_tokens SET last_used_at = CURRENT_TIMESTAMP WHERE id = ?').run(row.id);
+    return { userId: row.user_id };
+  },
+
+  /**
+   * 订阅源中的简报（最新的在前）
+   * @param {object} options - { userId, scope, scopeId, taskId, limit }
+   */
+  getFeedDigests(options = {}) {
+    const { scope, scopeId, taskId, userId = null } = options;
+    const limit = Math.min(Math.max(parseInt(options.limit) || DEFAULT_FEED_LIMIT, 1), MAX_FEED_LIMIT);
+
+    let whereClause = 'user_id IS ?';
+    const params = [userId];
+
+    if (scope) {
+      whereClause += ' AND scope = ?';
+      params.push(scope);
+    }
+
+    if (scopeId !== undefined && scopeId !== null) {
+      whereClause += ' AND scope_id = ?';
+      params.push(scopeId);
+    }
+
+    if (taskId !== undefined && taskId !== null) {
+      whereClause += ' AND task_id = ?';
+      params.push(taskId);
+    }
+
+    return db.prepare(`
+      SELECT id, title, content, scope, scope_name, article_count, hours, generated_at
+      FROM digests
+      WHERE ${whereClause}
+      ORDER BY generated_at DESC, id DESC
+      LIMIT ?
+    `).all(...params, limit);
+  },
+
+  /**
+   * 条件请求校验值
+   * @returns {{ etag: string, lastModified: Date }}
+   */
+  getValidators(digests, feedId) {
+    const lastModified = digests.reduce((latest, d) => Math.max(latest, parseDbTime(d.generated_at).getTime()), 0);
+
+    const hash = createHash('sha256').update(feedId);
+    for (const d of digests) {
+      hash.update(`\u0000${d.id}\u0000${d.title}\u0000${d.content}`);
+    }
+
+    // HTTP 日期精确到秒
+    return { etag: `W/"${hash.digest('hex').slice(0, 32)}"`, lastModified: new Date(Math.floor(lastModified / 1000) * 1000) };
+  },
+
+  /**
+   * 渲染 Atom 文档
+   * @param {object[]} digests - getFeedDigests() 的结果
+   * @param {object} options - { id, entryIdPrefix, title, selfUrl, appUrl, updated }
+   *   entryIdPrefix: 条目 id 前缀，同一简报在不同订阅源中的 id 保持一致
+   * @returns {string}
+   */
+  renderAtom(digests, options) {
+    const { id, entryIdPrefix, title, selfUrl, appUrl, updated } = options;
+    const baseUrl = (appUrl || '').replace(/\/$/, '');
+
+    const entries = digests.map(digest => {
+      const link = baseUrl ? `\n    <link rel="alternate" type="text/html" href="${escapeHtml(`${baseUrl}/digest/${digest.id}`)}" />` : '';
+      const published = parseDbTime(digest.generated_at).toISOString();
+      const category = digest.scope_name
+        ? `\n    <category term="${escapeHtml(digest.scope)}" label="${escapeHtml(digest.scope_name)}" />`
+        : '';
+
+      return `  <entry>
+    <id>${escapeHtml(`${entryIdPrefix}:digest:${digest.id}`)}</id>
+    <title>${escapeHtml(digest.title)}</title>${link}
+    <published>${published}</published>
+    <updated>${published}</updated>${category}
+    <content type="html">${escapeHtml(renderMarkdown(digest.content))}</content>
+  </entry>`;
+    });
+
+    return `<?xml version="1.0" encoding="utf-8"?>
+<feed xmlns="http://www.w3.org/2005/Atom">
+  <id>${escapeHtml(id)}</id>
+  <title>${escapeHtml(title)}</title>
+  <updated>${(updated || new Date(0)).toISOString()}</updated>
+  <link rel="self" type="application/atom+xml" href="${escapeHtml(selfUrl)}" />${baseUrl ? `\n  <link rel="alternate" type="text/html" href="${escapeHtml(`${baseUrl}/digest`)}" />` : ''}
+  <author><name>ReactFlux</name></author>
+  <generator>ReactFlux AI Backend</generator>
+${entries.join('\n')}
+</feed>
+`;
+  }
+};
+
+export default FeedService;
@@ -0,0 +1,332 @@
+/**
+ * Glossary Service - 翻译术语表
+ *
+ * 让产品名、专业术语在文章翻译与标题翻译中保持一致：
+ * 1. 术语分全局与按订阅源两级；同一术语订阅源级优先，指定目标语言的条目优先于任意语言
+ * 2. translation 为空表示不翻译（保持原文），否则强制使用给定译法
+ * 3. 翻译时只把原文中出现的术语写入 Prompt（{{glossary}} 占位符，模板中没有时放在开头）
+ * 4. 适用术语的哈希计入 AI 缓存键，前端标题缓存使用全部术语的版本号，修改术语后旧译文自动失效
+ * 5. 支持 CSV 导入：term,translation,target_lang，首行可为表头
+ */
+
+import { createHash } from 'node:crypto';
+import db from '../db/index.js';
+
+export const MAX_TERM_LENGTH = 200;
+export const MAX_IMPORT_TERMS = 2000;
+
+const HEADER_ALIASES = {
+  term: 'term',
+  source: 'term',
+  translation: 'translation',
+  target: 'translation',
+  target_lang: 'targetLang',
+  targetlang: 'targetLang',
+  language: 'targetLang',
+  lang: 'targetLang'
+};
+
+function hash(rows) {
+  return createHash('sha256').update(JSON.stringify(rows)).digest('hex').slice(0, 12);
+}
+
+function serializeTerm(row) {
+  return {
+    id: row.id,
+    feedId: row.feed_id,
+    term: row.term,
+    translation: row.translation,
+    targetLang: row.target_lang,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at
+  };
+}
+
+/**
+ * 解析 CSV 文本（支持双引号转义与 CRLF）
+ * @param {string} text
+ * @returns {string[][]}
+ */
+function parseCsvRows(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (field || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  return rows.filter(cells => cells.some(cell => cell.trim()));
+}
+
+/**
+ * 解析术语表 CSV
+ * 列顺序默认为 term,translation,target_lang；首行为表头时按表头识别列
+ * @param {string} text - CSV 内容
+ * @returns {{ terms: Array<{ term, translation, targetLang }>, errors: Array<{ line: number, error: string }> }}
+ */
+export function parseGlossaryCsv(text) {
+  const rows = parseCsvRows(String(text || '').replace(/^\uFEFF/, ''));
+  let columns = ['term', 'translation', 'targetLang'];
+  let firstLine = 1;
+
+  const header = rows[0]?.map(cell => HEADER_ALIASES[cell.trim().toLowerCase()]);
+  if (header?.includes('term')) {
+    columns = header;
+    firstLine = 2;
+    rows.shift();
+  }
+
+  const terms = [];
+  const errors = [];
+
+  rows.forEach((cells, index) => {
+    const line = index + firstLine;
+    const values = {};
+    columns.forEach((column, i) => {
+      if (column) values[column] = (cells[i] || '').trim();
+    });
+
+    const error = validateTerm(values);
+    if (error) {
+      errors.push({ line, error });
+    } else {
+      terms.push({ term: values.term, translation: values.translation || null, targetLang: values.targetLang || '' });
+    }
+  });
+
+  return { terms, errors };
+}
+
+/**
+ * 校验单个术语
+ * @param {object} data - { term, translation, targetLang }
+ * @returns {string|null} - 错误信息
+ */
+export function validateTerm(data) {
+  const { term, translation, targetLang } = data || {};
+
+  if (typeof term !== 'string' || !term.trim()) {
+    return 'Term is required';
+  }
+  if (term.trim().length > MAX_TERM_LENGTH || (typeof translation === 'string' && translation.trim().length > MAX_TERM_LENGTH)) {
+    return `Terms and translations are limited to ${MAX_TERM_LENGTH} characters`;
+  }
+  if (translation !== undefined && translation !== null && typeof translation !== 'string') {
+    return 'Translation must be a string';
+  }
+  if (targetLang && (typeof targetLang !== 'string' || !/^[A-Za-z]{2,3}(-[A-Za-z0-9]{2,8})*$/.test(targetLang))) {
+    return `Invalid language: ${targetLang}`;
+  }
+
+  return null;
+}
+
+/**
+ * 生成写入 Prompt 的术语说明（只包含原文中出现的术语）
+ * @param {Array<object>} terms - getApplicableTerms 的结果
+ * @param {string} text - 待翻译原文
+ * @returns {string} - 没有命中的术语时为空字符串
+ */
+export function buildGlossaryInstructions(terms, text) {
+  const source = String(text || '').toLowerCase();
+  const lines = terms
+    .filter(item => source.includes(item.term.toLowerCase()))
+    .map(item => (item.translation
+      ? `- Translate "${item.term}" as "${item.translation}"`
+      : `- Keep "${item.term}" as written (do not translate it)`));
+
+  if (lines.length === 0) return '';
+
+  return `\nGlossary (follow it exactly):\n${lines.join('\n')}\n`;
+}
+
+/**
+ * 缓存键中标识术语表的部分（没有适用术语时为 null，保持原有缓存键不变）
+ * @param {Array<object>} terms - getApplicableTerms 的结果
+ * @returns {string|null}
+ */
+export function toGlossaryKey(terms) {
+  return terms.length > 0 ? `glossary:${hash(terms)}` : null;
+}
+
+/**
+ * GlossaryService 主对象
+ */
+export const GlossaryService = {
+  /**
+   * 用户的术语
+   * @param {number|null} userId
+   * @param {object} [filter] - { feedId }：省略时返回全部，null 只返回全局术语
+   */
+  getTerms(userId = null, filter = {}) {
+    if (filter.feedId === undefined) {
+      return db.prepare('SELECT * FROM glossary_terms WHERE user_id IS ? ORDER BY feed_id, term COLLATE NOCASE, target_lang')
+        .all(userId)
+        .map(serializeTerm);
+    }
+
+    return db.prepare('SELECT * FROM glossary_terms WHERE user_id IS ? AND feed_id IS ? ORDER BY term COLLATE NOCASE, target_lang')
+      .all(userId, filter.feedId)
+      .map(serializeTerm);
+  },
+
+  /**
+   * 获取单个术语
+   */
+  getTerm(id, userId = null) {
+    const row = db.prepare('SELECT * FROM glossary_terms WHERE id = ? AND user_id IS ?').get(id, userId);
+    return row ? serializeTerm(row) : null;
+  },
+
+  /**
+   * 同一范围（订阅源 + 目标语言）下已有的同名术语（不区分大小写）
+   * @returns {object|null}
+   */
+  findTerm(term, feedId, targetLang, userId = null) {
+    const row = db.prepare(`
+      SELECT * FROM glossary_terms
+      WHERE user_id IS ? AND feed_id IS ? AND target_lang = ? AND term = ? COLLATE NOCASE
+    `).get(userId, feedId ?? null, targetLang || '', term.trim());
+    return row ? serializeTerm(row) : null;
+  },
+
+  /**
+   * 创建术语
+   * @param {object} data - { feedId, term, translation, targetLang }
+   */
+  createTerm(data, userId = null) {
+    const result = db.prepare(`
+      INSERT INTO glossary_terms (user_id, feed_id, term, translation, target_lang)
+      VALUES (?, ?, ?, ?, ?)
+    `).run(userId, data.feedId ?? null, data.term.trim(), data.translation?.trim() || null, data.targetLang || '');
+
+    return this.getTerm(result.lastInsertRowid, userId);
+  },
+
+  /**
+   * 更新术语
+   * @returns {object|null} - 不存在时为 null
+   */
+  updateTerm(id, data, userId = null) {
+    const result = db.prepare(`
+      UPDATE glossary_terms SET
+        feed_id = ?, term = ?, translation = ?, target_lang = ?, updated_at = CURRENT_TIMESTAMP
+      WHERE id = ? AND user_id IS ?
+    `).run(data.feedId ?? null, data.term.trim(), data.translation?.trim() || null, data.targetLang || '', id, userId);
+
+    return result.changes > 0 ? this.getTerm(id, userId) : null;
+  },
+
+  /**
+   * 删除术语
+   * @returns {boolean}
+   */
+  deleteTerm(id, userId = null) {
+    return db.prepare('DELETE FROM glossary_terms WHERE id = ? AND user_id IS ?').run(id, userId).changes > 0;
+  },
+
+  /**
+   * 导入术语：同一范围下的同名术语覆盖译法，其余新增
+   * @param {Array<object>} terms - parseGlossaryCsv 的结果
+   * @param {object} options - { feedId, replace: 先清空该范围的术语 }
+   * @returns {{ created: number, updated: number }}
+   */
+  importTerms(terms, { feedId = null, replace = false } = {}, userId = null) {
+    let created = 0;
+    let updated = 0;
+
+    db.transaction(() => {
+      if (replace) {
+        db.prepare('DELETE FROM glossary_terms WHERE user_id IS ? AND feed_id IS ?').run(userId, feedId);
+      }
+
+      for (const item of terms) {
+        const existing = this.findTerm(item.term, feedId, item.targetLang, userId);
+        if (existing) {
+          this.updateTerm(existing.id, { ...item, feedId }, userId);
+          updated++;
+        } else {
+          this.createTerm({ ...item, feedId }, userId);
+          created++;
+        }
+      }
+    })();
+
+    return { created, updated };
+  },
+
+  /**
+   * 翻译时适用的术语：全局 + 订阅源，同一术语订阅源级优先、指定语言优先
+   * @param {number|null} userId
+   * @param {number|null} feedId
+   * @param {string} language - 目标语言 ID
+   * @returns {Array<{ term: string, translation: string|null }>}
+   */
+  getApplicableTerms(userId, feedId, language) {
+    const rows = db.prepare(`
+      SELECT term, translation, feed_id, target_lang FROM glossary_terms
+      WHERE user_id IS ? AND (feed_id IS NULL OR feed_id IS ?) AND target_lang IN (?, '')
+      ORDER BY feed_id IS NOT NULL, target_lang != '', id
+    `).all(userId, feedId ?? null, language || '');
+
+    // 后出现的（更具体的）覆盖先出现的
+    const terms = new Map();
+    for (const row of rows) {
+      terms.set(row.term.toLowerCase(), { term: row.term, translation: row.translation });
+    }
+
+    return [...terms.values()].sort((a, b) => b.term.length - a.term.length);
+  },
+
+  /**
+   * 订阅源在目标语言下的术语表缓存键标识（供直接读写缓存的调用方使用）
+   * @returns {string|null}
+   */
+  getGlossaryKey(userId, feedId, language) {
+    return toGlossaryKey(this.getApplicableTerms(userId, feedId, language));
+  },
+
+  /**
+   * 用户全部术语的版本号（前端标题缓存键使用；没有术语时为空字符串）
+   * @returns {string}
+   */
+  getVersion(userId = null) {
+    const rows = db.prepare(`
+      SELECT feed_id, term, translation, target_lang FROM glossary_terms WHERE user_id IS ? ORDER BY id
+    `).all(userId);
+    return rows.length > 0 ? hash(rows) : '';
+  }
+};
+
+export default GlossaryService;
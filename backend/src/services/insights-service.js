@@ -0,0 +1,189 @@
+/**
+ * Insights Service - 结构化文章洞察
+ *
+ * 摘要的结构化模式：要求模型输出 JSON（TL;DR、3-7 条要点、命名实体、主题、情感倾向、是否值得阅读），
+ * 按 schema 校验并修复：
+ * 1. 先本地修复 —— 去掉代码块标记与前后说明文字、尾随逗号，兼容 snake_case 字段名，裁剪超长列表，
+ *    情感与实体类型落到枚举内，评分限制在 0-10
+ * 2. 仍无法解析或缺少必填字段时，把原输出与错误交给模型修复一次
+ */
+
+export const INSIGHT_SENTIMENTS = ['positive', 'neutral', 'negative', 'mixed'];
+export const INSIGHT_ENTITY_TYPES = ['person', 'organization', 'location', 'product', 'event', 'other'];
+
+const MAX_KEY_POINTS = 7;
+const MAX_ENTITIES = 20;
+const MAX_TOPICS = 8;
+
+const SCHEMA_DESCRIPTION = `{
+  "tldr": "one-sentence summary",
+  "keyPoints": ["3 to 7 short key points"],
+  "entities": [{ "name": "entity name as written in the article", "type": "${INSIGHT_ENTITY_TYPES.join('|')}" }],
+  "topics": ["1 to ${MAX_TOPICS} short topic labels"],
+  "sentiment": "${INSIGHT_SENTIMENTS.join('|')}",
+  "worthReading": { "score": 0-10, "reason": "one sentence on why the full article is or is not worth reading" }
+}`;
+
+/**
+ * 构建结构化洞察 Prompt
+ * @param {string} content - 文章正文
+ * @param {object} options - { title, targetLanguage: 语言名称 }
+ */
+export function buildInsightsPrompt(content, { title, targetLanguage }) {
+  return `Analyze the following article and respond with a single JSON object matching this schema:
+
+${SCHEMA_DESCRIPTION}
+
+Rules:
+- Write tldr, keyPoints, topics and worthReading.reason in ${targetLanguage}
+- Keep entity names exactly as they appear in the article (do not translate them)
+- Output only the JSON object, without Markdown code fences or any other text
+${title ? `\nTitle: ${title}\n` : ''}
+Article:
+${content}`;
+}
+
+/**
+ * 修复无效输出的 Prompt
+ */
+function buildRepairPrompt(output, error) {
+  return `The following output was supposed to be a JSON object matching this schema, but it is invalid (${error}):
+
+${SCHEMA_DESCRIPTION}
+
+Output to fix:
+${output}
+
+Respond with only the corrected JSON object.`;
+}
+
+/**
+ * 从模型输出中取出 JSON 对象
+ * @returns {object|null}
+ */
+function extractJson(text) {
+  if (typeof text !== 'string') return null;
+
+  const start = text.indexOf('{');
+  const end = text.lastIndexOf('}');
+  if (start === -1 || end <= start) return null;
+
+  const candidate = text.slice(start, end + 1);
+  for (const attempt of [candidate, candidate.replace(/,\s*([}\]])/g, '$1')]) {
+    try {
+      const parsed = JSON.parse(attempt);
+      return parsed && typeof parsed === 'object' && !Array.isArray(parsed) ? parsed : null;
+    } catch {
+      // 尝试下一种修复
+    }
+  }
+
+  return null;
+}
+
+function cleanString(value) {
+  return typeof value === 'string' ? value.trim() : '';
+}
+
+function uniqueStrings(values, limit) {
+  const seen = new Set();
+  const result = [];
+
+  for (const value of Array.isArray(values) ? values : []) {
+    const text = cleanString(value);
+    const key = text.toLowerCase();
+    if (text && !seen.has(key)) {
+      seen.add(key);
+      result.push(text);
+    }
+  }
+
+  return result.slice(0, limit);
+}
+
+function normalizeEntities(values) {
+  const seen = new Set();
+  const entities = [];
+
+  for (const value of Array.isArray(values) ? values : []) {
+    const name = cleanString(typeof value === 'string' ? value : value?.name);
+    if (!name || seen.has(name.toLowerCase())) continue;
+
+    const type = cleanString(value?.type).toLowerCase();
+    seen.add(name.toLowerCase());
+    entities.push({ name, type: INSIGHT_ENTITY_TYPES.includes(type) ? type : 'other' });
+  }
+
+  return entities.slice(0, MAX_ENTITIES);
+}
+
+function normalizeWorthReading(value) {
+  const raw = value && typeof value === 'object' ? value : { score: value };
+  const score = Number(raw.score);
+
+  return {
+    score: Number.isFinite(score) ? Math.min(10, Math.max(0, Math.round(score))) : null,
+    reason: cleanString(raw.reason)
+  };
+}
+
+/**
+ * 解析并校验模型输出
+ * @param {string} text - 模型输出
+ * @returns {{ insights: object }|{ error: string }}
+ */
+export function parseInsights(text) {
+  const raw = extractJson(text);
+  if (!raw) {
+    return { error: 'output is not a JSON object' };
+  }
+
+  const sentiment = cleanString(raw.sentiment).toLowerCase();
+  const insights = {
+    tldr: cleanString(raw.tldr ?? raw.summary),
+    keyPoints: uniqueStrings(raw.keyPoints ?? raw.key_points, MAX_KEY_POINTS),
+    entities: normalizeEntities(raw.entities),
+    topics: uniqueStrings(raw.topics, MAX_TOPICS),
+    sentiment: INSIGHT_SENTIMENTS.includes(sentiment) ? sentiment : 'neutral',
+    worthReading: normalizeWorthReading(raw.worthReading ?? raw.worth_reading)
+  };
+
+  if (!insights.tldr) {
+    return { error: 'tldr is missing' };
+  }
+  if (insights.keyPoints.length === 0) {
+    return { error: 'keyPoints is empty' };
+  }
+
+  return { insights };
+}
+
+/**
+ * InsightsService 主对象
+ */
+export const InsightsService = {
+  /**
+   * 生成结构化洞察
+   * @param {object} article - { content, title, targetLanguage }
+   * @param {function} complete - (prompt) => Promise<{ content, provider, model }>，调用 AI 并返回输出
+   * @returns {Promise<{ insights: object, provider?: string, model?: string }>}
+   */
+  async generate(article, complete) {
+    const result = await complete(buildInsightsPrompt(article.content, article));
+    let parsed = parseInsights(result.content);
+
+    if (parsed.error) {
+      console.warn(`[Insights] Invalid model output (${parsed.error}), asking the model to repair it`);
+      const repaired = await complete(buildRepairPrompt(result.content, parsed.error));
+      parsed = parseInsights(repaired.content);
+    }
+
+    if (parsed.error) {
+      throw new Error(`AI returned invalid insights: ${parsed.error}`);
+    }
+
+    return { insights: parsed.insights, provider: result.provider, model: result.model };
+  }
+};
+
+export default InsightsService;
@@ -0,0 +1,267 @@
+/**
+ * Job Service - 简报生成任务队列
+ *
+ * 任务持久化在 digest_jobs 表中，后端重启或容器重新部署不会丢失任务：
+ * 1. enqueue() 写入任务并在后台执行
+ * 2. 执行逻辑按任务类型通过 registerHandler() 注册（'generate'、'scheduled'）
+ * 3. 启动时 recover() 重新执行被中断的任务，超过重试次数或过旧的任务标记为失败
+ */
+
+import { randomUUID } from 'node:crypto';
+import db from '../db/index.js';
+
+// 任务类型 -> 执行函数 (params, job) => Promise<{ digest, push }>
+const handlers = new Map();
+
+const ACTIVE_STATUSES = ['pending', 'generating'];
+const MAX_ATTEMPTS = 2;
+const RESUME_WINDOW_HOURS = 2;   // 超过该时间的中断任务不再恢复
+const JOB_RETENTION_DAYS = 7;    // 已结束任务的保留天数
+
+function parseJson(text) {
+  if (!text) return null;
+
+  try {
+    return JSON.parse(text);
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * 数据库行 -> API 响应格式
+ */
+function serializeJob(row) {
+  return {
+    jobId: row.id,
+    type: row.type,
+    taskId: row.task_id,
+    trigger: row.trigger_type,
+    status: row.status,
+    progress: row.progress,
+    stage: row.stage,
+    error: row.error,
+    digestId: row.digest_id,
+    digestTitle: row.digest_title ?? undefined,
+    push: parseJson(row.push_result),
+    attempts: row.attempts,
+    createdAt: row.created_at,
+    startedAt: row.started_at,
+    finishedAt: row.finished_at
+  };
+}
+
+function markFailed(jobId, message) {
+  db.prepare(`
+    UPDATE digest_jobs
+    SET status = 'error', error = ?, finished_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+    WHERE id = ?
+  `).run(message, jobId);
+}
+
+/**
+ * 清理过期的已结束任务
+ */
+function cleanupOldJobs() {
+  db.prepare(`
+    DELETE FROM digest_jobs
+    WHERE status NOT IN ('pending', 'generating') AND created_at < datetime('now', ?)
+  `).run(`-${JOB_RETENTION_DAYS} days`);
+}
+
+/**
+ * 在后台执行任务：数据库读写（如 SQLITE_BUSY）抛出的异常只记录日志，不产生未处理的 rejection
+ */
+function startJob(jobId) {
+  runJob(jobId).catch(error => {
+    console.error(`[JobService] Job ${jobId} could not be run:`, error);
+  });
+}
+
+/**
+ * 执行单个任务
+ */
+async function runJob(jobId) {
+  const row = db.prepare('SELECT * FROM digest_jobs WHERE id = ?').get(jobId);
+  if (!row || !ACTIVE_STATUSES.includes(row.status)) return;
+
+  const handler = handlers.get(row.type);
+  if (!handler) {
+    markFailed(jobId, `Unknown job type: ${row.type}`);
+    return;
+  }
+
+  db.prepare(`
+    UPDATE digest_jobs
+    SET status = 'generating', attempts = attempts + 1, error = NULL,
+        started_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+    WHERE id = ?
+  `).run(jobId);
+
+  const job = {
+    id: jobId,
+    taskId: row.task_id,
+    userId: row.user_id,
+    trigger: row.trigger_type,
+    /**
+     * 上报进度
+     * @param {number} progress - 0-100
+     * @param {string} [stage] - 阶段标识
+     */
+    setProgress(progress, stage) {
+      db.prepare(`
+        UPDATE digest_jobs
+        SET progress = ?, stage = COALESCE(?, stage), updated_at = CURRENT_TIMESTAMP
+        WHERE id = ?
+      `).run(Math.round(progress), stage ?? null, jobId);
+    }
+  };
+
+  try {
+    const result = await handler(parseJson(row.params) || {}, job);
+    const digest = result?.digest ?? null;
+
+    db.prepare(`
+      UPDATE digest_jobs
+      SET status = 'completed', progress = 100, stage = NULL, digest_id = ?, result = ?, push_result = ?,
+          finished_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+      WHERE id = ?
+    `).run(
+      digest?.id ?? null,
+      digest ? JSON.stringify(digest) : null,
+      result?.push != null ? JSON.stringify(result.push) : null,
+      jobId
+    );
+  } catch (error) {
+    console.error(`[JobService] Job ${jobId} failed:`, error);
+    markFailed(jobId, error.message || 'Unexpected error during generation');
+  }
+}
+
+/**
+ * JobService 主对象
+ */
+export const JobService = {
+  /**
+   * 注册任务类型的执行函数
+   * @param {string} type - 任务类型
+   * @param {function} handler - (params, job) => Promise<{ digest, push }>，失败时抛出异常
+   */
+  registerHandler(type, handler) {
+    handlers.set(type, handler);
+  },
+
+  /**
+   * 创建任务并在后台执行
+   * @param {string} type - 任务类型
+   * @param {object} params - 任务参数（JSON 序列化后存储）
+   * @param {object} [options] - { taskId, trigger, userId }
+   * @returns {string} jobId
+   */
+  enqueue(type, params = {}, options = {}) {
+    const { taskId = null, trigger = 'manual', userId = null } = options;
+
+    cleanupOldJobs();
+
+    const jobId = randomUUID();
+    db.prepare(`
+      INSERT INTO digest_jobs (id, type, task_id, user_id, trigger_type, status, progress, params)
+      VALUES (?, ?, ?, ?, ?, 'pending', 0, ?)
+    `).run(jobId, type, taskId, userId, trigger, JSON.stringify(params));
+
+    // Fire-and-forget: process in background
+    startJob(jobId);
+
+    return jobId;
+  },
+
+  /**
+   * 获取单个任务（已完成任务附带简报）
+   * @param {string} jobId
+   * @param {number|null} [userId] - 归属用户（null 为匿名空间）
+   */
+  getJob(jobId, userId = null) {
+    const row = db.prepare('SELECT * FROM digest_jobs WHERE id = ? AND user_id IS ?').get(jobId, userId);
+    if (!row) return null;
+
+    const job = serializeJob(row);
+
+    if (row.status === 'completed') {
+      job.digest = parseJson(row.result);
+    }
+
+    return job;
+  },
+
+  /**
+   * 获取任务列表（最近的在前）
+   * @param {object} options - { status: 'pending,generating', type, taskId, limit, userId }
+   */
+  listJobs(options = {}) {
+    const { status, type, taskId, limit = 20, userId = null } = options;
+
+    let whereClause = 'j.user_id IS ?';
+    const params = [userId];
+
+    const statuses = (status || '').split(',').map(s => s.trim()).filter(Boolean);
+    if (statuses.length > 0) {
+      whereClause += ` AND j.status IN (${statuses.map(() => '?').join(', ')})`;
+      params.push(...statuses);
+    }
+
+    if (type) {
+      whereClause += ' AND j.type = ?';
+      params.push(type);
+    }
+
+    if (taskId !== undefined && taskId !== null) {
+      whereClause += ' AND j.task_id = ?';
+      params.push(taskId);
+    }
+
+    const rows = db.prepare(`
+      SELECT j.*, d.title AS digest_title
+      FROM digest_jobs j
+      LEFT JOIN digests d ON d.id = j.digest_id
+      WHERE ${whereClause}
+      ORDER BY j.created_at DESC, j.rowid DESC
+      LIMIT ?
+    `).all(...params, limit);
+
+    return rows.map(serializeJob);
+  },
+
+  /**
+   * 启动时恢复被中断的任务
+   */
+  recover() {
+    cleanupOldJobs();
+
+    const rows = db.prepare(`
+      SELECT id, attempts, created_at >= datetime('now', ?) AS recent
+      FROM digest_jobs
+      WHERE status IN ('pending', 'generating')
+      ORDER BY created_at
+    `).all(`-${RESUME_WINDOW_HOURS} hours`);
+
+    if (rows.length === 0) return;
+
+    console.log(`[JobService] Found ${rows.length} interrupted job(s)`);
+
+    for (const row of rows) {
+      if (row.attempts >= MAX_ATTEMPTS || !row.recent) {
+        markFailed(row.id, 'Interrupted by server restart');
+        continue;
+      }
+
+      db.prepare(`
+        UPDATE digest_jobs SET status = 'pending', updated_at = CURRENT_TIMESTAMP WHERE id = ?
+      `).run(row.id);
+
+      console.log(`[JobService] Resuming job ${row.id}`);
+      startJob(row.id);
+    }
+  }
+};
+
+export default JobService;
@@ -0,0 +1,121 @@
+/**
+ * Model Service - 服务商模型列表
+ *
+ * 用已保存的 Key 调用各服务商的模型列表 API，替代写死在预设中的模型数组：
+ * 1. 结果缓存在 ai_model_cache 表中，超过 AI_MODELS_REFRESH_HOURS（默认 24 小时）或手动刷新时重新获取
+ * 2. 获取失败时返回过期缓存，没有缓存时只返回预设
+ * 3. 实时列表与预设合并：预设中未出现在实时列表里的模型标记为 source = 'preset'
+ */
+
+import db from '../db/index.js';
+import { getProviderPreset } from '../utils/config.js';
+import { listProviderModels } from './ai-service.js';
+
+const REFRESH_HOURS = parseFloat(process.env.AI_MODELS_REFRESH_HOURS || '24');
+
+/**
+ * SQLite 时间（UTC，"YYYY-MM-DD HH:MM:SS"）-> ISO 字符串
+ */
+function toIsoTime(value) {
+  return value ? `${String(value).replace(' ', 'T')}Z` : null;
+}
+
+/**
+ * 实时列表 + 预设 -> 模型列表（实时在前，按 id 排序）
+ */
+function mergeWithPresets(provider, liveModels) {
+  const preset = getProviderPreset(provider);
+  const models = [...(liveModels || [])]
+    .sort((a, b) => a.id.localeCompare(b.id))
+    .map(model => ({ ...model, source: 'live' }));
+  const listed = new Set(models.map(model => model.id));
+
+  for (const id of preset?.models || []) {
+    if (!listed.has(id)) {
+      models.push({ id, source: 'preset' });
+    }
+  }
+
+  return models;
+}
+
+function readCache(userId, provider, apiUrl) {
+  const row = db.prepare(`
+    SELECT models, fetched_at,
+      (julianday('now') - julianday(fetched_at)) * 24 AS age_hours
+    FROM ai_model_cache
+    WHERE provider = ? AND user_id IS ? AND api_url = ?
+  `).get(provider, userId, apiUrl);
+
+  if (!row) return null;
+
+  try {
+    return { models: JSON.parse(row.models), fetchedAt: toIsoTime(row.fetched_at), ageHours: row.age_hours };
+  } catch {
+    return null;
+  }
+}
+
+function writeCache(userId, provider, apiUrl, models) {
+  db.transaction(() => {
+    db.prepare('DELETE FROM ai_model_cache WHERE provider = ? AND user_id IS ? AND api_url = ?').run(provider, userId, apiUrl);
+    db.prepare(`
+      INSERT INTO ai_model_cache (user_id, provider, api_url, models, fetched_at)
+      VALUES (?, ?, ?, ?, CURRENT_TIMESTAMP)
+    `).run(userId, provider, apiUrl, JSON.stringify(models));
+  })();
+}
+
+/**
+ * ModelService 主对象
+ */
+export const ModelService = {
+  /**
+   * 获取服务商的模型列表
+   * @param {object} options - { provider, apiUrl, apiKeyEncrypted, userId, refresh, cache }
+   *   apiKeyEncrypted: 已保存的 Key（本地服务商可为空）
+   *   refresh: 忽略未过期的缓存
+   *   cache: 为 false 时不读写缓存（探测未保存的地址）
+   * @returns {Promise<{ models: object[], source: 'live'|'cache'|'preset', fetchedAt: string|null, error?: string }>}
+   */
+  async getModels(options) {
+    const { provider, apiKeyEncrypted, userId = null, refresh = false, cache = true } = options;
+    const preset = getProviderPreset(provider);
+    const apiUrl = options.apiUrl || preset?.apiUrl || '';
+
+    if (!preset || preset.listModels === false) {
+      return { models: mergeWithPresets(provider, []), source: 'preset', fetchedAt: null };
+    }
+
+    const cached = cache ? readCache(userId, provider, apiUrl) : null;
+    if (cached && !refresh && cached.ageHours < REFRESH_HOURS) {
+      return { models: mergeWithPresets(provider, cached.models), source: 'cache', fetchedAt: cached.fetchedAt };
+    }
+
+    try {
+      const models = await listProviderModels({ provider, apiUrl, api_key_encrypted: apiKeyEncrypted });
+      if (cache) writeCache(userId, provider, apiUrl, models);
+      return { models: mergeWithPresets(provider, models), source: 'live', fetchedAt: new Date().toISOString() };
+    } catch (error) {
+      console.warn(`[ModelService] Failed to list ${provider} models:`, error.message);
+
+      // 过期缓存也比写死的预设更接近实际
+      if (cached) {
+        return { models: mergeWithPresets(provider, cached.models), source: 'cache', fetchedAt: cached.fetchedAt, error: error.message };
+      }
+
+      return { models: mergeWithPresets(provider, []), source: 'preset', fetchedAt: null, error: error.message };
+    }
+  },
+
+  /**
+   * 清除用户某个服务商的缓存（保存新的地址或 Key 后调用）
+   * @param {string} provider
+   * @param {number|null} userId
+   */
+  invalidate(provider, userId = null) {
+    db.prepare('DELETE FROM ai_model_cache WHERE provider = ? AND user_id IS ?').run(provider, userId);
+  }
+};
+
+export default ModelService;
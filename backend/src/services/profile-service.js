@@ -0,0 +1,165 @@
+/**
+ * Profile Service - 按功能路由的 AI 方案
+ *
+ * 廉价的标题翻译与昂贵的每周简报不必使用同一个模型：
+ * 1. 方案（profile）= 已保存的服务商配置 + 模型 + temperature / max_tokens
+ * 2. 路由表把功能映射到方案；未路由的功能沿用当前启用的配置
+ * 3. 方案的服务商未配置或缺少凭据时忽略路由，同样回退到启用的配置
+ */
+
+import db from '../db/index.js';
+import { hasCredentials } from '../utils/config.js';
+
+// 可路由的功能
+export const ROUTING_FEATURES = ['title_translation', 'article_translation', 'summary', 'chat', 'digest', 'scheduled_digest'];
+
+// 用量台账的功能标识 -> 路由功能
+export const ROUTING_FEATURE_BY_USAGE = {
+  translate_title: 'title_translation',
+  translate: 'article_translation',
+  summarize: 'summary',
+  chat: 'chat',
+  digest: 'digest',
+  scheduled_digest: 'scheduled_digest'
+};
+
+function serializeProfile(row) {
+  return {
+    id: row.id,
+    name: row.name,
+    provider: row.provider,
+    model: row.model,
+    temperature: row.temperature,
+    maxTokens: row.max_tokens,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at
+  };
+}
+
+/**
+ * ProfileService 主对象
+ */
+export const ProfileService = {
+  /**
+   * 用户的方案列表
+   * @param {number|null} userId
+   */
+  getProfiles(userId = null) {
+    return db.prepare('SELECT * FROM ai_profiles WHERE user_id IS ? ORDER BY name, id')
+      .all(userId)
+      .map(serializeProfile);
+  },
+
+  /**
+   * 获取单个方案
+   * @param {number} id
+   * @param {number|null} userId
+   */
+  getProfile(id, userId = null) {
+    const row = db.prepare('SELECT * FROM ai_profiles WHERE id = ? AND user_id IS ?').get(id, userId);
+    return row ? serializeProfile(row) : null;
+  },
+
+  /**
+   * 创建方案
+   * @param {object} data - { name, provider, model, temperature, maxTokens }
+   * @param {number|null} userId
+   */
+  createProfile(data, userId = null) {
+    const result = db.prepare(`
+      INSERT INTO ai_profiles (user_id, name, provider, model, temperature, max_tokens)
+      VALUES (?, ?, ?, ?, ?, ?)
+    `).run(userId, data.name, data.provider, data.model || null, data.temperature ?? null, data.maxTokens ?? null);
+
+    return this.getProfile(result.lastInsertRowid, userId);
+  },
+
+  /**
+   * 更新方案
+   * @param {number} id
+   * @param {object} data - { name, provider, model, temperature, maxTokens }
+   * @param {number|null} userId
+   * @returns {object|null} - 不存在时为 null
+   */
+  updateProfile(id, data, userId = null) {
+    const result = db.prepare(`
+      UPDATE ai_profiles SET
+        name = ?, provider = ?, model = ?, temperature = ?, max_tokens = ?, updated_at = CURRENT_TIMESTAMP
+      WHERE id = ? AND user_id IS ?
+    `).run(data.name, data.provider, data.model || null, data.temperature ?? null, data.maxTokens ?? null, id, userId);
+
+    return result.changes > 0 ? this.getProfile(id, userId) : null;
+  },
+
+  /**
+   * 删除方案（同时移除指向它的路由）
+   * @returns {boolean}
+   */
+  deleteProfile(id, userId = null) {
+    return db.transaction(() => {
+      db.prepare('DELETE FROM ai_feature_routes WHERE profile_id = ? AND user_id IS ?').run(id, userId);
+      return db.prepare('DELETE FROM ai_profiles WHERE id = ? AND user_id IS ?').run(id, userId).changes > 0;
+    })();
+  },
+
+  /**
+   * 路由表
+   * @param {number|null} userId
+   * @returns {object} - { feature: profileId }
+   */
+  getRoutes(userId = null) {
+    const rows = db.prepare('SELECT feature, profile_id FROM ai_feature_routes WHERE user_id IS ?').all(userId);
+    return Object.fromEntries(rows.map(row => [row.feature, row.profile_id]));
+  },
+
+  /**
+   * 替换路由表
+   * @param {object} routes - { feature: profileId|null }，null 表示使用启用的配置
+   * @param {number|null} userId
+   */
+  saveRoutes(routes, userId = null) {
+    const insert = db.prepare('INSERT INTO ai_feature_routes (user_id, feature, profile_id) VALUES (?, ?, ?)');
+
+    db.transaction(() => {
+      db.prepare('DELETE FROM ai_feature_routes WHERE user_id IS ?').run(userId);
+      for (const [feature, profileId] of Object.entries(routes)) {
+        if (profileId != null) {
+          insert.run(userId, feature, profileId);
+        }
+      }
+    })();
+
+    return this.getRoutes(userId);
+  },
+
+  /**
+   * 解析功能所路由到的服务商配置
+   * @param {string} feature - ROUTING_FEATURES 之一
+   * @param {number|null} userId
+   * @returns {object|null} - ai_config 行（model 已替换为方案的模型），附带 temperature、max_tokens、profile；
+   *   未路由或方案不可用时为 null
+   */
+  resolveConfig(feature, userId = null) {
+    const row = db.prepare(`
+      SELECT p.name AS profile, p.model AS profile_model, p.temperature, p.max_tokens,
+        c.provider, c.api_url, c.api_key_encrypted, c.model, c.extra_config
+      FROM ai_feature_routes r
+      JOIN ai_profiles p ON p.id = r.profile_id
+      LEFT JOIN ai_config c ON c.provider = p.provider AND c.user_id IS p.user_id
+      WHERE r.feature = ? AND r.user_id IS ?
+      LIMIT 1
+    `).get(feature, userId);
+
+    if (!row) return null;
+
+    if (!hasCredentials(row)) {
+      console.warn(`[AI] Profile "${row.profile}" routed for ${feature} has no usable provider configuration, using the active one`);
+      return null;
+    }
+
+    const { profile_model: profileModel, ...config } = row;
+    return { ...config, model: profileModel || config.model };
+  }
+};
+
+export default ProfileService;
@@ -0,0 +1,238 @@
+/**
+ * Prompt Service - 可编辑的 Prompt 模板库
+ *
+ * 摘要、翻译、标题翻译的 Prompt 不再写死在路由中：
+ * 1. 每个功能有内置默认模板；用户可按功能 + 目标语言保存自己的模板（language 为空表示任意目标语言）
+ * 2. 解析顺序：目标语言完全匹配 -> 任意语言模板 -> 内置默认
+ * 3. 模板使用 {{placeholder}} 占位符，保存时像简报自定义 Prompt 一样迁移旧的 {placeholder} 写法、
+ *    缺少正文占位符时追加到末尾；未知占位符视为错误
+ * 4. 每次编辑递增 version，自定义模板的 id + version 计入 AI 缓存键，修改后旧结果自动失效
+ * 5. 翻译类功能的 {{glossary}} 为命中的术语说明（见 glossary-service.js），模板中没有该占位符时放在开头
+ */
+
+import db from '../db/index.js';
+
+// 功能 -> 可用占位符（required 为必须出现的正文占位符）
+export const PROMPT_FEATURES = {
+  summarize: { placeholders: ['targetLang', 'content'], required: 'content' },
+  translate: { placeholders: ['targetLang', 'glossary', 'content'], required: 'content' },
+  translate_title: { placeholders: ['targetLang', 'glossary', 'title'], required: 'title' }
+};
+
+// 内置默认模板
+export const DEFAULT_PROMPTS = {
+  summarize: `Please summarize the following content in {{targetLang}}. Keep the summary concise and capture the main points. Only output the summary without any explanations.
+
+Content to summarize:
+{{content}}`,
+
+  translate: `Please translate the following text into {{targetLang}}. Only output the translated text without any explanations or additional content.
+{{glossary}}
+Text to translate:
+{{content}}`,
+
+  translate_title: `Please translate the following title into {{targetLang}}. Only output the translated title without any explanations or additional content.
+{{glossary}}
+Title to translate:
+{{title}}`
+};
+
+// 预览 / 试运行的示例正文
+export const SAMPLE_VARIABLES = {
+  content: 'The city council approved a plan on Tuesday to convert three downtown parking garages into affordable housing. Construction is expected to begin next spring, and officials estimate the project will add roughly 400 apartments by 2028.',
+  title: 'City council approves plan to turn downtown garages into housing'
+};
+
+const PLACEHOLDER_PATTERN = /\{\{\s*(\w+)\s*\}\}/g;
+
+/**
+ * 缓存键中标识自定义模板版本的部分（内置默认为 null，保持原有缓存键不变）
+ */
+function toPromptKey(resolved) {
+  return resolved.id ? `template:${resolved.id}:${resolved.version}` : null;
+}
+
+function serializeTemplate(row) {
+  return {
+    id: row.id,
+    feature: row.feature,
+    language: row.language,
+    name: row.name,
+    template: row.template,
+    version: row.version,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at
+  };
+}
+
+/**
+ * 校验并规范化模板
+ * @param {string} feature - PROMPT_FEATURES 之一
+ * @param {string} template
+ * @returns {{ template: string }|{ error: string }}
+ */
+export function normalizeTemplate(feature, template) {
+  const spec = PROMPT_FEATURES[feature];
+  if (!spec) {
+    return { error: `Unknown prompt feature: ${feature}` };
+  }
+  if (typeof template !== 'string' || !template.trim()) {
+    return { error: 'Template is required' };
+  }
+
+  let normalized = template;
+
+  // 旧写法 {content} -> {{content}}
+  for (const name of spec.placeholders) {
+    if (normalized.includes(`{${name}}`) && !normalized.includes(`{{${name}}}`)) {
+      normalized = normalized.replace(new RegExp(`\\{${name}\\}`, 'g'), `{{${name}}}`);
+    }
+  }
+
+  const unknown = [...normalized.matchAll(PLACEHOLDER_PATTERN)]
+    .map(match => match[1])
+    .filter(name => !spec.placeholders.includes(name));
+  if (unknown.length > 0) {
+    const available = spec.placeholders.map(name => `{{${name}}}`).join(', ');
+    return { error: `Unknown placeholder {{${unknown[0]}}}; available: ${available}` };
+  }
+
+  if (!normalized.includes(`{{${spec.required}}}`)) {
+    normalized = `${normalized.trim()}\n\n{{${spec.required}}}`;
+  }
+
+  return { template: normalized };
+}
+
+/**
+ * 用变量替换模板中的占位符（替换值按原样插入，不解释 $ 等特殊字符）
+ * @param {string} template
+ * @param {object} variables - { targetLang, content | title }
+ * @returns {string}
+ */
+export function renderPrompt(template, variables) {
+  return template.replace(PLACEHOLDER_PATTERN, (match, name) => (
+    Object.hasOwn(variables, name) ? String(variables[name] ?? '') : match
+  ));
+}
+
+/**
+ * PromptService 主对象
+ */
+export const PromptService = {
+  /**
+   * 用户的自定义模板
+   * @param {number|null} userId
+   */
+  getTemplates(userId = null) {
+    return db.prepare('SELECT * FROM prompt_templates WHERE user_id IS ? ORDER BY feature, language, id')
+      .all(userId)
+      .map(serializeTemplate);
+  },
+
+  /**
+   * 获取单个模板
+   * @param {number} id
+   * @param {number|null} userId
+   */
+  getTemplate(id, userId = null) {
+    const row = db.prepare('SELECT * FROM prompt_templates WHERE id = ? AND user_id IS ?').get(id, userId);
+    return row ? serializeTemplate(row) : null;
+  },
+
+  /**
+   * 同一功能 + 语言已有的模板
+   * @returns {object|null}
+   */
+  findTemplate(feature, language, userId = null) {
+    const row = db.prepare(`
+      SELECT * FROM prompt_templates WHERE feature = ? AND language = ? AND user_id IS ?
+    `).get(feature, language || '', userId);
+    return row ? serializeTemplate(row) : null;
+  },
+
+  /**
+   * 创建模板（template 须已经过 normalizeTemplate）
+   * @param {object} data - { feature, language, name, template }
+   * @param {number|null} userId
+   */
+  createTemplate(data, userId = null) {
+    const result = db.prepare(`
+      INSERT INTO prompt_templates (user_id, feature, language, name, template)
+      VALUES (?, ?, ?, ?, ?)
+    `).run(userId, data.feature, data.language || '', data.name, data.template);
+
+    return this.getTemplate(result.lastInsertRowid, userId);
+  },
+
+  /**
+   * 更新模板并递增版本
+   * @param {number} id
+   * @param {object} data - { feature, language, name, template }
+   * @param {number|null} userId
+   * @returns {object|null} - 不存在时为 null
+   */
+  updateTemplate(id, data, userId = null) {
+    const result = db.prepare(`
+      UPDATE prompt_templates SET
+        feature = ?, language = ?, name = ?, template = ?, version = version + 1, updated_at = CURRENT_TIMESTAMP
+      WHERE id = ? AND user_id IS ?
+    `).run(data.feature, data.language || '', data.name, data.template, id, userId);
+
+    return result.changes > 0 ? this.getTemplate(id, userId) : null;
+  },
+
+  /**
+   * 删除模板（即恢复默认）
+   * @returns {boolean}
+   */
+  deleteTemplate(id, userId = null) {
+    return db.prepare('DELETE FROM prompt_templates WHERE id = ? AND user_id IS ?').run(id, userId).changes > 0;
+  },
+
+  /**
+   * 解析功能在目标语言下使用的模板
+   * @param {string} feature - PROMPT_FEATURES 之一
+   * @param {string} language - 目标语言 ID
+   * @param {number|null} userId
+   * @returns {{ template: string, id: number|null, version: number|null }} - 内置默认的 id/version 为 null
+   */
+  resolveTemplate(feature, language, userId = null) {
+    const row = db.prepare(`
+      SELECT id, template, version FROM prompt_templates
+      WHERE feature = ? AND user_id IS ? AND language IN (?, '')
+      ORDER BY language DESC
+      LIMIT 1
+    `).get(feature, userId, language || '');
+
+    return row || { template: DEFAULT_PROMPTS[feature], id: null, version: null };
+  },
+
+  /**
+   * 构建功能的 Prompt
+   * @param {string} feature - PROMPT_FEATURES 之一
+   * @param {object} options - { language: 目标语言 ID, variables: { targetLang: 语言名称, content | title, glossary? } }
+   * @param {number|null} userId
+   * @returns {{ prompt: string, promptKey: string|null }} - promptKey 标识所用的自定义模板版本（用于缓存键）
+   */
+  buildPrompt(feature, options, userId = null) {
+    const resolved = this.resolveTemplate(feature, options.language, userId);
+    const glossary = options.variables.glossary || '';
+    const prompt = renderPrompt(resolved.template, { ...options.variables, glossary });
+
+    return {
+      prompt: glossary && !/\{\{\s*glossary\s*\}\}/.test(resolved.template) ? `${glossary.trim()}\n\n${prompt}` : prompt,
+      promptKey: toPromptKey(resolved)
+    };
+  },
+
+  /**
+   * 功能在目标语言下的缓存键标识（供直接读写缓存的调用方使用）
+   * @returns {string|null}
+   */
+  getPromptKey(feature, language, userId = null) {
+    return toPromptKey(this.resolveTemplate(feature, language, userId));
+  }
+};
+
+export default PromptService;
@@ -7,25 +7,38 @@
  * - 订阅源范围：scope + scope_id + scope_name（all / group / feed）→ 用哪些订阅源
  * - 时间范围：hours → 取「过去 N 小时」内的文章（与定时无关）
  * - 定时（执行频率）：cron_expression + timezone → 何时执行（如每天 9 点）
+ * - 增量模式：incremental → 只取上次成功运行（last_success_at）之后的文章，并排除此前简报用过的文章（digest_entries）
+ * - 延续报道：continue_stories → 把上一期简报的要点交给 Prompt，同一事件只写进展
+ *
+ * 每次运行写入 task_runs（见 TaskRunService），记录触发方式、文章数、Token 用量、推送结果与错误堆栈。
  */
 
 import { CronJob } from 'cron';
 import db from '../db/index.js';
+import { getFallbackConfigs } from './ai-service.js';
 import { DigestService } from './digest-service.js';
+import { JobService } from './job-service.js';
+import { ProfileService } from './profile-service.js';
 import { PushService } from './push-service.js';
+import { TaskRunService, createUsageCounter } from './task-run-service.js';
+import { extractHeadlines } from '../utils/digest-history.js';
 import { decrypt } from '../utils/encryption.js';
 import { getMinifluxCredentials } from '../utils/miniflux.js';
-import { getProviderPreset } from '../utils/config.js';
+import { getProviderPreset, hasCredentials } from '../utils/config.js';
 
 // 存储活跃的定时任务
 const activeJobs = new Map();
 
+// 增量模式的文章记录保留天数
+const ENTRY_HISTORY_DAYS = 90;
+
 /**
- * 从数据库获取 AI 配置
+ * 从数据库获取任务所属用户的 AI 配置（定时简报路由了方案时使用方案的服务商、模型与参数）
+ * @param {number|null} userId - 归属用户（null 为匿名空间）
  */
-function getAIConfig() {
-  const stmt = db.prepare('SELECT * FROM ai_config WHERE is_active = 1 LIMIT 1');
-  const config = stmt.get();
+function getAIConfig(userId) {
+  const config = ProfileService.resolveConfig('scheduled_digest', userId)
+    || db.prepare('SELECT * FROM ai_config WHERE is_active = 1 AND user_id IS ? LIMIT 1').get(userId);
 
   if (!config) return null;
 
@@ -34,7 +47,11 @@ function getAIConfig() {
     apiUrl: config.api_url,
     apiKey: config.api_key_encrypted ? decrypt(config.api_key_encrypted) : null,
     model: config.model,
-    ...parseExtraConfig(config.extra_config)
+    ...parseExtraConfig(config.extra_config),
+    ...(config.temperature != null && { temperature: config.temperature }),
+    ...(config.max_tokens != null && { maxTokens: config.max_tokens }),
+    extraConfig: parseExtraConfig(config.extra_config),
+    fallbacks: getFallbackConfigs(userId, config.provider)
   };
 }
 
@@ -66,11 +83,39 @@ function getNextRunTime(cronExpression, timezone) {
   }
 }
 
+/**
+ * 增量模式：任务此前简报用过的文章 ID
+ */
+function getIncludedEntryIds(taskId) {
+  return db.prepare('SELECT DISTINCT entry_id FROM digest_entries WHERE task_id = ?')
+    .all(taskId)
+    .map(row => row.entry_id);
+}
+
+/**
+ * 延续报道：任务上一期简报的要点
+ */
+function getPreviousHeadlines(taskId) {
+  const previous = db.prepare(`
+    SELECT content FROM digests
+    WHERE task_id = ?
+    ORDER BY generated_at DESC, id DESC
+    LIMIT 1
+  `).get(taskId);
+
+  return previous ? extractHeadlines(previous.content) : [];
+}
+
 /**
  * 执行单个简报任务
+ * @param {object} task - scheduled_tasks 行
+ * @param {object} [job] - 任务队列上下文（用于上报进度，触发方式与 jobId 写入运行记录）
  */
-async function executeTask(task) {
+async function executeTask(task, job) {
   console.log(`[Scheduler] Executing task ${task.id}: ${task.name}`);
+  const startedAt = new Date().toISOString();
+  const runId = TaskRunService.start(task.id, { jobId: job?.id, trigger: job?.trigger, startedAt });
+  const usage = createUsageCounter();
 
   // 更新任务状态
   const updateRunning = db.prepare(`
@@ -82,12 +127,12 @@ async function executeTask(task) {
 
   try {
     // 获取配置
-    const aiConfig = getAIConfig();
-    if (!aiConfig || !aiConfig.apiKey) {
+    const aiConfig = getAIConfig(task.user_id);
+    if (!hasCredentials(aiConfig)) {
       throw new Error('AI not configured');
     }
 
-    const minifluxConfig = getMinifluxCredentials();
+    const minifluxConfig = getMinifluxCredentials(task.user_id);
     if (!minifluxConfig) {
       throw new Error('Miniflux not configured');
     }
@@ -103,16 +148,33 @@ async function executeTask(task) {
       timezone: task.timezone || 'Asia/Shanghai'
     };
 
-    // 生成简报
-    const result = await DigestService.generate(minifluxConfig, aiConfig, options);
+    // 增量模式：首次运行（无 last_success_at）按时间范围取文章，此后只取上次成功运行之后的
+    if (task.incremental === 1) {
+      options.since = task.last_success_at || null;
+      options.excludeEntryIds = getIncludedEntryIds(task.id);
+    }
+
+    if (task.continue_stories === 1) {
+      options.previousHeadlines = getPreviousHeadlines(task.id);
+    }
+
+    // 生成简报（进度按阶段上报：fetching → generating / summarizing → merging）
+    const result = await DigestService.generate(minifluxConfig, aiConfig, {
+      ...options,
+      onProgress: (progress, stage) => job?.setProgress(progress, stage),
+      usage: { feature: 'scheduled_digest', taskId: task.id, onUsage: entry => usage.add(entry) },
+      userId: task.user_id,
+      taskId: task.id
+    });
 
     if (!result.success) {
       throw new Error(result.error || 'Digest generation failed');
     }
 
-    console.log(`[Scheduler] Digest generated: ${result.digest.id} - ${result.digest.title}`);
+    console.log(`[Scheduler] Digest generated: ${result.digest.id} - ${result.digest.title}${result.digest.aiProvider ? ` (via ${result.digest.aiProvider})` : ''}`);
 
     // 推送通知
+    job?.setProgress(90, 'pushing');
     let pushResult = { attempted: false };
 
     if (task.push_enabled === 1 && task.push_config) {
@@ -133,14 +195,24 @@ async function executeTask(task) {
       }
     }
 
-    // 更新下次运行时间
+    // 更新下次运行时间；记录本次开始时间，下次增量运行从这里开始取文章
     const nextRun = getNextRunTime(task.cron_expression, task.timezone);
     const updateNext = db.prepare(`
       UPDATE scheduled_tasks
-      SET next_run_at = ?, last_error = NULL
+      SET next_run_at = ?, last_success_at = ?, last_error = NULL
       WHERE id = ?
     `);
-    updateNext.run(nextRun, task.id);
+    updateNext.run(nextRun, startedAt, task.id);
+
+    db.prepare(`DELETE FROM digest_entries WHERE task_id = ? AND created_at < datetime('now', '-${ENTRY_HISTORY_DAYS} days')`)
+      .run(task.id);
+
+    TaskRunService.finish(runId, {
+      articleCount: result.digest.articleCount,
+      digestId: result.digest.id,
+      usage,
+      push: pushResult.attempted ? pushResult : null
+    });
 
     return { success: true, digest: result.digest, push: pushResult };
 
@@ -154,6 +226,7 @@ async function executeTask(task) {
       WHERE id = ?
     `);
     updateError.run(error.message, task.id);
+    TaskRunService.finish(runId, { usage, error });
 
     return { success: false, error: error.message };
   }
@@ -169,6 +242,8 @@ export const SchedulerService = {
   initialize() {
     console.log('[Scheduler] Initializing scheduler...');
 
+    TaskRunService.markInterrupted();
+
     // 获取所有活跃任务
     const stmt = db.prepare('SELECT * FROM scheduled_tasks WHERE is_active = 1');
     const tasks = stmt.all();
@@ -207,7 +282,7 @@ export const SchedulerService = {
           const task = stmt.get(id);
 
           if (task && task.is_active === 1) {
-            executeTask(task);
+            JobService.enqueue('scheduled', { taskId: id }, { taskId: id, trigger: 'cron', userId: task.user_id });
           } else {
             console.log(`[Scheduler] Task ${id} is no longer active, stopping`);
             this.removeTask(id);
@@ -260,25 +335,31 @@ export const SchedulerService = {
   },
 
   /**
-   * 获取所有任务（从数据库）
+   * 获取用户的所有任务（从数据库）
+   * @param {number|null} [userId] - 归属用户（null 为匿名空间）
    */
-  getAllTasks() {
+  getAllTasks(userId = null) {
     const stmt = db.prepare(`
       SELECT id, name, scope, scope_id, scope_name, hours, target_lang, unread_only,
-             push_enabled, cron_expression, timezone, is_active, last_run_at, next_run_at, last_error,
-             created_at, updated_at
+             incremental, continue_stories, push_enabled, cron_expression, timezone, is_active,
+             last_run_at, last_success_at, next_run_at, last_error, created_at, updated_at
       FROM scheduled_tasks
+      WHERE user_id IS ?
       ORDER BY created_at DESC
     `);
-    return stmt.all();
+    return stmt.all(userId);
   },
 
   /**
    * 获取单个任务
+   * @param {number|string} taskId
+   * @param {number|null} [userId] - 传入时只返回该用户的任务（null 为匿名空间）；省略时不校验归属（调度器内部使用）
    */
-  getTask(taskId) {
-    const stmt = db.prepare('SELECT * FROM scheduled_tasks WHERE id = ?');
-    return stmt.get(taskId);
+  getTask(taskId, userId) {
+    if (userId === undefined) {
+      return db.prepare('SELECT * FROM scheduled_tasks WHERE id = ?').get(taskId);
+    }
+    return db.prepare('SELECT * FROM scheduled_tasks WHERE id = ? AND user_id IS ?').get(taskId, userId);
   },
 
   /**
@@ -293,11 +374,14 @@ export const SchedulerService = {
       hours = 24,
       targetLang = 'Simplified Chinese',
       unreadOnly = true,
+      incremental = false,
+      continueStories = false,
       pushEnabled = false,
       pushConfig,
       cronExpression,
       timezone = 'Asia/Shanghai',
-      isActive = true
+      isActive = true,
+      userId = null
     } = taskData;
 
     // 验证 cron 表达式
@@ -308,12 +392,13 @@ export const SchedulerService = {
 
     const stmt = db.prepare(`
       INSERT INTO scheduled_tasks (
-        name, scope, scope_id, scope_name, hours, target_lang, unread_only,
-        push_enabled, push_config, cron_expression, timezone, is_active, next_run_at
-      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+        user_id, name, scope, scope_id, scope_name, hours, target_lang, unread_only,
+        incremental, continue_stories, push_enabled, push_config, cron_expression, timezone, is_active, next_run_at
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
     `);
 
     const result = stmt.run(
+      userId,
       name,
       scope,
       scopeId || null,
@@ -321,6 +406,8 @@ export const SchedulerService = {
       hours,
       targetLang,
       unreadOnly ? 1 : 0,
+      incremental ? 1 : 0,
+      continueStories ? 1 : 0,
       pushEnabled ? 1 : 0,
       pushConfig ? JSON.stringify(pushConfig) : null,
       cronExpression,
@@ -382,6 +469,16 @@ export const SchedulerService = {
       params.push(updates.unreadOnly ? 1 : 0);
     }
 
+    if (updates.incremental !== undefined) {
+      fields.push('incremental = ?');
+      params.push(updates.incremental ? 1 : 0);
+    }
+
+    if (updates.continueStories !== undefined) {
+      fields.push('continue_stories = ?');
+      params.push(updates.continueStories ? 1 : 0);
+    }
+
     if (updates.pushEnabled !== undefined) {
       fields.push('push_enabled = ?');
       params.push(updates.pushEnabled ? 1 : 0);
@@ -435,9 +532,12 @@ export const SchedulerService = {
     // 先从调度器移除
     this.removeTask(taskId);
 
-    // 从数据库删除
-    const stmt = db.prepare('DELETE FROM scheduled_tasks WHERE id = ?');
-    const result = stmt.run(taskId);
+    // 从数据库删除（连同增量模式的文章记录与运行记录）
+    const result = db.transaction(() => {
+      db.prepare('DELETE FROM digest_entries WHERE task_id = ?').run(taskId);
+      TaskRunService.deleteRuns(taskId);
+      return db.prepare('DELETE FROM scheduled_tasks WHERE id = ?').run(taskId);
+    })();
 
     return { success: result.changes > 0 };
   },
@@ -470,16 +570,21 @@ export const SchedulerService = {
   },
 
   /**
-   * 手动触发任务
+   * 手动触发任务（进入任务队列，通过 GET /api/digests/jobs/:jobId 查询结果）
    */
-  async runTaskNow(taskId) {
+  runTaskNow(taskId) {
     const task = this.getTask(taskId);
 
     if (!task) {
       return { success: false, error: 'Task not found' };
     }
 
-    return executeTask(task);
+    const jobId = JobService.enqueue('scheduled', { taskId: task.id }, {
+      taskId: task.id,
+      trigger: 'manual',
+      userId: task.user_id
+    });
+    return { success: true, jobId };
   },
 
   /**
@@ -508,4 +613,23 @@ export const SchedulerService = {
   }
 };
 
+/**
+ * 任务队列执行定时任务（cron 触发与手动触发共用）
+ */
+JobService.registerHandler('scheduled', async ({ taskId }, job) => {
+  const task = SchedulerService.getTask(taskId);
+
+  if (!task) {
+    throw new Error('Task not found');
+  }
+
+  const result = await executeTask(task, job);
+
+  if (!result.success) {
+    throw new Error(result.error);
+  }
+
+  return result;
+});
+
 export default SchedulerService;
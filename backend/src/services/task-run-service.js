@@ -0,0 +1,182 @@
+/**
+ * Task Run Service - 定时简报运行记录
+ *
+ * executeTask 每次运行写入一行 task_runs：
+ * 1. start() 在运行开始时写入（status = 'running'）
+ * 2. finish() 在结束时写入耗时、文章数、Token 用量、简报 ID、推送结果或错误堆栈
+ * 3. 启动时 markInterrupted() 把服务重启前未结束的运行标记为中断
+ * 每个任务只保留最近 MAX_RUNS_PER_TASK 条记录。
+ */
+
+import db from '../db/index.js';
+
+const MAX_RUNS_PER_TASK = 100;
+
+function parseJson(text) {
+  if (!text) return null;
+
+  try {
+    return JSON.parse(text);
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * 数据库行 -> API 响应格式
+ */
+function serializeRun(row) {
+  return {
+    id: row.id,
+    taskId: row.task_id,
+    jobId: row.job_id,
+    trigger: row.trigger_type,
+    status: row.status,
+    startedAt: row.started_at,
+    finishedAt: row.finished_at,
+    durationMs: row.duration_ms,
+    articleCount: row.article_count,
+    digestId: row.digest_id,
+    digestTitle: row.digest_title ?? undefined,
+    usage: {
+      requests: row.ai_requests || 0,
+      latencyMs: row.ai_ms || 0,
+      promptTokens: row.prompt_tokens || 0,
+      completionTokens: row.completion_tokens || 0,
+      totalTokens: row.total_tokens || 0
+    },
+    push: parseJson(row.push_result),
+    error: row.error,
+    errorStack: row.error_stack
+  };
+}
+
+/**
+ * 创建用量累加器，作为 AI 调用的 onUsage 回调
+ * @returns {{ requests: number, latencyMs: number, promptTokens: number, completionTokens: number, add: function }}
+ */
+export function createUsageCounter() {
+  return {
+    requests: 0,
+    latencyMs: 0,
+    promptTokens: 0,
+    completionTokens: 0,
+    add({ promptTokens = 0, completionTokens = 0, latencyMs = 0 } = {}) {
+      this.requests++;
+      this.latencyMs += latencyMs || 0;
+      this.promptTokens += promptTokens || 0;
+      this.completionTokens += completionTokens || 0;
+    }
+  };
+}
+
+/**
+ * TaskRunService 主对象
+ */
+export const TaskRunService = {
+  /**
+   * 记录一次运行开始
+   * @param {number} taskId
+   * @param {object} [options] - { jobId, trigger: 'manual' | 'cron', startedAt: ISO 字符串 }
+   * @returns {number} runId
+   */
+  start(taskId, options = {}) {
+    const { jobId = null, trigger = 'manual', startedAt = new Date().toISOString() } = options;
+
+    const result = db.prepare(`
+      INSERT INTO task_runs (task_id, job_id, trigger_type, status, started_at)
+      VALUES (?, ?, ?, 'running', ?)
+    `).run(taskId, jobId, trigger, startedAt);
+
+    db.prepare(`
+      DELETE FROM task_runs
+      WHERE task_id = ? AND id NOT IN (
+        SELECT id FROM task_runs WHERE task_id = ? ORDER BY id DESC LIMIT ?
+      )
+    `).run(taskId, taskId, MAX_RUNS_PER_TASK);
+
+    return result.lastInsertRowid;
+  },
+
+  /**
+   * 记录一次运行结束
+   * @param {number} runId
+   * @param {object} outcome - { articleCount, digestId, usage: createUsageCounter() 的结果, push, error: Error }
+   */
+  finish(runId, outcome = {}) {
+    const { articleCount = null, digestId = null, usage, push = null, error = null } = outcome;
+    const run = db.prepare('SELECT started_at FROM task_runs WHERE id = ?').get(runId);
+    if (!run) return;
+
+    const finishedAt = new Date();
+    const promptTokens = usage?.promptTokens || 0;
+    const completionTokens = usage?.completionTokens || 0;
+
+    db.prepare(`
+      UPDATE task_runs
+      SET status = ?, finished_at = ?, duration_ms = ?, article_count = ?, digest_id = ?,
+          ai_requests = ?, ai_ms = ?, prompt_tokens = ?, completion_tokens = ?, total_tokens = ?,
+          push_result = ?, error = ?, error_stack = ?
+      WHERE id = ?
+    `).run(
+      error ? 'error' : 'success',
+      finishedAt.toISOString(),
+      finishedAt.getTime() - new Date(run.started_at).getTime(),
+      articleCount,
+      digestId,
+      usage?.requests || 0,
+      usage?.latencyMs || 0,
+      promptTokens,
+      completionTokens,
+      promptTokens + completionTokens,
+      push ? JSON.stringify(push) : null,
+      error ? error.message : null,
+      error ? error.stack || null : null,
+      runId
+    );
+  },
+
+  /**
+   * 获取任务的运行记录（最近的在前）
+   * @param {number|string} taskId
+   * @param {object} [options] - { limit }
+   */
+  listRuns(taskId, options = {}) {
+    const { limit = 20 } = options;
+
+    const rows = db.prepare(`
+      SELECT r.*, d.title AS digest_title
+      FROM task_runs r
+      LEFT JOIN digests d ON d.id = r.digest_id
+      WHERE r.task_id = ?
+      ORDER BY r.id DESC
+      LIMIT ?
+    `).all(taskId, limit);
+
+    return rows.map(serializeRun);
+  },
+
+  /**
+   * 删除任务的全部运行记录
+   */
+  deleteRuns(taskId) {
+    db.prepare('DELETE FROM task_runs WHERE task_id = ?').run(taskId);
+  },
+
+  /**
+   * 启动时把未结束的运行标记为中断（被中断的任务由 JobService.recover() 重新执行，另起一条记录）
+   */
+  markInterrupted() {
+    const result = db.prepare(`
+      UPDATE task_runs
+      SET status = 'interrupted', finished_at = ?, error = 'Interrupted by server restart'
+      WHERE status = 'running'
+    `).run(new Date().toISOString());
+
+    if (result.changes > 0) {
+      console.log(`[TaskRunService] Marked ${result.changes} unfinished run(s) as interrupted`);
+    }
+  }
+};
+
+export default TaskRunService;
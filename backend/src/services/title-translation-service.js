@@ -0,0 +1,170 @@
+/**
+ * Title Translation Service - 批量标题翻译
+ *
+ * 列表页一屏可能有上百个标题，逐条请求模型既慢又贵：
+ * 1. 按 token 预算把标题装进尽量少的 Prompt，每个标题带编号，要求模型输出 { "编号": "译文" } 的 JSON
+ * 2. 逐一核对编号，缺失或为空的标题重新装包再请求（只重试缺失的部分）
+ * 3. 缓存与同语言跳过由调用方（routes/ai.js）处理
+ */
+
+import { estimateTokenCount } from '../utils/tokens.js';
+
+export const MAX_TITLES_PER_REQUEST = 200;
+
+const MAX_TITLES_PER_PROMPT = 40;
+const PROMPT_TOKEN_BUDGET = parseInt(process.env.AI_TITLE_BATCH_TOKENS || '1500');
+const MAX_RETRIES = 1;
+
+function normalizeTitle(title) {
+  return String(title).replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * 按 token 预算与条数上限分包（保持原顺序）
+ * @param {Array<{ title: string }>} items
+ * @param {number} [budget] - 每个 Prompt 中标题的 token 上限
+ * @returns {Array<Array<object>>}
+ */
+export function packTitleBatches(items, budget = PROMPT_TOKEN_BUDGET) {
+  const batches = [];
+  let current = [];
+  let tokens = 0;
+
+  for (const item of items) {
+    const cost = estimateTokenCount(item.title) + 2;
+    if (current.length > 0 && (tokens + cost > budget || current.length >= MAX_TITLES_PER_PROMPT)) {
+      batches.push(current);
+      current = [];
+      tokens = 0;
+    }
+    current.push(item);
+    tokens += cost;
+  }
+
+  if (current.length > 0) batches.push(current);
+  return batches;
+}
+
+/**
+ * 构建批量标题翻译 Prompt
+ * @param {Array<{ title: string }>} items
+ * @param {object} options - { targetLanguage: 语言名称, glossary: 术语说明（可为空） }
+ */
+export function buildTitleBatchPrompt(items, { targetLanguage, glossary = '' }) {
+  const lines = items.map((item, index) => `${index + 1}. ${normalizeTitle(item.title)}`);
+
+  return `Translate each of the following numbered titles into ${targetLanguage}.
+Respond with a single JSON object that maps each title's number to its translation, for example {"1": "...", "2": "..."}.
+Include every number exactly once. Output only the JSON object, without Markdown code fences or any other text.
+${glossary}
+Titles:
+${lines.join('\n')}`;
+}
+
+/**
+ * 从模型输出中取出译文
+ * 优先解析 JSON 对象（编号 -> 译文）或数组，无法解析时退回到「1. 译文」形式的编号行
+ * @param {string} text - 模型输出
+ * @param {number} count - 标题数量
+ * @returns {string[]} - 与输入顺序对应，缺失的为空字符串
+ */
+export function parseTitleBatchOutput(text, count) {
+  const translations = new Array(count).fill('');
+  if (typeof text !== 'string') return translations;
+
+  const assign = (number, value) => {
+    const index = parseInt(number) - 1;
+    if (index >= 0 && index < count && typeof value === 'string' && value.trim() && !translations[index]) {
+      translations[index] = normalizeTitle(value);
+    }
+  };
+
+  const start = text.search(/[{[]/);
+  const end = Math.max(text.lastIndexOf('}'), text.lastIndexOf(']'));
+  if (start !== -1 && end > start) {
+    try {
+      const parsed = JSON.parse(text.slice(start, end + 1).replace(/,\s*([}\]])/g, '$1'));
+      if (Array.isArray(parsed)) {
+        parsed.forEach((value, index) => {
+          if (typeof value === 'string') {
+            assign(index + 1, value);
+          } else {
+            assign(value?.id ?? value?.n ?? value?.number, value?.translation);
+          }
+        });
+      } else if (parsed && typeof parsed === 'object') {
+        Object.entries(parsed).forEach(([number, value]) => assign(number, value));
+      }
+      return translations;
+    } catch {
+      // 不是合法 JSON，按编号行解析
+    }
+  }
+
+  for (const line of text.split('\n')) {
+    const match = line.match(/^\s*"?(\d+)"?\s*[.):：、-]\s*(.+)$/);
+    if (match) assign(match[1], match[2].replace(/^"|",?$/g, ''));
+  }
+
+  return translations;
+}
+
+/**
+ * TitleTranslationService 主对象
+ */
+export const TitleTranslationService = {
+  /**
+   * 批量翻译标题
+   * @param {Array<{ key: string, title: string }>} items - key 由调用方分配，用于对应结果
+   * @param {object} options
+   *   - targetLanguage: 语言名称
+   *   - getGlossary: (titles) => 术语说明，可选
+   *   - complete: (prompt) => Promise<{ content, provider, model }>，调用 AI 并返回输出
+   * @returns {Promise<{ translations: Map<string, string>, errors: Map<string, string>, requests: number, provider?: string, model?: string }>}
+   */
+  async translate(items, { targetLanguage, getGlossary = () => '', complete }) {
+    const translations = new Map();
+    const errors = new Map();
+    let requests = 0;
+    let servedBy = {};
+    let pending = items;
+
+    for (let attempt = 0; attempt <= MAX_RETRIES && pending.length > 0; attempt++) {
+      const missing = [];
+
+      for (const batch of packTitleBatches(pending)) {
+        try {
+          const glossary = getGlossary(batch.map(item => item.title));
+          const result = await complete(buildTitleBatchPrompt(batch, { targetLanguage, glossary }));
+          requests++;
+          servedBy = { provider: result.provider, model: result.model };
+
+          const output = parseTitleBatchOutput(result.content, batch.length);
+          batch.forEach((item, index) => {
+            if (output[index]) {
+              translations.set(item.key, output[index]);
+              errors.delete(item.key);
+            } else {
+              errors.set(item.key, 'Translation missing from model output');
+              missing.push(item);
+            }
+          });
+        } catch (error) {
+          requests++;
+          console.warn(`[TitleTranslation] Batch of ${batch.length} titles failed: ${error.message}`);
+          batch.forEach(item => errors.set(item.key, error.message));
+          missing.push(...batch);
+        }
+      }
+
+      if (missing.length > 0 && attempt < MAX_RETRIES) {
+        console.warn(`[TitleTranslation] ${missing.length} of ${items.length} titles missing, retrying them`);
+      }
+      pending = missing;
+    }
+
+    return { translations, errors, requests, ...servedBy };
+  }
+};
+
+export default TitleTranslationService;
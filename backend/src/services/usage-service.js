@@ -0,0 +1,156 @@
+/**
+ * Usage Service - AI 调用用量台账
+ *
+ * 每次上游 AI 调用（proxyChatRequest）写入一行 ai_usage：
+ * 归属用户、provider、model、feature、Token 数、耗时、成功/失败。统计只返回当前用户的用量。
+ * 服务商未返回 usage 时按 estimateTokenCount 估算，并标记 estimated = 1。
+ */
+
+import db from '../db/index.js';
+import { getModelPricing } from '../utils/config.js';
+
+// 已知的功能标识（其他值统一记为 'chat'）
+export const USAGE_FEATURES = ['chat', 'translate', 'summarize', 'translate_title', 'digest', 'scheduled_digest'];
+
+/**
+ * 按价格表计算成本（USD）
+ */
+function calculateCost(provider, model, promptTokens, completionTokens) {
+  const pricing = getModelPricing(provider, model);
+  if (!pricing) return null;
+
+  return (promptTokens * pricing.input + completionTokens * pricing.output) / 1_000_000;
+}
+
+/**
+ * 聚合行 -> API 响应格式
+ */
+function serializeAggregate(row) {
+  return {
+    requests: row.requests || 0,
+    errors: row.errors || 0,
+    promptTokens: row.prompt_tokens || 0,
+    completionTokens: row.completion_tokens || 0,
+    totalTokens: row.total_tokens || 0,
+    cost: row.cost != null ? Math.round(row.cost * 1_000_000) / 1_000_000 : null
+  };
+}
+
+const AGGREGATE_COLUMNS = `
+  COUNT(*) AS requests,
+  SUM(CASE WHEN u.success = 0 THEN 1 ELSE 0 END) AS errors,
+  SUM(u.prompt_tokens) AS prompt_tokens,
+  SUM(u.completion_tokens) AS completion_tokens,
+  SUM(u.total_tokens) AS total_tokens,
+  SUM(u.cost) AS cost
+`;
+
+/**
+ * UsageService 主对象
+ */
+export const UsageService = {
+  /**
+   * 记录一次 AI 调用（写入失败只打印日志，不影响调用方）
+   * @param {object} entry - { provider, model, feature, taskId, userId, promptTokens, completionTokens, estimated, latencyMs, error }
+   */
+  record(entry) {
+    try {
+      const {
+        provider,
+        model = null,
+        feature = 'chat',
+        taskId = null,
+        userId = null,
+        promptTokens = 0,
+        completionTokens = 0,
+        estimated = false,
+        latencyMs = null,
+        error = null
+      } = entry;
+
+      db.prepare(`
+        INSERT INTO ai_usage (user_id, provider, model, feature, task_id, prompt_tokens, completion_tokens, total_tokens,
+                              estimated, cost, latency_ms, success, error)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+      `).run(
+        userId,
+        provider,
+        model,
+        USAGE_FEATURES.includes(feature) ? feature : 'chat',
+        taskId,
+        promptTokens,
+        completionTokens,
+        promptTokens + completionTokens,
+        estimated ? 1 : 0,
+        calculateCost(provider, model, promptTokens, completionTokens),
+        latencyMs,
+        error ? 0 : 1,
+        error
+      );
+    } catch (err) {
+      console.error('[UsageService] Failed to record usage:', err);
+    }
+  },
+
+  /**
+   * 用量统计：总计、按天、按功能、按模型、按定时任务
+   * @param {object} options - { days, feature, provider, userId }
+   */
+  getUsage(options = {}) {
+    const { days = 30, feature, provider, userId = null } = options;
+
+    let whereClause = "u.user_id IS ? AND u.created_at >= datetime('now', ?)";
+    const params = [userId, `-${days} days`];
+
+    if (feature) {
+      whereClause += ' AND u.feature = ?';
+      params.push(feature);
+    }
+
+    if (provider) {
+      whereClause += ' AND u.provider = ?';
+      params.push(provider);
+    }
+
+    const totals = db.prepare(`
+      SELECT ${AGGREGATE_COLUMNS} FROM ai_usage u WHERE ${whereClause}
+    `).get(...params);
+
+    const byDay = db.prepare(`
+      SELECT date(u.created_at) AS day, ${AGGREGATE_COLUMNS}
+      FROM ai_usage u WHERE ${whereClause}
+      GROUP BY day ORDER BY day
+    `).all(...params);
+
+    const byFeature = db.prepare(`
+      SELECT u.feature, ${AGGREGATE_COLUMNS}
+      FROM ai_usage u WHERE ${whereClause}
+      GROUP BY u.feature ORDER BY total_tokens DESC
+    `).all(...params);
+
+    const byModel = db.prepare(`
+      SELECT u.provider, u.model, ${AGGREGATE_COLUMNS}
+      FROM ai_usage u WHERE ${whereClause}
+      GROUP BY u.provider, u.model ORDER BY total_tokens DESC
+    `).all(...params);
+
+    const byTask = db.prepare(`
+      SELECT u.task_id, t.name AS task_name, ${AGGREGATE_COLUMNS}
+      FROM ai_usage u
+      LEFT JOIN scheduled_tasks t ON t.id = u.task_id AND t.user_id IS u.user_id
+      WHERE ${whereClause} AND u.task_id IS NOT NULL
+      GROUP BY u.task_id ORDER BY total_tokens DESC
+    `).all(...params);
+
+    return {
+      days,
+      totals: serializeAggregate(totals),
+      byDay: byDay.map(row => ({ date: row.day, ...serializeAggregate(row) })),
+      byFeature: byFeature.map(row => ({ feature: row.feature, ...serializeAggregate(row) })),
+      byModel: byModel.map(row => ({ provider: row.provider, model: row.model, ...serializeAggregate(row) })),
+      byTask: byTask.map(row => ({ taskId: row.task_id, taskName: row.task_name, ...serializeAggregate(row) }))
+    };
+  }
+};
+
+export default UsageService;
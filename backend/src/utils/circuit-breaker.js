@@ -0,0 +1,83 @@
+/**
+ * 服务商熔断（进程内）
+ *
+ * 同一服务商（按服务商 + 地址 + API Key 区分）连续失败达到阈值后熔断一段时间，
+ * 期间故障转移直接跳过该服务商；冷却结束后放行请求试探，成功即恢复，失败则再次熔断。
+ *
+ * 可通过环境变量调整：
+ * - AI_CIRCUIT_FAILURE_THRESHOLD：连续失败次数阈值（默认 3）
+ * - AI_CIRCUIT_COOLDOWN_MS：熔断时长（默认 60000）
+ */
+
+const circuits = new Map();
+
+function readIntEnv(name, fallback) {
+  const value = parseInt(process.env[name], 10);
+  return Number.isFinite(value) && value > 0 ? value : fallback;
+}
+
+function getThreshold() {
+  return readIntEnv('AI_CIRCUIT_FAILURE_THRESHOLD', 3);
+}
+
+/**
+ * 熔断是否生效（冷却结束后视为半开，放行请求）
+ * @param {string} key
+ */
+export function isCircuitOpen(key) {
+  const circuit = circuits.get(key);
+  return !!circuit && circuit.failures >= getThreshold() && Date.now() < circuit.openUntil;
+}
+
+/**
+ * 记录一次失败，达到阈值时熔断
+ * @param {string} key
+ */
+export function recordFailure(key) {
+  const circuit = circuits.get(key) || { failures: 0, openUntil: 0 };
+  circuit.failures += 1;
+
+  if (circuit.failures >= getThreshold()) {
+    circuit.openUntil = Date.now() + readIntEnv('AI_CIRCUIT_COOLDOWN_MS', 60000);
+  }
+
+  circuits.set(key, circuit);
+}
+
+/**
+ * 记录一次成功，清除失败计数
+ * @param {string} key
+ */
+export function recordSuccess(key) {
+  circuits.delete(key);
+}
+
+/**
+ * 熔断状态
+ * @param {string} key
+ * @returns {{ state: 'closed'|'open'|'half_open', failures: number, openUntil: string|null }}
+ */
+export function getCircuitState(key) {
+  const circuit = circuits.get(key);
+  if (!circuit) {
+    return { state: 'closed', failures: 0, openUntil: null };
+  }
+
+  let state = 'closed';
+  if (circuit.failures >= getThreshold()) {
+    state = Date.now() < circuit.openUntil ? 'open' : 'half_open';
+  }
+
+  return {
+    state,
+    failures: circuit.failures,
+    openUntil: circuit.openUntil ? new Date(circuit.openUntil).toISOString() : null
+  };
+}
+
+export default {
+  isCircuitOpen,
+  recordFailure,
+  recordSuccess,
+  getCircuitState
+};
@@ -0,0 +1,63 @@
+/**
+ * 简报引用解析
+ *
+ * 简报 Prompt 中每篇文章带引用编号（[#3]），模型在要点末尾标注来源编号。
+ * 生成后把编号从正文中去掉（导出、推送、Atom 中不出现），并记录「要点 -> 文章」的对应关系：
+ * 要点以去掉列表符号与编号后的文本标识，前端按同样规则匹配正文中的行。
+ */
+
+// [#3]、[#3, #5]、[#3,5]
+const CITATION_PATTERN = /\s*\[#\d+(?:\s*,\s*#?\d+)*\]/g;
+const BULLET_PREFIX = /^\s*(?:[-*+]|\d+\.)\s+/;
+
+/**
+ * 去掉列表符号后的行文本（前端 DigestDetail 使用相同规则匹配要点）
+ * @param {string} line
+ * @returns {string}
+ */
+export function toBulletText(line) {
+  return line.replace(BULLET_PREFIX, '').trim();
+}
+
+/**
+ * 解析并去掉正文中的引用编号
+ * @param {string} content - 模型输出
+ * @param {Array<{ index: number }>} articles - 参与生成的文章（index 即引用编号）
+ * @returns {{ content: string, sources: Array<{ bulletIndex: number, bulletText: string, article: object }> }}
+ *   sources 按要点顺序排列；同一要点内按引用顺序去重，无效编号被忽略
+ */
+export function extractCitations(content, articles) {
+  const byIndex = new Map(articles.map(article => [article.index, article]));
+  const sources = [];
+  let bulletIndex = 0;
+
+  const lines = String(content || '').split('\n').map(line => {
+    const markers = line.match(CITATION_PATTERN);
+    if (!markers) return line;
+
+    const cleaned = line
+      .replace(CITATION_PATTERN, '')
+      .replace(/\s+([,.;:!?，。；：！？])/g, '$1')
+      .trimEnd();
+
+    const refs = new Set(markers.flatMap(marker => marker.match(/\d+/g).map(Number)));
+    const cited = [...refs].map(ref => byIndex.get(ref)).filter(Boolean);
+    const bulletText = toBulletText(cleaned);
+
+    if (cited.length > 0 && bulletText) {
+      for (const article of cited) {
+        sources.push({ bulletIndex, bulletText, article });
+      }
+      bulletIndex++;
+    }
+
+    return cleaned;
+  });
+
+  return { content: lines.join('\n'), sources };
+}
+
+export default {
+  extractCitations,
+  toBulletText
+};
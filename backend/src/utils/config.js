@@ -1,6 +1,8 @@
 /**
  * AI Provider configuration presets
- * Contains default API URLs for each supported provider
+ * Contains default API URLs for each supported provider.
+ * `models` is only a fallback: the model picker uses the live listing (GET /api/ai/models),
+ * merged with these presets; providers without a listing API set listModels: false.
  */
 export const PROVIDER_PRESETS = {
   openai: {
@@ -19,25 +21,29 @@ export const PROVIDER_PRESETS = {
     name: '智谱（国内）',
     apiUrl: 'https://open.bigmodel.cn/api/paas/v4',
     defaultModel: 'glm-4-plus',
-    models: ['glm-4-plus', 'glm-4-0520', 'glm-4-air', 'glm-4-airx', 'glm-4-flash']
+    models: ['glm-4-plus', 'glm-4-0520', 'glm-4-air', 'glm-4-airx', 'glm-4-flash'],
+    listModels: false // no model-listing API
   },
   zhipu_intl: {
     name: '智谱（国外）',
     apiUrl: 'https://open.bigmodel.cn/api/paas/v4',
     defaultModel: 'glm-4-plus',
-    models: ['glm-4-plus', 'glm-4-0520', 'glm-4-air', 'glm-4-airx', 'glm-4-flash']
+    models: ['glm-4-plus', 'glm-4-0520', 'glm-4-air', 'glm-4-airx', 'glm-4-flash'],
+    listModels: false // no model-listing API
   },
   minimax: {
     name: 'Minimax（国内）',
     apiUrl: 'https://api.minimax.chat/v1',
     defaultModel: 'abab6.5s-chat',
-    models: ['abab6.5s-chat', 'abab6.5g-chat', 'abab6.5t-chat', 'abab5.5-chat']
+    models: ['abab6.5s-chat', 'abab6.5g-chat', 'abab6.5t-chat', 'abab5.5-chat'],
+    listModels: false // no model-listing API
   },
   minimax_intl: {
     name: 'Minimax（国外）',
     apiUrl: 'https://api.minimax.chat/v1',
     defaultModel: 'abab6.5s-chat',
-    models: ['abab6.5s-chat', 'abab6.5g-chat', 'abab6.5t-chat', 'abab5.5-chat']
+    models: ['abab6.5s-chat', 'abab6.5g-chat', 'abab6.5t-chat', 'abab5.5-chat'],
+    listModels: false // no model-listing API
   },
   google: {
     name: 'Google',
@@ -69,6 +75,26 @@ export const PROVIDER_PRESETS = {
     defaultModel: 'Qwen/Qwen2.5-72B-Instruct',
     models: ['Qwen/Qwen2.5-72B-Instruct', 'Qwen/Qwen2.5-32B-Instruct', 'deepseek-ai/DeepSeek-V2.5']
   },
+  ollama: {
+    // Ollama native API (NDJSON streaming); an URL ending in /v1 switches to its OpenAI-compatible mode,
+    // which also covers llama.cpp server, LM Studio and vLLM
+    name: 'Ollama / 本地模型',
+    apiUrl: 'http://localhost:11434',
+    defaultModel: '',
+    models: [],
+    requiresApiKey: false,
+    local: true
+  },
+  azure: {
+    // Azure OpenAI: extra_config carries resourceName, apiVersion and deployments ({ model: deployment });
+    // apiUrl is derived from the resource name unless a custom endpoint is given
+    name: 'Azure OpenAI',
+    apiUrl: '',
+    defaultModel: 'gpt-4o',
+    models: ['gpt-4o', 'gpt-4o-mini', 'gpt-4.1', 'gpt-4.1-mini', 'o4-mini'],
+    listModels: false, // deployments are configured per resource
+    pricingAs: 'openai'
+  },
   custom: {
     name: '自定义',
     apiUrl: '',
@@ -77,6 +103,65 @@ export const PROVIDER_PRESETS = {
   }
 };
 
+/**
+ * Default timeout of one AI call (digest generation); local providers default to
+ * AI_LOCAL_TIMEOUT_MS (10 minutes) since CPU inference is slow
+ */
+const DEFAULT_REQUEST_TIMEOUT_MS = 120000;
+const DEFAULT_LOCAL_TIMEOUT_MS = 600000;
+
+/**
+ * Azure OpenAI data-plane API version used when extra_config.apiVersion is not set
+ */
+export const AZURE_DEFAULT_API_VERSION = '2024-10-21';
+
+/**
+ * Optional per-model price tables (USD per 1M tokens)
+ * Used by the usage ledger to estimate cost; models without an entry are recorded without cost.
+ * Model names match by exact name first, then by the longest prefix (e.g. dated snapshots).
+ */
+export const MODEL_PRICING = {
+  openai: {
+    'gpt-4o': { input: 2.5, output: 10 },
+    'gpt-4o-mini': { input: 0.15, output: 0.6 },
+    'gpt-4-turbo': { input: 10, output: 30 },
+    'gpt-3.5-turbo': { input: 0.5, output: 1.5 }
+  },
+  anthropic: {
+    'claude-opus-4': { input: 15, output: 75 },
+    'claude-sonnet-4': { input: 3, output: 15 },
+    'claude-3-5-sonnet': { input: 3, output: 15 },
+    'claude-3-5-haiku': { input: 0.8, output: 4 }
+  },
+  google: {
+    'gemini-1.5-pro': { input: 1.25, output: 5 },
+    'gemini-1.5-flash': { input: 0.075, output: 0.3 },
+    'gemini-1.0-pro': { input: 0.5, output: 1.5 }
+  },
+  deepseek: {
+    'deepseek-chat': { input: 0.27, output: 1.1 },
+    'deepseek-reasoner': { input: 0.55, output: 2.19 }
+  }
+};
+
+/**
+ * Get price entry for a provider/model
+ * @param {string} provider - Provider ID
+ * @param {string} model - Model name
+ * @returns {{ input: number, output: number }|null} - USD per 1M tokens or null if unknown
+ */
+export function getModelPricing(provider, model) {
+  const table = MODEL_PRICING[provider] || MODEL_PRICING[PROVIDER_PRESETS[provider]?.pricingAs];
+  if (!table || !model) return null;
+  if (table[model]) return table[model];
+
+  const prefix = Object.keys(table)
+    .filter(name => model.startsWith(name))
+    .sort((a, b) => b.length - a.length)[0];
+
+  return prefix ? table[prefix] : null;
+}
+
 /**
  * Get provider preset by provider ID
  * @param {string} providerId - The provider ID
@@ -104,10 +189,59 @@ export function getProviderList() {
     name: config.name,
     apiUrl: config.apiUrl,
     defaultModel: config.defaultModel,
-    models: config.models
+    models: config.models,
+    requiresApiKey: config.requiresApiKey !== false,
+    local: !!config.local,
+    liveModels: config.listModels !== false
   }));
 }
 
+/**
+ * Whether a provider needs an API key (local servers usually don't)
+ * @param {string} providerId - The provider ID
+ * @returns {boolean}
+ */
+export function providerRequiresApiKey(providerId) {
+  return PROVIDER_PRESETS[providerId]?.requiresApiKey !== false;
+}
+
+/**
+ * Whether a stored or request configuration has the credentials its provider needs
+ * @param {object} config - { provider, api_key_encrypted | apiKeyEncrypted | apiKey }
+ * @returns {boolean}
+ */
+export function hasCredentials(config) {
+  if (!config || !config.provider) return false;
+  return !!(config.api_key_encrypted || config.apiKeyEncrypted || config.apiKey) || !providerRequiresApiKey(config.provider);
+}
+
+/**
+ * Timeout of one AI call
+ * @param {string} providerId - The provider ID
+ * @param {object} [extraConfig] - Parsed extra_config; timeoutMs / timeout_ms overrides the default
+ * @returns {number} - Milliseconds
+ */
+export function getRequestTimeout(providerId, extraConfig = {}) {
+  const override = parseInt(extraConfig?.timeoutMs ?? extraConfig?.timeout_ms, 10);
+  if (override > 0) return override;
+
+  if (PROVIDER_PRESETS[providerId]?.local) {
+    return parseInt(process.env.AI_LOCAL_TIMEOUT_MS, 10) || DEFAULT_LOCAL_TIMEOUT_MS;
+  }
+
+  return DEFAULT_REQUEST_TIMEOUT_MS;
+}
+
+/**
+ * Endpoint of an Azure OpenAI resource
+ * @param {string} resourceName - Resource name (the subdomain of openai.azure.com)
+ * @returns {string} - Base URL, or '' without a resource name
+ */
+export function getAzureBaseUrl(resourceName) {
+  const name = String(resourceName || '').trim();
+  return name ? `https://${name}.openai.azure.com` : '';
+}
+
 /**
  * Validate provider configuration
  * @param {string} provider - Provider ID
@@ -123,11 +257,15 @@ export function validateProviderConfig(provider, config) {
     errors.push(`Unknown provider: ${provider}`);
   }
 
-  if (!config.apiUrl) {
+  if (provider === 'azure') {
+    if (!config.apiUrl && !config.extraConfig?.resourceName) {
+      errors.push('Azure resource name or endpoint URL is required');
+    }
+  } else if (!config.apiUrl) {
     errors.push('API URL is required');
   }
 
-  if (!config.apiKey) {
+  if (!config.apiKey && providerRequiresApiKey(provider)) {
     errors.push('API Key is required');
   }
 
@@ -139,8 +277,14 @@ export function validateProviderConfig(provider, config) {
 
 export default {
   PROVIDER_PRESETS,
+  MODEL_PRICING,
+  getModelPricing,
   getProviderPreset,
   getAllProviderPresets,
   getProviderList,
+  providerRequiresApiKey,
+  hasCredentials,
+  getRequestTimeout,
+  getAzureBaseUrl,
   validateProviderConfig
 };
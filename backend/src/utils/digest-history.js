@@ -0,0 +1,61 @@
+/**
+ * 定时简报历史
+ *
+ * 增量模式：只保留上次成功运行之后发布或被抓取（created_at）的文章，并排除该任务此前简报已用过的文章。
+ * 延续报道：从上一期简报正文中取出要点标题，交给 Prompt 作为「已报道」列表。
+ */
+
+import { toBulletText } from './citations.js';
+
+const MAX_HEADLINES = 30;
+const MAX_HEADLINE_LENGTH = 200;
+
+/**
+ * 过滤出新文章
+ * @param {Array<{ id: number, published_at?: string, created_at?: string }>} entries - Miniflux 文章
+ * @param {object} options
+ *   - since: 上次成功运行时间（Date / ISO 字符串），为空时不按时间过滤
+ *   - excludeIds: 已进入过简报的文章 ID（Set 或数组）
+ * @returns {Array}
+ */
+export function filterNewEntries(entries, { since, excludeIds } = {}) {
+  const sinceTime = since ? new Date(since).getTime() : NaN;
+  const seen = new Set(excludeIds || []);
+
+  return entries.filter(entry => {
+    if (seen.has(entry.id)) return false;
+    if (Number.isNaN(sinceTime)) return true;
+
+    return [entry.published_at, entry.created_at]
+      .some(date => date && new Date(date).getTime() > sinceTime);
+  });
+}
+
+/**
+ * 取出简报中的要点（概述段落与「### 」等标题不计入），用于延续报道
+ * 订阅源清单（--- 之后）被忽略
+ * @param {string} content - digests.content
+ * @param {number} [limit]
+ * @returns {string[]}
+ */
+export function extractHeadlines(content, limit = MAX_HEADLINES) {
+  const body = String(content || '').split(/\n---\n/)[0];
+  const headlines = [];
+
+  for (const line of body.split('\n')) {
+    if (!/^\s*(?:[-*+]|\d+\.)\s+/.test(line)) continue;
+
+    const text = toBulletText(line).replace(/\*\*|__/g, '').trim();
+    if (!text) continue;
+
+    headlines.push(text.length > MAX_HEADLINE_LENGTH ? `${text.slice(0, MAX_HEADLINE_LENGTH)}…` : text);
+    if (headlines.length >= limit) break;
+  }
+
+  return headlines;
+}
+
+export default {
+  extractHeadlines,
+  filterNewEntries
+};
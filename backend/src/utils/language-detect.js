@@ -0,0 +1,136 @@
+/**
+ * 轻量语言检测（本地执行，不联网）
+ *
+ * 用于跳过已是目标语言的标题与段落：
+ * 1. 先按文字系统判断：汉字（简繁按常用字区分）、假名、谚文、西里尔、阿拉伯、泰文
+ * 2. 拉丁字母文本按越南语声调字母、常见虚词和三元组（trigram）在英 / 法 / 德 / 西 / 葡之间打分
+ * 3. 文本过短或得分接近时返回 null，调用方照常翻译
+ *
+ * 前端 src/utils/language-detect.js 使用相同的算法，修改时需保持一致
+ */
+
+// 只在一种写法中出现的常用字
+const SIMPLIFIED_CHARS = '这们说为时会来发对过还没后么见经种实现进动问开与关长气让从当学给边头车书东听买卖运门电话认识请谁该难题应';
+const TRADITIONAL_CHARS = '這們說為時會來發對過還沒後麼見經種實現進動問開與關長氣讓從當學給邊頭車書東聽買賣運門電話認識請誰該難題應';
+
+// 各语言最常见的三元组（按频率排列，空格表示词边界）
+const TRIGRAMS = {
+  en: [' th', 'the', 'he ', 'ed ', ' an', 'nd ', 'and', 'ing', 'ng ', ' to', ' of', 'of ', 'to ', 'ion', ' in', 'er ', 'is ', ' is', 'at ', 'ent', 'tio', 'es ', 're ', 'on ', 'for', ' fo', 'hat', 'tha', ' wh', 'ith', 'wit', ' wi', 'ly ', 'ers', 'ver', ' be', 'his', 'her', 'ere', 'all'],
+  fr: ['es ', ' de', 'de ', 'le ', ' le', 'ent', ' la', 'la ', 'nt ', 'ion', 'les', ' et', 'et ', 'que', ' qu', 'ue ', 'des', ' pa', ' un', 'ne ', 'ans', 'our', ' po', 'ait', 'men', 'ur ', ' pr', 'est', ' es', 'une', 'ous', 'eur', ' so', ' ce', 'ais', 'par', 'pou', 'qui', ' au', 'dan'],
+  de: ['en ', 'er ', 'der', ' de', 'ie ', 'die', ' di', 'ch ', 'ein', 'sch', 'ich', 'und', ' un', 'nd ', 'cht', 'den', 'ten', ' ei', 'ung', ' ge', 'gen', 'che', ' da', 'ine', ' ve', 'ver', ' zu', 'ist', ' is', 'nde', 'ber', 'auf', ' au', 'eit', 'ges', ' mi', 'mit', 'ach', 'das', 'ern'],
+  es: [' de', 'de ', 'os ', ' la', 'la ', 'el ', ' el', 'en ', ' qu', 'que', 'ue ', 'as ', ' co', 'ent', ' en', 'ión', 'ón ', 'ado', ' lo', 'los', ' se', 'nte', 'ara', 'par', ' pa', 'con', 'es ', 'ien', 'ció', 'del', 'ra ', 'ero', ' es', 'ida', 'una', ' un', 'est', ' po', 'por'],
+  pt: [' de', 'de ', 'os ', 'ão ', 'ção', 'as ', ' qu', 'que', 'ue ', ' co', 'do ', 'da ', ' da', ' do', 'ent', ' pa', 'nte', 'com', 'em ', ' em', 'men', 'par', 'ara', 'um ', ' um', 'ado', ' se', 'ões', 'uma', ' na', 'nto', 'ar ', 'ra ', 'ida', 'não', ' nã', ' es', 'est', 'por', ' po']
+};
+
+// 各语言的常见虚词（短文本主要靠它们区分）
+const STOPWORDS = {
+  en: ['the', 'a', 'an', 'and', 'of', 'to', 'in', 'is', 'for', 'on', 'with', 'how', 'why', 'what', 'who', 'i', 'we', 'you', 'it', 'this', 'that', 'from', 'by', 'at', 'are', 'was', 'be', 'new', 'your', 'my', 'our'],
+  fr: ['le', 'la', 'les', 'des', 'de', 'du', 'un', 'une', 'et', 'est', 'pour', 'dans', 'sur', 'avec', 'que', 'qui', 'au', 'aux', 'ne', 'pas', 'en', 'nouveau', 'nouvelle'],
+  de: ['der', 'die', 'das', 'und', 'ist', 'ein', 'eine', 'mit', 'für', 'auf', 'den', 'dem', 'nicht', 'von', 'zu', 'im', 'bei', 'sich', 'wie', 'neue', 'neuer'],
+  es: ['el', 'la', 'los', 'las', 'de', 'del', 'y', 'en', 'un', 'una', 'que', 'por', 'para', 'con', 'es', 'cómo', 'se', 'al', 'nuevo', 'nueva'],
+  pt: ['o', 'a', 'os', 'as', 'de', 'do', 'da', 'dos', 'das', 'e', 'em', 'um', 'uma', 'que', 'para', 'com', 'não', 'no', 'na', 'como', 'é', 'novo', 'nova']
+};
+
+const VIETNAMESE_LETTERS = /[ăâđêôơưạảấầẩẫậắằẳẵặẹẻẽếềểễệỉịọỏốồổỗộớờởỡợụủứừửữựỳỵỷỹ]/g;
+
+const MIN_LATIN_LETTERS = 12;
+const MIN_LATIN_MARGIN = 0.15;
+const STOPWORD_WEIGHT = 40;
+const SHORT_TEXT_LETTERS = 60;
+
+function count(text, pattern) {
+  return text.match(pattern)?.length || 0;
+}
+
+function countChars(text, chars) {
+  let total = 0;
+  for (const char of text) {
+    if (chars.includes(char)) total++;
+  }
+  return total;
+}
+
+function detectChinese(text) {
+  const simplified = countChars(text, SIMPLIFIED_CHARS);
+  const traditional = countChars(text, TRADITIONAL_CHARS);
+  if (simplified > traditional) return 'zh-CN';
+  if (traditional > simplified) return 'zh-TW';
+  return 'zh';
+}
+
+function detectLatin(text) {
+  const letters = count(text, /\p{Script=Latin}/gu);
+  if (letters < MIN_LATIN_LETTERS) return null;
+
+  if (count(text.toLowerCase(), VIETNAMESE_LETTERS) / letters >= 0.05) return 'vi';
+
+  const normalized = ` ${text.toLowerCase().replace(/[^\p{L}]+/gu, ' ').trim()} `;
+  const words = normalized.trim().split(' ');
+  const scores = {};
+  const hits = {};
+  for (const [language, trigrams] of Object.entries(TRIGRAMS)) {
+    const stopwords = STOPWORDS[language];
+    hits[language] = words.filter(word => stopwords.includes(word)).length;
+    scores[language] = hits[language] * STOPWORD_WEIGHT;
+    trigrams.forEach((trigram, rank) => {
+      let index = normalized.indexOf(trigram);
+      while (index !== -1) {
+        scores[language] += trigrams.length - rank;
+        index = normalized.indexOf(trigram, index + 1);
+      }
+    });
+  }
+
+  const [[best, bestScore], [, secondScore]] = Object.entries(scores).sort((a, b) => b[1] - a[1]);
+  if (bestScore === 0 || (bestScore - secondScore) / bestScore < MIN_LATIN_MARGIN) return null;
+  // 短文本的三元组不可靠，至少要命中一个该语言的虚词
+  if (letters < SHORT_TEXT_LETTERS && hits[best] === 0) return null;
+
+  return best;
+}
+
+/**
+ * 检测文本语言
+ * @param {string} text
+ * @returns {string|null} - 语言 ID（zh-CN、zh-TW、en、ja…；无法区分简繁时为 zh），无法判断时为 null
+ */
+export function detectLanguage(text) {
+  const sample = String(text || '').slice(0, 2000);
+
+  const han = count(sample, /\p{Script=Han}/gu);
+  const kana = count(sample, /[\p{Script=Hiragana}\p{Script=Katakana}]/gu);
+  const hangul = count(sample, /\p{Script=Hangul}/gu);
+
+  // 汉字、假名、谚文按字计（泰文按三个字符计），其他文字按词计，混排标题以占多数的一方为准
+  const scripts = [
+    ['cjk', han + kana + hangul],
+    ['th', count(sample, /\p{Script=Thai}/gu) / 3],
+    ['ru', count(sample, /\p{Script=Cyrillic}+/gu)],
+    ['ar', count(sample, /\p{Script=Arabic}+/gu)],
+    ['latin', count(sample, /\p{Script=Latin}+/gu)]
+  ].sort((a, b) => b[1] - a[1]);
+
+  const [script, weight] = scripts[0];
+  if (weight === 0) return null;
+
+  if (script === 'cjk') {
+    if (hangul > han + kana) return 'ko';
+    if (kana > 0 && kana >= (han + kana) * 0.1) return 'ja';
+    return detectChinese(sample);
+  }
+
+  return script === 'latin' ? detectLatin(sample) : script;
+}
+
+/**
+ * 检测到的语言是否就是目标语言（zh 同时匹配简体与繁体）
+ * @param {string|null} language - detectLanguage 的结果或订阅源指定的语言
+ * @param {string} targetLang - 目标语言 ID
+ * @returns {boolean}
+ */
+export function isSameLanguage(language, targetLang) {
+  if (!language || !targetLang) return false;
+  if (language === 'zh') return targetLang.startsWith('zh');
+
+  return language.toLowerCase() === targetLang.toLowerCase();
+}
@@ -0,0 +1,172 @@
+/**
+ * Markdown -> HTML（简报导出用）
+ *
+ * 只覆盖 AI 简报中常见的语法：标题、段落、有序/无序列表（可嵌套）、引用、代码块、分隔线、
+ * 行内代码、粗体、斜体、链接。输出为合法 XHTML，可直接用于 EPUB 章节。
+ * 应用内链接（如文末订阅源清单中的 #/feed/34）在导出文件中无意义，只保留文字。
+ */
+
+export function escapeHtml(text) {
+  return String(text ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * 行内语法：代码、链接、粗体、斜体
+ */
+function renderInline(text) {
+  const codes = [];
+
+  // 先取出行内代码，避免其中的 * 和 [] 被解析
+  let html = escapeHtml(text).replace(/`([^`]+)`/g, (_, code) => {
+    codes.push(`<code>${code}</code>`);
+    return `\u0000${codes.length - 1}\u0000`;
+  });
+
+  html = html
+    .replace(/\[((?:\\\]|[^\]])+)\]\(((?:https?:\/\/|mailto:)[^)\s]+)\)/g, '<a href="$2">$1</a>')
+    .replace(/\[((?:\\\]|[^\]])+)\]\([^)]*\)/g, '$1')
+    .replace(/\\\]/g, ']')
+    .replace(/\*\*(.+?)\*\*/g, '<strong>$1</strong>')
+    .replace(/__(.+?)__/g, '<strong>$1</strong>')
+    .replace(/(^|[^*])\*([^*\s][^*]*?)\*/g, '$1<em>$2</em>');
+
+  return html.replace(/\u0000(\d+)\u0000/g, (_, index) => codes[Number(index)]);
+}
+
+const LIST_ITEM = /^(\s*)([-*+]|\d+[.)])\s+(.*)$/;
+const HORIZONTAL_RULE = /^\s*([-*_])(\s*\1){2,}\s*$/;
+
+/**
+ * 渲染连续的列表行（按缩进嵌套）
+ */
+function renderList(lines) {
+  const out = [];
+  const stack = [];   // { indent, tag }
+
+  for (const line of lines) {
+    const match = line.match(LIST_ITEM);
+
+    if (!match) {
+      // 列表项的续行
+      if (out.length > 0) {
+        out[out.length - 1] = out[out.length - 1].replace(/<\/li>$/, ` ${renderInline(line.trim())}</li>`);
+      }
+      continue;
+    }
+
+    const indent = match[1].replace(/\t/g, '  ').length;
+    const tag = /\d/.test(match[2]) ? 'ol' : 'ul';
+
+    while (stack.length > 0 && indent < stack[stack.length - 1].indent) {
+      out.push(`</${stack.pop().tag}></li>`);
+    }
+
+    const top = stack[stack.length - 1];
+    if (!top || indent > top.indent) {
+      if (top) {
+        // 嵌套列表放进上一个 <li>
+        out[out.length - 1] = out[out.length - 1].replace(/<\/li>$/, '');
+      }
+      stack.push({ indent, tag });
+      out.push(`<${tag}>`);
+    } else if (top.tag !== tag) {
+      out.push(`</${stack.pop().tag}>`, `<${tag}>`);
+      stack.push({ indent, tag });
+    }
+
+    out.push(`<li>${renderInline(match[3])}</li>`);
+  }
+
+  while (stack.length > 0) {
+    const { tag } = stack.pop();
+    out.push(stack.length > 0 ? `</${tag}></li>` : `</${tag}>`);
+  }
+
+  return out.join('\n');
+}
+
+/**
+ * Markdown 转 HTML
+ * @param {string} markdown
+ * @returns {string}
+ */
+export function renderMarkdown(markdown) {
+  const lines = String(markdown ?? '').replace(/\r\n?/g, '\n').split('\n');
+  const blocks = [];
+  let i = 0;
+
+  while (i < lines.length) {
+    const line = lines[i];
+
+    if (!line.trim()) {
+      i++;
+      continue;
+    }
+
+    // 代码块
+    if (/^\s*```/.test(line)) {
+      const code = [];
+      i++;
+      while (i < lines.length && !/^\s*```/.test(lines[i])) {
+        code.push(lines[i]);
+        i++;
+      }
+      i++;
+      blocks.push(`<pre><code>${escapeHtml(code.join('\n'))}</code></pre>`);
+      continue;
+    }
+
+    const heading = line.match(/^(#{1,6})\s+(.*?)\s*#*$/);
+    if (heading) {
+      const level = heading[1].length;
+      blocks.push(`<h${level}>${renderInline(heading[2])}</h${level}>`);
+      i++;
+      continue;
+    }
+
+    if (HORIZONTAL_RULE.test(line)) {
+      blocks.push('<hr />');
+      i++;
+      continue;
+    }
+
+    if (/^\s*>/.test(line)) {
+      const quote = [];
+      while (i < lines.length && /^\s*>/.test(lines[i])) {
+        quote.push(lines[i].replace(/^\s*>\s?/, ''));
+        i++;
+      }
+      blocks.push(`<blockquote>\n${renderMarkdown(quote.join('\n'))}\n</blockquote>`);
+      continue;
+    }
+
+    if (LIST_ITEM.test(line)) {
+      const items = [];
+      while (i < lines.length && lines[i].trim() && (LIST_ITEM.test(lines[i]) || /^\s+\S/.test(lines[i]))) {
+        items.push(lines[i]);
+        i++;
+      }
+      blocks.push(renderList(items));
+      continue;
+    }
+
+    // 段落：连续的普通行
+    const paragraph = [];
+    while (
+      i < lines.length && lines[i].trim() &&
+      !/^(#{1,6}\s|\s*```|\s*>)/.test(lines[i]) && !LIST_ITEM.test(lines[i]) && !HORIZONTAL_RULE.test(lines[i])
+    ) {
+      paragraph.push(renderInline(lines[i].trim()));
+      i++;
+    }
+    blocks.push(`<p>${paragraph.join('<br />\n')}</p>`);
+  }
+
+  return blocks.join('\n');
+}
+
+export default renderMarkdown;
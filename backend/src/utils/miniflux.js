@@ -1,13 +1,32 @@
 import db from '../db/index.js';
 import { decrypt } from './encryption.js';
 
+/**
+ * Get the active Miniflux config row of a user.
+ * Signed-in users without their own config fall back to the admin's (shared deployment account).
+ * @param {number|null} userId - users.id, null for the anonymous scope
+ */
+function getMinifluxConfigRow(userId = null) {
+  const own = db.prepare(`
+    SELECT * FROM miniflux_config WHERE is_active = 1 AND user_id IS ? ORDER BY id LIMIT 1
+  `).get(userId);
+
+  if (own || userId === null) return own;
+
+  return db.prepare(`
+    SELECT m.* FROM miniflux_config m JOIN users u ON u.id = m.user_id
+    WHERE m.is_active = 1 AND u.is_admin = 1
+    ORDER BY u.id, m.id LIMIT 1
+  `).get();
+}
+
 /**
  * Get active Miniflux API credentials (decrypted).
+ * @param {number|null} userId - users.id, null for the anonymous scope
  * @returns {{ apiUrl: string, apiKey: string } | null}
  */
-export function getMinifluxCredentials() {
-  const stmt = db.prepare('SELECT api_url, api_key_encrypted FROM miniflux_config WHERE is_active = 1 LIMIT 1');
-  const row = stmt.get();
+export function getMinifluxCredentials(userId = null) {
+  const row = getMinifluxConfigRow(userId);
   if (!row || !row.api_url) return null;
   const apiKey = row.api_key_encrypted ? decrypt(row.api_key_encrypted) : null;
   if (!apiKey) return null;
@@ -16,3 +35,13 @@ export function getMinifluxCredentials() {
     apiKey
   };
 }
+
+/**
+ * URL of the Miniflux instance a user reads from (entry ids are only unique within one instance).
+ * @param {number|null} userId - users.id, null for the anonymous scope
+ * @returns {string|null}
+ */
+export function getMinifluxInstance(userId = null) {
+  const row = getMinifluxConfigRow(userId);
+  return row?.api_url ? row.api_url.replace(/\/$/, '') : null;
+}
@@ -0,0 +1,99 @@
+/**
+ * 上游请求重试：指数退避 + Retry-After
+ *
+ * 可通过环境变量调整：
+ * - AI_RETRY_MAX_ATTEMPTS：单个服务商的最大尝试次数（默认 3）
+ * - AI_RETRY_BASE_DELAY_MS：首次重试等待（默认 1000，之后每次翻倍，附加 ±20% 抖动）
+ * - AI_RETRY_MAX_DELAY_MS：单次等待上限（默认 30000）；Retry-After 超过上限时不再等待，直接切换服务商
+ */
+
+function readIntEnv(name, fallback) {
+  const value = parseInt(process.env[name], 10);
+  return Number.isFinite(value) && value >= 0 ? value : fallback;
+}
+
+export function getRetryOptions() {
+  return {
+    maxAttempts: Math.max(readIntEnv('AI_RETRY_MAX_ATTEMPTS', 3), 1),
+    baseDelayMs: readIntEnv('AI_RETRY_BASE_DELAY_MS', 1000),
+    maxDelayMs: readIntEnv('AI_RETRY_MAX_DELAY_MS', 30000)
+  };
+}
+
+/**
+ * 限流（429）、请求超时（408）与服务端错误（5xx）值得重试；其余 4xx 重试也不会成功
+ * @param {number} status - HTTP 状态码
+ */
+export function isRetryableStatus(status) {
+  return status === 408 || status === 429 || status >= 500;
+}
+
+/**
+ * 解析 Retry-After（秒数或 HTTP 日期）
+ * @param {string|null} value - 响应头
+ * @returns {number|null} - 等待毫秒数，无法解析时为 null
+ */
+export function parseRetryAfter(value) {
+  if (!value) return null;
+
+  const trimmed = String(value).trim();
+  if (/^\d+(\.\d+)?$/.test(trimmed)) {
+    return Math.round(parseFloat(trimmed) * 1000);
+  }
+
+  const date = Date.parse(trimmed);
+  if (Number.isNaN(date)) return null;
+
+  return Math.max(date - Date.now(), 0);
+}
+
+/**
+ * 计算第 attempt 次失败后的等待时间
+ * @param {number} attempt - 已失败次数（从 1 开始）
+ * @param {number|null} retryAfterMs - 服务商要求的等待时间
+ * @param {object} [options] - getRetryOptions() 的结果
+ * @returns {number|null} - 等待毫秒数；超过上限时为 null（不再重试）
+ */
+export function getBackoffDelay(attempt, retryAfterMs, options = getRetryOptions()) {
+  if (retryAfterMs != null) {
+    return retryAfterMs <= options.maxDelayMs ? retryAfterMs : null;
+  }
+
+  const exponential = options.baseDelayMs * 2 ** (attempt - 1);
+  const jitter = exponential * 0.2 * (Math.random() * 2 - 1);
+  return Math.min(Math.round(exponential + jitter), options.maxDelayMs);
+}
+
+/**
+ * 可中断的等待
+ * @param {number} ms
+ * @param {AbortSignal} [signal]
+ */
+export function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(signal.reason ?? new Error('Aborted'));
+      return;
+    }
+
+    const timer = setTimeout(() => {
+      signal?.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+
+    function onAbort() {
+      clearTimeout(timer);
+      reject(signal.reason ?? new Error('Aborted'));
+    }
+
+    signal?.addEventListener('abort', onAbort, { once: true });
+  });
+}
+
+export default {
+  getRetryOptions,
+  isRetryableStatus,
+  parseRetryAfter,
+  getBackoffDelay,
+  sleep
+};
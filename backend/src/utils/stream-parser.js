@@ -0,0 +1,204 @@
+/**
+ * 流式响应解析：SSE 与 NDJSON
+ *
+ * 网络分块与事件边界无关：一个事件可能跨多次读取，一次读取也可能包含多个事件。
+ * 解析器保留未完成的部分，只返回已完整的事件：
+ * - SSE：按空行分隔事件，支持多行 data（以 \n 拼接）、event 字段、注释/心跳（以 : 开头）与 \r\n 换行
+ * - NDJSON：每行一个 JSON 对象（Ollama 原生接口）
+ *
+ * 另提供 createCompletionReader，汇总 proxyChatRequest 输出的 OpenAI 格式 SSE（非流式调用方使用）。
+ */
+
+/**
+ * 增量 SSE 解析器
+ * @returns {{ push(text: string): Array<{ event: string, data: string, id?: string }>, flush(): Array }}
+ */
+export function createSseParser() {
+  let buffer = '';
+  let dataLines = [];
+  let eventType = '';
+  let eventId;
+
+  const dispatch = (events) => {
+    if (dataLines.length > 0) {
+      events.push({ event: eventType || 'message', data: dataLines.join('\n'), ...(eventId !== undefined && { id: eventId }) });
+    }
+    dataLines = [];
+    eventType = '';
+    eventId = undefined;
+  };
+
+  const processLine = (line, events) => {
+    if (line === '') {
+      dispatch(events);
+      return;
+    }
+
+    // 注释与心跳
+    if (line.startsWith(':')) return;
+
+    const colon = line.indexOf(':');
+    const field = colon === -1 ? line : line.slice(0, colon);
+    let value = colon === -1 ? '' : line.slice(colon + 1);
+    if (value.startsWith(' ')) {
+      value = value.slice(1);
+    }
+
+    switch (field) {
+      case 'data':
+        dataLines.push(value);
+        break;
+      case 'event':
+        eventType = value;
+        break;
+      case 'id':
+        eventId = value;
+        break;
+      default:
+        // retry 及未知字段
+        break;
+    }
+  };
+
+  return {
+    push(text) {
+      const events = [];
+      buffer += text;
+
+      // 末尾的 \r 可能是被拆开的 \r\n，留到下一块再处理
+      const lines = buffer.split(/\r\n|\r(?!$)|\n/);
+      buffer = lines.pop();
+
+      for (const line of lines) {
+        processLine(line, events);
+      }
+
+      return events;
+    },
+
+    /**
+     * 响应结束：处理缓冲区中剩余的内容，并派发最后一个未以空行结尾的事件
+     */
+    flush() {
+      const events = [];
+      if (buffer) {
+        processLine(buffer.replace(/\r$/, ''), events);
+        buffer = '';
+      }
+      dispatch(events);
+      return events;
+    }
+  };
+}
+
+/**
+ * 增量 NDJSON 解析器（无法解析的行被跳过）
+ * @returns {{ push(text: string): object[], flush(): object[] }}
+ */
+export function createNdjsonParser() {
+  let buffer = '';
+
+  const parseLines = (lines) => {
+    const values = [];
+    for (const line of lines) {
+      if (!line.trim()) continue;
+      try {
+        values.push(JSON.parse(line));
+      } catch {
+        // 跳过不完整或非 JSON 的行
+      }
+    }
+    return values;
+  };
+
+  return {
+    push(text) {
+      const lines = `${buffer}${text}`.split('\n');
+      buffer = lines.pop();
+      return parseLines(lines);
+    },
+
+    flush() {
+      const lines = [buffer];
+      buffer = '';
+      return parseLines(lines);
+    }
+  };
+}
+
+/**
+ * 解析完整的 SSE 文本
+ * @param {string} text
+ * @returns {Array<{ event: string, data: string, id?: string }>}
+ */
+export function parseSseText(text) {
+  const parser = createSseParser();
+  return [...parser.push(text), ...parser.flush()];
+}
+
+/**
+ * 错误负载 -> 错误信息（服务商可能返回字符串或 { message, type } 对象）
+ * @param {string|object} error
+ * @returns {string}
+ */
+export function getErrorMessage(error) {
+  if (typeof error === 'string') return error;
+  return error?.message || error?.type || 'AI error';
+}
+
+/**
+ * 汇总 OpenAI 格式 SSE 流的输出文本与错误
+ * @returns {{ push(text: string): void, flush(): void, content: string, error: string|null, payloads: object[] }}
+ *   content: 拼接后的输出文本；error: 第一个错误事件的信息；payloads: 所有 JSON 事件
+ */
+export function createCompletionReader() {
+  const parser = createSseParser();
+
+  const reader = {
+    content: '',
+    error: null,
+    payloads: [],
+
+    push(text) {
+      parser.push(text).forEach(handleEvent);
+    },
+
+    flush() {
+      parser.flush().forEach(handleEvent);
+    }
+  };
+
+  function handleEvent({ data }) {
+    if (!data || data === '[DONE]') return;
+
+    let payload;
+    try {
+      payload = JSON.parse(data);
+    } catch {
+      return;
+    }
+
+    reader.payloads.push(payload);
+
+    if (payload.error) {
+      reader.error ??= getErrorMessage(payload.error);
+      return;
+    }
+
+    const choice = payload.choices?.[0];
+    const text = choice?.delta?.content || choice?.message?.content || payload.content;
+    if (typeof text === 'string') {
+      reader.content += text;
+    }
+  }
+
+  return reader;
+}
+
+export default {
+  createSseParser,
+  createNdjsonParser,
+  parseSseText,
+  getErrorMessage,
+  createCompletionReader
+};
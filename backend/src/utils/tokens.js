@@ -0,0 +1,27 @@
+/**
+ * Estimate token count for a string (same formula as truncateByToken).
+ * 1 CJK char ≈ 1.6 token, ~4 non-CJK chars ≈ 1 token.
+ * @param {string} text
+ * @returns {number}
+ */
+export function estimateTokenCount(text) {
+  if (!text) return 0;
+
+  let accTokens = 0;
+  const len = text.length;
+
+  for (let i = 0; i < len; i++) {
+    const code = text.charCodeAt(i);
+    if (code >= 0x4e00 && code <= 0x9fff) {
+      accTokens += 1.6;
+    } else {
+      accTokens += 0.3;
+    }
+  }
+
+  return Math.ceil(accTokens);
+}
+
+export default {
+  estimateTokenCount
+};
@@ -0,0 +1,57 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { extractCitations, toBulletText } from '../src/utils/citations.js';
+
+const articles = [1, 2, 3].map(index => ({ index, entryId: 100 + index }));
+const cited = (sources) => sources.map(({ bulletIndex, bulletText, article }) => [bulletIndex, bulletText, article.entryId]);
+
+describe('toBulletText', () => {
+  it('drops list markers', () => {
+    assert.equal(toBulletText('- **AI**: news'), '**AI**: news');
+    assert.equal(toBulletText('  * nested'), 'nested');
+    assert.equal(toBulletText('12. numbered'), 'numbered');
+    assert.equal(toBulletText('Plain line '), 'Plain line');
+  });
+});
+
+describe('extractCitations', () => {
+  it('removes reference ids and maps bullets to articles', () => {
+    const { content, sources } = extractCitations(
+      '## Tech\n\n- Apple ships a phone [#1]\n- Two reports agree [#2][#3].\n- No source here',
+      articles
+    );
+
+    assert.equal(content, '## Tech\n\n- Apple ships a phone\n- Two reports agree.\n- No source here');
+    assert.deepEqual(cited(sources), [
+      [0, 'Apple ships a phone', 101],
+      [1, 'Two reports agree.', 102],
+      [1, 'Two reports agree.', 103]
+    ]);
+  });
+
+  it('accepts comma-separated ids and cites each article once per bullet', () => {
+    const { content, sources } = extractCitations('1. 苹果发布新手机 [#1, #3]，[#1]', articles);
+
+    assert.equal(content, '1. 苹果发布新手机，');
+    assert.deepEqual(cited(sources), [[0, '苹果发布新手机，', 101], [0, '苹果发布新手机，', 103]]);
+  });
+
+  it('drops unknown ids without creating a citation', () => {
+    const { content, sources } = extractCitations('- Rumour [#9]\n- Fact [#2]', articles);
+
+    assert.equal(content, '- Rumour\n- Fact');
+    assert.deepEqual(cited(sources), [[0, 'Fact', 102]]);
+  });
+
+  it('cites overview paragraphs too and leaves other brackets alone', () => {
+    const { content, sources } = extractCitations('Overview of the week [#1].\n\n- Released in [2024] [#2]', articles);
+
+    assert.equal(content, 'Overview of the week.\n\n- Released in [2024]');
+    assert.deepEqual(cited(sources), [[0, 'Overview of the week.', 101], [1, 'Released in [2024]', 102]]);
+  });
+
+  it('handles empty output', () => {
+    assert.deepEqual(extractCitations('', articles), { content: '', sources: [] });
+    assert.deepEqual(extractCitations(null, articles), { content: '', sources: [] });
+  });
+});
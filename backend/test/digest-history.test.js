@@ -0,0 +1,47 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { extractHeadlines, filterNewEntries } from '../src/utils/digest-history.js';
+
+const entries = [
+  { id: 1, published_at: '2026-01-02T10:00:00Z', created_at: '2026-01-02T10:05:00Z' },
+  { id: 2, published_at: '2026-01-01T08:00:00Z', created_at: '2026-01-02T09:30:00Z' },
+  { id: 3, published_at: '2026-01-01T07:00:00Z', created_at: '2026-01-01T07:10:00Z' },
+  { id: 4, published_at: '2026-01-02T11:00:00Z' }
+];
+const ids = (list) => list.map(entry => entry.id);
+
+describe('filterNewEntries', () => {
+  it('keeps entries published or added after the last run', () => {
+    assert.deepEqual(ids(filterNewEntries(entries, { since: '2026-01-02T09:00:00Z' })), [1, 2, 4]);
+  });
+
+  it('drops entries already used by earlier digests', () => {
+    assert.deepEqual(ids(filterNewEntries(entries, { since: new Date('2026-01-02T09:00:00Z'), excludeIds: [1] })), [2, 4]);
+    assert.deepEqual(ids(filterNewEntries(entries, { excludeIds: new Set([2, 3]) })), [1, 4]);
+  });
+
+  it('keeps everything without a previous run', () => {
+    assert.deepEqual(ids(filterNewEntries(entries)), [1, 2, 3, 4]);
+    assert.deepEqual(ids(filterNewEntries(entries, { since: null })), [1, 2, 3, 4]);
+  });
+});
+
+describe('extractHeadlines', () => {
+  it('collects bullet points without markdown emphasis or the feed list', () => {
+    const content = 'Overview of the day.\n\n### Tech\n\n- **Apple**: ships a phone\n1. Rates stay flat\n\n---\n\n## Feed Sources\n\n- [Feed](#/feed/1)';
+
+    assert.deepEqual(extractHeadlines(content), ['Apple: ships a phone', 'Rates stay flat']);
+  });
+
+  it('limits the number and length of headlines', () => {
+    const content = ['- a', '- b', `- ${'x'.repeat(300)}`].join('\n');
+
+    assert.deepEqual(extractHeadlines(content, 2), ['a', 'b']);
+    assert.equal(extractHeadlines(content)[2].length, 201);
+  });
+
+  it('handles empty content', () => {
+    assert.deepEqual(extractHeadlines(''), []);
+    assert.deepEqual(extractHeadlines(null), []);
+  });
+});
@@ -0,0 +1,55 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { detectLanguage, isSameLanguage } from '../src/utils/language-detect.js';
+
+describe('detectLanguage', () => {
+  it('detects languages by script', () => {
+    assert.equal(detectLanguage('삼성전자가 새로운 스마트폰을 발표했다'), 'ko');
+    assert.equal(detectLanguage('今日は良い天気ですね、散歩に行きましょう'), 'ja');
+    assert.equal(detectLanguage('Путин заявил о новых мерах'), 'ru');
+    assert.equal(detectLanguage('الحكومة تعلن عن خطة جديدة'), 'ar');
+    assert.equal(detectLanguage('รัฐบาลประกาศแผนใหม่'), 'th');
+  });
+
+  it('tells simplified and traditional Chinese apart', () => {
+    assert.equal(detectLanguage('这是一个关于技术的新闻'), 'zh-CN');
+    assert.equal(detectLanguage('這是一個關於台灣的新聞報導'), 'zh-TW');
+    assert.equal(detectLanguage('中文'), 'zh');
+  });
+
+  it('uses the dominant script of mixed titles', () => {
+    assert.equal(detectLanguage('OpenAI 发布 GPT-5 模型'), 'zh-CN');
+    assert.equal(detectLanguage('Apple releases the new iPhone in 中国'), 'en');
+  });
+
+  it('distinguishes Latin-script languages', () => {
+    assert.equal(detectLanguage('Apple releases the new iPhone with better cameras'), 'en');
+    assert.equal(detectLanguage('Le gouvernement annonce un nouveau plan pour les écoles'), 'fr');
+    assert.equal(detectLanguage('Die Regierung kündigt einen neuen Plan für die Schulen an'), 'de');
+    assert.equal(detectLanguage('El gobierno anuncia un nuevo plan para las escuelas de la ciudad'), 'es');
+    assert.equal(detectLanguage('O governo anuncia um novo plano para as escolas da cidade'), 'pt');
+    assert.equal(detectLanguage('Chính phủ công bố kế hoạch mới cho các trường học'), 'vi');
+  });
+
+  it('returns null when the text is too short or ambiguous', () => {
+    assert.equal(detectLanguage(''), null);
+    assert.equal(detectLanguage('1.30'), null);
+    assert.equal(detectLanguage('Kubernetes 1.30'), null);
+    assert.equal(detectLanguage('Understanding React Server Components'), null);
+  });
+});
+
+describe('isSameLanguage', () => {
+  it('matches language IDs', () => {
+    assert.equal(isSameLanguage('en', 'en'), true);
+    assert.equal(isSameLanguage('zh-CN', 'zh-CN'), true);
+    assert.equal(isSameLanguage('zh-TW', 'zh-CN'), false);
+    assert.equal(isSameLanguage(null, 'en'), false);
+  });
+
+  it('matches undetermined Chinese with both scripts', () => {
+    assert.equal(isSameLanguage('zh', 'zh-CN'), true);
+    assert.equal(isSameLanguage('zh', 'zh-TW'), true);
+    assert.equal(isSameLanguage('zh', 'ja'), false);
+  });
+});
@@ -0,0 +1,153 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  createCompletionReader,
+  createNdjsonParser,
+  createSseParser,
+  getErrorMessage,
+  parseSseText
+} from '../src/utils/stream-parser.js';
+
+const chunk = (content) => `data: ${JSON.stringify({ choices: [{ index: 0, delta: { content } }] })}\n\n`;
+
+describe('createSseParser', () => {
+  it('returns events only once they are complete', () => {
+    const parser = createSseParser();
+
+    assert.deepEqual(parser.push('data: {"a":'), []);
+    assert.deepEqual(parser.push('1}\n'), []);
+    assert.deepEqual(parser.push('\ndata: {"b":2}\n\n'), [
+      { event: 'message', data: '{"a":1}' },
+      { event: 'message', data: '{"b":2}' }
+    ]);
+  });
+
+  it('handles frames split at every position', () => {
+    const text = `${chunk('Hello')}${chunk(', 世界')}data: [DONE]\n\n`;
+
+    for (let i = 1; i < text.length; i++) {
+      const parser = createSseParser();
+      const events = [...parser.push(text.slice(0, i)), ...parser.push(text.slice(i)), ...parser.flush()];
+      assert.deepEqual(events.map(event => event.data), [
+        JSON.stringify({ choices: [{ index: 0, delta: { content: 'Hello' } }] }),
+        JSON.stringify({ choices: [{ index: 0, delta: { content: ', 世界' } }] }),
+        '[DONE]'
+      ], `split at ${i}`);
+    }
+  });
+
+  it('joins multi-line data fields with newlines', () => {
+    assert.deepEqual(parseSseText('data: {\ndata:  "a": 1\ndata: }\n\n'), [
+      { event: 'message', data: '{\n "a": 1\n}' }
+    ]);
+  });
+
+  it('ignores comments and heartbeats', () => {
+    const events = parseSseText(': OPENROUTER PROCESSING\n\n:\n\ndata: {"x":1}\n: keep-alive\n\n');
+    assert.deepEqual(events, [{ event: 'message', data: '{"x":1}' }]);
+  });
+
+  it('keeps event names and ids', () => {
+    const events = parseSseText('event: content_block_delta\nid: 7\ndata: {"type":"content_block_delta"}\n\n');
+    assert.deepEqual(events, [{ event: 'content_block_delta', id: '7', data: '{"type":"content_block_delta"}' }]);
+  });
+
+  it('accepts CRLF line endings, also when split between reads', () => {
+    const parser = createSseParser();
+    const events = [...parser.push('data: {"x":1}\r'), ...parser.push('\n\r\ndata: {"y":2}\r\n\r\n')];
+    assert.deepEqual(events.map(event => event.data), ['{"x":1}', '{"y":2}']);
+  });
+
+  it('dispatches a trailing event without a blank line on flush', () => {
+    const parser = createSseParser();
+    assert.deepEqual(parser.push('data: {"x":1}'), []);
+    assert.deepEqual(parser.flush(), [{ event: 'message', data: '{"x":1}' }]);
+  });
+
+  it('skips events without data', () => {
+    assert.deepEqual(parseSseText('event: ping\n\nretry: 1000\n\n'), []);
+  });
+});
+
+describe('createNdjsonParser', () => {
+  it('parses lines split across reads', () => {
+    const parser = createNdjsonParser();
+
+    assert.deepEqual(parser.push('{"message":{"content":"He'), []);
+    assert.deepEqual(parser.push('llo"}}\n{"done":'), [{ message: { content: 'Hello' } }]);
+    assert.deepEqual(parser.push('true}\n'), [{ done: true }]);
+  });
+
+  it('skips blank and malformed lines', () => {
+    const parser = createNdjsonParser();
+    assert.deepEqual(parser.push('\n{"a":1}\nnot json\n\n{"b":2}\n'), [{ a: 1 }, { b: 2 }]);
+  });
+
+  it('parses a final line without newline on flush', () => {
+    const parser = createNdjsonParser();
+    assert.deepEqual(parser.push('{"done":true}'), []);
+    assert.deepEqual(parser.flush(), [{ done: true }]);
+  });
+});
+
+describe('createCompletionReader', () => {
+  it('concatenates streamed content split across reads', () => {
+    const reader = createCompletionReader();
+    const text = `${chunk('Hello')}${chunk(' world')}data: [DONE]\n\n`;
+
+    reader.push(text.slice(0, 17));
+    reader.push(text.slice(17));
+    reader.flush();
+
+    assert.equal(reader.content, 'Hello world');
+    assert.equal(reader.error, null);
+  });
+
+  it('reads non-streaming completions with nested JSON', () => {
+    const reader = createCompletionReader();
+    const completion = {
+      choices: [{ index: 0, message: { role: 'assistant', content: 'Summary {with} braces' } }],
+      usage: { prompt_tokens: 10, completion_tokens: 4, prompt_tokens_details: { cached_tokens: 0 } }
+    };
+
+    reader.push(`data: ${JSON.stringify(completion)}\n\ndata: [DONE]\n\n`);
+    reader.flush();
+
+    assert.equal(reader.content, 'Summary {with} braces');
+    assert.deepEqual(reader.payloads, [completion]);
+  });
+
+  it('reports the first provider error event', () => {
+    const reader = createCompletionReader();
+
+    reader.push(chunk('partial'));
+    reader.push('data: {"error":{"message":"Rate limit exceeded","type":"rate_limit"}}\n\n');
+    reader.push('data: {"error":"All AI providers failed"}\n\n');
+    reader.flush();
+
+    assert.equal(reader.content, 'partial');
+    assert.equal(reader.error, 'Rate limit exceeded');
+  });
+
+  it('ignores malformed events', () => {
+    const reader = createCompletionReader();
+    reader.push(`data: {"choices":[\n\n${chunk('ok')}`);
+    reader.flush();
+    assert.equal(reader.content, 'ok');
+  });
+});
+
+describe('getErrorMessage', () => {
+  it('normalizes provider error payloads', () => {
+    assert.equal(getErrorMessage('boom'), 'boom');
+    assert.equal(getErrorMessage({ message: 'Overloaded', type: 'overloaded_error' }), 'Overloaded');
+    assert.equal(getErrorMessage({ type: 'overloaded_error' }), 'overloaded_error');
+    assert.equal(getErrorMessage({}), 'AI error');
+  });
+
+  it('extracts Anthropic error events', () => {
+    const [event] = parseSseText('event: error\ndata: {"type":"error","error":{"type":"overloaded_error","message":"Overloaded"}}\n\n');
+    assert.equal(event.event, 'error');
+    assert.equal(getErrorMessage(JSON.parse(event.data).error), 'Overloaded');
+  });
+});
@@ -0,0 +1,118 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  TitleTranslationService,
+  buildTitleBatchPrompt,
+  packTitleBatches,
+  parseTitleBatchOutput
+} from '../src/services/title-translation-service.js';
+
+const titles = (count, text = 'A short title') =>
+  Array.from({ length: count }, (_, i) => ({ key: String(i), title: `${text} ${i}` }));
+
+describe('packTitleBatches', () => {
+  it('keeps order and splits by the title limit', () => {
+    const batches = packTitleBatches(titles(90));
+
+    assert.deepEqual(batches.map(batch => batch.length), [40, 40, 10]);
+    assert.deepEqual(batches.flat().map(item => item.key), titles(90).map(item => item.key));
+  });
+
+  it('splits by the token budget', () => {
+    // ~33 tokens per title
+    const batches = packTitleBatches(titles(10, 'x'.repeat(100)), 100);
+
+    assert.deepEqual(batches.map(batch => batch.length), [3, 3, 3, 1]);
+  });
+
+  it('puts an oversized title in a batch of its own', () => {
+    const batches = packTitleBatches([{ title: 'x'.repeat(1000) }, { title: 'y' }], 50);
+
+    assert.deepEqual(batches.map(batch => batch.length), [1, 1]);
+  });
+});
+
+describe('buildTitleBatchPrompt', () => {
+  it('numbers titles on single lines', () => {
+    const prompt = buildTitleBatchPrompt([{ title: 'First\n line' }, { title: 'Second' }], { targetLanguage: 'Japanese' });
+
+    assert.match(prompt, /into Japanese/);
+    assert.match(prompt, /\n1\. First line\n2\. Second$/);
+  });
+});
+
+describe('parseTitleBatchOutput', () => {
+  it('parses a JSON object inside code fences', () => {
+    const output = '```json\n{"1": "一", "2": " 二 ", "3": ""}\n```';
+
+    assert.deepEqual(parseTitleBatchOutput(output, 3), ['一', '二', '']);
+  });
+
+  it('parses arrays of strings and of objects', () => {
+    assert.deepEqual(parseTitleBatchOutput('["a", "b"]', 2), ['a', 'b']);
+    assert.deepEqual(parseTitleBatchOutput('[{"id": 2, "translation": "b"}, {"n": 1, "translation": "a"},]', 2), ['a', 'b']);
+  });
+
+  it('falls back to numbered lines', () => {
+    const output = 'Here you go:\n1. 第一\n2) 第二\n"3": "第三",\n4: 第四';
+
+    assert.deepEqual(parseTitleBatchOutput(output, 4), ['第一', '第二', '第三', '第四']);
+  });
+
+  it('ignores numbers out of range and non-string values', () => {
+    assert.deepEqual(parseTitleBatchOutput('{"0": "x", "2": 5, "3": "y"}', 2), ['', '']);
+    assert.deepEqual(parseTitleBatchOutput(null, 1), ['']);
+  });
+});
+
+describe('TitleTranslationService.translate', () => {
+  const translateAll = (prompt, skip = []) => {
+    const numbers = [...prompt.matchAll(/^(\d+)\. /gm)].map(match => match[1]).filter(n => !skip.includes(n));
+    return JSON.stringify(Object.fromEntries(numbers.map(n => [n, `T${n}`])));
+  };
+
+  it('retries only the missing titles', async () => {
+    const prompts = [];
+    const result = await TitleTranslationService.translate(titles(3), {
+      targetLanguage: 'French',
+      complete: async (prompt) => {
+        prompts.push(prompt);
+        return { content: translateAll(prompt, prompts.length === 1 ? ['2'] : []), model: 'm' };
+      }
+    });
+
+    assert.equal(result.requests, 2);
+    assert.equal(result.model, 'm');
+    assert.deepEqual([...result.translations], [['0', 'T1'], ['2', 'T3'], ['1', 'T1']]);
+    assert.equal(result.errors.size, 0);
+    assert.match(prompts[1], /\n1\. A short title 1$/);
+  });
+
+  it('reports titles that are still missing after the retry', async () => {
+    const result = await TitleTranslationService.translate(titles(2), {
+      targetLanguage: 'French',
+      complete: async () => { throw new Error('rate limited'); }
+    });
+
+    assert.equal(result.requests, 2);
+    assert.equal(result.translations.size, 0);
+    assert.deepEqual([...result.errors], [['0', 'rate limited'], ['1', 'rate limited']]);
+  });
+
+  it('passes the titles of each batch to getGlossary', async () => {
+    const seen = [];
+    await TitleTranslationService.translate(titles(2), {
+      targetLanguage: 'French',
+      getGlossary: (batchTitles) => {
+        seen.push(batchTitles);
+        return '\nGlossary: keep it\n';
+      },
+      complete: async (prompt) => {
+        assert.match(prompt, /Glossary: keep it/);
+        return { content: translateAll(prompt) };
+      }
+    });
+
+    assert.deepEqual(seen, [['A short title 0', 'A short title 1']]);
+  });
+});
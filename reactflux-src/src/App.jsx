@@ -15,7 +15,7 @@ import useLanguage, { polyglotState } from "./hooks/useLanguage"
 import useScreenWidth from "./hooks/useScreenWidth"
 import useTheme from "./hooks/useTheme"
 import useVersionCheck from "./hooks/useVersionCheck"
-import { loadConfig } from "./services/ai-service"
+import { loadConfig, loadFeedLanguages } from "./services/ai-service"
 import { settingsState } from "./store/settingsState"
 import { GITHUB_REPO_PATH } from "./utils/constants"
 import hideSpinner from "./utils/loading"
@@ -50,6 +50,9 @@ const App = () => {
     loadConfig().catch((error) => {
       console.warn("Failed to load AI config from backend:", error)
     })
+    loadFeedLanguages().catch((error) => {
+      console.warn("Failed to load feed languages from backend:", error)
+    })
   }, [])
 
   useEffect(() => {
@@ -178,14 +178,22 @@ const ArticleCard = ({ entry, handleEntryClick, children }) => {
         titleRef.current,
         entry.id,
         entry.title,
-        entry.feed.category.id
+        entry.feed.category.id,
+        entry.feed.id
       )
     }
 
     return () => {
       unobserveElement(entry.id)
     }
-  }, [entry.id, entry.title, entry.feed?.category?.id, observeElement, unobserveElement])
+  }, [
+    entry.id,
+    entry.title,
+    entry.feed?.category?.id,
+    entry.feed?.id,
+    observeElement,
+    unobserveElement,
+  ])
 
   useEffect(() => {
     let isSubscribed = true
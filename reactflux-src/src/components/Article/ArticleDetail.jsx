@@ -13,6 +13,7 @@ import "yet-another-react-lightbox/styles.css"
 import "yet-another-react-lightbox/plugins/counter.css"
 
 import AISummaryPanel from "./AISummaryPanel"
+import ArticleInsightsCard from "./ArticleInsightsCard"
 import CodeBlock from "./CodeBlock"
 import ImageLinkTag from "./ImageLinkTag"
 import ImageOverlayButton from "./ImageOverlayButton"
@@ -364,6 +365,15 @@ const ArticleDetail = forwardRef((props, ref) => {
     }
   }
 
+  // Insight entities search the article content
+  const handleEntityFilter = (entity) => {
+    setFilterType("content")
+    setFilterString(entity)
+    if (isBelowMedium) {
+      setActiveContent(null)
+    }
+  }
+
   const togglePhotoSlider = (index) => {
     setSelectedIndex(index)
     setIsPhotoSliderVisible((prev) => !prev)
@@ -472,6 +482,15 @@ const ArticleDetail = forwardRef((props, ref) => {
               />
             </div>
           )}
+          {isAIConfigured && aiConfig.enabled && (
+            <div style={{ maxWidth: getResponsiveMaxWidth(), margin: "0 auto" }}>
+              <ArticleInsightsCard
+                key={activeContent.id}
+                article={activeContent}
+                onEntityClick={handleEntityFilter}
+              />
+            </div>
+          )}
           <div
             key={activeContent.id}
             className="article-body"
@@ -0,0 +1,198 @@
+import { Button, Card, Collapse, Space, Spin, Tag, Typography } from "@arco-design/web-react"
+import { IconBulb, IconRefresh } from "@arco-design/web-react/icon"
+import { useStore } from "@nanostores/react"
+import { useCallback, useEffect, useRef, useState } from "react"
+
+import { polyglotState } from "@/hooks/useLanguage"
+import { getInsights } from "@/services/ai-service"
+import { aiConfigState } from "@/store/aiState"
+
+import "./ArticleInsightsCard.css"
+
+const { Text } = Typography
+
+const SENTIMENT_COLORS = { positive: "green", neutral: "gray", negative: "red", mixed: "orange" }
+
+// Same limit as the summary panel to stay within token limits
+const MAX_CONTENT_LENGTH = 8000
+
+const verdictColor = (score) => {
+  if (score == null) {
+    return "gray"
+  }
+  if (score >= 7) {
+    return "green"
+  }
+  return score >= 4 ? "orange" : "red"
+}
+
+/**
+ * Article Insights Card
+ * Collapsible structured insights for an article; generated when first expanded
+ */
+const ArticleInsightsCard = ({ article, onEntityClick }) => {
+  const { polyglot } = useStore(polyglotState)
+  const config = useStore(aiConfigState)
+
+  const [activeKey, setActiveKey] = useState([])
+  const [insights, setInsights] = useState(null)
+  const [isLoading, setIsLoading] = useState(false)
+  const [errorMessage, setErrorMessage] = useState(null)
+  const abortControllerRef = useRef(null)
+
+  const loadInsights = useCallback(async () => {
+    if (!article?.content) {
+      return
+    }
+
+    abortControllerRef.current?.abort()
+    const controller = new AbortController()
+    abortControllerRef.current = controller
+
+    setIsLoading(true)
+    setErrorMessage(null)
+
+    try {
+      const tempDiv = document.createElement("div")
+      tempDiv.innerHTML = article.content
+      const textContent = (tempDiv.textContent || "").slice(0, MAX_CONTENT_LENGTH)
+
+      const result = await getInsights(textContent, config.targetLanguage || "zh-CN", {
+        entryId: article.id,
+        title: article.title,
+        signal: controller.signal,
+      })
+      setInsights(result)
+    } catch (error) {
+      if (error.name !== "AbortError") {
+        setErrorMessage(error.message || polyglot.t("ai.insights_error"))
+      }
+    } finally {
+      if (abortControllerRef.current === controller) {
+        abortControllerRef.current = null
+        setIsLoading(false)
+      }
+    }
+  }, [article, config.targetLanguage, polyglot])
+
+  // Cancel a pending request on unmount
+  useEffect(() => () => abortControllerRef.current?.abort(), [])
+
+  const handleChange = (_, keys) => {
+    setActiveKey(keys)
+    if (keys.length > 0 && !insights && !isLoading) {
+      loadInsights()
+    }
+  }
+
+  const score = insights?.worthReading?.score
+
+  const header = (
+    <Space>
+      <IconBulb />
+      <Text bold>{polyglot.t("ai.insights")}</Text>
+      {insights && (
+        <Tag color={verdictColor(score)} size="small">
+          {polyglot.t("ai.insights_worth_reading", { score: score ?? "?" })}
+        </Tag>
+      )}
+    </Space>
+  )
+
+  return (
+    <Card className="ai-insights-card" size="small">
+      <Collapse activeKey={activeKey} bordered={false} onChange={handleChange}>
+        <Collapse.Item
+          header={header}
+          name="insights"
+          extra={
+            insights &&
+            !isLoading && (
+              <Button
+                icon={<IconRefresh />}
+                size="mini"
+                type="text"
+                onClick={(event) => {
+                  event.stopPropagation()
+                  loadInsights()
+                }}
+              />
+            )
+          }
+        >
+          {isLoading && (
+            <div className="ai-insights-loading">
+              <Spin size={16} />
+              <Text type="secondary">{polyglot.t("ai.insights_loading")}</Text>
+            </div>
+          )}
+          {errorMessage && !isLoading && (
+            <Text size="small" type="error">
+              {errorMessage}
+            </Text>
+          )}
+          {insights && !isLoading && (
+            <div className="ai-insights-body">
+              <Text bold className="ai-insights-tldr">
+                {insights.tldr}
+              </Text>
+
+              <ul className="ai-insights-points">
+                {insights.keyPoints.map((point) => (
+                  <li key={point}>{point}</li>
+                ))}
+              </ul>
+
+              {insights.entities.length > 0 && (
+                <div className="ai-insights-row">
+                  <Text type="secondary">{polyglot.t("ai.insights_entities")}</Text>
+                  <Space wrap size={4}>
+                    {insights.entities.map((entity) => (
+                      <Tag
+                        key={entity.name}
+                        className="ai-insights-entity"
+                        size="small"
+                        title={polyglot.t(`ai.insights_entity_${entity.type}`)}
+                        onClick={() => onEntityClick?.(entity.name)}
+                      >
+                        {entity.name}
+                      </Tag>
+                    ))}
+                  </Space>
+                </div>
+              )}
+
+              {insights.topics.length > 0 && (
+                <div className="ai-insights-row">
+                  <Text type="secondary">{polyglot.t("ai.insights_topics")}</Text>
+                  <Space wrap size={4}>
+                    {insights.topics.map((topic) => (
+                      <Tag key={topic} color="arcoblue" size="small">
+                        {topic}
+                      </Tag>
+                    ))}
+                  </Space>
+                </div>
+              )}
+
+              <div className="ai-insights-row">
+                <Text type="secondary">{polyglot.t("ai.insights_sentiment")}</Text>
+                <Tag color={SENTIMENT_COLORS[insights.sentiment]} size="small">
+                  {polyglot.t(`ai.insights_sentiment_${insights.sentiment}`)}
+                </Tag>
+              </div>
+
+              {insights.worthReading.reason && (
+                <Text className="ai-insights-verdict" type="secondary">
+                  {insights.worthReading.reason}
+                </Text>
+              )}
+            </div>
+          )}
+        </Collapse.Item>
+      </Collapse>
+    </Card>
+  )
+}
+
+export default ArticleInsightsCard
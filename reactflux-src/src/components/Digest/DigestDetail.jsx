@@ -2,7 +2,9 @@ import {
   Button,
   Card,
   Divider,
+  Dropdown,
   Empty,
+  Menu,
   Message,
   Popconfirm,
   Space,
@@ -13,17 +15,20 @@ import {
 import {
   IconCopy,
   IconDelete,
+  IconDownload,
   IconLeft,
   IconSend,
   IconShareExternal,
 } from "@arco-design/web-react/icon"
 import { useStore } from "@nanostores/react"
-import { useCallback, useEffect, useState } from "react"
+import { useCallback, useEffect, useRef, useState } from "react"
 import { useNavigate, useParams } from "react-router"
 
 import useDigest from "@/hooks/useDigest"
 import { polyglotState } from "@/hooks/useLanguage"
+import { exportDigest } from "@/services/digest-service"
 import { digestConfigState, setCurrentDigest } from "@/store/digestState"
+import { downloadBlob, printHtml } from "@/utils/dom"
 
 import "./DigestDetail.css"
 
@@ -78,13 +83,64 @@ const getTimeRangeLabel = (hours, polyglot) => {
   }
 }
 
+const escapeAttribute = (text) =>
+  String(text ?? "")
+    .replaceAll("&", "&amp;")
+    .replaceAll('"', "&quot;")
+    .replaceAll("<", "&lt;")
+    .replaceAll(">", "&gt;")
+
+/**
+ * Line text without list marker (same rule as the backend's utils/citations.js toBulletText)
+ */
+const toBulletText = (line) => line.replace(/^\s*(?:[-*+]|\d+\.)\s+/, "").trim()
+
+/**
+ * Append citation markers to the lines that digest sources point at
+ * Markers are placeholders (\uE000n\uE000) that renderMarkdown turns into chips after escaping
+ * @returns {{ content: string, chips: Array<Array<object>> }}
+ */
+const attachCitations = (content, sources) => {
+  const byBullet = new Map()
+  for (const source of sources || []) {
+    const cited = byBullet.get(source.bulletText) || []
+    if (!cited.some((item) => item.entryId === source.entryId)) {
+      cited.push(source)
+    }
+    byBullet.set(source.bulletText, cited)
+  }
+
+  const chips = []
+  const lines = content.split("\n").map((line) => {
+    const cited = byBullet.get(toBulletText(line))
+    if (!cited) {
+      return line
+    }
+    chips.push(cited)
+    return `${line}\uE000${chips.length - 1}\uE000`
+  })
+
+  return { content: lines.join("\n"), chips }
+}
+
+const renderCitationChips = (cited) =>
+  cited
+    .map(
+      (source) =>
+        `<button type="button" class="digest-citation" data-entry-id="${source.entryId}" data-feed-id="${source.feedId ?? ""}" title="${escapeAttribute(source.title)}">${source.ref}</button>`,
+    )
+    .join("")
+
 /**
  * Simple markdown to HTML renderer
  * NOTE: 这里是给简报用的轻量级渲染，不追求 100% Markdown 语法，
  * 但要保证标题、列表和文末订阅源链接的可读性。
+ * sources 为要点引用的文章，渲染为行尾的引用标记，点击打开原文
  */
-const renderMarkdown = (content) => {
-  if (!content) return ""
+const renderMarkdown = (rawContent, sources) => {
+  if (!rawContent) return ""
+
+  const { content, chips } = attachCitations(rawContent, sources)
 
   let html = content
     // Escape HTML
@@ -122,6 +178,9 @@ const renderMarkdown = (content) => {
     .replace(/^\- (.*$)/gim, "<li>$1</li>")
     .replace(/^\d+\. (.*$)/gim, "<li>$1</li>")
 
+  // 引用标记
+  html = html.replaceAll(/\uE000(\d+)\uE000/g, (_, index) => renderCitationChips(chips[index]))
+
   return html
 }
 
@@ -145,6 +204,8 @@ const DigestDetail = () => {
 
   const [isPushing, setIsPushing] = useState(false)
   const [isDeleting, setIsDeleting] = useState(false)
+  const [isExporting, setIsExporting] = useState(false)
+  const contentRef = useRef(null)
 
   // Load digest on mount; 404 → back to list (e.g. DB reset after redeploy)
   useEffect(() => {
@@ -168,6 +229,26 @@ const DigestDetail = () => {
     }
   }, [currentDigest, markAsRead])
 
+  // Citation chips open the cited entry in the regular article view
+  useEffect(() => {
+    const container = contentRef.current
+    if (!container) {
+      return
+    }
+
+    const handleCitationClick = (event) => {
+      const chip = event.target.closest(".digest-citation")
+      if (!chip) {
+        return
+      }
+      const { entryId, feedId } = chip.dataset
+      navigate(feedId ? `/feed/${feedId}/entry/${entryId}` : `/all/entry/${entryId}`)
+    }
+
+    container.addEventListener("click", handleCitationClick)
+    return () => container.removeEventListener("click", handleCitationClick)
+  }, [currentDigest, navigate])
+
   // Handle back navigation
   const handleBack = useCallback(() => {
     navigate("/digest")
@@ -222,6 +303,31 @@ const DigestDetail = () => {
     }
   }, [currentDigest, polyglot])
 
+  // Handle export (md / html / epub download, or print via the HTML export)
+  const handleExport = useCallback(
+    async (format) => {
+      if (!currentDigest) {
+        return
+      }
+
+      try {
+        setIsExporting(true)
+        if (format === "print") {
+          const { blob } = await exportDigest(currentDigest.id, "html")
+          printHtml(await blob.text())
+        } else {
+          const { blob, filename } = await exportDigest(currentDigest.id, format)
+          downloadBlob(blob, filename)
+        }
+      } catch {
+        Message.error(polyglot.t("digest.export_failed"))
+      } finally {
+        setIsExporting(false)
+      }
+    },
+    [currentDigest, polyglot],
+  )
+
   // Handle share
   const handleShare = useCallback(async () => {
     if (!currentDigest) return
@@ -294,6 +400,23 @@ const DigestDetail = () => {
             {polyglot.t("digest.share")}
           </Button>
 
+          <Dropdown
+            position="br"
+            trigger="click"
+            droplist={
+              <Menu onClickMenuItem={handleExport}>
+                <Menu.Item key="md">{polyglot.t("digest.export_md")}</Menu.Item>
+                <Menu.Item key="html">{polyglot.t("digest.export_html")}</Menu.Item>
+                <Menu.Item key="epub">{polyglot.t("digest.export_epub")}</Menu.Item>
+                <Menu.Item key="print">{polyglot.t("digest.export_print")}</Menu.Item>
+              </Menu>
+            }
+          >
+            <Button icon={<IconDownload />} loading={isExporting} type="text">
+              {polyglot.t("digest.export")}
+            </Button>
+          </Dropdown>
+
           {config.webhookUrl && (
             <Button
               type="text"
@@ -344,6 +467,11 @@ const DigestDetail = () => {
             <Tag color="purple">
               {currentDigest.target_lang}
             </Tag>
+            {currentDigest.ai_model && (
+              <Tag title={currentDigest.ai_provider}>
+                {polyglot.t("digest.generated_by", { model: currentDigest.ai_model })}
+              </Tag>
+            )}
           </Space>
         </div>
 
@@ -355,8 +483,11 @@ const DigestDetail = () => {
 
         {/* Content */}
         <div
+          ref={contentRef}
           className="digest-content markdown-body"
-          dangerouslySetInnerHTML={{ __html: renderMarkdown(currentDigest.content) }}
+          dangerouslySetInnerHTML={{
+            __html: renderMarkdown(currentDigest.content, currentDigest.sources),
+          }}
         />
       </Card>
     </div>
@@ -0,0 +1,87 @@
+import { DatePicker, Form, Message, Modal, Select } from "@arco-design/web-react"
+import { useStore } from "@nanostores/react"
+import dayjs from "dayjs"
+import { useState } from "react"
+
+import { polyglotState } from "@/hooks/useLanguage"
+import { exportDigests } from "@/services/digest-service"
+import { downloadBlob } from "@/utils/dom"
+
+const FORMATS = ["md", "html", "epub"]
+
+/**
+ * DigestExportModal - Export all digests generated within a date range as one file
+ */
+const DigestExportModal = ({ visible, onClose }) => {
+  const { polyglot } = useStore(polyglotState)
+
+  const [range, setRange] = useState(() => [
+    dayjs().subtract(6, "day").format("YYYY-MM-DD"),
+    dayjs().format("YYYY-MM-DD"),
+  ])
+  const [format, setFormat] = useState("md")
+  const [isExporting, setIsExporting] = useState(false)
+
+  const handleExport = async () => {
+    const [start, end] = range || []
+    if (!start || !end) {
+      Message.warning(polyglot.t("digest.export_range_required"))
+      return
+    }
+
+    try {
+      setIsExporting(true)
+      // Whole local days, sent as UTC instants
+      const { blob, filename } = await exportDigests({
+        from: dayjs(start).startOf("day").toISOString(),
+        to: dayjs(end).endOf("day").toISOString(),
+        format,
+      })
+      downloadBlob(blob, filename)
+      onClose()
+    } catch (error) {
+      const message = error?.message ?? ""
+      Message.error(
+        message.includes("No digests")
+          ? polyglot.t("digest.export_empty")
+          : polyglot.t("digest.export_failed"),
+      )
+    } finally {
+      setIsExporting(false)
+    }
+  }
+
+  return (
+    <Modal
+      confirmLoading={isExporting}
+      okText={polyglot.t("digest.export")}
+      style={{ width: 480, maxWidth: "95vw" }}
+      title={polyglot.t("digest.export_range_title")}
+      visible={visible}
+      onCancel={onClose}
+      onOk={handleExport}
+    >
+      <Form layout="vertical">
+        <Form.Item label={polyglot.t("digest.export_range")}>
+          <DatePicker.RangePicker
+            disabledDate={(current) => current.isAfter(dayjs(), "day")}
+            style={{ width: "100%" }}
+            value={range}
+            onChange={setRange}
+          />
+        </Form.Item>
+        <Form.Item label={polyglot.t("digest.export_format")}>
+          <Select value={format} onChange={setFormat}>
+            {FORMATS.map((value) => (
+              <Select.Option key={value} value={value}>
+                {polyglot.t(`digest.export_${value}`)}
+              </Select.Option>
+            ))}
+          </Select>
+        </Form.Item>
+      </Form>
+    </Modal>
+  )
+}
+
+export default DigestExportModal
@@ -40,9 +40,18 @@ function DigestGenerationProgress({ isGenerating, generation, polyglot }) {
     case "fetching":
       statusText = polyglot.t("digest.status_fetching")
       break
-    case "generating":
-      statusText = polyglot.t("digest.status_generating")
+    case "generating": {
+      const [stageName, stageParts] = (generation.stage || "").split(":")
+      if (stageName === "summarizing" && stageParts) {
+        const [current, total] = stageParts.split("/")
+        statusText = polyglot.t("digest.status_summarizing", { current, total })
+      } else if (stageName === "merging") {
+        statusText = polyglot.t("digest.status_merging")
+      } else {
+        statusText = polyglot.t("digest.status_generating")
+      }
       break
+    }
     case "completed":
       statusText = polyglot.t("digest.status_completed")
       break
@@ -363,6 +372,13 @@ const DigestGenerateModal = ({ visible, onCancel, onGenerate }) => {
                     · Response limited to {previewData.maxTokens} tokens (settings).
                   </>
                 )}
+                {previewData.mode === "hierarchical" && (
+                  <>
+                    {" "}
+                    · Exceeds the model context, will be summarized in {previewData.chunkCount} parts
+                    and merged.
+                  </>
+                )}
               </Text>
             </div>
           )}
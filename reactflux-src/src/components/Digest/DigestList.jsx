@@ -14,6 +14,7 @@ import {
 } from "@arco-design/web-react"
 import {
   IconDelete,
+  IconDownload,
   IconEye,
   IconFile,
   IconMore,
@@ -25,6 +26,8 @@ import { useStore } from "@nanostores/react"
 import { useCallback, useEffect, useState } from "react"
 import { useNavigate, useParams } from "react-router"
 
+import DigestExportModal from "./DigestExportModal"
+
 import useDigest from "@/hooks/useDigest"
 import { polyglotState } from "@/hooks/useLanguage"
 import { digestConfigState } from "@/store/digestState"
@@ -201,6 +204,8 @@ const DigestList = () => {
     setCurrentDigest,
   } = useDigest()
 
+  const [exportVisible, setExportVisible] = useState(false)
+
   // Load digests on mount
   useEffect(() => {
     loadDigests()
@@ -277,14 +282,24 @@ const DigestList = () => {
         <Title heading={5} style={{ margin: 0 }}>
           {polyglot.t("digest.title")}
         </Title>
-        <Button
-          type="text"
-          icon={<IconRefresh />}
-          onClick={handleRefresh}
-          loading={isLoading}
-        />
+        <Space size="mini">
+          <Button
+            icon={<IconDownload />}
+            title={polyglot.t("digest.export_range_title")}
+            type="text"
+            onClick={() => setExportVisible(true)}
+          />
+          <Button
+            type="text"
+            icon={<IconRefresh />}
+            onClick={handleRefresh}
+            loading={isLoading}
+          />
+        </Space>
       </div>
 
+      <DigestExportModal visible={exportVisible} onClose={() => setExportVisible(false)} />
+
       <List
         dataSource={digests}
         render={(digest) => (
@@ -1,4 +1,5 @@
 import {
+  AutoComplete,
   Button,
   Checkbox,
   Collapse,
@@ -15,14 +16,33 @@ import {
   Typography,
   Alert,
 } from "@arco-design/web-react"
-import { IconCheck, IconClose, IconLoading, IconSend, IconSave } from "@arco-design/web-react/icon"
+import {
+  IconCheck,
+  IconClose,
+  IconDelete,
+  IconLoading,
+  IconPlus,
+  IconRefresh,
+  IconSend,
+  IconSave,
+} from "@arco-design/web-react/icon"
 import { useStore } from "@nanostores/react"
 import { useState, useEffect, useCallback } from "react"
 
 import SettingItem from "./SettingItem"
 import DigestScheduleSection from "./DigestScheduleSection"
+import FallbackChainSection from "./FallbackChainSection"
+import GlossarySection from "./GlossarySection"
+import ProfileRoutingSection from "./ProfileRoutingSection"
+import PromptLibrarySection from "./PromptLibrarySection"
+import TokenUsageSection from "./TokenUsageSection"
 
-import { AI_PROVIDERS, getDefaultUrl } from "@/constants/ai-providers"
+import {
+  AI_PROVIDERS,
+  getDefaultUrl,
+  isLocalProvider,
+  providerRequiresApiKey,
+} from "@/constants/ai-providers"
 import { AI_LANGUAGES, DEFAULT_TARGET_LANGUAGE } from "@/constants/ai-languages"
 import { polyglotState } from "@/hooks/useLanguage"
 import { categoriesState } from "@/store/dataState"
@@ -38,12 +58,16 @@ import {
   digestConfigState,
   updateDigestConfig,
 } from "@/store/digestState"
-import { testConnection, saveConfig } from "@/services/ai-service"
+import { buildExtraConfig, listModels, testConnection, saveConfig } from "@/services/ai-service"
 import { WEBHOOK_TEMPLATES } from "@/services/digest-service"
 
 const { Title, Text } = Typography
 const CollapseItem = Collapse.Item
 
+// 128000 -> "128K", 1048576 -> "1M"
+const formatContextWindow = (tokens) =>
+  tokens >= 1_000_000 ? `${Math.round(tokens / 100_000) / 10}M` : `${Math.round(tokens / 1000)}K`
+
 const AISettings = () => {
   const { polyglot } = useStore(polyglotState)
   const config = useStore(aiConfigState)
@@ -59,6 +83,14 @@ const AISettings = () => {
   const [testWebhookStatus, setTestWebhookStatus] = useState(null)
   const [saveStatus, setSaveStatus] = useState(null) // null, 'loading', 'success', 'error'
   const [saveMessage, setSaveMessage] = useState("")
+  const [models, setModels] = useState([])
+  const [isLoadingModels, setIsLoadingModels] = useState(false)
+
+  const isLocal = isLocalProvider(config.provider)
+  const isAzure = config.provider === "azure"
+  // Local servers usually run without a key
+  const hasApiKey =
+    localApiKey || config.hasStoredApiKey || !providerRequiresApiKey(config.provider)
 
   // Sync local API key with store
   useEffect(() => {
@@ -68,6 +100,7 @@ const AISettings = () => {
   // Handle provider change
   const handleProviderChange = (value) => {
     const defaultUrl = getDefaultUrl(value)
+    setModels([])
     updateAIConfig({
       provider: value,
       apiUrl: defaultUrl,
@@ -80,6 +113,32 @@ const AISettings = () => {
     updateAIConfig({ apiUrl: value })
   }
 
+  // Azure OpenAI deployments: one row per model
+  const handleDeploymentChange = (index, field, value) => {
+    updateAIConfig({
+      azureDeployments: config.azureDeployments.map((item, i) =>
+        i === index ? { ...item, [field]: value } : item,
+      ),
+    })
+  }
+
+  const handleAddDeployment = () => {
+    // Prefill the selected model when it has no deployment yet
+    const isMapped = config.azureDeployments.some((item) => item.model === config.model)
+    updateAIConfig({
+      azureDeployments: [
+        ...config.azureDeployments,
+        { model: isMapped ? "" : config.model, deployment: "" },
+      ],
+    })
+  }
+
+  const handleRemoveDeployment = (index) => {
+    updateAIConfig({
+      azureDeployments: config.azureDeployments.filter((_, i) => i !== index),
+    })
+  }
+
   // Handle API key change (local state)
   const handleApiKeyChange = (value) => {
     setLocalApiKey(value)
@@ -95,6 +154,51 @@ const AISettings = () => {
     updateAIConfig({ model: value })
   }
 
+  // Load the provider's models (live listing, backend cache or presets)
+  const loadModels = useCallback(
+    async (refresh = false) => {
+      if (!config.provider) {
+        return
+      }
+
+      setIsLoadingModels(true)
+      try {
+        // Read the URL on demand; reloading on every keystroke would hammer the server
+        const { apiUrl } = aiConfigState.get()
+        const data = await listModels(config.provider, {
+          apiUrl: isLocal ? apiUrl : undefined,
+          refresh,
+        })
+        setModels(data.models)
+        if (!refresh) {
+          return
+        }
+        if (data.error) {
+          Message.warning(data.error)
+        } else if (isLocal && data.models.length === 0) {
+          Message.warning(polyglot.t("ai.models_none_found"))
+        }
+      } catch (error) {
+        if (refresh) {
+          Message.error(error.message || polyglot.t("ai.models_discover_failed"))
+        }
+      } finally {
+        setIsLoadingModels(false)
+      }
+    },
+    [config.provider, isLocal, polyglot],
+  )
+
+  // Reload when the provider changes or a key has just been saved
+  useEffect(() => {
+    loadModels()
+  }, [loadModels, config.hasStoredApiKey])
+
+  // Handle request timeout change (local providers)
+  const handleTimeoutChange = (value) => {
+    updateAIConfig({ timeoutSeconds: value || null })
+  }
+
   // Handle target language change
   const handleTargetLanguageChange = (value) => {
     updateAIConfig({ targetLanguage: value })
@@ -144,8 +248,7 @@ const AISettings = () => {
   // Save Configuration
   // ============================================
   const handleSaveConfig = useCallback(async () => {
-    const hasKey = localApiKey || config.hasStoredApiKey
-    if (!config.provider || !config.model || !hasKey) {
+    if (!config.provider || !config.model || !hasApiKey) {
       Message.warning(polyglot.t("ai.fill_required_fields"))
       return
     }
@@ -158,6 +261,7 @@ const AISettings = () => {
         ...config,
         apiKey: localApiKey,
         isActive: true,
+        extraConfig: buildExtraConfig(config),
       }
       await saveConfig(configToSave)
       if (localApiKey) setAIApiKey(localApiKey)
@@ -170,7 +274,7 @@ const AISettings = () => {
       setSaveMessage(error.message || polyglot.t("ai.save_failed"))
       Message.error(error.message || polyglot.t("ai.save_failed"))
     }
-  }, [config, localApiKey, polyglot])
+  }, [config, hasApiKey, localApiKey, polyglot])
 
   // ============================================
   // Digest/Webhook Configuration Handlers
@@ -243,7 +347,7 @@ const AISettings = () => {
 
   // Test connection (uses local API key if entered, otherwise backend-stored key)
   const handleTestConnection = useCallback(async () => {
-    if (!config.provider || !config.model || (!localApiKey && !config.hasStoredApiKey)) {
+    if (!config.provider || !config.model || !hasApiKey) {
       Message.warning(polyglot.t("ai.fill_required_fields"))
       return
     }
@@ -265,7 +369,7 @@ const AISettings = () => {
       setTestMessage(errorMsg)
       Message.error(errorMsg)
     }
-  }, [config, localApiKey, polyglot])
+  }, [config, hasApiKey, localApiKey, polyglot])
 
   // Render test button status
   const renderTestButton = () => {
@@ -326,7 +430,7 @@ const AISettings = () => {
   }
 
   // Check if basic config is filled
-  const hasBasicConfig = config.provider && config.model && (localApiKey || config.hasStoredApiKey)
+  const hasBasicConfig = config.provider && config.model && hasApiKey
 
   return (
     <div className="ai-settings">
@@ -367,7 +471,9 @@ const AISettings = () => {
 
           <SettingItem
             title={polyglot.t("ai.api_url")}
-            description={polyglot.t("ai.api_url_description")}
+            description={polyglot.t(
+              isAzure ? "ai.azure_endpoint_description" : "ai.api_url_description",
+            )}
           >
             <Input
               className="input-select"
@@ -378,11 +484,84 @@ const AISettings = () => {
             />
           </SettingItem>
 
+          {isAzure && (
+            <>
+              <Divider />
+
+              <SettingItem
+                description={polyglot.t("ai.azure_resource_name_description")}
+                title={polyglot.t("ai.azure_resource_name")}
+              >
+                <Input
+                  className="input-select"
+                  placeholder="my-resource"
+                  style={{ width: 300 }}
+                  value={config.azureResourceName}
+                  onChange={(value) => updateAIConfig({ azureResourceName: value })}
+                />
+              </SettingItem>
+
+              <Divider />
+
+              <SettingItem
+                description={polyglot.t("ai.azure_api_version_description")}
+                title={polyglot.t("ai.azure_api_version")}
+              >
+                <Input
+                  className="input-select"
+                  placeholder="2024-10-21"
+                  style={{ width: 150 }}
+                  value={config.azureApiVersion}
+                  onChange={(value) => updateAIConfig({ azureApiVersion: value })}
+                />
+              </SettingItem>
+
+              <Divider />
+
+              <SettingItem
+                description={polyglot.t("ai.azure_deployments_description")}
+                title={polyglot.t("ai.azure_deployments")}
+              >
+                <Space direction="vertical">
+                  {config.azureDeployments.map((item, index) => (
+                    <Space key={index}>
+                      <Input
+                        placeholder={polyglot.t("ai.model")}
+                        style={{ width: 140 }}
+                        value={item.model}
+                        onChange={(value) => handleDeploymentChange(index, "model", value)}
+                      />
+                      <Input
+                        placeholder={polyglot.t("ai.azure_deployment")}
+                        style={{ width: 140 }}
+                        value={item.deployment}
+                        onChange={(value) => handleDeploymentChange(index, "deployment", value)}
+                      />
+                      <Button
+                        icon={<IconDelete />}
+                        title={polyglot.t("ai.azure_remove_deployment")}
+                        type="text"
+                        onClick={() => handleRemoveDeployment(index)}
+                      />
+                    </Space>
+                  ))}
+                  <Button icon={<IconPlus />} size="small" onClick={handleAddDeployment}>
+                    {polyglot.t("ai.azure_add_deployment")}
+                  </Button>
+                </Space>
+              </SettingItem>
+            </>
+          )}
+
           <Divider />
 
           <SettingItem
             title={polyglot.t("ai.api_key")}
-            description={polyglot.t("ai.api_key_description")}
+            description={polyglot.t(
+              providerRequiresApiKey(config.provider)
+                ? "ai.api_key_description"
+                : "ai.api_key_optional_description",
+            )}
           >
             <Input.Password
               className="input-select"
@@ -404,15 +583,61 @@ const AISettings = () => {
             title={polyglot.t("ai.model")}
             description={polyglot.t("ai.model_description")}
           >
-            <Input
-              className="input-select"
-              placeholder={polyglot.t("ai.model_placeholder")}
-              value={config.model || ""}
-              onChange={handleModelChange}
-              style={{ width: 300 }}
-            />
+            <Space>
+              <AutoComplete
+                className="input-select"
+                placeholder={polyglot.t("ai.model_placeholder")}
+                style={{ width: 300 }}
+                value={config.model || ""}
+                data={models.map((model) => ({
+                  value: model.id,
+                  name: [
+                    model.id,
+                    model.contextWindow &&
+                      polyglot.t("ai.model_context", {
+                        size: formatContextWindow(model.contextWindow),
+                      }),
+                    model.parameterSize,
+                    model.quantization,
+                    model.source === "preset" && polyglot.t("ai.model_preset"),
+                  ]
+                    .filter(Boolean)
+                    .join(" · "),
+                }))}
+                onChange={handleModelChange}
+              />
+              <Button
+                icon={<IconRefresh />}
+                loading={isLoadingModels}
+                title={polyglot.t("ai.models_refresh")}
+                onClick={() => loadModels(true)}
+              />
+            </Space>
           </SettingItem>
 
+          {isLocal && (
+            <>
+              <Divider />
+
+              <SettingItem
+                title={polyglot.t("ai.request_timeout")}
+                description={polyglot.t("ai.request_timeout_description")}
+              >
+                <InputNumber
+                  className="input-select"
+                  max={3600}
+                  min={30}
+                  placeholder="600"
+                  step={30}
+                  style={{ width: 150 }}
+                  suffix="s"
+                  value={config.timeoutSeconds ?? undefined}
+                  onChange={handleTimeoutChange}
+                />
+              </SettingItem>
+            </>
+          )}
+
           <Divider />
 
           <SettingItem
@@ -728,6 +953,30 @@ const AISettings = () => {
         </>
       )}
 
+      {config.enabled && config.provider && (
+        <>
+          <Divider />
+
+          <ProfileRoutingSection />
+
+          <Divider />
+
+          <PromptLibrarySection />
+
+          <Divider />
+
+          <GlossarySection />
+
+          <Divider />
+
+          <FallbackChainSection />
+
+          <Divider />
+
+          <TokenUsageSection />
+        </>
+      )}
+
       <Divider />
 
       <div style={{ marginTop: 16, color: "var(--color-text-3)", fontSize: 12 }}>
@@ -14,15 +14,26 @@ import {
   Table,
   Typography,
 } from "@arco-design/web-react"
-import { IconPlayArrow, IconPlus, IconDelete } from "@arco-design/web-react/icon"
+import {
+  IconCopy,
+  IconDelete,
+  IconHistory,
+  IconLink,
+  IconPlayArrow,
+  IconPlus,
+  IconRefresh,
+} from "@arco-design/web-react/icon"
 import { useStore } from "@nanostores/react"
 import { useCallback, useEffect, useState } from "react"
 
 import useDigest from "@/hooks/useDigest"
 import { polyglotState } from "@/hooks/useLanguage"
+import { getDigestFeedUrl, getFeedToken, regenerateFeedToken } from "@/services/digest-service"
 import { categoriesState } from "@/store/dataState"
 import { digestConfigState } from "@/store/digestState"
 
+import DigestTaskRunsDrawer from "./DigestTaskRunsDrawer"
+
 const FormItem = Form.Item
 const { Text } = Typography
 
@@ -73,12 +84,42 @@ const DigestScheduleSection = () => {
   const [modalVisible, setModalVisible] = useState(false)
   const [submitLoading, setSubmitLoading] = useState(false)
   const [runLoadingId, setRunLoadingId] = useState(null)
+  const [feedToken, setFeedToken] = useState("")
+  const [runsTask, setRunsTask] = useState(null)
   const [form] = Form.useForm()
 
   useEffect(() => {
     loadScheduledTasks().catch(() => {})
   }, [loadScheduledTasks])
 
+  useEffect(() => {
+    getFeedToken()
+      .then((res) => setFeedToken(res?.data?.token || ""))
+      .catch(() => {})
+  }, [])
+
+  const handleCopyFeedUrl = useCallback(
+    async (taskId) => {
+      try {
+        await navigator.clipboard.writeText(getDigestFeedUrl(feedToken, taskId))
+        Message.success(polyglot.t("actions.copied"))
+      } catch {
+        Message.error(polyglot.t("actions.copy_failed"))
+      }
+    },
+    [feedToken, polyglot]
+  )
+
+  const handleRegenerateFeedToken = useCallback(async () => {
+    try {
+      const res = await regenerateFeedToken()
+      setFeedToken(res?.data?.token || "")
+      Message.success(polyglot.t("digest.feed_token_regenerated"))
+    } catch (error) {
+      Message.error(error?.message || polyglot.t("digest.feed_token_regenerate_failed"))
+    }
+  }, [polyglot])
+
   const handleAdd = useCallback(() => {
     form.resetFields()
     form.setFieldsValue({
@@ -88,6 +129,8 @@ const DigestScheduleSection = () => {
       hours: 24,
       targetLang: "Simplified Chinese",
       unreadOnly: true,
+      incremental: false,
+      continueStories: false,
       cronExpression: "0 9 * * *",
       timezone: "Asia/Shanghai",
       pushEnabled: false,
@@ -111,6 +154,8 @@ const DigestScheduleSection = () => {
         hours: values.hours,
         targetLang: values.targetLang,
         unreadOnly: values.unreadOnly,
+        incremental: !!values.incremental,
+        continueStories: !!values.continueStories,
         cronExpression: values.cronExpression.trim(),
         timezone: values.timezone || "Asia/Shanghai",
         pushEnabled: !!values.pushEnabled,
@@ -164,7 +209,9 @@ const DigestScheduleSection = () => {
         <Space direction="vertical" size={0}>
           <Text bold>{name}</Text>
           <Text type="secondary" style={{ fontSize: 12 }}>
-            {scopeLabel(row.scope, row.scope_name)} · {row.hours}h · {row.cron_expression}
+            {scopeLabel(row.scope, row.scope_name)} ·{" "}
+            {row.incremental ? polyglot.t("digest.schedule_incremental_tag") : `${row.hours}h`} ·{" "}
+            {row.cron_expression}
           </Text>
         </Space>
       ),
@@ -206,6 +253,22 @@ const DigestScheduleSection = () => {
           >
             {polyglot.t("digest.schedule_run_now")}
           </Button>
+          <Button
+            icon={<IconHistory />}
+            size="small"
+            title={polyglot.t("digest.schedule_runs")}
+            type="text"
+            onClick={() => setRunsTask(row)}
+          />
+          {feedToken && (
+            <Button
+              icon={<IconLink />}
+              size="small"
+              title={polyglot.t("digest.feed_copy_schedule_url")}
+              type="text"
+              onClick={() => handleCopyFeedUrl(row.id)}
+            />
+          )}
           <Popconfirm
             title={polyglot.t("digest.delete_confirm_title")}
             content={polyglot.t("digest.delete_confirm_content")}
@@ -215,7 +278,7 @@ const DigestScheduleSection = () => {
           </Popconfirm>
         </Space>
       ),
-      width: 220,
+      width: 280,
     },
   ]
 
@@ -232,6 +295,33 @@ const DigestScheduleSection = () => {
         </div>
       </div>
 
+      {feedToken && (
+        <div style={{ marginBottom: 16 }}>
+          <Text style={{ fontSize: 13 }}>{polyglot.t("digest.feed_title")}</Text>
+          <div style={{ marginTop: 4, marginBottom: 6 }}>
+            <Text style={{ fontSize: 12 }} type="secondary">
+              {polyglot.t("digest.feed_description")}
+            </Text>
+          </div>
+          <Space style={{ width: "100%" }}>
+            <Input
+              readOnly
+              style={{ width: 420, maxWidth: "100%" }}
+              value={getDigestFeedUrl(feedToken)}
+            />
+            <Button icon={<IconCopy />} onClick={() => handleCopyFeedUrl()}>
+              {polyglot.t("digest.copy")}
+            </Button>
+            <Popconfirm
+              title={polyglot.t("digest.feed_regenerate_confirm")}
+              onOk={handleRegenerateFeedToken}
+            >
+              <Button icon={<IconRefresh />}>{polyglot.t("digest.feed_regenerate")}</Button>
+            </Popconfirm>
+          </Space>
+        </div>
+      )}
+
       <Button type="outline" icon={<IconPlus />} onClick={handleAdd} style={{ marginBottom: 12 }}>
         {polyglot.t("digest.schedule_add_task")}
       </Button>
@@ -325,6 +415,26 @@ const DigestScheduleSection = () => {
             <Switch />
           </FormItem>
 
+          <FormItem
+            extra={polyglot.t("digest.schedule_incremental_desc")}
+            field="incremental"
+            initialValue={false}
+            label={polyglot.t("digest.schedule_incremental")}
+            triggerPropName="checked"
+          >
+            <Switch />
+          </FormItem>
+
+          <FormItem
+            extra={polyglot.t("digest.schedule_continue_stories_desc")}
+            field="continueStories"
+            initialValue={false}
+            label={polyglot.t("digest.schedule_continue_stories")}
+            triggerPropName="checked"
+          >
+            <Switch />
+          </FormItem>
+
           <FormItem
             label={polyglot.t("digest.schedule_cron")}
             field="cronExpression"
@@ -358,6 +468,8 @@ const DigestScheduleSection = () => {
           )}
         </Form>
       </Modal>
+
+      <DigestTaskRunsDrawer task={runsTask} onClose={() => setRunsTask(null)} />
     </>
   )
 }
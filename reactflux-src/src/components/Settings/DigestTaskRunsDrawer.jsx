@@ -0,0 +1,181 @@
+import {
+  Button,
+  Drawer,
+  Empty,
+  Message,
+  Space,
+  Spin,
+  Tag,
+  Typography,
+} from "@arco-design/web-react"
+import { IconRefresh } from "@arco-design/web-react/icon"
+import { useStore } from "@nanostores/react"
+import { useCallback, useEffect, useState } from "react"
+
+import { polyglotState } from "@/hooks/useLanguage"
+import { getScheduledTaskRuns } from "@/services/digest-service"
+
+const { Text } = Typography
+
+const STATUS_COLORS = {
+  running: "arcoblue",
+  success: "green",
+  error: "red",
+  interrupted: "orange",
+}
+
+const formatDateTime = (iso) =>
+  iso
+    ? new Date(iso).toLocaleString(undefined, {
+        month: "short",
+        day: "numeric",
+        hour: "2-digit",
+        minute: "2-digit",
+        second: "2-digit",
+      })
+    : "—"
+
+const formatDuration = (ms) => {
+  if (ms == null) {
+    return "—"
+  }
+  return ms < 1000 ? `${ms} ms` : `${(ms / 1000).toFixed(1)} s`
+}
+
+const RunItem = ({ run }) => {
+  const { polyglot } = useStore(polyglotState)
+  const [stackVisible, setStackVisible] = useState(false)
+
+  const pushLabel = () => {
+    if (!run.push) {
+      return "—"
+    }
+    return run.push.success
+      ? polyglot.t("digest.schedule_run_push_success")
+      : `${polyglot.t("digest.schedule_run_push_failed")}${run.push.error ? `: ${run.push.error}` : ""}`
+  }
+
+  return (
+    <div
+      style={{
+        borderBottom: "1px solid var(--color-border-2)",
+        padding: "12px 0",
+      }}
+    >
+      <Space size={8}>
+        <Tag color={STATUS_COLORS[run.status]} size="small">
+          {polyglot.t(`digest.schedule_run_status_${run.status}`)}
+        </Tag>
+        <Text>{formatDateTime(run.startedAt)}</Text>
+        <Text style={{ fontSize: 12 }} type="secondary">
+          {polyglot.t(`digest.schedule_run_trigger_${run.trigger}`)}
+        </Text>
+      </Space>
+
+      <div style={{ display: "grid", fontSize: 12, gap: 2, marginTop: 8 }}>
+        <Text style={{ fontSize: 12 }} type="secondary">
+          {polyglot.t("digest.schedule_run_duration")}: {formatDuration(run.durationMs)} ·{" "}
+          {polyglot.t("digest.schedule_run_ai_time")}: {formatDuration(run.usage.latencyMs)} ·{" "}
+          {polyglot.t("digest.schedule_run_ai_requests")}: {run.usage.requests}
+        </Text>
+        <Text style={{ fontSize: 12 }} type="secondary">
+          {polyglot.t("digest.schedule_run_articles")}: {run.articleCount ?? "—"} ·{" "}
+          {polyglot.t("digest.schedule_run_tokens")}: {run.usage.totalTokens.toLocaleString()} (
+          {run.usage.promptTokens.toLocaleString()} / {run.usage.completionTokens.toLocaleString()})
+        </Text>
+        <Text style={{ fontSize: 12 }} type="secondary">
+          {polyglot.t("digest.schedule_run_push")}: {pushLabel()}
+        </Text>
+        {run.digestTitle && (
+          <Text style={{ fontSize: 12 }}>
+            {polyglot.t("digest.schedule_run_digest")}: {run.digestTitle}
+          </Text>
+        )}
+      </div>
+
+      {run.error && (
+        <div style={{ marginTop: 8 }}>
+          <Text style={{ fontSize: 12 }} type="error">
+            {run.error}
+          </Text>
+          {run.errorStack && (
+            <>
+              <Button size="mini" type="text" onClick={() => setStackVisible(!stackVisible)}>
+                {polyglot.t(
+                  stackVisible
+                    ? "digest.schedule_run_hide_stack"
+                    : "digest.schedule_run_show_stack"
+                )}
+              </Button>
+              {stackVisible && (
+                <pre
+                  style={{
+                    background: "var(--color-fill-2)",
+                    fontSize: 11,
+                    margin: "4px 0 0",
+                    maxHeight: 240,
+                    overflow: "auto",
+                    padding: 8,
+                    whiteSpace: "pre-wrap",
+                  }}
+                >
+                  {run.errorStack}
+                </pre>
+              )}
+            </>
+          )}
+        </div>
+      )}
+    </div>
+  )
+}
+
+/**
+ * 定时简报运行记录抽屉：每次运行的触发方式、耗时、文章数、Token 用量、推送结果与错误堆栈
+ */
+const DigestTaskRunsDrawer = ({ task, onClose }) => {
+  const { polyglot } = useStore(polyglotState)
+  const [runs, setRuns] = useState([])
+  const [loading, setLoading] = useState(false)
+
+  const loadRuns = useCallback(async () => {
+    if (!task) {
+      return
+    }
+    setLoading(true)
+    try {
+      const res = await getScheduledTaskRuns(task.id)
+      setRuns(res?.data || [])
+    } catch (error) {
+      Message.error(error?.message || polyglot.t("digest.schedule_runs_load_failed"))
+    } finally {
+      setLoading(false)
+    }
+  }, [task, polyglot])
+
+  useEffect(() => {
+    setRuns([])
+    loadRuns()
+  }, [loadRuns])
+
+  const title = (
+    <Space>
+      {polyglot.t("digest.schedule_runs_title", { name: task?.name || "" })}
+      <Button icon={<IconRefresh />} loading={loading} size="mini" type="text" onClick={loadRuns} />
+    </Space>
+  )
+
+  return (
+    <Drawer footer={null} title={title} visible={!!task} width={420} onCancel={onClose}>
+      {loading && runs.length === 0 ? (
+        <Spin />
+      ) : runs.length === 0 ? (
+        <Empty description={polyglot.t("digest.schedule_runs_empty")} />
+      ) : (
+        runs.map((run) => <RunItem key={run.id} run={run} />)
+      )}
+    </Drawer>
+  )
+}
+
+export default DigestTaskRunsDrawer
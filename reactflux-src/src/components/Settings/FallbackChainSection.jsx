@@ -0,0 +1,116 @@
+import { Button, Message, Select, Space, Tag, Typography } from "@arco-design/web-react"
+import { IconRefresh, IconSave } from "@arco-design/web-react/icon"
+import { useStore } from "@nanostores/react"
+import { useCallback, useEffect, useState } from "react"
+
+import { getProviderById } from "@/constants/ai-providers"
+import { polyglotState } from "@/hooks/useLanguage"
+import { getFallbackChain, saveFallbackChain } from "@/services/ai-service"
+
+const { Text } = Typography
+
+const CIRCUIT_COLORS = { closed: "green", open: "red", half_open: "orange" }
+
+const providerName = (providerId) => getProviderById(providerId)?.name || providerId
+
+/**
+ * AI 故障转移区块：主服务商限流或出错时依次尝试的备用服务商
+ * 入口：设置 -> AI -> 下方「备用服务商」
+ */
+const FallbackChainSection = () => {
+  const { polyglot } = useStore(polyglotState)
+
+  const [providers, setProviders] = useState([])
+  const [chain, setChain] = useState([])
+  const [loading, setLoading] = useState(false)
+  const [saving, setSaving] = useState(false)
+
+  const loadChain = useCallback(async () => {
+    setLoading(true)
+    try {
+      const data = await getFallbackChain()
+      setProviders(data.providers)
+      setChain(data.chain)
+    } catch (error) {
+      Message.error(error.message)
+    } finally {
+      setLoading(false)
+    }
+  }, [])
+
+  useEffect(() => {
+    loadChain()
+  }, [loadChain])
+
+  const handleSave = async () => {
+    setSaving(true)
+    try {
+      const data = await saveFallbackChain(chain)
+      setChain(data.chain)
+      Message.success(polyglot.t("ai.fallback_saved"))
+    } catch (error) {
+      Message.error(error.message)
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  // The active provider always serves first; fallbacks need a saved API key
+  const candidates = providers.filter((item) => item.hasApiKey && !item.isActive)
+  const circuitProviders = providers.filter(
+    (item) => item.circuit && (item.isActive || chain.includes(item.provider)),
+  )
+
+  return (
+    <>
+      <div style={{ marginTop: 24, marginBottom: 16 }}>
+        <Text bold style={{ fontSize: 14 }}>
+          {polyglot.t("ai.fallback_section")}
+        </Text>
+        <div style={{ marginTop: 4 }}>
+          <Text style={{ fontSize: 12 }} type="secondary">
+            {polyglot.t("ai.fallback_description")}
+          </Text>
+        </div>
+      </div>
+
+      <Space wrap style={{ marginBottom: 12 }}>
+        <Select
+          allowClear
+          loading={loading}
+          mode="multiple"
+          notFoundContent={polyglot.t("ai.fallback_no_providers")}
+          placeholder={polyglot.t("ai.fallback_placeholder")}
+          style={{ width: 360, maxWidth: "100%" }}
+          value={chain}
+          onChange={setChain}
+        >
+          {candidates.map((item) => (
+            <Select.Option key={item.provider} value={item.provider}>
+              {`${providerName(item.provider)} · ${item.model}`}
+            </Select.Option>
+          ))}
+        </Select>
+        <Button icon={<IconSave />} loading={saving} type="primary" onClick={handleSave}>
+          {polyglot.t("ai.fallback_save")}
+        </Button>
+        <Button icon={<IconRefresh />} loading={loading} type="text" onClick={loadChain}>
+          {polyglot.t("ai.usage_refresh")}
+        </Button>
+      </Space>
+
+      {circuitProviders.length > 0 && (
+        <Space wrap>
+          {circuitProviders.map((item) => (
+            <Tag key={item.provider} color={CIRCUIT_COLORS[item.circuit.state]} size="small">
+              {providerName(item.provider)}:{" "}
+              {polyglot.t(`ai.fallback_circuit_${item.circuit.state}`)}
+            </Tag>
+          ))}
+        </Space>
+      )}
+    </>
+  )
+}
+
+export default FallbackChainSection
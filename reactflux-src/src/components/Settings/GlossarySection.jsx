@@ -0,0 +1,265 @@
+import {
+  Button,
+  Input,
+  Message,
+  Popconfirm,
+  Select,
+  Space,
+  Table,
+  Tag,
+  Typography,
+} from "@arco-design/web-react"
+import { IconDelete, IconEdit, IconPlus, IconSave, IconUpload } from "@arco-design/web-react/icon"
+import { useStore } from "@nanostores/react"
+import { useCallback, useEffect, useRef, useState } from "react"
+
+import { AI_LANGUAGES, getLanguageName } from "@/constants/ai-languages"
+import { polyglotState } from "@/hooks/useLanguage"
+import {
+  deleteGlossaryTerm,
+  getGlossary,
+  importGlossary,
+  saveGlossaryTerm,
+} from "@/services/ai-service"
+import { updateAIConfig } from "@/store/aiState"
+import { feedsState } from "@/store/dataState"
+
+const { Text } = Typography
+
+const GLOBAL_SCOPE = "global"
+const EMPTY_DRAFT = { id: null, term: "", translation: "", targetLang: "" }
+
+/**
+ * 术语表区块：全局与按订阅源的术语（不翻译 / 指定译法），注入文章翻译与标题翻译的 Prompt
+ * 入口：设置 -> AI -> 下方「术语表」
+ */
+const GlossarySection = () => {
+  const { polyglot } = useStore(polyglotState)
+  const feeds = useStore(feedsState)
+
+  const [scope, setScope] = useState(GLOBAL_SCOPE)
+  const [terms, setTerms] = useState([])
+  const [draft, setDraft] = useState(EMPTY_DRAFT)
+  const [loading, setLoading] = useState(false)
+  const [saving, setSaving] = useState(false)
+  const [importing, setImporting] = useState(false)
+  const fileInputRef = useRef(null)
+
+  const feedId = scope === GLOBAL_SCOPE ? null : scope
+
+  const loadTerms = useCallback(async () => {
+    setLoading(true)
+    try {
+      const data = await getGlossary(scope)
+      setTerms(data.terms)
+      // Title translations cached under an older glossary are no longer used
+      updateAIConfig({ glossaryVersion: data.version })
+    } catch (error) {
+      Message.error(error.message)
+    } finally {
+      setLoading(false)
+    }
+  }, [scope])
+
+  useEffect(() => {
+    setDraft(EMPTY_DRAFT)
+    loadTerms()
+  }, [loadTerms])
+
+  const handleSave = async () => {
+    setSaving(true)
+    try {
+      await saveGlossaryTerm({ ...draft, feedId })
+      setDraft(EMPTY_DRAFT)
+      await loadTerms()
+    } catch (error) {
+      Message.error(error.message)
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  const handleDelete = async (id) => {
+    try {
+      await deleteGlossaryTerm(id)
+      await loadTerms()
+    } catch (error) {
+      Message.error(error.message)
+    }
+  }
+
+  const handleImport = async (event) => {
+    const file = event.target.files[0]
+    event.target.value = ""
+    if (!file) {
+      return
+    }
+
+    setImporting(true)
+    try {
+      const result = await importGlossary({ csv: await file.text(), feedId })
+      Message.success(
+        polyglot.t("ai.glossary_imported", {
+          created: result.created,
+          updated: result.updated,
+          skipped: result.errors.length,
+        }),
+      )
+      await loadTerms()
+    } catch (error) {
+      Message.error(error.message)
+    } finally {
+      setImporting(false)
+    }
+  }
+
+  const columns = [
+    {
+      title: polyglot.t("ai.glossary_term"),
+      dataIndex: "term",
+    },
+    {
+      title: polyglot.t("ai.glossary_translation"),
+      dataIndex: "translation",
+      render: (value) =>
+        value ?? <Tag size="small">{polyglot.t("ai.glossary_do_not_translate")}</Tag>,
+    },
+    {
+      title: polyglot.t("ai.glossary_language"),
+      dataIndex: "targetLang",
+      render: (value) => (value ? getLanguageName(value) : polyglot.t("ai.prompt_language_all")),
+      width: 160,
+    },
+    {
+      title: "",
+      render: (_, row) => (
+        <Space size={4}>
+          <Button
+            icon={<IconEdit />}
+            size="small"
+            type="text"
+            onClick={() =>
+              setDraft({
+                id: row.id,
+                term: row.term,
+                translation: row.translation ?? "",
+                targetLang: row.targetLang,
+              })
+            }
+          />
+          <Popconfirm
+            content={polyglot.t("ai.glossary_delete_confirm")}
+            title={polyglot.t("ai.glossary_delete")}
+            onOk={() => handleDelete(row.id)}
+          >
+            <Button icon={<IconDelete />} size="small" status="danger" type="text" />
+          </Popconfirm>
+        </Space>
+      ),
+      width: 90,
+    },
+  ]
+
+  return (
+    <>
+      <div style={{ marginTop: 24, marginBottom: 16 }}>
+        <Text bold style={{ fontSize: 14 }}>
+          {polyglot.t("ai.glossary_section")}
+        </Text>
+        <div style={{ marginTop: 4 }}>
+          <Text style={{ fontSize: 12 }} type="secondary">
+            {polyglot.t("ai.glossary_description")}
+          </Text>
+        </div>
+      </div>
+
+      <Space wrap style={{ marginBottom: 12 }}>
+        <Select showSearch style={{ width: 240 }} value={scope} onChange={setScope}>
+          <Select.Option value={GLOBAL_SCOPE}>
+            {polyglot.t("ai.glossary_scope_global")}
+          </Select.Option>
+          {feeds.map((feed) => (
+            <Select.Option key={feed.id} value={feed.id}>
+              {feed.title}
+            </Select.Option>
+          ))}
+        </Select>
+        <Button
+          icon={<IconUpload />}
+          loading={importing}
+          type="outline"
+          onClick={() => fileInputRef.current?.click()}
+        >
+          {polyglot.t("ai.glossary_import")}
+        </Button>
+      </Space>
+      <input
+        ref={fileInputRef}
+        accept=".csv,text/csv"
+        style={{ display: "none" }}
+        type="file"
+        onChange={handleImport}
+      />
+
+      <Space wrap style={{ marginBottom: 12 }}>
+        <Input
+          placeholder={polyglot.t("ai.glossary_term")}
+          style={{ width: 180 }}
+          value={draft.term}
+          onChange={(value) => setDraft({ ...draft, term: value })}
+        />
+        <Input
+          placeholder={polyglot.t("ai.glossary_translation_placeholder")}
+          style={{ width: 220 }}
+          value={draft.translation}
+          onChange={(value) => setDraft({ ...draft, translation: value })}
+        />
+        <Select
+          style={{ width: 160 }}
+          value={draft.targetLang}
+          onChange={(value) => setDraft({ ...draft, targetLang: value })}
+        >
+          <Select.Option value="">{polyglot.t("ai.prompt_language_all")}</Select.Option>
+          {AI_LANGUAGES.map((item) => (
+            <Select.Option key={item.id} value={item.id}>
+              {item.name}
+            </Select.Option>
+          ))}
+        </Select>
+        <Button
+          disabled={!draft.term.trim()}
+          icon={draft.id ? <IconSave /> : <IconPlus />}
+          loading={saving}
+          type="primary"
+          onClick={handleSave}
+        >
+          {polyglot.t(draft.id ? "ai.glossary_update" : "ai.glossary_add")}
+        </Button>
+        {draft.id && (
+          <Button type="text" onClick={() => setDraft(EMPTY_DRAFT)}>
+            {polyglot.t("ai.glossary_cancel_edit")}
+          </Button>
+        )}
+      </Space>
+
+      {terms.length > 0 && (
+        <Table
+          border={{ wrapper: true, cell: false }}
+          columns={columns}
+          data={terms}
+          loading={loading}
+          pagination={terms.length > 10 ? { pageSize: 10, size: "mini" } : false}
+          rowKey="id"
+          size="small"
+          style={{ marginBottom: 8 }}
+        />
+      )}
+
+      <Text style={{ fontSize: 12 }} type="secondary">
+        {polyglot.t("ai.glossary_csv_hint")}
+      </Text>
+    </>
+  )
+}
+
+export default GlossarySection
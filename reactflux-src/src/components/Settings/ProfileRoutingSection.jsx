@@ -0,0 +1,292 @@
+import {
+  Button,
+  Form,
+  Input,
+  InputNumber,
+  Message,
+  Modal,
+  Popconfirm,
+  Select,
+  Space,
+  Table,
+  Typography,
+} from "@arco-design/web-react"
+import { IconDelete, IconEdit, IconPlus, IconSave } from "@arco-design/web-react/icon"
+import { useStore } from "@nanostores/react"
+import { useCallback, useEffect, useState } from "react"
+
+import { getProviderById } from "@/constants/ai-providers"
+import { polyglotState } from "@/hooks/useLanguage"
+import { deleteProfile, getProfiles, saveProfile, saveRouting } from "@/services/ai-service"
+
+const FormItem = Form.Item
+const { Text } = Typography
+
+const providerName = (providerId) => getProviderById(providerId)?.name || providerId
+
+/**
+ * AI 方案区块：命名方案（服务商 + 模型 + 参数）与按功能路由
+ * 入口：设置 -> AI -> 下方「AI 方案」
+ */
+const ProfileRoutingSection = () => {
+  const { polyglot } = useStore(polyglotState)
+
+  const [profiles, setProfiles] = useState([])
+  const [providers, setProviders] = useState([])
+  const [features, setFeatures] = useState([])
+  const [routes, setRoutes] = useState({})
+  const [loading, setLoading] = useState(false)
+  const [savingRoutes, setSavingRoutes] = useState(false)
+  const [editingId, setEditingId] = useState(null)
+  const [modalVisible, setModalVisible] = useState(false)
+  const [submitLoading, setSubmitLoading] = useState(false)
+  const [form] = Form.useForm()
+
+  const loadProfiles = useCallback(async () => {
+    setLoading(true)
+    try {
+      const data = await getProfiles()
+      setProfiles(data.profiles)
+      setProviders(data.providers)
+      setFeatures(data.features)
+      setRoutes(data.routes)
+    } catch (error) {
+      Message.error(error.message)
+    } finally {
+      setLoading(false)
+    }
+  }, [])
+
+  useEffect(() => {
+    loadProfiles()
+  }, [loadProfiles])
+
+  const handleAdd = () => {
+    form.resetFields()
+    setEditingId(null)
+    setModalVisible(true)
+  }
+
+  const handleEdit = (profile) => {
+    form.setFieldsValue({
+      name: profile.name,
+      provider: profile.provider,
+      model: profile.model || "",
+      temperature: profile.temperature ?? undefined,
+      maxTokens: profile.maxTokens ?? undefined,
+    })
+    setEditingId(profile.id)
+    setModalVisible(true)
+  }
+
+  const handleSubmit = async () => {
+    let values
+    try {
+      values = await form.validate()
+    } catch {
+      return
+    }
+
+    setSubmitLoading(true)
+    try {
+      await saveProfile({
+        id: editingId,
+        ...values,
+        temperature: values.temperature ?? null,
+        maxTokens: values.maxTokens ?? null,
+      })
+      setModalVisible(false)
+      Message.success(polyglot.t("ai.profile_saved"))
+      await loadProfiles()
+    } catch (error) {
+      Message.error(error.message)
+    } finally {
+      setSubmitLoading(false)
+    }
+  }
+
+  const handleDelete = async (id) => {
+    try {
+      await deleteProfile(id)
+      await loadProfiles()
+    } catch (error) {
+      Message.error(error.message)
+    }
+  }
+
+  const handleSaveRoutes = async () => {
+    setSavingRoutes(true)
+    try {
+      const data = await saveRouting(routes)
+      setRoutes(data.routes)
+      Message.success(polyglot.t("ai.routing_saved"))
+    } catch (error) {
+      Message.error(error.message)
+    } finally {
+      setSavingRoutes(false)
+    }
+  }
+
+  const columns = [
+    {
+      title: polyglot.t("ai.profile_name"),
+      dataIndex: "name",
+    },
+    {
+      title: polyglot.t("ai.model"),
+      render: (_, row) => `${providerName(row.provider)} · ${row.model || "—"}`,
+    },
+    {
+      title: polyglot.t("ai.temperature"),
+      dataIndex: "temperature",
+      render: (value) => value ?? "—",
+      width: 100,
+    },
+    {
+      title: polyglot.t("ai.max_tokens"),
+      dataIndex: "maxTokens",
+      render: (value) => value ?? "—",
+      width: 110,
+    },
+    {
+      title: "",
+      render: (_, row) => (
+        <Space size={4}>
+          <Button icon={<IconEdit />} size="small" type="text" onClick={() => handleEdit(row)} />
+          <Popconfirm
+            content={polyglot.t("ai.profile_delete_confirm")}
+            title={polyglot.t("ai.profile_delete")}
+            onOk={() => handleDelete(row.id)}
+          >
+            <Button icon={<IconDelete />} size="small" status="danger" type="text" />
+          </Popconfirm>
+        </Space>
+      ),
+      width: 90,
+    },
+  ]
+
+  return (
+    <>
+      <div style={{ marginTop: 24, marginBottom: 16 }}>
+        <Text bold style={{ fontSize: 14 }}>
+          {polyglot.t("ai.profiles_section")}
+        </Text>
+        <div style={{ marginTop: 4 }}>
+          <Text style={{ fontSize: 12 }} type="secondary">
+            {polyglot.t("ai.profiles_description")}
+          </Text>
+        </div>
+      </div>
+
+      <Button
+        disabled={providers.length === 0}
+        icon={<IconPlus />}
+        style={{ marginBottom: 12 }}
+        type="outline"
+        onClick={handleAdd}
+      >
+        {polyglot.t("ai.profile_add")}
+      </Button>
+
+      {profiles.length > 0 && (
+        <Table
+          border={{ wrapper: true, cell: false }}
+          columns={columns}
+          data={profiles}
+          loading={loading}
+          pagination={false}
+          rowKey="id"
+          size="small"
+          style={{ marginBottom: 16 }}
+        />
+      )}
+
+      {profiles.length > 0 && (
+        <>
+          <div style={{ marginBottom: 8 }}>
+            <Text style={{ fontSize: 13 }}>{polyglot.t("ai.routing_title")}</Text>
+          </div>
+          <Space direction="vertical" style={{ marginBottom: 12 }}>
+            {features.map((feature) => (
+              <Space key={feature}>
+                <Text style={{ display: "inline-block", width: 160 }}>
+                  {polyglot.t(`ai.routing_feature_${feature}`)}
+                </Text>
+                <Select
+                  allowClear
+                  placeholder={polyglot.t("ai.routing_active_config")}
+                  style={{ width: 240 }}
+                  value={routes[feature] ?? undefined}
+                  onChange={(value) => setRoutes({ ...routes, [feature]: value ?? null })}
+                >
+                  {profiles.map((profile) => (
+                    <Select.Option key={profile.id} value={profile.id}>
+                      {profile.name}
+                    </Select.Option>
+                  ))}
+                </Select>
+              </Space>
+            ))}
+          </Space>
+          <div>
+            <Button
+              icon={<IconSave />}
+              loading={savingRoutes}
+              type="primary"
+              onClick={handleSaveRoutes}
+            >
+              {polyglot.t("ai.routing_save")}
+            </Button>
+          </div>
+        </>
+      )}
+
+      <Modal
+        focusLock
+        autoFocus={false}
+        okLoading={submitLoading}
+        style={{ width: 480 }}
+        title={polyglot.t(editingId ? "ai.profile_edit" : "ai.profile_add")}
+        visible={modalVisible}
+        onCancel={() => setModalVisible(false)}
+        onOk={handleSubmit}
+      >
+        <Form autoComplete="off" form={form} layout="vertical" style={{ marginTop: 8 }}>
+          <FormItem field="name" label={polyglot.t("ai.profile_name")} rules={[{ required: true }]}>
+            <Input placeholder={polyglot.t("ai.profile_name_placeholder")} />
+          </FormItem>
+
+          <FormItem field="provider" label={polyglot.t("ai.provider")} rules={[{ required: true }]}>
+            <Select placeholder={polyglot.t("ai.select_provider")}>
+              {providers.map((item) => (
+                <Select.Option key={item.provider} value={item.provider}>
+                  {`${providerName(item.provider)} · ${item.model}`}
+                </Select.Option>
+              ))}
+            </Select>
+          </FormItem>
+
+          <FormItem
+            extra={polyglot.t("ai.profile_model_description")}
+            field="model"
+            label={polyglot.t("ai.model")}
+          >
+            <Input placeholder={polyglot.t("ai.model_placeholder")} />
+          </FormItem>
+
+          <Space size={16}>
+            <FormItem field="temperature" label={polyglot.t("ai.temperature")}>
+              <InputNumber max={2} min={0} placeholder="0.7" step={0.1} style={{ width: 140 }} />
+            </FormItem>
+            <FormItem field="maxTokens" label={polyglot.t("ai.max_tokens")}>
+              <InputNumber min={1} placeholder="4096" step={256} style={{ width: 140 }} />
+            </FormItem>
+          </Space>
+        </Form>
+      </Modal>
+    </>
+  )
+}
+
+export default ProfileRoutingSection
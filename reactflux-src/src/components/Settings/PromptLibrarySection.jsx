@@ -0,0 +1,273 @@
+import {
+  Button,
+  Input,
+  Message,
+  Popconfirm,
+  Select,
+  Space,
+  Tag,
+  Typography,
+} from "@arco-design/web-react"
+import { IconEye, IconPlayArrow, IconRefresh, IconSave } from "@arco-design/web-react/icon"
+import { useStore } from "@nanostores/react"
+import { useCallback, useEffect, useState } from "react"
+
+import { AI_LANGUAGES, getLanguageName } from "@/constants/ai-languages"
+import { polyglotState } from "@/hooks/useLanguage"
+import {
+  deletePromptTemplate,
+  getPromptTemplates,
+  previewPrompt,
+  savePromptTemplate,
+} from "@/services/ai-service"
+
+const { Text, Paragraph } = Typography
+
+const PREVIEW_STYLE = {
+  whiteSpace: "pre-wrap",
+  fontSize: 12,
+  padding: 8,
+  marginBottom: 8,
+  borderRadius: 4,
+  background: "var(--color-fill-2)",
+}
+
+/**
+ * Prompt 模板区块：按功能与目标语言编辑摘要、翻译、标题翻译的 Prompt
+ * 入口：设置 -> AI -> 下方「Prompt 模板」
+ */
+const PromptLibrarySection = () => {
+  const { polyglot } = useStore(polyglotState)
+
+  const [templates, setTemplates] = useState([])
+  const [defaults, setDefaults] = useState({})
+  const [features, setFeatures] = useState({})
+  const [feature, setFeature] = useState("summarize")
+  const [language, setLanguage] = useState("")
+  const [name, setName] = useState("")
+  const [draft, setDraft] = useState("")
+  const [preview, setPreview] = useState(null)
+  const [loading, setLoading] = useState(false)
+  const [saving, setSaving] = useState(false)
+  const [previewing, setPreviewing] = useState(null)
+
+  const current = templates.find((item) => item.feature === feature && item.language === language)
+
+  const loadTemplates = useCallback(async () => {
+    setLoading(true)
+    try {
+      const data = await getPromptTemplates()
+      setTemplates(data.templates)
+      setDefaults(data.defaults)
+      setFeatures(data.features)
+    } catch (error) {
+      Message.error(error.message)
+    } finally {
+      setLoading(false)
+    }
+  }, [])
+
+  useEffect(() => {
+    loadTemplates()
+  }, [loadTemplates])
+
+  // Load the selected template (or the built-in default) into the editor
+  useEffect(() => {
+    setDraft(current?.template ?? defaults[feature] ?? "")
+    setName(current?.name ?? "")
+    setPreview(null)
+  }, [current, defaults, feature])
+
+  const featureLabel = (value) => polyglot.t(`ai.prompt_feature_${value}`)
+
+  const languageLabel = (value) =>
+    value ? getLanguageName(value) : polyglot.t("ai.prompt_language_all")
+
+  const handleSave = async () => {
+    setSaving(true)
+    try {
+      await savePromptTemplate({
+        id: current?.id,
+        feature,
+        language,
+        name: name.trim() || `${featureLabel(feature)} · ${languageLabel(language)}`,
+        template: draft,
+      })
+      Message.success(polyglot.t("ai.prompt_saved"))
+      await loadTemplates()
+    } catch (error) {
+      Message.error(error.message)
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  const handleReset = async () => {
+    if (!current) {
+      setDraft(defaults[feature] ?? "")
+      return
+    }
+
+    try {
+      await deletePromptTemplate(current.id)
+      Message.success(polyglot.t("ai.prompt_reset_done"))
+      await loadTemplates()
+    } catch (error) {
+      Message.error(error.message)
+    }
+  }
+
+  const handlePreview = async (run) => {
+    setPreviewing(run ? "run" : "preview")
+    try {
+      const data = await previewPrompt({
+        feature,
+        template: draft,
+        language: language || undefined,
+        run,
+      })
+      setPreview(data)
+    } catch (error) {
+      Message.error(error.message)
+    } finally {
+      setPreviewing(null)
+    }
+  }
+
+  const placeholders = (features[feature]?.placeholders || []).map((item) => `{{${item}}}`)
+
+  return (
+    <>
+      <div style={{ marginTop: 24, marginBottom: 16 }}>
+        <Text bold style={{ fontSize: 14 }}>
+          {polyglot.t("ai.prompts_section")}
+        </Text>
+        <div style={{ marginTop: 4 }}>
+          <Text style={{ fontSize: 12 }} type="secondary">
+            {polyglot.t("ai.prompts_description")}
+          </Text>
+        </div>
+      </div>
+
+      <Space wrap style={{ marginBottom: 12 }}>
+        <Select style={{ width: 180 }} value={feature} onChange={setFeature}>
+          {Object.keys(features).map((item) => (
+            <Select.Option key={item} value={item}>
+              {featureLabel(item)}
+            </Select.Option>
+          ))}
+        </Select>
+        <Select style={{ width: 180 }} value={language} onChange={setLanguage}>
+          <Select.Option value="">{polyglot.t("ai.prompt_language_all")}</Select.Option>
+          {AI_LANGUAGES.map((item) => (
+            <Select.Option key={item.id} value={item.id}>
+              {item.name}
+            </Select.Option>
+          ))}
+        </Select>
+        {current ? (
+          <Tag color="arcoblue" size="small">
+            {polyglot.t("ai.prompt_custom", { version: current.version })}
+          </Tag>
+        ) : (
+          <Tag size="small">{polyglot.t("ai.prompt_default")}</Tag>
+        )}
+      </Space>
+
+      {templates.length > 0 && (
+        <Space wrap style={{ marginBottom: 12 }}>
+          {templates.map((item) => (
+            <Tag
+              key={item.id}
+              checkable
+              checked={item.id === current?.id}
+              onCheck={() => {
+                setFeature(item.feature)
+                setLanguage(item.language)
+              }}
+            >
+              {`${featureLabel(item.feature)} · ${languageLabel(item.language)}`}
+            </Tag>
+          ))}
+        </Space>
+      )}
+
+      <Input
+        placeholder={polyglot.t("ai.prompt_name_placeholder")}
+        style={{ width: 360, maxWidth: "100%", marginBottom: 8 }}
+        value={name}
+        onChange={setName}
+      />
+      <Input.TextArea
+        autoSize={{ minRows: 6, maxRows: 16 }}
+        style={{ marginBottom: 4 }}
+        value={draft}
+        onChange={(value) => {
+          setDraft(value)
+          setPreview(null)
+        }}
+      />
+      <div style={{ marginBottom: 12 }}>
+        <Text style={{ fontSize: 12 }} type="secondary">
+          {polyglot.t("ai.prompt_placeholders", { placeholders: placeholders.join(", ") })}
+        </Text>
+      </div>
+
+      <Space wrap style={{ marginBottom: 12 }}>
+        <Button
+          disabled={!draft.trim()}
+          icon={<IconSave />}
+          loading={saving}
+          type="primary"
+          onClick={handleSave}
+        >
+          {polyglot.t("ai.prompt_save")}
+        </Button>
+        <Button
+          disabled={!draft.trim()}
+          icon={<IconEye />}
+          loading={previewing === "preview"}
+          onClick={() => handlePreview(false)}
+        >
+          {polyglot.t("ai.prompt_preview")}
+        </Button>
+        <Button
+          disabled={!draft.trim()}
+          icon={<IconPlayArrow />}
+          loading={previewing === "run"}
+          onClick={() => handlePreview(true)}
+        >
+          {polyglot.t("ai.prompt_test_run")}
+        </Button>
+        <Popconfirm
+          content={polyglot.t("ai.prompt_reset_confirm")}
+          title={polyglot.t("ai.prompt_reset")}
+          onOk={handleReset}
+        >
+          <Button disabled={loading} icon={<IconRefresh />} status="warning" type="text">
+            {polyglot.t("ai.prompt_reset")}
+          </Button>
+        </Popconfirm>
+      </Space>
+
+      {preview && (
+        <>
+          <Text style={{ fontSize: 12 }} type="secondary">
+            {polyglot.t("ai.prompt_rendered")}
+          </Text>
+          <Paragraph style={PREVIEW_STYLE}>{preview.prompt}</Paragraph>
+          {preview.output !== undefined && (
+            <>
+              <Text style={{ fontSize: 12 }} type="secondary">
+                {polyglot.t("ai.prompt_output", { model: preview.model || "" })}
+              </Text>
+              <Paragraph style={PREVIEW_STYLE}>{preview.output}</Paragraph>
+            </>
+          )}
+        </>
+      )}
+    </>
+  )
+}
+
+export default PromptLibrarySection
@@ -0,0 +1,226 @@
+import {
+  Button,
+  Empty,
+  Message,
+  Radio,
+  Space,
+  Spin,
+  Table,
+  Typography,
+} from "@arco-design/web-react"
+import { IconRefresh } from "@arco-design/web-react/icon"
+import { useStore } from "@nanostores/react"
+import { useCallback, useEffect, useState } from "react"
+
+import { polyglotState } from "@/hooks/useLanguage"
+import { getUsage } from "@/services/ai-service"
+
+const { Text } = Typography
+
+const DAY_OPTIONS = [7, 30, 90]
+
+const VIEW_OPTIONS = ["byDay", "byFeature", "byModel", "byTask"]
+
+function formatNumber(value) {
+  return (value || 0).toLocaleString()
+}
+
+function formatCost(value) {
+  if (value === null || value === undefined) {
+    return "—"
+  }
+  return `$${value < 0.01 ? value.toFixed(4) : value.toFixed(2)}`
+}
+
+/**
+ * AI 用量区块：按天 / 功能 / 模型 / 定时任务统计 Token 与费用
+ * 入口：设置 -> AI -> 下方「Token 用量」
+ */
+const TokenUsageSection = () => {
+  const { polyglot } = useStore(polyglotState)
+
+  const [days, setDays] = useState(30)
+  const [view, setView] = useState("byDay")
+  const [usage, setUsage] = useState(null)
+  const [loading, setLoading] = useState(false)
+
+  const loadUsage = useCallback(async () => {
+    setLoading(true)
+    try {
+      setUsage(await getUsage({ days }))
+    } catch (error) {
+      Message.error(error.message)
+    } finally {
+      setLoading(false)
+    }
+  }, [days])
+
+  useEffect(() => {
+    loadUsage()
+  }, [loadUsage])
+
+  const featureLabel = (feature) => polyglot.t(`ai.usage_feature_${feature}`, { _: feature })
+
+  const metricColumns = [
+    {
+      title: polyglot.t("ai.usage_requests"),
+      dataIndex: "requests",
+      render: (v, row) => (
+        <>
+          {formatNumber(v)}
+          {row.errors > 0 && (
+            <Text style={{ fontSize: 12 }} type="error">
+              {" "}
+              ({row.errors} {polyglot.t("ai.usage_errors")})
+            </Text>
+          )}
+        </>
+      ),
+      width: 120,
+    },
+    {
+      title: polyglot.t("ai.usage_prompt_tokens"),
+      dataIndex: "promptTokens",
+      render: formatNumber,
+      width: 100,
+    },
+    {
+      title: polyglot.t("ai.usage_completion_tokens"),
+      dataIndex: "completionTokens",
+      render: formatNumber,
+      width: 100,
+    },
+    {
+      title: polyglot.t("ai.usage_cost"),
+      dataIndex: "cost",
+      render: formatCost,
+      width: 90,
+    },
+  ]
+
+  const keyColumns = {
+    byDay: [{ title: polyglot.t("ai.usage_date"), dataIndex: "date" }],
+    byFeature: [
+      {
+        title: polyglot.t("ai.usage_feature"),
+        dataIndex: "feature",
+        render: featureLabel,
+      },
+    ],
+    byModel: [
+      {
+        title: polyglot.t("ai.usage_model"),
+        dataIndex: "model",
+        render: (model, row) => (
+          <Space direction="vertical" size={0}>
+            <Text>{model || "—"}</Text>
+            <Text style={{ fontSize: 12 }} type="secondary">
+              {row.provider}
+            </Text>
+          </Space>
+        ),
+      },
+    ],
+    byTask: [
+      {
+        title: polyglot.t("ai.usage_task"),
+        dataIndex: "taskName",
+        render: (name, row) => name || `#${row.taskId}`,
+      },
+    ],
+  }
+
+  const rows = usage?.[view] || []
+  const rowKey = {
+    byDay: "date",
+    byFeature: "feature",
+    byModel: (row) => `${row.provider}/${row.model}`,
+    byTask: "taskId",
+  }[view]
+
+  return (
+    <>
+      <div style={{ marginTop: 24, marginBottom: 16 }}>
+        <Text bold style={{ fontSize: 14 }}>
+          {polyglot.t("ai.usage_section")}
+        </Text>
+        <div style={{ marginTop: 4 }}>
+          <Text style={{ fontSize: 12 }} type="secondary">
+            {polyglot.t("ai.usage_description")}
+          </Text>
+        </div>
+      </div>
+
+      <Space wrap style={{ marginBottom: 12 }}>
+        <Radio.Group size="small" type="button" value={days} onChange={setDays}>
+          {DAY_OPTIONS.map((d) => (
+            <Radio key={d} value={d}>
+              {polyglot.t("ai.usage_days", { days: d })}
+            </Radio>
+          ))}
+        </Radio.Group>
+        <Button
+          icon={<IconRefresh />}
+          loading={loading}
+          size="small"
+          type="text"
+          onClick={loadUsage}
+        >
+          {polyglot.t("ai.usage_refresh")}
+        </Button>
+      </Space>
+
+      {loading && !usage ? (
+        <Spin />
+      ) : !usage || usage.totals.requests === 0 ? (
+        <Empty description={polyglot.t("ai.usage_empty")} style={{ marginTop: 24 }} />
+      ) : (
+        <>
+          <Space size="large" style={{ marginBottom: 12 }}>
+            <Text>
+              {polyglot.t("ai.usage_requests")}:{" "}
+              <Text bold>{formatNumber(usage.totals.requests)}</Text>
+            </Text>
+            <Text>
+              {polyglot.t("ai.usage_tokens")}:{" "}
+              <Text bold>{formatNumber(usage.totals.totalTokens)}</Text>
+            </Text>
+            <Text>
+              {polyglot.t("ai.usage_cost")}: <Text bold>{formatCost(usage.totals.cost)}</Text>
+            </Text>
+          </Space>
+
+          <div style={{ marginBottom: 12 }}>
+            <Radio.Group size="small" type="button" value={view} onChange={setView}>
+              {VIEW_OPTIONS.map((option) => (
+                <Radio key={option} value={option}>
+                  {polyglot.t(
+                    `ai.usage_${option.replaceAll(/[A-Z]/g, (c) => `_${c.toLowerCase()}`)}`,
+                  )}
+                </Radio>
+              ))}
+            </Radio.Group>
+          </div>
+
+          <Table
+            border={{ wrapper: true, cell: false }}
+            columns={[...keyColumns[view], ...metricColumns]}
+            data={view === "byDay" ? rows.toReversed() : rows}
+            noDataElement={<Empty description={polyglot.t("ai.usage_empty")} />}
+            pagination={rows.length > 10 ? { pageSize: 10, size: "mini" } : false}
+            rowKey={rowKey}
+            size="small"
+          />
+
+          <div style={{ marginTop: 8 }}>
+            <Text style={{ fontSize: 12 }} type="secondary">
+              {polyglot.t("ai.usage_cost_note")}
+            </Text>
+          </div>
+        </>
+      )}
+    </>
+  )
+}
+
+export default TokenUsageSection
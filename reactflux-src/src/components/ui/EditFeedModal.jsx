@@ -11,7 +11,10 @@ import {
 import { useStore } from "@nanostores/react"
 
 import { updateFeed } from "@/apis"
+import { AI_LANGUAGES } from "@/constants/ai-languages"
 import { polyglotState } from "@/hooks/useLanguage"
+import { saveFeedLanguage } from "@/services/ai-service"
+import { feedLanguagesState, isAIConfiguredState } from "@/store/aiState"
 import { authState } from "@/store/authState"
 import { categoriesState, setFeedsData } from "@/store/dataState"
 
@@ -26,13 +29,21 @@ const EditFeedModal = ({
   const { polyglot } = useStore(polyglotState)
   const auth = useStore(authState)
   const categories = useStore(categoriesState)
+  const feedLanguages = useStore(feedLanguagesState)
+  const isAIConfigured = useStore(isAIConfiguredState)
 
   const feedId = selectedFeed?.id || selectedFeed?.key
   const minifluxEditUrl = `${auth.server}/feed/${feedId}/edit`
 
-  const editFeed = async (newDetails) => {
+  const currentLanguage = feedLanguages[feedId] || ""
+
+  const editFeed = async (newDetails, language) => {
     try {
       const data = await updateFeed(feedId, newDetails)
+      // Content language override is stored by the AI backend, not Miniflux
+      if (language !== undefined && language !== currentLanguage) {
+        await saveFeedLanguage(feedId, language)
+      }
       setFeedsData((feeds) =>
         feeds.map((feed) => (feed.id === feedId ? { ...feed, ...data } : feed)),
       )
@@ -81,7 +92,7 @@ const EditFeedModal = ({
     }
 
     if (newDetails.feedUrl) {
-      await editFeed(newDetails)
+      await editFeed(newDetails, values.language)
     } else {
       const errorMessage = polyglot.t("feed_table.modal_edit_feed_submit_error")
 
@@ -182,6 +193,26 @@ const EditFeedModal = ({
         >
           <Switch />
         </Form.Item>
+
+        {isAIConfigured && (
+          <Form.Item
+            field="language"
+            initialValue={currentLanguage}
+            label={polyglot.t("feed_table.modal_edit_feed_language_label")}
+            tooltip={<div>{polyglot.t("feed_table.modal_edit_feed_language_tooltip")}</div>}
+          >
+            <Select showSearch>
+              <Select.Option value="">
+                {polyglot.t("feed_table.modal_edit_feed_language_auto")}
+              </Select.Option>
+              {AI_LANGUAGES.map((item) => (
+                <Select.Option key={item.id} value={item.id}>
+                  {item.name}
+                </Select.Option>
+              ))}
+            </Select>
+          </Form.Item>
+        )}
       </Form>
       <Link href={minifluxEditUrl} target="_blank">
         {polyglot.t("feed_table.modal_edit_feed_miniflux_link")}
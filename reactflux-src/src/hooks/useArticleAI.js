@@ -4,16 +4,18 @@
  */
 
 import { useState, useCallback, useRef, useEffect } from "react"
+import { Message } from "@arco-design/web-react"
 import { useStore } from "@nanostores/react"
 
 import { polyglotState } from "@/hooks/useLanguage"
-import { aiConfigState, isAIConfiguredState } from "@/store/aiState"
+import { aiConfigState, feedLanguagesState, isAIConfiguredState } from "@/store/aiState"
 import {
   summarize,
   translate,
   createAbortController,
   cancelOperation,
 } from "@/services/ai-service"
+import { detectLanguage, isSameLanguage } from "@/utils/language-detect"
 
 /**
  * Extract plain text from HTML content
@@ -82,6 +84,7 @@ export function useArticleAI(article) {
   const { polyglot } = useStore(polyglotState)
   const config = useStore(aiConfigState)
   const isConfigured = useStore(isAIConfiguredState)
+  const feedLanguages = useStore(feedLanguagesState)
 
   // Summary state
   const [summary, setSummary] = useState("")
@@ -148,16 +151,19 @@ export function useArticleAI(article) {
 
     try {
       summaryAbortRef.current = createAbortController()
+      const { signal } = summaryAbortRef.current
 
+      const targetLang = config.targetLanguage || "zh-CN"
       const textContent = extractPlainText(article.content)
 
+      // The backend replays cached summaries itself
       await summarize(
         textContent,
-        config.targetLanguage || "zh-CN",
+        targetLang,
         (chunk, fullContent) => {
           setSummary(fullContent)
         },
-        summaryAbortRef.current.signal
+        signal
       )
     } catch (err) {
       if (err.name !== "AbortError") {
@@ -183,6 +189,7 @@ export function useArticleAI(article) {
 
   /**
    * Translate article content: translate each paragraph and show below original (uses AI settings).
+   * Paragraphs already in the target language (feed override or local detection) are left untranslated.
    */
   const translateArticle = useCallback(async () => {
     if (!isConfigured || !article?.content) {
@@ -197,6 +204,16 @@ export function useArticleAI(article) {
       return
     }
 
+    const targetLang = config.targetLanguage || "Simplified Chinese"
+    const feedLanguage = feedLanguages[article.feed?.id]
+    const skipped = translatable.map(({ text }) =>
+      isSameLanguage(feedLanguage || detectLanguage(text), targetLang),
+    )
+    if (skipped.every(Boolean)) {
+      Message.info(polyglot.t("ai.translation_skipped"))
+      return
+    }
+
     setIsTranslating(true)
     setTranslationError(null)
     setParagraphTranslations([])
@@ -205,12 +222,15 @@ export function useArticleAI(article) {
 
     try {
       translationAbortRef.current = createAbortController()
-      const targetLang = config.targetLanguage || "Simplified Chinese"
+      const { signal } = translationAbortRef.current
       const results = new Array(translatable.length).fill("")
       setParagraphTranslations([...results])
 
       for (let i = 0; i < translatable.length; i++) {
-        if (translationAbortRef.current?.signal?.aborted) break
+        if (signal.aborted) break
+        if (skipped[i]) {
+          continue
+        }
         const idx = i
         const { text } = translatable[i]
         const translated = await translate(
@@ -220,7 +240,8 @@ export function useArticleAI(article) {
             results[idx] = fullContent || ""
             setParagraphTranslations([...results])
           },
-          translationAbortRef.current?.signal
+          translationAbortRef.current?.signal,
+          article.feed?.id
         )
         results[idx] = translated || ""
         setParagraphTranslations([...results])
@@ -234,7 +255,7 @@ export function useArticleAI(article) {
       setIsTranslating(false)
       translationAbortRef.current = null
     }
-  }, [article, isConfigured, config.targetLanguage, polyglot])
+  }, [article, isConfigured, feedLanguages, config.targetLanguage, polyglot])
 
   /**
    * Cancel translation
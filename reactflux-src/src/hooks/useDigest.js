@@ -51,6 +51,7 @@ import {
   markAllDigestsAsRead,
   generateDigest as generateDigestApi,
   getJobStatus,
+  getJobs,
   pushDigest,
   getScheduledTasks,
   createScheduledTask,
@@ -62,6 +63,68 @@ import {
   processWebhookTemplate,
 } from "@/services/digest-service"
 
+const JOB_POLL_INTERVAL = 3000
+
+/**
+ * Poll a generation job until it finishes
+ * @param {string} jobId - Job ID
+ * @param {function} [onProgress] - Called with the job on each poll while it is still running
+ * @returns {Promise<object>} Finished job (status "completed" or "error")
+ */
+const waitForJob = (jobId, onProgress) =>
+  new Promise((resolve, reject) => {
+    const poll = async () => {
+      try {
+        const statusRes = await getJobStatus(jobId)
+        const job = statusRes?.data
+
+        if (!job) {
+          reject(new Error("Job lost"))
+          return
+        }
+
+        if (job.status === "completed" || job.status === "error") {
+          resolve(job)
+          return
+        }
+
+        onProgress?.(job)
+        setTimeout(poll, JOB_POLL_INTERVAL)
+      } catch (error) {
+        reject(error)
+      }
+    }
+
+    setTimeout(poll, JOB_POLL_INTERVAL)
+  })
+
+/**
+ * Track a generation job in the global generation state
+ * @param {string} jobId - Job ID
+ */
+const trackGenerationJob = async (jobId) => {
+  try {
+    const job = await waitForJob(jobId, (runningJob) => {
+      updateGenerationProgress(runningJob.progress || 50, "generating", runningJob.stage)
+    })
+
+    if (job.status === "completed") {
+      updateGenerationProgress(100, "completed")
+      completeGeneration(job.digest)
+      if (job.digest) {
+        addDigest(job.digest)
+      }
+    } else {
+      failGeneration(job.error || "Generation failed")
+    }
+  } catch (error) {
+    console.error("Job polling error:", error)
+    const msg = error?.message || ""
+    const isNotFound = msg.includes("not found") || msg.includes("Job not found")
+    failGeneration(isNotFound ? "Job expired or was removed. Please try again." : msg || "Polling failed")
+  }
+}
+
 /**
  * Custom hook for digest functionality
  * @returns {object} Digest utilities and state
@@ -313,38 +376,7 @@ export function useDigest() {
       updateGenerationProgress(20, "generating")
 
       // Poll job status in background
-      const pollInterval = setInterval(async () => {
-        try {
-          const statusRes = await getJobStatus(jobId)
-          const job = statusRes?.data
-
-          if (!job) {
-            clearInterval(pollInterval)
-            failGeneration("Job lost")
-            return
-          }
-
-          if (job.status === "generating") {
-            updateGenerationProgress(job.progress || 50, "generating")
-          } else if (job.status === "completed") {
-            clearInterval(pollInterval)
-            updateGenerationProgress(100, "completed")
-            completeGeneration(job.digest)
-            if (job.digest) {
-              addDigest(job.digest)
-            }
-          } else if (job.status === "error") {
-            clearInterval(pollInterval)
-            failGeneration(job.error || "Generation failed")
-          }
-        } catch (pollErr) {
-          console.error("Job polling error:", pollErr)
-          clearInterval(pollInterval)
-          const msg = pollErr?.message || ""
-          const isNotFound = msg.includes("not found") || msg.includes("Job not found")
-          failGeneration(isNotFound ? "Job expired or server was restarted. Please try again." : msg || "Polling failed")
-        }
-      }, 3000)
+      trackGenerationJob(jobId)
 
       return { success: true, data: { jobId } }
     } catch (err) {
@@ -354,6 +386,29 @@ export function useDigest() {
     }
   }, [])
 
+  /**
+   * Resume tracking a generation job that is still running on the server
+   * (e.g. after a page reload). No-op when a generation is already tracked.
+   */
+  const resumeGeneration = useCallback(async () => {
+    if (generation.isGenerating) {
+      return
+    }
+
+    try {
+      const response = await getJobs({ status: "pending,generating", type: "generate", limit: 1 })
+      const job = response?.data?.[0]
+
+      if (job) {
+        startGeneration()
+        updateGenerationProgress(job.progress || 20, "generating", job.stage)
+        trackGenerationJob(job.jobId)
+      }
+    } catch (error) {
+      console.error("Failed to resume digest generation:", error)
+    }
+  }, [generation.isGenerating])
+
   /**
    * Push a digest to webhook
    * @param {number|string} id - Digest ID
@@ -534,23 +589,36 @@ export function useDigest() {
   }, [])
 
   /**
-   * Run a scheduled task manually
+   * Run a scheduled task manually and wait for its job to finish
    * @param {number|string} id - Task ID
    */
   const runTask = useCallback(async (id) => {
     try {
       const response = await runScheduledTask(id)
+      const jobId = response.data?.jobId
 
-      if (response.success && response.data?.digest) {
-        addDigest(response.data.digest)
+      if (!response.success || !jobId) {
+        throw new Error(response.error || "Failed to run task")
       }
 
-      return response
+      const job = await waitForJob(jobId)
+
+      if (job.status === "error") {
+        throw new Error(job.error || "Task failed")
+      }
+
+      if (job.digest?.id) {
+        addDigest(job.digest)
+      }
+
+      await loadScheduledTasks()
+
+      return { success: true, data: { jobId, digest: job.digest, push: job.push } }
     } catch (err) {
       console.error("Failed to run scheduled task:", err)
       throw err
     }
-  }, [])
+  }, [loadScheduledTasks])
 
   // ============================================
   // Configuration
@@ -589,6 +657,7 @@ export function useDigest() {
 
     // Generation
     generateDigest: generateDigestItem,
+    resumeGeneration,
     pushDigest: pushDigestItem,
     pushGeneratedDigest,
     resetGeneration: resetGenerationState,
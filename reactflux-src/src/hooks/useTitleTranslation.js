@@ -5,6 +5,7 @@
  * - Lazy translation: only translates titles when they enter viewport
  * - Batch optimization: collects titles and translates in batches
  * - Caching: uses localStorage to cache translated titles
+ * - Skipping: titles already in the target language (feed override or local detection) are left as is
  */
 
 import { useCallback, useEffect, useRef, useState } from "react"
@@ -12,6 +13,7 @@ import { useStore } from "@nanostores/react"
 
 import {
   aiConfigState,
+  feedLanguagesState,
   isAIConfiguredState,
 } from "@/store/aiState"
 import { translateTitlesBatch } from "@/services/ai-service"
@@ -19,6 +21,7 @@ import {
   getCachedTranslation,
   setCachedTranslation,
 } from "@/services/title-cache"
+import { detectLanguage, isSameLanguage } from "@/utils/language-detect"
 
 // Batch collection timing (ms)
 const BATCH_DELAY = 100
@@ -30,6 +33,7 @@ const BATCH_DELAY = 100
 export function useTitleTranslation() {
   const config = useStore(aiConfigState)
   const isConfigured = useStore(isAIConfiguredState)
+  const feedLanguages = useStore(feedLanguagesState)
 
   // Translation state
   const [translatedTitles, setTranslatedTitles] = useState(new Map())
@@ -79,7 +83,7 @@ export function useTitleTranslation() {
       (item) =>
         !translatedTitles.has(item.id) &&
         !isTranslating.has(item.id) &&
-        !getCachedTranslation(item.title, config.targetLanguage)
+        !getCachedTranslation(item.title, config.targetLanguage, config.glossaryVersion)
     )
 
     if (itemsToTranslate.length === 0) return
@@ -93,7 +97,7 @@ export function useTitleTranslation() {
 
     try {
       const results = await translateTitlesBatch(
-        itemsToTranslate.map((item) => ({ id: item.id, title: item.title })),
+        itemsToTranslate.map((item) => ({ id: item.id, title: item.title, feedId: item.feedId })),
         config.targetLanguage
       )
 
@@ -104,7 +108,12 @@ export function useTitleTranslation() {
         // Cache the translation
         const originalItem = itemsToTranslate.find((item) => item.id === result.id)
         if (originalItem && result.translatedTitle) {
-          setCachedTranslation(originalItem.title, config.targetLanguage, result.translatedTitle)
+          setCachedTranslation(
+            originalItem.title,
+            config.targetLanguage,
+            result.translatedTitle,
+            config.glossaryVersion,
+          )
         }
         newTranslations.set(result.id, result.translatedTitle || result.error ? null : result.translatedTitle)
       })
@@ -128,13 +137,13 @@ export function useTitleTranslation() {
         return next
       })
     }
-  }, [config.targetLanguage, translatedTitles, isTranslating])
+  }, [config.targetLanguage, config.glossaryVersion, translatedTitles, isTranslating])
 
   // Queue title for batch translation
   const queueForTranslation = useCallback(
-    (id, title) => {
+    (id, title, feedId) => {
       // Check cache first
-      const cached = getCachedTranslation(title, config.targetLanguage)
+      const cached = getCachedTranslation(title, config.targetLanguage, config.glossaryVersion)
       if (cached) {
         setTranslatedTitles((prev) => {
           if (prev.has(id)) return prev
@@ -146,7 +155,7 @@ export function useTitleTranslation() {
       }
 
       // Add to batch queue
-      batchQueueRef.current.push({ id, title })
+      batchQueueRef.current.push({ id, title, feedId })
 
       // Schedule batch processing
       if (batchTimeoutRef.current) {
@@ -154,7 +163,7 @@ export function useTitleTranslation() {
       }
       batchTimeoutRef.current = setTimeout(processBatch, BATCH_DELAY)
     },
-    [config.targetLanguage, processBatch]
+    [config.targetLanguage, config.glossaryVersion, processBatch]
   )
 
   // Set up Intersection Observer
@@ -172,9 +181,9 @@ export function useTitleTranslation() {
     observerRef.current = new IntersectionObserver((entries) => {
       entries.forEach((entry) => {
         if (entry.isIntersecting) {
-          const { articleId, articleTitle } = entry.target.dataset
+          const { articleId, articleTitle, feedId } = entry.target.dataset
           if (articleId && articleTitle) {
-            queueForTranslation(articleId, articleTitle)
+            queueForTranslation(articleId, articleTitle, feedId ? Number(feedId) : undefined)
             // Unobserve after triggering translation
             observerRef.current.unobserve(entry.target)
             observedElementsRef.current.delete(articleId)
@@ -195,12 +204,18 @@ export function useTitleTranslation() {
 
   // Observe an element for title translation
   const observeElement = useCallback(
-    (element, articleId, articleTitle, feedCategoryId) => {
+    (element, articleId, articleTitle, feedCategoryId, feedId) => {
       if (!isTitleTranslationEnabled || !element) return
       if (!shouldTranslateFeed(feedCategoryId)) return
 
+      // Already in the target language: keep the original title
+      const sourceLanguage = feedLanguages[feedId] || detectLanguage(articleTitle)
+      if (isSameLanguage(sourceLanguage, config.targetLanguage)) {
+        return
+      }
+
       // Check if already has translation (cached or in state)
-      const cached = getCachedTranslation(articleTitle, config.targetLanguage)
+      const cached = getCachedTranslation(articleTitle, config.targetLanguage, config.glossaryVersion)
       if (cached) {
         setTranslatedTitles((prev) => {
           if (prev.has(articleId)) return prev
@@ -214,6 +229,9 @@ export function useTitleTranslation() {
       // Store element data
       element.dataset.articleId = articleId
       element.dataset.articleTitle = articleTitle
+      if (feedId) {
+        element.dataset.feedId = feedId
+      }
 
       // Observe element
       if (observerRef.current && !observedElementsRef.current.has(articleId)) {
@@ -221,7 +239,13 @@ export function useTitleTranslation() {
         observedElementsRef.current.set(articleId, element)
       }
     },
-    [isTitleTranslationEnabled, shouldTranslateFeed, config.targetLanguage]
+    [
+      isTitleTranslationEnabled,
+      shouldTranslateFeed,
+      feedLanguages,
+      config.targetLanguage,
+      config.glossaryVersion,
+    ]
   )
 
   // Unobserve an element
@@ -23,14 +23,24 @@ const Digest = () => {
   const [refreshKey, setRefreshKey] = useState(0)
   const [modalVisible, setModalVisible] = useState(false)
 
-  const { digests, isLoading, loadDigests, generation } = useDigest()
+  const { digests, isLoading, loadDigests, generation, resumeGeneration } = useDigest()
   const prevGenerationStatus = useRef(generation.status)
+  const hasResumed = useRef(false)
 
   // Load digests on mount so list is always populated (left panel)
   useEffect(() => {
     loadDigests()
   }, [loadDigests])
 
+  // Pick up a generation job still running on the server (e.g. after a page reload), once per mount
+  useEffect(() => {
+    if (hasResumed.current) {
+      return
+    }
+    hasResumed.current = true
+    resumeGeneration()
+  }, [resumeGeneration])
+
   // Show notification when background generation completes
   useEffect(() => {
     const prev = prevGenerationStatus.current
@@ -10,13 +10,19 @@ import {
   aiApiKeyState,
   aiLoadingState,
   aiErrorState,
+  feedLanguagesState,
   isAIConfiguredState,
   setAILoading,
   setAIError,
   clearAIError,
 } from "@/store/aiState"
-import { getLanguageName } from "@/constants/ai-languages"
-import { getDefaultUrl, getProviderById } from "@/constants/ai-providers"
+import {
+  getDefaultUrl,
+  getProviderById,
+  isLocalProvider,
+  providerRequiresApiKey,
+} from "@/constants/ai-providers"
+import { getSessionHeaders } from "@/store/authState"
 
 /**
  * API base URL for AI endpoints
@@ -24,26 +30,6 @@ import { getDefaultUrl, getProviderById } from "@/constants/ai-providers"
  */
 const AI_API_BASE_URL = import.meta.env.VITE_AI_API_BASE_URL || "/api/ai"
 
-/**
- * Default prompts for AI operations
- */
-export const DEFAULT_PROMPTS = {
-  translate: `Please translate the following text into {{targetLang}}. Only output the translated text without any explanations or additional content.
-
-Text to translate:
-{{content}}`,
-
-  summarize: `Please summarize the following content in {{targetLang}}. Keep the summary concise and capture the main points. Only output the summary without any explanations.
-
-Content to summarize:
-{{content}}`,
-
-  titleTranslate: `Please translate the following title into {{targetLang}}. Only output the translated title without any explanations or additional content.
-
-Title to translate:
-{{title}}`,
-}
-
 /**
  * Create AI API client instance
  */
@@ -53,6 +39,11 @@ const createAIApiClient = () => {
     headers: {
       "Content-Type": "application/json",
     },
+    onRequest({ options }) {
+      for (const [name, value] of Object.entries(getSessionHeaders())) {
+        options.headers.set(name, value)
+      }
+    },
     onRequestError({ error }) {
       console.error("AI API request error:", error)
       throw error
@@ -73,20 +64,6 @@ aiClient.post = (url, body, options) => aiClient(url, { ...options, method: "POS
 aiClient.put = (url, body, options) => aiClient(url, { ...options, method: "PUT", body })
 aiClient.delete = (url, options) => aiClient(url, { ...options, method: "DELETE" })
 
-/**
- * Build prompt from template
- * @param {string} template - Prompt template
- * @param {object} variables - Variables to replace
- * @returns {string} Processed prompt
- */
-const buildPrompt = (template, variables) => {
-  let prompt = template
-  for (const [key, value] of Object.entries(variables)) {
-    prompt = prompt.replace(new RegExp(`\\{\\{${key}\\}\\}`, "g"), value)
-  }
-  return prompt
-}
-
 /**
  * Load AI configuration from backend
  * @returns {Promise<object>} Configuration object
@@ -121,6 +98,15 @@ export const loadConfig = async () => {
       apiUrl: activeConfig?.api_url || activeConfig?.apiUrl || currentConfig.apiUrl,
       model: activeConfig?.model || currentConfig.model,
       hasStoredApiKey,
+      timeoutSeconds: activeConfig?.extraConfig?.timeoutMs
+        ? activeConfig.extraConfig.timeoutMs / 1000
+        : null,
+      azureResourceName: activeConfig?.extraConfig?.resourceName || "",
+      azureApiVersion: activeConfig?.extraConfig?.apiVersion || "",
+      azureDeployments: Object.entries(activeConfig?.extraConfig?.deployments || {}).map(
+        ([model, deployment]) => ({ model, deployment }),
+      ),
+      glossaryVersion: response.glossaryVersion ?? currentConfig.glossaryVersion,
     }
 
     aiConfigState.set(mappedConfig)
@@ -133,6 +119,30 @@ export const loadConfig = async () => {
   }
 }
 
+/**
+ * Provider-specific settings stored in the backend's extra_config
+ * @param {object} config - AI configuration
+ * @returns {object|null} extraConfig payload
+ */
+export const buildExtraConfig = (config) => {
+  if (config.provider === "azure") {
+    const deployments = (config.azureDeployments || [])
+      .map((item) => [item.model?.trim(), item.deployment?.trim()])
+      .filter(([model, deployment]) => model && deployment)
+    return {
+      resourceName: config.azureResourceName?.trim() || undefined,
+      apiVersion: config.azureApiVersion?.trim() || undefined,
+      deployments: Object.fromEntries(deployments),
+    }
+  }
+
+  if (isLocalProvider(config.provider) && config.timeoutSeconds) {
+    return { timeoutMs: config.timeoutSeconds * 1000 }
+  }
+
+  return null
+}
+
 /**
  * Save AI configuration to backend
  * @param {object} config - Configuration to save
@@ -165,7 +175,7 @@ export const getConfig = () => {
 
 const buildAIRequestPayload = (config) => {
   if (config?.apiKey) {
-    return { config }
+    return { config: { ...config, extraConfig: buildExtraConfig(config) } }
   }
 
   if (config?.provider) {
@@ -211,11 +221,18 @@ export const testConnection = async (config = null) => {
 
     const testConfig = config || getConfig()
 
-    if (!testConfig.provider || !testConfig.model || (!testConfig.apiKey && !testConfig.hasStoredApiKey)) {
+    const hasKey =
+      testConfig.apiKey ||
+      testConfig.hasStoredApiKey ||
+      !providerRequiresApiKey(testConfig.provider)
+    if (!testConfig.provider || !testConfig.model || !hasKey) {
       throw new Error("Missing required configuration: provider, model, or API key")
     }
 
-    const response = await aiClient.post("/test", testConfig)
+    const response = await aiClient.post("/test", {
+      ...testConfig,
+      extraConfig: buildExtraConfig(testConfig),
+    })
     return response
   } catch (error) {
     setAIError(error.message)
@@ -225,6 +242,189 @@ export const testConnection = async (config = null) => {
   }
 }
 
+/**
+ * Get token usage and cost from the backend usage ledger
+ * @param {object} [params] - { days, feature, provider }
+ * @returns {Promise<object>} { totals, byDay, byFeature, byModel, byTask }
+ */
+export const getUsage = async (params = {}) => {
+  const response = await aiClient.get("/usage", { query: params })
+  return response.data
+}
+
+/**
+ * Get the provider fallback chain and circuit breaker state of each saved provider
+ * @returns {Promise<object>} { chain: string[], providers: [{ provider, model, isActive, hasApiKey, circuit }] }
+ */
+export const getFallbackChain = async () => {
+  const response = await aiClient.get("/fallback")
+  return response.data
+}
+
+/**
+ * Replace the provider fallback chain
+ * @param {string[]} providers - Saved providers tried in order after the active one
+ */
+export const saveFallbackChain = async (providers) => {
+  const response = await aiClient.put("/fallback", { providers })
+  return response.data
+}
+
+/**
+ * Get AI profiles, the feature routing table and the providers a profile can use
+ * @returns {Promise<object>} { profiles, routes: { feature: profileId }, features: string[], providers: [{ provider, model }] }
+ */
+export const getProfiles = async () => {
+  const response = await aiClient.get("/profiles")
+  return response.data
+}
+
+/**
+ * Create or update an AI profile
+ * @param {object} profile - { id?, name, provider, model, temperature, maxTokens }
+ * @returns {Promise<object>} Saved profile
+ */
+export const saveProfile = async ({ id, ...profile }) => {
+  const response = id
+    ? await aiClient.put(`/profiles/${id}`, profile)
+    : await aiClient.post("/profiles", profile)
+  return response.data
+}
+
+/**
+ * Delete an AI profile (features routed to it use the active configuration again)
+ * @param {number} id - Profile ID
+ */
+export const deleteProfile = async (id) => {
+  await aiClient.delete(`/profiles/${id}`)
+}
+
+/**
+ * Replace the feature routing table
+ * @param {object} routes - { feature: profileId|null }
+ */
+export const saveRouting = async (routes) => {
+  const response = await aiClient.put("/routing", { routes })
+  return response.data
+}
+
+/**
+ * Get custom prompt templates, the built-in defaults and the placeholders of each feature
+ * @returns {Promise<object>} { templates, defaults, features }
+ */
+export const getPromptTemplates = async () => {
+  const response = await aiClient.get("/prompts")
+  return response.data
+}
+
+/**
+ * Create or update a prompt template
+ * @param {object} template - { id?, feature, language, name, template }
+ * @returns {Promise<object>} Saved template
+ */
+export const savePromptTemplate = async ({ id, ...template }) => {
+  const response = id
+    ? await aiClient.put(`/prompts/${id}`, template)
+    : await aiClient.post("/prompts", template)
+  return response.data
+}
+
+/**
+ * Delete a prompt template (the feature uses the built-in default again)
+ * @param {number} id - Template ID
+ */
+export const deletePromptTemplate = async (id) => {
+  await aiClient.delete(`/prompts/${id}`)
+}
+
+/**
+ * Render a prompt template with sample text, optionally running it
+ * @param {object} params - { feature, template, language, run }
+ * @returns {Promise<object>} { prompt, output?, provider?, model? }
+ */
+export const previewPrompt = async (params) => {
+  const response = await aiClient.post("/prompts/preview", params)
+  return response.data
+}
+
+/**
+ * Get glossary terms and the glossary version
+ * @param {number|"global"} [feedId] - Only terms of this feed ("global" = terms for every feed)
+ * @returns {Promise<object>} { terms, version }
+ */
+export const getGlossary = async (feedId) => {
+  const response = await aiClient.get("/glossary", { query: { feedId } })
+  return response.data
+}
+
+/**
+ * Create or update a glossary term
+ * @param {object} term - { id?, term, translation, targetLang, feedId } (empty translation = do not translate)
+ * @returns {Promise<object>} Saved term
+ */
+export const saveGlossaryTerm = async ({ id, ...term }) => {
+  const response = id
+    ? await aiClient.put(`/glossary/${id}`, term)
+    : await aiClient.post("/glossary", term)
+  return response.data
+}
+
+/**
+ * Delete a glossary term
+ * @param {number} id - Term ID
+ */
+export const deleteGlossaryTerm = async (id) => {
+  await aiClient.delete(`/glossary/${id}`)
+}
+
+/**
+ * Import glossary terms from CSV (term,translation,target_lang)
+ * @param {object} params - { csv, feedId, replace }
+ * @returns {Promise<object>} { created, updated, errors }
+ */
+export const importGlossary = async (params) => {
+  const response = await aiClient.post("/glossary/import", params)
+  return response.data
+}
+
+/**
+ * Load per-feed content language overrides into the store
+ * @returns {Promise<object>} { [feedId]: languageId }
+ */
+export const loadFeedLanguages = async () => {
+  const response = await aiClient.get("/feed-languages")
+  feedLanguagesState.set(response.data)
+  return response.data
+}
+
+/**
+ * Set or clear the content language of a feed
+ * @param {number} feedId - Feed ID
+ * @param {string|null} language - Language ID, or null to go back to auto-detection
+ */
+export const saveFeedLanguage = async (feedId, language) => {
+  await aiClient.put(`/feed-languages/${feedId}`, { language: language || null })
+
+  const { [feedId]: _previous, ...languages } = feedLanguagesState.get()
+  feedLanguagesState.set(language ? { ...languages, [feedId]: language } : languages)
+}
+
+/**
+ * List the models a provider serves (cached on the backend, merged with presets)
+ * @param {string} provider - Provider ID
+ * @param {object} [options] - { apiUrl, refresh }
+ *   apiUrl: server URL for local providers (defaults to the saved configuration)
+ *   refresh: bypass the backend cache
+ * @returns {Promise<{models: Array<{id: string, contextWindow?: number, parameterSize?: string, quantization?: string, source: string}>, source: string, fetchedAt: string|null, error?: string}>}
+ */
+export const listModels = async (provider, options = {}) => {
+  const { apiUrl, refresh } = options
+  const response = await aiClient.get("/models", {
+    query: { provider, apiUrl, refresh: refresh ? 1 : undefined },
+  })
+  return response.data
+}
+
 /**
  * Chat with AI (supports streaming)
  * @param {Array} messages - Array of message objects [{role: 'user'|'assistant'|'system', content: string}]
@@ -274,20 +474,34 @@ export const chat = async (messages, onChunk, signal) => {
  * @param {Array} messages - Chat messages
  * @param {function} onChunk - Chunk callback
  * @param {AbortSignal} signal - Abort signal
+ * @param {string} [feature] - Feature name recorded in the backend usage ledger
  * @returns {Promise<string>} Full response
  */
-const streamChat = async (config, messages, onChunk, signal) => {
-  const requestPayload = buildAIRequestPayload(config)
-  const response = await fetch(`${AI_API_BASE_URL}/chat`, {
+const streamChat = async (config, messages, onChunk, signal, feature = "chat") =>
+  streamRequest(
+    "/chat",
+    { ...buildAIRequestPayload(config), messages, stream: true, feature },
+    onChunk,
+    signal,
+  )
+
+/**
+ * POST to a streaming AI endpoint and read its OpenAI-format SSE response
+ * Aborting the signal closes the connection, which also cancels the upstream provider request
+ * @param {string} path - Endpoint path under the AI API
+ * @param {object} body - Request body
+ * @param {function} onChunk - Chunk callback
+ * @param {AbortSignal} signal - Abort signal
+ * @returns {Promise<string>} Full response
+ */
+const streamRequest = async (path, body, onChunk, signal) => {
+  const response = await fetch(`${AI_API_BASE_URL}${path}`, {
     method: "POST",
     headers: {
       "Content-Type": "application/json",
+      ...getSessionHeaders(),
     },
-    body: JSON.stringify({
-      ...requestPayload,
-      messages,
-      stream: true,
-    }),
+    body: JSON.stringify(body),
     signal,
   })
 
@@ -299,33 +513,52 @@ const streamChat = async (config, messages, onChunk, signal) => {
   const reader = response.body.getReader()
   const decoder = new TextDecoder()
   let fullContent = ""
+  // A data: line may be split across reads; its start waits here for the rest
+  let buffer = ""
+
+  const handleLine = (line) => {
+    if (!line.startsWith("data: ")) return
+
+    const data = line.slice(6)
+    if (data === "[DONE]") return
+
+    let parsed
+    try {
+      parsed = JSON.parse(data)
+    } catch {
+      // Skip invalid JSON
+      return
+    }
+
+    if (parsed.error) {
+      throw new Error(parsed.error)
+    }
+
+    const content = parsed.choices?.[0]?.delta?.content || parsed.content || ""
+    if (content) {
+      fullContent += content
+      onChunk(content, fullContent)
+    }
+  }
 
   while (true) {
     const { done, value } = await reader.read()
     if (done) break
 
-    const chunk = decoder.decode(value, { stream: true })
-    const lines = chunk.split("\n")
+    buffer += decoder.decode(value, { stream: true })
+    const lines = buffer.split("\n")
+    buffer = lines.pop()
 
     for (const line of lines) {
-      if (line.startsWith("data: ")) {
-        const data = line.slice(6)
-        if (data === "[DONE]") continue
-
-        try {
-          const parsed = JSON.parse(data)
-          const content = parsed.choices?.[0]?.delta?.content || parsed.content || ""
-          if (content) {
-            fullContent += content
-            onChunk(content, fullContent)
-          }
-        } catch {
-          // Skip invalid JSON
-        }
-      }
+      handleLine(line)
     }
   }
 
+  buffer += decoder.decode()
+  if (buffer) {
+    handleLine(buffer)
+  }
+
   return fullContent
 }
 
@@ -335,9 +568,10 @@ const streamChat = async (config, messages, onChunk, signal) => {
  * @param {string} targetLang - Target language ID
  * @param {function} [onChunk] - Callback for streaming chunks
  * @param {AbortSignal} [signal] - Abort signal for cancellation
+ * @param {number} [feedId] - Feed of the article (applies its glossary terms)
  * @returns {Promise<string>} Translated content
  */
-export const translate = async (content, targetLang, onChunk, signal) => {
+export const translate = async (content, targetLang, onChunk, signal, feedId) => {
   try {
     setAILoading(true)
     clearAIError()
@@ -346,24 +580,22 @@ export const translate = async (content, targetLang, onChunk, signal) => {
       throw new Error("AI is not configured. Please set up your AI provider first.")
     }
 
-    const config = getConfig()
-    const targetLanguage = getLanguageName(targetLang)
-    const prompt = buildPrompt(DEFAULT_PROMPTS.translate, {
-      targetLang: targetLanguage,
-      content,
-    })
-
-    const messages = [{ role: "user", content: prompt }]
+    const requestPayload = buildAIRequestPayload(getConfig())
 
     if (onChunk) {
-      return await streamChat(config, messages, onChunk, signal)
+      return await streamRequest(
+        "/translate",
+        { ...requestPayload, content, targetLang, feedId, stream: true },
+        onChunk,
+        signal,
+      )
     }
 
-    const requestPayload = buildAIRequestPayload(config)
     const response = await aiClient.post("/translate", {
       ...requestPayload,
       content,
       targetLang,
+      feedId,
       stream: false,
     })
 
@@ -396,20 +628,17 @@ export const summarize = async (content, targetLang, onChunk, signal) => {
       throw new Error("AI is not configured. Please set up your AI provider first.")
     }
 
-    const config = getConfig()
-    const targetLanguage = getLanguageName(targetLang)
-    const prompt = buildPrompt(DEFAULT_PROMPTS.summarize, {
-      targetLang: targetLanguage,
-      content,
-    })
-
-    const messages = [{ role: "user", content: prompt }]
+    const requestPayload = buildAIRequestPayload(getConfig())
 
     if (onChunk) {
-      return await streamChat(config, messages, onChunk, signal)
+      return await streamRequest(
+        "/summarize",
+        { ...requestPayload, content, targetLang, stream: true },
+        onChunk,
+        signal,
+      )
     }
 
-    const requestPayload = buildAIRequestPayload(config)
     const response = await aiClient.post("/summarize", {
       ...requestPayload,
       content,
@@ -429,13 +658,42 @@ export const summarize = async (content, targetLang, onChunk, signal) => {
   }
 }
 
+/**
+ * Structured insights of an article (TL;DR, key points, entities, topics, sentiment, reading verdict)
+ * @param {string} content - Article text
+ * @param {string} targetLang - Target language ID
+ * @param {object} [options] - { entryId, title, signal }
+ * @returns {Promise<object>} Insights
+ */
+export const getInsights = async (content, targetLang, { entryId, title, signal } = {}) => {
+  if (!isConfigured()) {
+    throw new Error("AI is not configured. Please set up your AI provider first.")
+  }
+
+  const response = await aiClient.post(
+    "/summarize",
+    {
+      ...buildAIRequestPayload(getConfig()),
+      content,
+      targetLang,
+      entryId,
+      title,
+      structured: true,
+    },
+    { signal },
+  )
+
+  return response.insights
+}
+
 /**
  * Translate a single title using AI
  * @param {string} title - Title to translate
  * @param {string} targetLang - Target language ID
+ * @param {number} [feedId] - Feed of the article (applies its glossary terms)
  * @returns {Promise<string>} Translated title
  */
-export const translateTitle = async (title, targetLang) => {
+export const translateTitle = async (title, targetLang, feedId) => {
   try {
     setAILoading(true)
     clearAIError()
@@ -444,20 +702,12 @@ export const translateTitle = async (title, targetLang) => {
       throw new Error("AI is not configured. Please set up your AI provider first.")
     }
 
-    const config = getConfig()
-    const targetLanguage = getLanguageName(targetLang)
-    const prompt = buildPrompt(DEFAULT_PROMPTS.titleTranslate, {
-      targetLang: targetLanguage,
-      title,
-    })
-
-    const messages = [{ role: "user", content: prompt }]
-
-    const requestPayload = buildAIRequestPayload(config)
+    const requestPayload = buildAIRequestPayload(getConfig())
     const response = await aiClient.post("/translate/title", {
       ...requestPayload,
       title,
       targetLang,
+      feedId,
       stream: false,
     })
 
@@ -470,12 +720,17 @@ export const translateTitle = async (title, targetLang) => {
   }
 }
 
+// Titles per /translate/titles request (backend limit)
+const TITLES_PER_REQUEST = 200
+
 /**
  * Translate multiple titles in batch
- * @param {Array<{id: string|number, title: string}>} items - Items with id and title
+ * The backend packs the titles into as few model calls as possible and caches each translation
+ * @param {Array<{id: string|number, title: string, feedId?: number}>} items - Items with id, title and feed
  * @param {string} targetLang - Target language ID
  * @param {function} [onProgress] - Progress callback (completed, total)
- * @returns {Promise<Array<{id: string|number, translatedTitle: string}>>}
+ * @returns {Promise<Array<{id: string|number, translatedTitle: string|null, skipped?: boolean, error?: string}>>}
+ *   translatedTitle is null for titles already in the target language
  */
 export const translateTitlesBatch = async (items, targetLang, onProgress) => {
   try {
@@ -486,37 +741,33 @@ export const translateTitlesBatch = async (items, targetLang, onProgress) => {
       throw new Error("AI is not configured. Please set up your AI provider first.")
     }
 
-    const config = getConfig()
+    const requestPayload = buildAIRequestPayload(getConfig())
     const results = []
     const total = items.length
 
-    // Process in batches of 5 to avoid rate limits
-    const BATCH_SIZE = 5
-
-    for (let i = 0; i < items.length; i += BATCH_SIZE) {
-      const batch = items.slice(i, i + BATCH_SIZE)
-
-      const batchPromises = batch.map(async (item) => {
-        try {
-          const translatedTitle = await translateTitle(item.title, targetLang)
-          return { id: item.id, translatedTitle }
-        } catch (error) {
-          console.error(`Failed to translate title ${item.id}:`, error)
-          return { id: item.id, translatedTitle: item.title, error: error.message }
-        }
+    for (let i = 0; i < items.length; i += TITLES_PER_REQUEST) {
+      const batch = items.slice(i, i + TITLES_PER_REQUEST)
+      const response = await aiClient.post("/translate/titles", {
+        ...requestPayload,
+        items: batch.map(({ id, title, feedId }) => ({ id, title, feedId })),
+        targetLang,
       })
 
-      const batchResults = await Promise.all(batchPromises)
-      results.push(...batchResults)
+      for (const result of response.data.results) {
+        if (result.error) {
+          console.error(`Failed to translate title ${result.id}:`, result.error)
+        }
+        results.push({
+          id: result.id,
+          translatedTitle: result.skipped ? null : result.translation,
+          skipped: result.skipped,
+          error: result.error,
+        })
+      }
 
       if (onProgress) {
         onProgress(results.length, total)
       }
-
-      // Add small delay between batches to avoid rate limiting
-      if (i + BATCH_SIZE < items.length) {
-        await new Promise((resolve) => setTimeout(resolve, 500))
-      }
     }
 
     return results
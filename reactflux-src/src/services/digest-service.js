@@ -5,6 +5,8 @@
 
 import { ofetch } from "ofetch"
 
+import { getSessionHeaders } from "@/store/authState"
+
 /**
  * API base URL for digest endpoints
  */
@@ -19,6 +21,11 @@ const createDigestApiClient = () => {
     headers: {
       "Content-Type": "application/json",
     },
+    onRequest({ options }) {
+      for (const [name, value] of Object.entries(getSessionHeaders())) {
+        options.headers.set(name, value)
+      }
+    },
     onRequestError({ error }) {
       console.error("Digest API request error:", error)
       throw error
@@ -182,6 +189,35 @@ export const getJobStatus = async (jobId) => {
   return response
 }
 
+/**
+ * List generation jobs (most recent first)
+ * @param {object} [params] - Query parameters
+ * @param {string} [params.status] - Comma-separated statuses (e.g. "pending,generating")
+ * @param {string} [params.type] - Job type ("generate" or "scheduled")
+ * @param {number} [params.taskId] - Filter by scheduled task ID
+ * @param {number} [params.limit=20] - Max number of jobs
+ * @returns {Promise<object>} { data: Array<{ jobId, type, status, progress, stage, error, digestId, createdAt }> }
+ */
+export const getJobs = async (params = {}) => {
+  const searchParams = new URLSearchParams()
+  if (params.status) {
+    searchParams.set("status", params.status)
+  }
+  if (params.type) {
+    searchParams.set("type", params.type)
+  }
+  if (params.taskId) {
+    searchParams.set("taskId", params.taskId)
+  }
+  if (params.limit) {
+    searchParams.set("limit", params.limit)
+  }
+
+  const queryString = searchParams.toString()
+  const response = await digestClient.get(queryString ? `/jobs?${queryString}` : "/jobs")
+  return response
+}
+
 /**
  * Get default digest prompt template (placeholders: {{content}}, {{targetLang}})
  * @returns {Promise<object>} { defaultPrompt: string }
@@ -206,6 +242,116 @@ export const pushDigest = async (id, pushConfig) => {
   return response
 }
 
+// ============================================
+// Export
+// ============================================
+
+/**
+ * Parse the download filename from a Content-Disposition header
+ */
+const getExportFilename = (disposition, fallback) => {
+  const encoded = disposition?.match(/filename\*=UTF-8''([^;]+)/i)
+  if (encoded) {
+    try {
+      return decodeURIComponent(encoded[1])
+    } catch {
+      // fall through to the plain filename
+    }
+  }
+  return disposition?.match(/filename="([^"]+)"/i)?.[1] || fallback
+}
+
+/**
+ * Request an export file and wrap it as a Blob
+ */
+const fetchExport = async (url, searchParams, fallbackFilename) => {
+  searchParams.set("timezone", Intl.DateTimeFormat().resolvedOptions().timeZone)
+
+  const response = await digestClient.raw(`${url}?${searchParams.toString()}`, { method: "GET" })
+  const type = response.headers.get("Content-Type") || "application/octet-stream"
+  const blob =
+    response._data instanceof Blob ? response._data : new Blob([response._data], { type })
+
+  return {
+    blob,
+    filename: getExportFilename(response.headers.get("Content-Disposition"), fallbackFilename),
+  }
+}
+
+/**
+ * Export a single digest as a self-contained file
+ * @param {number|string} id - Digest ID
+ * @param {string} [format="md"] - md, html or epub
+ * @returns {Promise<{blob: Blob, filename: string}>} Export file
+ */
+export const exportDigest = async (id, format = "md") => {
+  const searchParams = new URLSearchParams({ format })
+  return fetchExport(`/${id}/export`, searchParams, `digest-${id}.${format}`)
+}
+
+/**
+ * Export all digests generated within a date range as one file
+ * @param {object} options - Export options
+ * @param {string} [options.from] - Range start (ISO datetime or YYYY-MM-DD)
+ * @param {string} [options.to] - Range end (ISO datetime or YYYY-MM-DD)
+ * @param {string} [options.format="md"] - md, html or epub
+ * @param {string} [options.scope] - Filter by scope (all, feed, group)
+ * @param {number} [options.scopeId] - Filter by scope ID
+ * @returns {Promise<{blob: Blob, filename: string}>} Export file
+ */
+export const exportDigests = async (options = {}) => {
+  const { from, to, format = "md", scope, scopeId } = options
+  const searchParams = new URLSearchParams({ format })
+  if (from) {
+    searchParams.set("from", from)
+  }
+  if (to) {
+    searchParams.set("to", to)
+  }
+  if (scope) {
+    searchParams.set("scope", scope)
+  }
+  if (scopeId) {
+    searchParams.set("scopeId", scopeId)
+  }
+
+  return fetchExport("/export", searchParams, `digests.${format}`)
+}
+
+// ============================================
+// Atom Feed
+// ============================================
+
+/**
+ * Get the feed token of the current user (created on first use)
+ * @returns {Promise<object>} { token, path }
+ */
+export const getFeedToken = async () => {
+  const response = await digestClient.get("/feed/token")
+  return response
+}
+
+/**
+ * Regenerate the feed token; previously shared feed URLs stop working
+ * @returns {Promise<object>} { token, path }
+ */
+export const regenerateFeedToken = async () => {
+  const response = await digestClient.post("/feed/token")
+  return response
+}
+
+/**
+ * Build the absolute Atom feed URL for feed readers
+ * @param {string} token - Feed token
+ * @param {number|string} [taskId] - Only digests generated by this scheduled task
+ * @returns {string} Feed URL
+ */
+export const getDigestFeedUrl = (token, taskId) => {
+  const base = new URL(DIGEST_API_BASE_URL, globalThis.location.origin).href.replace(/\/$/, "")
+  const path = taskId ? `/schedule/${taskId}/feed.xml` : "/feed.xml"
+  return `${base}${path}?token=${encodeURIComponent(token)}`
+}
+
 // ============================================
 // Scheduled Tasks
 // ============================================
@@ -239,6 +385,8 @@ export const getScheduledTask = async (id) => {
  * @param {number} [data.hours=24] - Time range in hours
  * @param {string} [data.targetLang='Simplified Chinese'] - Target language
  * @param {boolean} [data.unreadOnly=true] - Only include unread articles
+ * @param {boolean} [data.incremental=false] - Only include articles added since the last successful run
+ * @param {boolean} [data.continueStories=false] - Pass the previous digest's headlines to write updates
  * @param {boolean} [data.pushEnabled=false] - Enable push notification
  * @param {object} [data.pushConfig] - Push notification config
  * @param {string} data.cronExpression - Cron expression for schedule
@@ -293,15 +441,26 @@ export const disableScheduledTask = async (id) => {
 }
 
 /**
- * Manually run a scheduled task
+ * Manually run a scheduled task (queued as a job)
  * @param {number|string} id - Task ID
- * @returns {Promise<object>} Execution result
+ * @returns {Promise<object>} { data: { jobId, status } }
  */
 export const runScheduledTask = async (id) => {
   const response = await digestClient.post(`/schedule/${id}/run`)
   return response
 }
 
+/**
+ * Get the run history of a scheduled task (newest first)
+ * @param {number|string} id - Task ID
+ * @param {number} [limit=20] - Max runs (up to 100)
+ * @returns {Promise<object>} { data: [{ id, trigger, status, startedAt, finishedAt, durationMs, articleCount, digestId, usage, push, error, errorStack }] }
+ */
+export const getScheduledTaskRuns = async (id, limit = 20) => {
+  const response = await digestClient.get(`/schedule/${id}/runs?limit=${limit}`)
+  return response
+}
+
 // ============================================
 // Webhook Templates
 // ============================================
@@ -1,7 +1,7 @@
 /**
  * Title Translation Cache Service
  * Uses localStorage to cache translated titles
- * Cache key: hash of (title + targetLanguage)
+ * Cache key: hash of (title + targetLanguage + glossary version)
  * Cache expiry: 7 days
  */
 
@@ -11,13 +11,14 @@ const CACHE_EXPIRY_MS = CACHE_EXPIRY_DAYS * 24 * 60 * 60 * 1000
 
 /**
  * Generate a simple hash for the cache key
- * Uses title + targetLanguage to create unique key
+ * Uses title + targetLanguage (+ glossary version, so glossary edits invalidate titles) to create unique key
  * @param {string} title - Original title
  * @param {string} targetLang - Target language ID
+ * @param {string} [glossaryVersion] - Glossary version ("" when there is no glossary)
  * @returns {string} Hash string for cache key
  */
-const generateCacheKey = (title, targetLang) => {
-  const input = `${title}:${targetLang}`
+const generateCacheKey = (title, targetLang, glossaryVersion) => {
+  const input = glossaryVersion ? `${title}:${targetLang}:${glossaryVersion}` : `${title}:${targetLang}`
   let hash = 0
   for (let i = 0; i < input.length; i++) {
     const char = input.charCodeAt(i)
@@ -31,11 +32,12 @@ const generateCacheKey = (title, targetLang) => {
  * Get cached translation if exists and not expired
  * @param {string} title - Original title
  * @param {string} targetLang - Target language ID
+ * @param {string} [glossaryVersion] - Glossary version
  * @returns {string|null} Cached translation or null
  */
-export const getCachedTranslation = (title, targetLang) => {
+export const getCachedTranslation = (title, targetLang, glossaryVersion) => {
   try {
-    const cacheKey = generateCacheKey(title, targetLang)
+    const cacheKey = generateCacheKey(title, targetLang, glossaryVersion)
     const cached = localStorage.getItem(cacheKey)
 
     if (!cached) {
@@ -63,10 +65,11 @@ export const getCachedTranslation = (title, targetLang) => {
  * @param {string} title - Original title
  * @param {string} targetLang - Target language ID
  * @param {string} translatedTitle - Translated title
+ * @param {string} [glossaryVersion] - Glossary version
  */
-export const setCachedTranslation = (title, targetLang, translatedTitle) => {
+export const setCachedTranslation = (title, targetLang, translatedTitle, glossaryVersion) => {
   try {
-    const cacheKey = generateCacheKey(title, targetLang)
+    const cacheKey = generateCacheKey(title, targetLang, glossaryVersion)
     const cacheData = {
       translatedTitle,
       timestamp: Date.now(),
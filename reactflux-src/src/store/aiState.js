@@ -7,6 +7,7 @@ import { atom, computed } from "nanostores"
 import { persistentAtom } from "@nanostores/persistent"
 
 import { DEFAULT_TARGET_LANGUAGE } from "@/constants/ai-languages"
+import { providerRequiresApiKey } from "@/constants/ai-providers"
 
 /**
  * Default AI configuration
@@ -23,11 +24,16 @@ const defaultConfig = {
   autoSummary: false, // Auto-generate summary for articles
   maxTokens: 4096, // Maximum tokens for responses
   temperature: 0.7, // Temperature for AI responses
+  timeoutSeconds: null, // Request timeout for local providers (null = backend default)
+  azureResourceName: "", // Azure OpenAI resource name (https://{name}.openai.azure.com)
+  azureApiVersion: "", // Azure OpenAI API version (empty = backend default)
+  azureDeployments: [], // Azure OpenAI deployments: [{ model, deployment }]
   // Title translation settings
   titleTranslation: false, // Enable title translation
   titleTranslationMode: "chinese_only", // 'chinese_only' | 'bilingual'
   titleTranslationScope: "all", // 'all' | 'groups'
   titleTranslationGroupIds: [], // Array of category/group IDs to translate
+  glossaryVersion: "", // Version of the translation glossary (part of title cache keys)
 }
 
 /**
@@ -67,12 +73,20 @@ export const aiLoadingState = atom(false)
 export const aiErrorState = atom(null)
 
 /**
- * Computed: Whether AI is configured (has provider, API key, and model)
+ * Per-feed content language overrides ({ [feedId]: languageId }), loaded from the backend
+ * Feeds without an entry fall back to local language detection
+ */
+export const feedLanguagesState = atom({})
+
+/**
+ * Computed: Whether AI is configured (has provider, model, and an API key unless the provider needs none)
  */
 export const isAIConfiguredState = computed(
   [aiConfigState, aiApiKeyState],
   (config, apiKey) => {
-    return !!(config.enabled && config.provider && config.model && (apiKey || config.hasStoredApiKey))
+    const hasKey =
+      apiKey || config.hasStoredApiKey || (config.provider && !providerRequiresApiKey(config.provider))
+    return !!(config.enabled && config.provider && config.model && hasKey)
   },
 )
 
@@ -20,3 +20,12 @@ export const authState = persistentAtom("auth", defaultValue, {
 export const setAuth = (authChanges) => authState.set(authChanges)
 
 export const resetAuth = () => setAuth(defaultValue)
+
+/**
+ * Authorization header for the AI backend (per-user data when signed in with Feishu)
+ * @returns {object} Headers object, empty when there is no session
+ */
+export const getSessionHeaders = () => {
+  const { sessionToken } = authState.get()
+  return sessionToken ? { Authorization: `Bearer ${sessionToken}` } : {}
+}
@@ -70,6 +70,7 @@ export const digestGenerationState = map({
   isGenerating: false,
   progress: 0,
   status: "", // 'idle', 'fetching', 'generating', 'completed', 'error'
+  stage: null, // Backend job stage, e.g. 'summarizing:2/5', 'merging'
   generatedDigest: null,
   error: null,
 })
@@ -207,6 +208,7 @@ export const startGeneration = () => {
   digestGenerationState.setKey("isGenerating", true)
   digestGenerationState.setKey("progress", 0)
   digestGenerationState.setKey("status", "fetching")
+  digestGenerationState.setKey("stage", null)
   digestGenerationState.setKey("error", null)
   digestGenerationState.setKey("generatedDigest", null)
 }
@@ -215,10 +217,14 @@ export const startGeneration = () => {
  * Update generation progress
  * @param {number} progress - Progress percentage (0-100)
  * @param {string} status - Status message
+ * @param {string} [stage] - Backend job stage
  */
-export const updateGenerationProgress = (progress, status) => {
+export const updateGenerationProgress = (progress, status, stage) => {
   digestGenerationState.setKey("progress", progress)
   if (status) digestGenerationState.setKey("status", status)
+  if (stage !== undefined) {
+    digestGenerationState.setKey("stage", stage)
+  }
 }
 
 /**
@@ -229,6 +235,7 @@ export const completeGeneration = (digest) => {
   digestGenerationState.setKey("isGenerating", false)
   digestGenerationState.setKey("progress", 100)
   digestGenerationState.setKey("status", "completed")
+  digestGenerationState.setKey("stage", null)
   digestGenerationState.setKey("generatedDigest", digest)
 }
 
@@ -250,6 +257,7 @@ export const resetGeneration = () => {
     isGenerating: false,
     progress: 0,
     status: "idle",
+    stage: null,
     generatedDigest: null,
     error: null,
   })
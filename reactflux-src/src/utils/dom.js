@@ -31,3 +31,29 @@ export const scrollToHeading = (heading) => {
     }
   }
 }
+
+export const downloadBlob = (blob, filename) => {
+  const url = globalThis.URL.createObjectURL(blob)
+  const link = document.createElement("a")
+  link.href = url
+  link.download = filename
+  document.body.append(link)
+  link.click()
+  link.remove()
+  globalThis.URL.revokeObjectURL(url)
+}
+
+export const printHtml = (html) => {
+  const iframe = document.createElement("iframe")
+  iframe.style.position = "fixed"
+  iframe.style.width = "0"
+  iframe.style.height = "0"
+  iframe.style.border = "0"
+  iframe.srcdoc = html
+  iframe.addEventListener("load", () => {
+    iframe.contentWindow.addEventListener("afterprint", () => iframe.remove())
+    iframe.contentWindow.focus()
+    iframe.contentWindow.print()
+  })
+  document.body.append(iframe)
+}
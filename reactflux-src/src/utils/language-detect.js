@@ -0,0 +1,163 @@
+/**
+ * Lightweight local language detection (no network)
+ * Used to skip titles and paragraphs that are already in the target language:
+ * - Script first: Han (simplified vs traditional by common characters), kana, Hangul, Cyrillic, Arabic, Thai
+ * - Latin text: Vietnamese tone letters, then function words and trigrams for en / fr / de / es / pt
+ * - Returns null for short or ambiguous text, so callers translate as usual
+ * The backend (backend/src/utils/language-detect.js) uses the same algorithm; keep them in sync
+ */
+
+const SIMPLIFIED_CHARS =
+  "这们说为时会来发对过还没后么见经种实现进动问开与关长气让从当学给边头车书东听买卖运门电话认识请谁该难题应"
+const TRADITIONAL_CHARS =
+  "這們說為時會來發對過還沒後麼見經種實現進動問開與關長氣讓從當學給邊頭車書東聽買賣運門電話認識請誰該難題應"
+
+// Most frequent trigrams per language, by rank, separated by "|" (spaces mark word boundaries)
+const TRIGRAMS = {
+  en: " th|the|he |ed | an|nd |and|ing|ng | to| of|of |to |ion| in|er |is | is|at |ent|tio|es |re |on |for| fo|hat|tha| wh|ith|wit| wi|ly |ers|ver| be|his|her|ere|all",
+  fr: "es | de|de |le | le|ent| la|la |nt |ion|les| et|et |que| qu|ue |des| pa| un|ne |ans|our| po|ait|men|ur | pr|est| es|une|ous|eur| so| ce|ais|par|pou|qui| au|dan",
+  de: "en |er |der| de|ie |die| di|ch |ein|sch|ich|und| un|nd |cht|den|ten| ei|ung| ge|gen|che| da|ine| ve|ver| zu|ist| is|nde|ber|auf| au|eit|ges| mi|mit|ach|das|ern",
+  es: " de|de |os | la|la |el | el|en | qu|que|ue |as | co|ent| en|ión|ón |ado| lo|los| se|nte|ara|par| pa|con|es |ien|ció|del|ra |ero| es|ida|una| un|est| po|por",
+  pt: " de|de |os |ão |ção|as | qu|que|ue | co|do |da | da| do|ent| pa|nte|com|em | em|men|par|ara|um | um|ado| se|ões|uma| na|nto|ar |ra |ida|não| nã| es|est|por| po",
+}
+
+// Function words per language (short texts are told apart mostly by these)
+const STOPWORDS = {
+  en: "the a an and of to in is for on with how why what who i we you it this that from by at are was be new your my our",
+  fr: "le la les des de du un une et est pour dans sur avec que qui au aux ne pas en nouveau nouvelle",
+  de: "der die das und ist ein eine mit für auf den dem nicht von zu im bei sich wie neue neuer",
+  es: "el la los las de del y en un una que por para con es cómo se al nuevo nueva",
+  pt: "o a os as de do da dos das e em um uma que para com não no na como é novo nova",
+}
+
+const VIETNAMESE_LETTERS = /[ăâđêôơưạảấầẩẫậắằẳẵặẹẻẽếềểễệỉịọỏốồổỗộớờởỡợụủứừửữựỳỵỷỹ]/g
+
+const MIN_LATIN_LETTERS = 12
+const MIN_LATIN_MARGIN = 0.15
+const STOPWORD_WEIGHT = 40
+const SHORT_TEXT_LETTERS = 60
+
+const count = (text, pattern) => text.match(pattern)?.length || 0
+
+const countChars = (text, chars) => {
+  let total = 0
+  for (const char of text) {
+    if (chars.includes(char)) {
+      total++
+    }
+  }
+  return total
+}
+
+const detectChinese = (text) => {
+  const simplified = countChars(text, SIMPLIFIED_CHARS)
+  const traditional = countChars(text, TRADITIONAL_CHARS)
+  if (simplified > traditional) {
+    return "zh-CN"
+  }
+  if (traditional > simplified) {
+    return "zh-TW"
+  }
+  return "zh"
+}
+
+const detectLatin = (text) => {
+  const letters = count(text, /\p{Script=Latin}/gu)
+  if (letters < MIN_LATIN_LETTERS) {
+    return null
+  }
+
+  if (count(text.toLowerCase(), VIETNAMESE_LETTERS) / letters >= 0.05) {
+    return "vi"
+  }
+
+  const normalized = ` ${text
+    .toLowerCase()
+    .replaceAll(/[^\p{L}]+/gu, " ")
+    .trim()} `
+  const words = normalized.trim().split(" ")
+  const scores = {}
+  const hits = {}
+  for (const [language, list] of Object.entries(TRIGRAMS)) {
+    const trigrams = list.split("|")
+    const stopwords = new Set(STOPWORDS[language].split(" "))
+    hits[language] = words.filter((word) => stopwords.has(word)).length
+    scores[language] = hits[language] * STOPWORD_WEIGHT
+    for (const [rank, trigram] of trigrams.entries()) {
+      let index = normalized.indexOf(trigram)
+      while (index !== -1) {
+        scores[language] += trigrams.length - rank
+        index = normalized.indexOf(trigram, index + 1)
+      }
+    }
+  }
+
+  const [[best, bestScore], [, secondScore]] = Object.entries(scores).toSorted(
+    (a, b) => b[1] - a[1],
+  )
+  if (bestScore === 0 || (bestScore - secondScore) / bestScore < MIN_LATIN_MARGIN) {
+    return null
+  }
+  // Trigrams are unreliable on short text: require at least one function word of the language
+  if (letters < SHORT_TEXT_LETTERS && hits[best] === 0) {
+    return null
+  }
+
+  return best
+}
+
+/**
+ * Detect the language of a text
+ * @param {string} text - Title or paragraph
+ * @returns {string|null} Language ID (zh-CN, zh-TW, en, ja, ...; "zh" when the Chinese script is undetermined), or null
+ */
+export const detectLanguage = (text) => {
+  const sample = String(text || "").slice(0, 2000)
+
+  const han = count(sample, /\p{Script=Han}/gu)
+  const kana = count(sample, /[\p{Script=Hiragana}\p{Script=Katakana}]/gu)
+  const hangul = count(sample, /\p{Script=Hangul}/gu)
+
+  // Han, kana and Hangul count per character (Thai per three), other scripts per word;
+  // mixed titles go with the larger share
+  const scripts = [
+    ["cjk", han + kana + hangul],
+    ["th", count(sample, /\p{Script=Thai}/gu) / 3],
+    ["ru", count(sample, /\p{Script=Cyrillic}+/gu)],
+    ["ar", count(sample, /\p{Script=Arabic}+/gu)],
+    ["latin", count(sample, /\p{Script=Latin}+/gu)],
+  ].toSorted((a, b) => b[1] - a[1])
+
+  const [script, weight] = scripts[0]
+  if (weight === 0) {
+    return null
+  }
+
+  if (script === "cjk") {
+    if (hangul > han + kana) {
+      return "ko"
+    }
+    if (kana > 0 && kana >= (han + kana) * 0.1) {
+      return "ja"
+    }
+    return detectChinese(sample)
+  }
+
+  return script === "latin" ? detectLatin(sample) : script
+}
+
+/**
+ * Whether a detected (or feed) language is the target language ("zh" matches both Chinese scripts)
+ * @param {string|null} language - Detected or configured language ID
+ * @param {string} targetLang - Target language ID
+ * @returns {boolean}
+ */
+export const isSameLanguage = (language, targetLang) => {
+  if (!language || !targetLang) {
+    return false
+  }
+  if (language === "zh") {
+    return targetLang.startsWith("zh")
+  }
+  return language.toLowerCase() === targetLang.toLowerCase()
+}